@@ -0,0 +1,458 @@
+/**
+ * QUICK ADD PARSER
+ * Reads the structured bits out of what someone types into the "add todo" box:
+ *   "Call mom tomorrow 5pm #family !high @Personal"
+ *   -> title "Call mom", due tomorrow at 17:00, tag "family", priority "high", list "Personal"
+ *
+ * Shared by the frontend (live preview in the add form, and creating todos while offline)
+ * and the backend (POST /api/todos?parse=true), so a phrase means the same thing on both sides.
+ * It's a plain ES module without dependencies - keep it that way, both sides load it as is.
+ *
+ * What it understands (case doesn't matter):
+ * - Dates:   today, tonight, tomorrow, monday ... sunday (also "on mon", "next friday"),
+ *            "in 3 days", "in 2 weeks", "in a month", "jan 16", "16th january 2025", "2024-01-16"
+ * - Times:   5pm, 5:30pm, 17:00, noon, midnight (also "at 5pm"); "in 2 hours", "in 30 min"
+ * - Repeats: daily, weekly, monthly, every day, every 3 days, every other week, every weekday,
+ *            every monday, every mon and thu, every month, every 15th
+ * - #tag, !low / !medium / !high / !urgent, and @list for one of the lists passed in
+ *
+ * Only the first date, time, repeat, priority and list count - a second one stays in the title.
+ * A date without a time is due at the end of that day (23:59), like everywhere else in the app;
+ * a time without a date is today, or tomorrow once that time has passed. Weekday names mean
+ * the next such day after today. Everything is worked out in the time zone passed in.
+ */
+
+// Priorities a todo can be given with "!" (lowest first)
+export const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// Other ways to write a priority
+const PRIORITY_ALIASES = { med: 'medium' };
+
+// Due time for a date without one, and for "tonight"
+const END_OF_DAY = { hour: 23, minute: 59 };
+const TONIGHT = { hour: 20, minute: 0 };
+
+// Longest tag name the server accepts (TAG_MAX_LENGTH in the backend's validators/tag.js)
+const TAG_MAX_LENGTH = 30;
+
+// Words that can stand in for a small number ("in a week", "every other day")
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5,
+  six: 6, seven: 7, eight: 8, nine: 9, ten: 10, other: 2,
+};
+
+/* ------------------------------------------------------------------------------------------
+ * Calendar arithmetic in a time zone (the same approach as the backend's utils/dates.js)
+ * Calendar days are { year, month, day } with month 1-12
+ * ---------------------------------------------------------------------------------------- */
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * The calendar day and wall-clock time of a moment in a time zone
+ * @returns {{ year, month, day, hour, minute, second }}
+ */
+function zonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = Number(value);
+  }
+  return parts;
+}
+
+/**
+ * A wall-clock time in a time zone as a real Date (handles daylight saving changes)
+ */
+function zonedTimeToDate({ year, month, day }, { hour, minute }, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = (date) => {
+    const p = zonedParts(date, timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(date.getTime() / 1000) * 1000;
+  };
+  const first = guess - offset(new Date(guess));
+  return new Date(guess - offset(new Date(first)));
+}
+
+function addDays({ year, month, day }, days) {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * The same day some months later, or the month's last day if it's shorter (Jan 31 + 1 = Feb 29)
+ */
+function addMonths({ year, month, day }, months) {
+  const start = new Date(Date.UTC(year, month - 1 + months, 1));
+  const y = start.getUTCFullYear();
+  const m = start.getUTCMonth() + 1;
+  return { year: y, month: m, day: Math.min(day, daysInMonth(y, m)) };
+}
+
+/**
+ * @returns {number} 0 (Sunday) - 6 (Saturday)
+ */
+function weekdayOf({ year, month, day }) {
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+function isBefore(a, b) {
+  return Date.UTC(a.year, a.month - 1, a.day) < Date.UTC(b.year, b.month - 1, b.day);
+}
+
+/* ------------------------------------------------------------------------------------------
+ * Words
+ * ---------------------------------------------------------------------------------------- */
+
+const WEEKDAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const WEEKDAY = 'sunday|monday|tuesday|wednesday|thursday|friday|saturday';
+// Short names only count after "every", "on", "next"... ("sat" alone is usually the verb)
+const WEEKDAY_SHORT = 'sun|mon|tues?|wed|thu(?:rs?)?|fri|sat';
+const MONTH_KEYS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH = 'january|february|march|april|may|june|july|august|september|october|november|december'
+  + '|jan|feb|mar|apr|jun|jul|aug|sept?|oct|nov|dec';
+const NUMBER = `\\d+|${Object.keys(NUMBER_WORDS).join('|')}`;
+const ORDINAL = '(?:st|nd|rd|th)';
+
+const weekdayIndex = (word) => WEEKDAY_KEYS.indexOf(word.slice(0, 3).toLowerCase());
+const monthIndex = (word) => MONTH_KEYS.indexOf(word.slice(0, 3).toLowerCase()) + 1;
+const toNumber = (word) => (/^\d+$/.test(word) ? Number(word) : NUMBER_WORDS[word.toLowerCase()]);
+
+/**
+ * A calendar day if it exists, else null (Feb 30)
+ */
+function validDay(year, month, day) {
+  return month >= 1 && month <= 12 && day >= 1 && day <= daysInMonth(year, month) ? { year, month, day } : null;
+}
+
+/**
+ * A day and month without a year: this year, or next year if it's already gone by
+ */
+function nextDayOfYear(today, month, day) {
+  const thisYear = validDay(today.year, month, day);
+  if (thisYear && !isBefore(thisYear, today)) return thisYear;
+  return validDay(today.year + 1, month, day);
+}
+
+/**
+ * 12-hour clock to 24-hour clock
+ */
+function readTime(hourText, minuteText, meridiem) {
+  let hour = Number(hourText);
+  const minute = minuteText ? Number(minuteText) : 0;
+  if (minute > 59) return null;
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    const pm = meridiem.toLowerCase().startsWith('p');
+    hour = (hour % 12) + (pm ? 12 : 0);
+  } else if (hour > 23) {
+    return null;
+  }
+  return { hour, minute };
+}
+
+/* ------------------------------------------------------------------------------------------
+ * Matchers - tried in this order at the start of every word. Each has a slot (a phrase can
+ * fill each slot once, except tag) and read(match, context), which returns what the match
+ * means or null if it doesn't mean anything after all (e.g. "feb 30")
+ * ---------------------------------------------------------------------------------------- */
+
+const MATCHERS = [
+  // Repeats
+  {
+    slot: 'recurrence',
+    pattern: '(daily|weekly|monthly)',
+    read: (m) => ({ freq: m[1].toLowerCase(), interval: 1 }),
+  },
+  {
+    slot: 'recurrence',
+    pattern: `every\\s+(?:(${NUMBER})\\s+)?(days?|weeks?|months?)`,
+    read: (m) => {
+      const interval = m[1] ? toNumber(m[1]) : 1;
+      if (!interval || interval > 365) return null;
+      const unit = m[2].toLowerCase().replace(/s$/, '');
+      return { freq: { day: 'daily', week: 'weekly', month: 'monthly' }[unit], interval };
+    },
+  },
+  {
+    slot: 'recurrence',
+    pattern: 'every\\s+(weekday|workday|weekend)',
+    read: (m) => ({
+      freq: 'weekly',
+      interval: 1,
+      weekdays: m[1].toLowerCase() === 'weekend' ? [0, 6] : [1, 2, 3, 4, 5],
+    }),
+  },
+  {
+    slot: 'recurrence',
+    pattern: `every\\s+((?:${WEEKDAY}|${WEEKDAY_SHORT})s?(?:\\s*(?:,|&|and)\\s*(?:${WEEKDAY}|${WEEKDAY_SHORT})s?)*)`,
+    read: (m) => {
+      const days = m[1].split(/\s*(?:,|&|\band\b)\s*/i).filter(Boolean).map(weekdayIndex);
+      return { freq: 'weekly', interval: 1, weekdays: [...new Set(days)].sort((a, b) => a - b) };
+    },
+  },
+  {
+    slot: 'recurrence',
+    pattern: `every\\s+(\\d{1,2})${ORDINAL}(?:\\s+of\\s+the\\s+month)?`,
+    read: (m) => {
+      const day = Number(m[1]);
+      return day >= 1 && day <= 31 ? { freq: 'monthly', interval: 1, monthDay: day } : null;
+    },
+  },
+
+  // "in 2 hours" is an exact moment, so it fills the date and the time
+  {
+    slot: 'moment',
+    pattern: `in\\s+(${NUMBER})\\s+(hours?|hrs?|h|minutes?|mins?|m)`,
+    read: (m, { now }) => {
+      const amount = toNumber(m[1]);
+      if (!amount) return null;
+      const minutes = m[2].toLowerCase().startsWith('h') ? amount * 60 : amount;
+      return new Date(now.getTime() + minutes * 60000);
+    },
+  },
+
+  // Dates
+  {
+    slot: 'date',
+    pattern: `in\\s+(${NUMBER})\\s+(days?|weeks?|months?)`,
+    read: (m, { today }) => {
+      const amount = toNumber(m[1]);
+      if (!amount) return null;
+      const unit = m[2].toLowerCase();
+      if (unit.startsWith('month')) return addMonths(today, amount);
+      return addDays(today, unit.startsWith('week') ? amount * 7 : amount);
+    },
+  },
+  {
+    slot: 'date',
+    pattern: '(?:(?:on|by|due)\\s+)?(today|tonight|tomorrow|tmrw|tmr)',
+    read: (m, { today }) => {
+      const word = m[1].toLowerCase();
+      if (word === 'today') return today;
+      if (word === 'tonight') return { ...today, defaultTime: TONIGHT };
+      return addDays(today, 1);
+    },
+  },
+  {
+    slot: 'date',
+    pattern: `(?:(?:(?:on|by|due|next|this)\\s+)(${WEEKDAY}|${WEEKDAY_SHORT})|(${WEEKDAY}))`,
+    read: (m, { today }) => {
+      const weekday = weekdayIndex(m[1] || m[2]);
+      return addDays(today, ((weekday - weekdayOf(today) + 7) % 7) || 7);
+    },
+  },
+  {
+    slot: 'date',
+    pattern: `(?:(?:on|by|due)\\s+)?(${MONTH})\\.?\\s+(\\d{1,2})${ORDINAL}?(?:,?\\s+(\\d{4}))?`,
+    read: (m, { today }) => {
+      const [month, day] = [monthIndex(m[1]), Number(m[2])];
+      return m[3] ? validDay(Number(m[3]), month, day) : nextDayOfYear(today, month, day);
+    },
+  },
+  {
+    slot: 'date',
+    pattern: `(?:(?:on|by|due)\\s+)?(\\d{1,2})${ORDINAL}?\\s+(?:of\\s+)?(${MONTH})\\.?(?:,?\\s+(\\d{4}))?`,
+    read: (m, { today }) => {
+      const [month, day] = [monthIndex(m[2]), Number(m[1])];
+      return m[3] ? validDay(Number(m[3]), month, day) : nextDayOfYear(today, month, day);
+    },
+  },
+  {
+    slot: 'date',
+    pattern: '(?:(?:on|by|due)\\s+)?(\\d{4})-(\\d{1,2})-(\\d{1,2})',
+    read: (m) => validDay(Number(m[1]), Number(m[2]), Number(m[3])),
+  },
+
+  // Times
+  {
+    slot: 'time',
+    pattern: '(?:at\\s+)?(\\d{1,2})(?::(\\d{2}))?\\s*([ap]\\.?m\\.?)',
+    read: (m) => readTime(m[1], m[2], m[3]),
+  },
+  {
+    slot: 'time',
+    pattern: '(?:at\\s+)?(\\d{1,2}):(\\d{2})',
+    read: (m) => readTime(m[1], m[2]),
+  },
+  {
+    slot: 'time',
+    pattern: '(?:at\\s+)?(noon|midday|midnight)',
+    read: (m) => (m[1].toLowerCase() === 'midnight' ? { hour: 0, minute: 0 } : { hour: 12, minute: 0 }),
+  },
+
+  // Tags, priority and list
+  {
+    slot: 'tag',
+    pattern: '#([\\p{L}\\p{N}_/-]+)',
+    // "#12" is more likely an issue number than a tag
+    read: (m) => (m[1].length <= TAG_MAX_LENGTH && !/^\d+$/.test(m[1]) ? m[1] : null),
+  },
+  {
+    slot: 'priority',
+    pattern: `!(${[...PRIORITIES, ...Object.keys(PRIORITY_ALIASES)].join('|')})`,
+    read: (m) => {
+      const word = m[1].toLowerCase();
+      return PRIORITY_ALIASES[word] || word;
+    },
+  },
+].map((matcher) => ({
+  ...matcher,
+  // Sticky (matches right at lastIndex) and has to end where a word ends
+  regex: new RegExp(`${matcher.pattern}(?=$|[\\s,.;:!?)])`, 'iuy'),
+}));
+
+/**
+ * Matcher for "@list", made from the user's list names (longest first, so "@Work stuff"
+ * wins over "@Work")
+ * @param {Array} lists - [{ _id, name }]
+ * @returns {Object|null}
+ */
+function listMatcher(lists) {
+  if (lists.length === 0) return null;
+  const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const names = [...lists].sort((a, b) => b.name.length - a.name.length).map((list) => escape(list.name));
+  return {
+    slot: 'list',
+    regex: new RegExp(`@(${names.join('|')})(?=$|[\\s,.;:!?)])`, 'iuy'),
+    read: (m) => lists.find((list) => list.name.toLowerCase() === m[1].toLowerCase()) || null,
+  };
+}
+
+/* ------------------------------------------------------------------------------------------
+ * Putting it together
+ * ---------------------------------------------------------------------------------------- */
+
+/**
+ * The first day a repeating todo is due, on or after today (or after today, with skipToday)
+ * @param {Object} rule - { freq, weekdays?, monthDay? }
+ * @param {Object} today - Calendar day
+ * @param {boolean} skipToday - Today's occurrence is already over
+ * @returns {Object} Calendar day
+ */
+function firstOccurrence(rule, today, skipToday) {
+  const start = skipToday ? addDays(today, 1) : today;
+  if (rule.freq === 'weekly') {
+    for (let i = 0; i < 7; i += 1) {
+      const day = addDays(start, i);
+      if (rule.weekdays.includes(weekdayOf(day))) return day;
+    }
+  }
+  if (rule.freq === 'monthly') {
+    const thisMonth = { ...start, day: Math.min(rule.monthDay, daysInMonth(start.year, start.month)) };
+    if (!isBefore(thisMonth, start)) return thisMonth;
+    const next = addMonths({ ...start, day: 1 }, 1);
+    return { ...next, day: Math.min(rule.monthDay, daysInMonth(next.year, next.month)) };
+  }
+  return start;
+}
+
+/**
+ * Reads the structured bits out of a quick-add phrase
+ * @param {string} text - What was typed, e.g. "Pay rent every 1st 9am #home"
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()] - Current time ("tomorrow" is the day after this)
+ * @param {string} [options.timeZone="UTC"] - IANA time zone the phrase is meant in
+ * @param {Array} [options.lists=[]] - The user's lists ({ _id, name }), for "@list"
+ * @returns {{ title: string, fields: Object, tokens: Object[] }}
+ *   title:  the text without the recognized phrases (the whole text if nothing else is left)
+ *   fields: whichever of these were found - dueAt (ISO string), recurrence (a rule like the
+ *           todo API takes, with timeZone), tags (names), priority, listId
+ *   tokens: [{ type, start, end, text }] for every recognized phrase, in order, for highlighting -
+ *           type is "date", "time", "moment", "recurrence", "tag", "priority" or "list"
+ */
+export function parseQuickAdd(text, { now = new Date(), timeZone = 'UTC', lists = [] } = {}) {
+  const parts = zonedParts(now, timeZone);
+  const context = { now, today: { year: parts.year, month: parts.month, day: parts.day } };
+  const matchers = [...MATCHERS, listMatcher(lists)].filter(Boolean);
+
+  const found = { tags: [] };
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    // Phrases start at the start of a word
+    const startsWord = i === 0 || /[\s(]/.test(text[i - 1]);
+    let matched = null;
+    if (startsWord && !/\s/.test(text[i])) {
+      for (const matcher of matchers) {
+        const { slot } = matcher;
+        const taken = slot === 'tag' ? false
+          : slot === 'moment' ? found.date || found.time
+          : found[slot] || ((slot === 'date' || slot === 'time') && found.moment);
+        if (taken) continue;
+        matcher.regex.lastIndex = i;
+        const m = matcher.regex.exec(text);
+        const value = m && matcher.read(m, context);
+        if (value) {
+          matched = { matcher, m, value };
+          break;
+        }
+      }
+    }
+    if (!matched) {
+      i += 1;
+      continue;
+    }
+    const { matcher, m, value } = matched;
+    if (matcher.slot === 'tag') found.tags.push(value);
+    else found[matcher.slot] = value;
+    tokens.push({ type: matcher.slot, start: i, end: i + m[0].length, text: m[0] });
+    i += m[0].length;
+  }
+
+  // The title is what's left between the phrases
+  let title = '';
+  let last = 0;
+  for (const token of tokens) {
+    title += `${text.slice(last, token.start)} `;
+    last = token.end;
+  }
+  title = `${title}${text.slice(last)}`.replace(/\s+/g, ' ').trim();
+  if (!title) return { title: text.trim(), fields: {}, tokens: [] }; // Only phrases: it's a title after all
+
+  const fields = {};
+  const { date, time, moment, recurrence } = found;
+  if (recurrence) {
+    const rule = { ...recurrence, timeZone };
+    // "every week" / "every month" repeat on the weekday / day of the first due date
+    const anchor = moment ? zonedParts(moment, timeZone) : date || context.today;
+    if (rule.freq === 'weekly' && !rule.weekdays) rule.weekdays = [weekdayOf(anchor)];
+    if (rule.freq === 'monthly' && !rule.monthDay) rule.monthDay = anchor.day;
+    fields.recurrence = rule;
+  }
+
+  if (moment) {
+    fields.dueAt = moment.toISOString();
+  } else if (date || time || recurrence) {
+    const at = time || date?.defaultTime || END_OF_DAY;
+    let day = date || (recurrence ? firstOccurrence(fields.recurrence, context.today, false) : context.today);
+    let due = zonedTimeToDate(day, at, timeZone);
+    // A time (or repeat) without a date means the next time it comes round
+    if (!date && due <= now) {
+      day = recurrence ? firstOccurrence(fields.recurrence, context.today, true) : addDays(context.today, 1);
+      due = zonedTimeToDate(day, at, timeZone);
+    }
+    fields.dueAt = due.toISOString();
+  }
+
+  if (found.tags.length > 0) fields.tags = [...new Set(found.tags)];
+  if (found.priority) fields.priority = found.priority;
+  if (found.list) fields.listId = String(found.list._id);
+
+  return { title, fields, tokens };
+}
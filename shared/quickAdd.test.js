@@ -0,0 +1,291 @@
+/**
+ * Tests for the quick-add parser - run with `npm test` in this folder (Node's built-in test runner)
+ * Every test uses a fixed "now", so they pass on any day and in any time zone
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuickAdd } from './quickAdd.js';
+
+// Monday 15 January 2024, 22:30 UTC - already Tuesday in Tokyo, still afternoon in New York
+const NOW = new Date('2024-01-15T22:30:00Z');
+
+const LISTS = [
+  { _id: 'work', name: 'Work' },
+  { _id: 'work-stuff', name: 'Work stuff' },
+  { _id: 'personal', name: 'Personal' },
+];
+
+/**
+ * Parses with the fixed "now" (UTC unless a zone is given)
+ */
+function parse(text, options = {}) {
+  return parseQuickAdd(text, { now: NOW, timeZone: 'UTC', lists: LISTS, ...options });
+}
+
+describe('titles', () => {
+  it('leaves plain text alone', () => {
+    assert.deepEqual(parse('Buy milk'), { title: 'Buy milk', fields: {}, tokens: [] });
+  });
+
+  it('takes the phrases out of the title and tidies the spaces', () => {
+    const { title } = parse('Call  tomorrow mom #family   at 5pm');
+    assert.equal(title, 'Call mom');
+  });
+
+  it('keeps the whole text when nothing but phrases is left', () => {
+    assert.deepEqual(parse('tomorrow 5pm'), { title: 'tomorrow 5pm', fields: {}, tokens: [] });
+  });
+
+  it('only reads phrases at the start of a word', () => {
+    assert.deepEqual(parse('Watch yesterday-tomorrow').fields, {});
+    assert.deepEqual(parse('email me@Work').fields, {});
+  });
+
+  it('only reads the first date', () => {
+    const { title, fields } = parse('Move meeting from monday to tomorrow');
+    assert.equal(title, 'Move meeting from to tomorrow');
+    assert.equal(fields.dueAt, '2024-01-22T23:59:00.000Z');
+  });
+
+  it('reports where each phrase is, for highlighting', () => {
+    const { tokens } = parse('Call mom tomorrow 5pm #family !high @Personal');
+    assert.deepEqual(tokens, [
+      { type: 'date', start: 9, end: 17, text: 'tomorrow' },
+      { type: 'time', start: 18, end: 21, text: '5pm' },
+      { type: 'tag', start: 22, end: 29, text: '#family' },
+      { type: 'priority', start: 30, end: 35, text: '!high' },
+      { type: 'list', start: 36, end: 45, text: '@Personal' },
+    ]);
+  });
+});
+
+describe('relative dates', () => {
+  const due = (text, options) => parse(`Task ${text}`, options).fields.dueAt;
+
+  it('today and tomorrow are due at the end of the day', () => {
+    assert.equal(due('today'), '2024-01-15T23:59:00.000Z');
+    assert.equal(due('tomorrow'), '2024-01-16T23:59:00.000Z');
+    assert.equal(due('tmrw'), '2024-01-16T23:59:00.000Z');
+    assert.equal(due('due tomorrow'), '2024-01-16T23:59:00.000Z');
+  });
+
+  it('tonight is 8pm unless a time is given', () => {
+    assert.equal(due('tonight'), '2024-01-15T20:00:00.000Z');
+    assert.equal(due('tonight at 9:30pm'), '2024-01-15T21:30:00.000Z');
+  });
+
+  it('weekday names mean the next one after today', () => {
+    assert.equal(due('friday'), '2024-01-19T23:59:00.000Z');
+    assert.equal(due('monday'), '2024-01-22T23:59:00.000Z'); // Today is Monday
+    assert.equal(due('next sunday'), '2024-01-21T23:59:00.000Z');
+    assert.equal(due('on wed'), '2024-01-17T23:59:00.000Z');
+  });
+
+  it('short weekday names need "on", "next"...', () => {
+    const { title, fields } = parse('Sat down');
+    assert.equal(title, 'Sat down');
+    assert.deepEqual(fields, {});
+  });
+
+  it('"in ..." counts days, weeks and months from today', () => {
+    assert.equal(due('in 3 days'), '2024-01-18T23:59:00.000Z');
+    assert.equal(due('in a week'), '2024-01-22T23:59:00.000Z');
+    assert.equal(due('in two weeks'), '2024-01-29T23:59:00.000Z');
+    assert.equal(due('in 1 month'), '2024-02-15T23:59:00.000Z');
+  });
+
+  it('"in a month" from the 31st ends on the last day of a shorter month', () => {
+    assert.equal(due('in a month', { now: new Date('2024-01-31T12:00:00Z') }), '2024-02-29T23:59:00.000Z');
+  });
+
+  it('"in ... hours / minutes" is an exact moment', () => {
+    assert.equal(due('in 2 hours'), '2024-01-16T00:30:00.000Z');
+    assert.equal(due('in 45 min'), '2024-01-15T23:15:00.000Z');
+    assert.equal(due('in an hour'), '2024-01-15T23:30:00.000Z');
+  });
+
+  it('an exact moment leaves later dates and times in the title', () => {
+    const { title } = parse('Tea in 2 hours tomorrow');
+    assert.equal(title, 'Tea tomorrow');
+  });
+});
+
+describe('calendar dates', () => {
+  const due = (text, options) => parse(`Task ${text}`, options).fields.dueAt;
+
+  it('reads month names either way round, with or without a year', () => {
+    assert.equal(due('jan 20'), '2024-01-20T23:59:00.000Z');
+    assert.equal(due('on January 20th'), '2024-01-20T23:59:00.000Z');
+    assert.equal(due('20 jan'), '2024-01-20T23:59:00.000Z');
+    assert.equal(due('3rd of march 2025'), '2025-03-03T23:59:00.000Z');
+    assert.equal(due('Feb 16, 2025'), '2025-02-16T23:59:00.000Z');
+  });
+
+  it('a day that has passed this year means next year', () => {
+    assert.equal(due('jan 10'), '2025-01-10T23:59:00.000Z');
+    assert.equal(due('jan 15'), '2024-01-15T23:59:00.000Z'); // Today still counts
+  });
+
+  it('reads ISO dates', () => {
+    assert.equal(due('2024-03-01'), '2024-03-01T23:59:00.000Z');
+  });
+
+  it('ignores days that don\'t exist', () => {
+    assert.deepEqual(parse('Report feb 30').fields, {});
+    assert.deepEqual(parse('Report 2023-02-29').fields, {});
+  });
+});
+
+describe('times', () => {
+  const due = (text, options) => parse(`Task ${text}`, options).fields.dueAt;
+
+  it('reads 12- and 24-hour times', () => {
+    assert.equal(due('tomorrow 5pm'), '2024-01-16T17:00:00.000Z');
+    assert.equal(due('tomorrow at 5:30 p.m.'), '2024-01-16T17:30:00.000Z');
+    assert.equal(due('tomorrow 12am'), '2024-01-16T00:00:00.000Z');
+    assert.equal(due('tomorrow 12pm'), '2024-01-16T12:00:00.000Z');
+    assert.equal(due('tomorrow 08:15'), '2024-01-16T08:15:00.000Z');
+    assert.equal(due('tomorrow at noon'), '2024-01-16T12:00:00.000Z');
+  });
+
+  it('a time without a date is today, or tomorrow once it has passed', () => {
+    assert.equal(due('11pm'), '2024-01-15T23:00:00.000Z');
+    assert.equal(due('9am'), '2024-01-16T09:00:00.000Z');
+    assert.equal(due('midnight'), '2024-01-16T00:00:00.000Z');
+  });
+
+  it('a time on a date in the past is kept as it is', () => {
+    assert.equal(due('today 9am'), '2024-01-15T09:00:00.000Z');
+  });
+
+  it('ignores times that don\'t exist', () => {
+    assert.deepEqual(parse('Meet 13pm').fields, {});
+    assert.deepEqual(parse('Meet 24:00').fields, {});
+    assert.deepEqual(parse('Meet 10:75').fields, {});
+  });
+});
+
+describe('time zones', () => {
+  it('"tomorrow" is the day after the user\'s today', () => {
+    // Monday 22:30 UTC is Tuesday 07:30 in Tokyo and Monday 17:30 in New York
+    assert.equal(parse('Call tomorrow', { timeZone: 'Asia/Tokyo' }).fields.dueAt, '2024-01-17T14:59:00.000Z');
+    assert.equal(parse('Call tomorrow', { timeZone: 'America/New_York' }).fields.dueAt, '2024-01-17T04:59:00.000Z');
+  });
+
+  it('times are wall-clock times in the zone', () => {
+    assert.equal(parse('Call tomorrow 5pm', { timeZone: 'Europe/Berlin' }).fields.dueAt, '2024-01-16T16:00:00.000Z');
+    // Already 04:00 on Tuesday in Kolkata (UTC+5:30), so tomorrow is Wednesday
+    assert.equal(parse('Call tomorrow 5pm', { timeZone: 'Asia/Kolkata' }).fields.dueAt, '2024-01-17T11:30:00.000Z');
+  });
+
+  it('"has the time passed?" is checked in the zone', () => {
+    // 23:30 in Berlin: 11pm is over, so it's tomorrow's
+    assert.equal(parse('Call 11pm', { timeZone: 'Europe/Berlin' }).fields.dueAt, '2024-01-16T22:00:00.000Z');
+    // 17:30 in New York: 11pm is still to come today
+    assert.equal(parse('Call 11pm', { timeZone: 'America/New_York' }).fields.dueAt, '2024-01-16T04:00:00.000Z');
+  });
+
+  it('weekdays are counted in the zone', () => {
+    // Already Tuesday in Tokyo, so "monday" is six days away
+    assert.equal(parse('Call monday', { timeZone: 'Asia/Tokyo' }).fields.dueAt, '2024-01-22T14:59:00.000Z');
+  });
+
+  it('handles the switch to daylight saving time', () => {
+    // New York moves its clocks forward on 10 March 2024
+    const now = new Date('2024-03-09T15:00:00Z');
+    const { fields } = parse('Call tomorrow 9am', { now, timeZone: 'America/New_York' });
+    assert.equal(fields.dueAt, '2024-03-10T13:00:00.000Z'); // 9am EDT, not EST
+  });
+
+  it('repeats carry the zone', () => {
+    const { fields } = parse('Standup every weekday', { timeZone: 'Europe/Berlin' });
+    assert.equal(fields.recurrence.timeZone, 'Europe/Berlin');
+  });
+});
+
+describe('repeats', () => {
+  const rule = (text, options) => parse(`Task ${text}`, options).fields.recurrence;
+
+  it('reads daily, weekly and monthly', () => {
+    assert.deepEqual(rule('daily'), { freq: 'daily', interval: 1, timeZone: 'UTC' });
+    assert.deepEqual(rule('weekly'), { freq: 'weekly', interval: 1, weekdays: [1], timeZone: 'UTC' });
+    assert.deepEqual(rule('monthly'), { freq: 'monthly', interval: 1, monthDay: 15, timeZone: 'UTC' });
+  });
+
+  it('reads intervals', () => {
+    assert.deepEqual(rule('every 3 days'), { freq: 'daily', interval: 3, timeZone: 'UTC' });
+    assert.deepEqual(rule('every other week'), { freq: 'weekly', interval: 2, weekdays: [1], timeZone: 'UTC' });
+    assert.deepEqual(rule('every two months'), { freq: 'monthly', interval: 2, monthDay: 15, timeZone: 'UTC' });
+  });
+
+  it('reads weekdays', () => {
+    assert.deepEqual(rule('every monday').weekdays, [1]);
+    assert.deepEqual(rule('every mon and thu').weekdays, [1, 4]);
+    assert.deepEqual(rule('every friday, tuesday & friday').weekdays, [2, 5]);
+    assert.deepEqual(rule('every weekday').weekdays, [1, 2, 3, 4, 5]);
+    assert.deepEqual(rule('every weekend').weekdays, [0, 6]);
+  });
+
+  it('reads a day of the month', () => {
+    assert.deepEqual(rule('every 15th'), { freq: 'monthly', interval: 1, monthDay: 15, timeZone: 'UTC' });
+    assert.equal(rule('every 32nd'), undefined);
+  });
+
+  it('"every week" repeats on the weekday of the due date', () => {
+    assert.deepEqual(rule('every week from friday').weekdays, [5]);
+  });
+
+  it('is first due on its next occurrence', () => {
+    const due = (text) => parse(`Task ${text}`).fields.dueAt;
+    assert.equal(due('every thursday'), '2024-01-18T23:59:00.000Z');
+    assert.equal(due('every monday'), '2024-01-15T23:59:00.000Z'); // Today is Monday
+    assert.equal(due('every 1st'), '2024-02-01T23:59:00.000Z');
+    assert.equal(due('every 31st'), '2024-01-31T23:59:00.000Z');
+  });
+
+  it('skips today\'s occurrence when its time has passed', () => {
+    const due = (text) => parse(`Task ${text}`).fields.dueAt;
+    assert.equal(due('every monday 9am'), '2024-01-22T09:00:00.000Z');
+    assert.equal(due('every day at 8am'), '2024-01-16T08:00:00.000Z');
+    assert.equal(due('every 15th at 9am'), '2024-02-15T09:00:00.000Z');
+  });
+
+  it('the day of the month falls back to the last day of shorter months', () => {
+    const now = new Date('2024-02-10T12:00:00Z');
+    assert.equal(parse('Task every 31st', { now }).fields.dueAt, '2024-02-29T23:59:00.000Z');
+  });
+});
+
+describe('tags, priority and list', () => {
+  it('reads tags, without repeats', () => {
+    assert.deepEqual(parse('Fix #ui-bug and #ui-bug #frontend').fields.tags, ['ui-bug', 'frontend']);
+  });
+
+  it('leaves numbers and overlong names in the title', () => {
+    const { title, fields } = parse(`Fix issue #12 #${'x'.repeat(31)}`);
+    assert.equal(title, `Fix issue #12 #${'x'.repeat(31)}`);
+    assert.deepEqual(fields, {});
+  });
+
+  it('reads priorities', () => {
+    assert.equal(parse('Pay taxes !urgent').fields.priority, 'urgent');
+    assert.equal(parse('Pay taxes !MED').fields.priority, 'medium');
+    assert.equal(parse('Pay taxes !!').fields.priority, undefined);
+  });
+
+  it('picks the longest matching list name, ignoring case', () => {
+    assert.equal(parse('Plan @work').fields.listId, 'work');
+    assert.equal(parse('Plan @work stuff').fields.listId, 'work-stuff');
+  });
+
+  it('leaves unknown lists in the title', () => {
+    const { title, fields } = parse('Plan @holiday');
+    assert.equal(title, 'Plan @holiday');
+    assert.deepEqual(fields, {});
+  });
+
+  it('works without any lists', () => {
+    assert.deepEqual(parse('Plan @work', { lists: [] }).fields, {});
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * EXPRESS APPLICATION
+ * Builds the web app: middleware, every API route and error handling.
+ * index.js connects to MongoDB and starts it; the tests (see test/) use it without a server.
+ *
+ * API VERSIONS
+ * Every endpoint lives under /api/v1 (e.g. /api/v1/todos). The route files still name them
+ * the short way (/api/todos) - that's the address they had before the API was versioned, and
+ * it keeps working as an alias of /api/v1, so older clients don't break. Answers on the alias say
+ * so with "Deprecation: true" and a Link header pointing at the /api/v1 address.
+ *
+ * The API is described by an OpenAPI 3.1 document at /api/openapi.json (see openapi/index.js).
+ * /healthz, /readyz and /metrics are for monitoring, outside the API (see routes/health.js).
+ *
+ * SETTINGS (.env)
+ * - CORS_ORIGINS:     comma-separated web addresses allowed to call the API from a browser, e.g.
+ *                     "https://todo.example.com" ("*" = any). Default: the local dev servers
+ * - JSON_BODY_LIMIT:  largest JSON body accepted, e.g. "100kb" (the default) or "1mb"
+ * - TRUST_PROXY:      set when running behind a proxy / load balancer, so req.ip is the caller's
+ *                     address and not the proxy's: "true", a number of hops, or the proxy's address
+ * - RATE_LIMIT_*:     see middleware/rateLimit.js
+ * - LOG_LEVEL:        see utils/logger.js
+ */
+
+// Import required packages (libraries)
+const express = require('express'); // Web framework for creating API endpoints
+const cors = require('cors');       // Allows frontend (different port) to talk to backend
+
+const { requireAuth } = require('./middleware/auth');
+const { assignRequestId, accessLog } = require('./middleware/requestLog');
+const { securityHeaders } = require('./middleware/securityHeaders');
+const { ipRateLimit, userRateLimit } = require('./middleware/rateLimit');
+const { collectMetrics } = require('./services/metrics');
+const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
+const { buildOpenApiDocument } = require('./openapi');
+
+// The version every endpoint is served under
+const API_VERSION = 'v1';
+
+// Where the frontend may be served from - Vite's dev server, or the old CRA port
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:5173,http://localhost:3000')
+  .split(',')
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+
+/**
+ * Reads TRUST_PROXY: "true"/"false", a number of proxies in front of us, or their addresses
+ * @returns {boolean|number|string}
+ */
+function trustProxySetting() {
+  const value = process.env.TRUST_PROXY;
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+/**
+ * CREATE EXPRESS APPLICATION
+ * Think of this as creating a new web server that can handle requests
+ */
+const app = express();
+app.disable('x-powered-by'); // No need to tell everyone what we run on
+app.set('trust proxy', trustProxySetting());
+
+/**
+ * MIDDLEWARE SETUP
+ * Middleware are functions that run BEFORE your route handlers
+ * They process incoming requests and modify them if needed
+ */
+
+// Give every request an id and log it when it's done (see middleware/requestLog.js)
+app.use(assignRequestId);
+app.use(accessLog);
+
+// Count requests and time them, per route, for /metrics
+app.use(collectMetrics);
+
+// Headers that stop browsers doing risky things with our responses
+app.use(securityHeaders);
+
+// Enable CORS - allows the frontend (another port or domain) to make requests to the backend
+// Without this, browsers block requests between different origins for security
+// Only the origins in CORS_ORIGINS get the CORS headers; browsers refuse the rest
+// exposedHeaders lets the frontend read the headers conditional requests need (see utils/conditional.js),
+// the request id and the rate limit headers
+app.use(cors({
+  origin: CORS_ORIGINS.includes('*') ? true : CORS_ORIGINS,
+  exposedHeaders: ['ETag', 'Last-Modified', 'X-Request-Id', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset'],
+}));
+
+// Too many requests from one address? 429 before doing any work for them
+app.use('/api', ipRateLimit);
+
+// Parse JSON data from incoming requests
+// When frontend sends JSON data, this converts it to JavaScript objects
+// (JSON Merge Patches too - PATCH /api/v1/todos/:id takes those)
+// Bigger bodies are refused with 413 PAYLOAD_TOO_LARGE
+app.use(express.json({
+  type: ['application/json', 'application/merge-patch+json'],
+  limit: process.env.JSON_BODY_LIMIT || '100kb',
+}));
+
+/**
+ * API ROUTES (ENDPOINTS)
+ * One router holds every endpoint; it's mounted at /api/v1 and at the old /api address
+ * requireAuth runs first on everything but /auth, so only logged-in users reach those routes
+ * (then the per-user rate limit, which needs to know who's calling)
+ */
+const api = express.Router();
+const authenticated = [requireAuth, userRateLimit];
+
+// Register, login, logout for /auth requests
+api.use('/auth', require('./routes/auth'));
+
+// Todos (and their checklists, attachments and history) for /todos requests
+api.use('/todos', authenticated, require('./routes/todo'));
+
+// Lists (projects that group todos), their members and invite links
+api.use('/lists', authenticated, require('./routes/lists'));
+
+// Invite links to shared lists (see what one is for, join the list)
+api.use('/invites', authenticated, require('./routes/invites'));
+
+// Tags (colored labels on todos)
+api.use('/tags', authenticated, require('./routes/tags'));
+
+// Activity feed: what happened to the caller's todos, across all of them
+api.use('/activity', authenticated, require('./routes/activity'));
+
+// Productivity stats for the dashboard
+api.use('/stats', authenticated, require('./routes/stats'));
+
+// Live updates: a Server-Sent Events stream of the caller's todo changes
+api.use('/events', authenticated, require('./routes/events'));
+
+/**
+ * Marks answers from the old unversioned address as deprecated, pointing at the /api/v1 one
+ */
+function deprecatedAlias(req, res, next) {
+  res.set({
+    Deprecation: 'true',
+    Link: `</api/${API_VERSION}${req.url}>; rel="successor-version"`,
+  });
+  next();
+}
+
+// Just to see the server is up in a browser
+// When someone visits http://localhost:5000/ they get this message
+// (it doesn't check the database - monitoring should use /healthz and /readyz)
+app.get('/', (req, res) => res.send('Todo API is running! 🚀'));
+
+// Liveness, readiness and Prometheus metrics
+app.use(require('./routes/health'));
+
+// The OpenAPI document (built once, on the first request)
+let openApiDocument = null;
+app.get('/api/openapi.json', (req, res) => {
+  openApiDocument ??= buildOpenApiDocument();
+  res.json(openApiDocument);
+});
+
+app.use(`/api/${API_VERSION}`, api);
+app.use('/api', deprecatedAlias, api);
+
+/**
+ * ERROR HANDLING
+ * These must come AFTER all routes:
+ * - notFoundHandler answers 404 for URLs no route matched
+ * - errorHandler turns every thrown error into { error: { code, message, details } }
+ */
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+module.exports = { app, api, API_VERSION };
@@ -1,78 +1,147 @@
 /**
  * BACKEND SERVER - MAIN ENTRY POINT
  * This is the main server file that starts our Node.js backend application
- * It handles incoming requests from the frontend and connects to MongoDB database
+ * It starts the web app from app.js, connects to the MongoDB database (retrying until it can)
+ * and then starts the background jobs (reminders, trash purging)
+ *
+ * The server listens straight away, so /healthz answers even while the database is still
+ * connecting; /readyz says 503 until it's connected (see routes/health.js).
+ *
+ * SHUTTING DOWN
+ * On SIGTERM (what docker / kubernetes / systemd send) or SIGINT (Ctrl+C) the server stops
+ * taking new connections, ends the live event streams, lets requests in progress finish, stops
+ * the background jobs and closes the database connection - then exits. If that takes longer than
+ * SHUTDOWN_TIMEOUT_MS (10s unless set in .env), or a second signal arrives, it exits right away.
  */
 
 // Load environment variables from .env file (like database URL, port number)
 require('dotenv').config();
 
 // Import required packages (libraries)
-const express = require('express');   // Web framework for creating API endpoints
 const mongoose = require('mongoose'); // Library for connecting to MongoDB database
-const cors = require('cors');         // Allows frontend (different port) to talk to backend
 
-/**
- * CREATE EXPRESS APPLICATION
- * Think of this as creating a new web server that can handle requests
- */
-const app = express();
+// The web app itself: middleware, routes and error handling (see app.js)
+const { app } = require('./app');
+const { connectWithRetry, databaseStatus } = require('./services/database');
+const { closeAllStreams } = require('./services/events');
+const reminderScheduler = require('./services/reminderScheduler');
+const trashPurger = require('./services/trashPurger');
+const { logger } = require('./utils/logger');
 
 /**
- * MIDDLEWARE SETUP
- * Middleware are functions that run BEFORE your route handlers
- * They process incoming requests and modify them if needed
+ * SERVER CONFIGURATION
  */
 
-// Enable CORS - allows frontend (port 3000) to make requests to backend (port 5000)
-// Without this, browsers block requests between different ports for security
-app.use(cors());
+// Get port number from environment variable, or use 5000 as default
+const PORT = process.env.PORT || 5000;
 
-// Parse JSON data from incoming requests
-// When frontend sends JSON data, this converts it to JavaScript objects
-app.use(express.json());
+// Longest a graceful shutdown may take (milliseconds)
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 10 * 1000;
 
 /**
- * ROUTES (API ENDPOINTS)
- * These define what happens when someone visits different URLs
+ * Starts the background jobs (once the database is connected)
  */
+function startJobs() {
+  // Start checking for due reminders in the background
+  // Fired reminders are pushed to the owner's open tabs like any other change
+  // (and to the assignee's, who GET /api/todos/reminders reminds instead)
+  const { publish } = require('./services/events');
+  reminderScheduler.onFire((todos) => {
+    for (const todo of todos) {
+      publish(todo.owner, 'todo.updated', { todo });
+      if (todo.assignee && !todo.assignee.equals(todo.owner)) publish(todo.assignee, 'todo.updated', { todo });
+    }
+  });
+  reminderScheduler.start();
 
-// Health check route - just to test if server is running
-// When someone visits http://localhost:5000/ they get this message
-app.get('/', (req, res) => res.send('Todo API is running! 🚀'));
+  // Permanently remove todos that have been in the trash past the retention period
+  // Whenever todos are gone for good (expired, or purged by the user), their attached files go too
+  const { removeTodoFiles } = require('./services/attachmentStorage');
+  trashPurger.onPurge((todos) => removeTodoFiles(todos));
+  trashPurger.start();
 
-// Import and use todo routes for all /api/todos requests
-// This means all requests to /api/todos/* will be handled by the todo router
-const todosRouter = require('./routes/todo');
-app.use('/api/todos', todosRouter);
+  // Give todos from before manual ordering a position (no-op once they all have one)
+  require('./services/positions').backfillPositions()
+    .then((count) => count > 0 && logger.info('backfilled todo positions', { count }))
+    .catch((err) => logger.error('could not backfill todo positions', { err }));
+
+  // Give todos completed before completedAt existed one, for the stats (no-op once they all have one)
+  require('./services/stats').backfillCompletedAt()
+    .then((count) => count > 0 && logger.info('backfilled completion dates', { count }))
+    .catch((err) => logger.error('could not backfill completion dates', { err }));
+}
 
 /**
- * SERVER CONFIGURATION
+ * START THE SERVER
+ * Start listening for incoming requests on the specified port
  */
-
-// Get port number from environment variable, or use 5000 as default
-const PORT = process.env.PORT || 5000;
+const server = app.listen(PORT, () => {
+  logger.info('server listening', { port: Number(PORT), api: `http://localhost:${PORT}/api/v1` });
+});
 
 /**
- * DATABASE CONNECTION AND SERVER STARTUP
- * Connect to MongoDB first, then start the server
+ * DATABASE CONNECTION
+ * Keeps trying until MongoDB answers (see services/database.js), then starts the jobs
+ * Aborted if the server is shut down before it got through
  */
-mongoose.connect(process.env.MONGO_URI, { 
-  useNewUrlParser: true,    // Use new URL parser (recommended)
-  useUnifiedTopology: true  // Use new connection management engine (recommended)
-})
-.then(() => {
-  // If database connection successful, start the web server
-  console.log('✅ Connected to MongoDB database');
-  
-  // Start listening for incoming requests on the specified port
-  app.listen(PORT, () => {
-    console.log(`🚀 Server running on port ${PORT}`);
-    console.log(`📡 API available at: http://localhost:${PORT}`);
+const connecting = new AbortController();
+connectWithRetry(process.env.MONGO_URI, { signal: connecting.signal })
+  .then(() => {
+    logger.info('connected to mongodb');
+    startJobs();
+  })
+  .catch((err) => {
+    if (connecting.signal.aborted) return; // Shutting down - nothing to report
+    // A connection string retrying can't fix - no point running without a database
+    logger.error('cannot connect to mongodb, check MONGO_URI in .env', { err });
+    shutdown('MONGO_URI', 1);
   });
-})
-.catch(err => {
-  // If database connection fails, show error and don't start server
-  console.error('❌ MongoDB connection error:', err.message);
-  console.log('💡 Make sure your MongoDB connection string is correct in .env file');
-});
\ No newline at end of file
+
+let shuttingDown = false;
+
+/**
+ * Shuts the server down gracefully (see SHUTTING DOWN above)
+ * @param {string} reason - The signal (or other reason) that started it, for the logs
+ * @param {number} [exitCode=0] - What to exit with once done
+ */
+async function shutdown(reason, exitCode = 0) {
+  if (shuttingDown) {
+    logger.warn('second shutdown request, exiting now', { reason });
+    process.exit(1);
+  }
+  shuttingDown = true;
+  app.locals.shuttingDown = true; // /readyz answers 503 from now on
+  logger.info('shutting down', { reason });
+
+  const deadline = setTimeout(() => {
+    logger.error('shutdown took too long, exiting now', { timeoutMs: SHUTDOWN_TIMEOUT_MS });
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS);
+  deadline.unref();
+
+  try {
+    connecting.abort();
+
+    // Stop taking connections and wait for the requests in progress. Idle keep-alive
+    // connections are closed now; busy ones close once their response has been sent.
+    // Event streams never finish by themselves, so they're ended here.
+    const closed = new Promise((resolve) => server.close(resolve));
+    server.closeIdleConnections();
+    closeAllStreams();
+    await closed;
+
+    // Let a reminder check or trash purge that already started finish, then close the database
+    // (still trying to connect? Then there's nothing to close - exiting ends the attempt)
+    await Promise.all([reminderScheduler.stop(), trashPurger.stop()]);
+    if (databaseStatus().connected) await mongoose.disconnect();
+
+    logger.info('shutdown complete');
+  } catch (err) {
+    logger.error('shutdown failed', { err });
+    exitCode = 1;
+  }
+  process.exit(exitCode);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
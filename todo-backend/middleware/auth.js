@@ -0,0 +1,73 @@
+/**
+ * AUTHENTICATION MIDDLEWARE
+ * This file creates and checks the signed session tokens (JWTs) that prove who is calling the API
+ *
+ * Flow:
+ * 1. User logs in -> routes/auth.js calls signToken(user) and sends the token to the frontend
+ * 2. Frontend sends it back on every request: "Authorization: Bearer <token>"
+ * 3. requireAuth checks the token and puts the caller on req.user before the route runs
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/user');
+const { ApiError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+/**
+ * TOKEN SECRET
+ * Tokens are signed with JWT_SECRET from the .env file
+ * If it's missing we fall back to a random secret, which works but logs everyone out on restart
+ */
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.JWT_SECRET) {
+  logger.warn('JWT_SECRET is not set - using a random secret, sessions will not survive a restart');
+}
+
+// How long a token stays valid (e.g. "7d", "12h")
+const TOKEN_TTL = process.env.JWT_EXPIRES_IN || '7d';
+
+/**
+ * Creates a signed token for a user
+ * @param {Object} user - The user document
+ * @returns {string} Signed JWT containing the user id and token version
+ */
+function signToken(user) {
+  return jwt.sign(
+    { sub: user._id.toString(), ver: user.tokenVersion },
+    JWT_SECRET,
+    { expiresIn: TOKEN_TTL }
+  );
+}
+
+/**
+ * Middleware that rejects the request with 401 UNAUTHORIZED unless it carries a valid token
+ * On success sets req.user = { id, username } for the route handlers
+ */
+async function requireAuth(req, res, next) {
+  // Header looks like "Bearer eyJhbGciOi..." - we only want the part after "Bearer "
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    throw ApiError.unauthorized();
+  }
+
+  let payload;
+  try {
+    // Throws if the signature is wrong or the token has expired
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch {
+    throw ApiError.unauthorized('Invalid or expired session');
+  }
+
+  // Make sure the user still exists and hasn't logged out since this token was issued
+  const user = await User.findById(payload.sub);
+  if (!user || user.tokenVersion !== payload.ver) {
+    throw ApiError.unauthorized('Invalid or expired session');
+  }
+
+  req.user = { id: user._id, username: user.username };
+  next();
+}
+
+module.exports = { signToken, requireAuth };
@@ -0,0 +1,89 @@
+/**
+ * ERROR HANDLING MIDDLEWARE
+ * Every error thrown in a route (or passed to next(err)) ends up here.
+ * Express 5 forwards errors from async handlers automatically, so routes can just `throw`.
+ *
+ * All errors leave the server in the same shape:
+ *   { error: { code, message, details, requestId } }
+ * requestId is the request's correlation id (see middleware/requestLog.js) - the same one
+ * that's in the X-Request-Id header and the server's logs.
+ */
+
+const mongoose = require('mongoose');
+const { ApiError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+/**
+ * Converts any error into an ApiError so the response shape is always the same
+ * @param {Error} err - Whatever was thrown
+ * @returns {ApiError}
+ */
+function toApiError(err) {
+  if (err instanceof ApiError) return err;
+
+  // Mongoose schema validation failed (required field missing, maxlength exceeded, ...)
+  if (err instanceof mongoose.Error.ValidationError) {
+    const details = Object.values(err.errors).map((e) => ({ field: e.path, message: e.message }));
+    return ApiError.badRequest('Invalid data', details);
+  }
+
+  // A value couldn't be converted to the schema type (usually a malformed id)
+  if (err instanceof mongoose.Error.CastError) {
+    return new ApiError(400, 'INVALID_ID', `Invalid value for "${err.path}"`);
+  }
+
+  // Unique index violation (e.g. a username that already exists)
+  if (err.code === 11000) {
+    return ApiError.conflict('Already exists', { fields: Object.keys(err.keyValue || {}) });
+  }
+
+  // express.json() couldn't parse the body
+  if (err.type === 'entity.parse.failed') {
+    return new ApiError(400, 'INVALID_JSON', 'Request body is not valid JSON');
+  }
+
+  // The body is bigger than the parser's limit (e.g. an import file)
+  if (err.type === 'entity.too.large') {
+    return new ApiError(413, 'PAYLOAD_TOO_LARGE', 'Request body is too large');
+  }
+
+  // Anything else is a bug or an outage - don't leak internals to the client
+  return new ApiError(500, 'INTERNAL_ERROR', 'Something went wrong');
+}
+
+/**
+ * Catch-all for URLs that no route matched (mounted after all routes)
+ */
+function notFoundHandler(req, res, next) {
+  next(ApiError.notFound(`Cannot ${req.method} ${req.originalUrl}`));
+}
+
+/**
+ * Express error handler (4 arguments tells Express this is an error handler)
+ */
+function errorHandler(err, req, res, next) {
+  // Failed halfway through a response (e.g. a streamed export): too late for a JSON
+  // error, so Express's default handler cuts the connection and the client sees it fail
+  if (res.headersSent) {
+    logger.error('error after the response started', { requestId: req.id, err });
+    return next(err);
+  }
+
+  const apiError = toApiError(err);
+
+  // Unexpected errors get logged with their stack so we can debug them
+  if (apiError.status >= 500) {
+    logger.error('unhandled error', { requestId: req.id, err });
+  }
+
+  res.status(apiError.status).json({
+    error: {
+      code: apiError.code,
+      message: apiError.message,
+      details: apiError.details ?? null,
+      requestId: req.id ?? null,
+    },
+  });
+}
+
+module.exports = { errorHandler, notFoundHandler };
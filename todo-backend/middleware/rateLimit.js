@@ -0,0 +1,98 @@
+/**
+ * RATE LIMITING MIDDLEWARE
+ * Caps how many requests one caller can make in a time window, so a buggy script or a
+ * password-guessing bot can't hog the server. Two limits, both set in .env:
+ * - per IP address, on every /api request (logged in or not): RATE_LIMIT_PER_IP, default 600
+ * - per user, on every request that needs a login:           RATE_LIMIT_PER_USER, default 300
+ * ...per RATE_LIMIT_WINDOW_MS milliseconds (default one minute). 0 turns a limit off.
+ *
+ * Every answer says where the caller stands:
+ *   RateLimit-Limit: 300, RateLimit-Remaining: 12, RateLimit-Reset: 41 (seconds until the window ends)
+ * Over the limit the request is refused with 429 RATE_LIMITED and "Retry-After: <seconds>".
+ *
+ * Counts are kept in memory (fixed windows), so they're per server process and start over on a
+ * restart. Behind a proxy, set TRUST_PROXY (see app.js) or every request seems to come from the proxy.
+ */
+
+const { ApiError } = require('../utils/errors');
+
+const WINDOW_MS = Number(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000;
+const PER_IP = Number(process.env.RATE_LIMIT_PER_IP ?? 600);
+const PER_USER = Number(process.env.RATE_LIMIT_PER_USER ?? 300);
+
+/**
+ * An in-memory store of request counts
+ * Windows that have ended are swept out every windowMs, so idle callers don't pile up
+ * @param {number} windowMs - Length of a window
+ * @returns {{ hit: Function }} hit(key) counts a request and returns { count, resetAt }
+ */
+function createMemoryStore(windowMs) {
+  const windows = new Map(); // key -> { count, resetAt }
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  }, windowMs);
+  sweep.unref(); // Don't keep the process alive just for this
+
+  return {
+    hit(key) {
+      const now = Date.now();
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      window.count += 1;
+      return { count: window.count, resetAt: window.resetAt };
+    },
+  };
+}
+
+/**
+ * Creates a rate limiting middleware
+ * @param {Object} options
+ * @param {number} options.max - Requests allowed per window (0 = no limit)
+ * @param {number} [options.windowMs] - Window length in milliseconds
+ * @param {Function} options.keyFor - (req) => who is calling, e.g. "ip:1.2.3.4"; null skips the limit
+ * @returns {Function} Express middleware
+ */
+function createRateLimiter({ max, windowMs = WINDOW_MS, keyFor }) {
+  if (!(max > 0)) return (req, res, next) => next();
+
+  const store = createMemoryStore(windowMs);
+
+  return function rateLimit(req, res, next) {
+    const key = keyFor(req);
+    if (!key) return next();
+
+    const { count, resetAt } = store.hit(key);
+    const resetSeconds = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - count)),
+      'RateLimit-Reset': String(resetSeconds),
+    });
+
+    if (count > max) {
+      res.set('Retry-After', String(resetSeconds));
+      throw new ApiError(429, 'RATE_LIMITED', `Too many requests, try again in ${resetSeconds} seconds`, {
+        retryAfter: resetSeconds,
+      });
+    }
+    next();
+  };
+}
+
+// Every request, by the address it came from
+const ipRateLimit = createRateLimiter({ max: PER_IP, keyFor: (req) => `ip:${req.ip}` });
+
+// Logged-in requests, by user (mount after requireAuth)
+const userRateLimit = createRateLimiter({
+  max: PER_USER,
+  keyFor: (req) => (req.user ? `user:${req.user.id}` : null),
+});
+
+module.exports = { createRateLimiter, ipRateLimit, userRateLimit };
@@ -0,0 +1,83 @@
+/**
+ * REQUEST IDS AND ACCESS LOGS
+ * Every request gets an id (a correlation id): it's sent back in the "X-Request-Id" header,
+ * written on the request's access log line and put in error responses
+ * ({ error: { ..., requestId } }), so a user's "it said Something went wrong" can be matched
+ * to the exact log lines.
+ *
+ * A client (or a proxy in front of us) may send its own X-Request-Id to have it used instead,
+ * which ties our logs to theirs. Anything that doesn't look like an id is ignored.
+ *
+ * When the response is finished, one JSON line is logged (see utils/logger.js):
+ *   { msg: "request", requestId, method, path, status, durationMs, bytes, ip, userId, userAgent }
+ * The query string isn't logged (it holds search text), and invite tokens are masked.
+ * Health checks aren't logged at all (see QUIET_PATHS).
+ */
+
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+
+// What we accept as an incoming request id
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Probes and scrapers call these every few seconds - logging each would drown everything else
+// (they're still counted in /metrics)
+const QUIET_PATHS = new Set(['/healthz', '/readyz', '/metrics']);
+
+/**
+ * Middleware that sets req.id and the X-Request-Id response header
+ */
+function assignRequestId(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+}
+
+/**
+ * The path to log: no query string, and no invite tokens (they let anyone join a list)
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+function loggedPath(req) {
+  return req.originalUrl.split('?')[0].replace(/(\/invites\/)[^/]+/, '$1***');
+}
+
+/**
+ * Middleware that logs each request once its response has been sent (or the client gave up)
+ * Mount it after assignRequestId and before everything else, so it sees every request
+ */
+function accessLog(req, res, next) {
+  if (QUIET_PATHS.has(req.path)) return next();
+
+  const started = process.hrtime.bigint();
+  let logged = false;
+
+  const log = () => {
+    if (logged) return;
+    logged = true;
+
+    const fields = {
+      requestId: req.id,
+      method: req.method,
+      path: loggedPath(req),
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100,
+      bytes: Number(res.get('Content-Length')) || undefined,
+      ip: req.ip,
+      userId: req.user?.id?.toString(),
+      userAgent: req.get('User-Agent'),
+    };
+    // "close" without "finish" = the connection ended before the whole response was sent
+    if (!res.writableFinished) fields.aborted = true;
+
+    if (res.statusCode >= 500) logger.error('request', fields);
+    else logger.info('request', fields);
+  };
+
+  res.on('finish', log);
+  res.on('close', log);
+  next();
+}
+
+module.exports = { assignRequestId, accessLog };
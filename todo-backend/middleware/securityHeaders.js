@@ -0,0 +1,33 @@
+/**
+ * SECURITY HEADERS MIDDLEWARE
+ * Headers that tell browsers to be careful with what this server sends. The API only answers
+ * JSON (and attachment downloads), so everything a web page would need can be switched off:
+ * - Content-Security-Policy: nothing in a response may load scripts, styles, frames... - so an
+ *   uploaded HTML attachment opened in a tab can't run anything
+ * - X-Content-Type-Options: browsers must trust our Content-Type instead of guessing
+ * - X-Frame-Options / frame-ancestors: no page may show ours in a frame (clickjacking)
+ * - Referrer-Policy: links followed from our responses don't learn our URLs
+ * - Strict-Transport-Security: once reached over HTTPS, browsers stay on HTTPS (HTTPS only)
+ */
+
+const HEADERS = {
+  'Content-Security-Policy': "default-src 'none'; frame-ancestors 'none'; base-uri 'none'; form-action 'none'",
+  'X-Content-Type-Options': 'nosniff',
+  'X-Frame-Options': 'DENY',
+  'Referrer-Policy': 'no-referrer',
+  'Cross-Origin-Opener-Policy': 'same-origin',
+};
+
+// A year, the usual HSTS lifetime
+const HSTS = 'max-age=31536000; includeSubDomains';
+
+/**
+ * Middleware that adds the security headers to every response
+ */
+function securityHeaders(req, res, next) {
+  res.set(HEADERS);
+  if (req.secure) res.set('Strict-Transport-Security', HSTS);
+  next();
+}
+
+module.exports = { securityHeaders };
@@ -0,0 +1,248 @@
+/**
+ * REQUEST VALIDATION MIDDLEWARE
+ * Checks request bodies and URL parameters BEFORE they reach a route handler
+ *
+ * Each route describes the fields it accepts with a set of rules (see validators/*.js):
+ *
+ *   const rules = {
+ *     title:     { type: 'string', required: true, trim: true, minLength: 1, maxLength: 500 },
+ *     completed: { type: 'boolean' },
+ *   };
+ *   router.post('/', validateBody(rules), handler);
+ *
+ * Anything not listed in the rules is rejected, so clients can't write arbitrary fields.
+ * On success req.body is replaced with a clean object holding only the validated fields.
+ * validateQuery() does the same for query strings (?status=active&limit=20).
+ *
+ * The middleware keep their rules on .validates, which is how the OpenAPI document
+ * (see openapi/index.js) is checked against the routes by the tests.
+ */
+
+const { ApiError } = require('../utils/errors');
+
+// MongoDB ids are 24 hex characters (mongoose.isValidObjectId also accepts any 12-char string)
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+/**
+ * @param {*} value - Anything
+ * @returns {boolean} true if value is a string that looks like a MongoDB id
+ */
+function isObjectId(value) {
+  return typeof value === 'string' && OBJECT_ID_PATTERN.test(value);
+}
+
+/**
+ * Checks a single value against its rule
+ * @param {*} value - The value sent by the client
+ * @param {Object} rule - The rule for this field
+ * @returns {{ value: *, error: string|null }} The cleaned value, or an error message
+ */
+function checkValue(value, rule) {
+  // null is only allowed for fields that can be cleared (e.g. an optional date)
+  if (value === null) {
+    return rule.nullable ? { value: null, error: null } : { error: 'must not be null' };
+  }
+
+  switch (rule.type) {
+    case 'string': {
+      if (typeof value !== 'string') return { error: 'must be a string' };
+      let str = rule.trim ? value.trim() : value;
+      // sanitize: optional cleaning step, e.g. removing raw HTML from Markdown notes
+      if (rule.sanitize) str = rule.sanitize(str);
+      if (rule.minLength !== undefined && str.length < rule.minLength) {
+        return { error: rule.minLength === 1 ? 'must not be empty' : `must be at least ${rule.minLength} characters` };
+      }
+      if (rule.maxLength !== undefined && str.length > rule.maxLength) {
+        return { error: `must be at most ${rule.maxLength} characters` };
+      }
+      // pattern: a RegExp the whole string must match; example shows the client what's wanted
+      if (rule.pattern && !rule.pattern.test(str)) {
+        return { error: rule.example ? `must look like ${rule.example}` : 'is not in the right format' };
+      }
+      return { value: str, error: null };
+    }
+
+    case 'boolean':
+      if (typeof value !== 'boolean') return { error: 'must be true or false' };
+      return { value, error: null };
+
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return { error: 'must be a number' };
+      if (rule.integer && !Number.isInteger(value)) return { error: 'must be a whole number' };
+      if (rule.min !== undefined && value < rule.min) return { error: `must be at least ${rule.min}` };
+      if (rule.max !== undefined && value > rule.max) return { error: `must be at most ${rule.max}` };
+      return { value, error: null };
+
+    case 'date': {
+      // Accept ISO strings or timestamps, store as a real Date
+      if (typeof value !== 'string' && typeof value !== 'number') return { error: 'must be a date' };
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) return { error: 'must be a valid date' };
+      return { value: date, error: null };
+    }
+
+    case 'enum':
+      if (!rule.values.includes(value)) return { error: `must be one of: ${rule.values.join(', ')}` };
+      return { value, error: null };
+
+    case 'objectId':
+      if (!isObjectId(value)) return { error: 'must be a valid id' };
+      return { value, error: null };
+
+    case 'array': {
+      if (!Array.isArray(value)) return { error: 'must be a list' };
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        return { error: `must have at most ${rule.maxItems} items` };
+      }
+      const items = [];
+      for (const [index, item] of value.entries()) {
+        const result = checkValue(item, rule.items);
+        if (result.error) return { error: `item ${index + 1} ${result.error}` };
+        items.push(result.value);
+      }
+      // unique: drop repeated items instead of failing ([1, 1, 3] -> [1, 3])
+      return { value: rule.unique ? [...new Set(items)] : items, error: null };
+    }
+
+    case 'object': {
+      // Nested object with its own field rules, e.g. a recurrence rule
+      try {
+        return { value: validate(value, rule.fields), error: null };
+      } catch (err) {
+        if (!err.details) return { error: 'must be an object' };
+        return { error: err.details.map((d) => `${d.field} ${d.message}`).join(', ') };
+      }
+    }
+
+    default:
+      throw new Error(`Unknown validation type "${rule.type}"`);
+  }
+}
+
+/**
+ * Validates an object against a set of rules
+ * @param {Object} input - The object sent by the client
+ * @param {Object} rules - Field name -> rule
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - true for updates: nothing is required, but at least one field must be sent
+ * @returns {Object} The cleaned object
+ * @throws {ApiError} 400 VALIDATION_ERROR listing every problem found
+ */
+function validate(input, rules, { partial = false } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw ApiError.badRequest('Request body must be a JSON object');
+  }
+
+  const details = [];
+  const clean = {};
+
+  // 1. Reject fields we don't know about
+  for (const field of Object.keys(input)) {
+    if (!Object.prototype.hasOwnProperty.call(rules, field)) {
+      details.push({ field, message: 'is not an allowed field' });
+    }
+  }
+
+  // 2. Check every field we do know about
+  for (const [field, rule] of Object.entries(rules)) {
+    const value = input[field];
+    if (value === undefined) {
+      if (rule.required && !partial) details.push({ field, message: 'is required' });
+      else if (rule.default !== undefined && !partial) clean[field] = rule.default;
+      continue;
+    }
+    const result = checkValue(value, rule);
+    // check: optional extra rule, e.g. "weekly repeats need at least one weekday"
+    const extraError = !result.error && result.value !== null && rule.check
+      ? rule.check(result.value)
+      : null;
+    if (result.error || extraError) {
+      details.push({ field, message: result.error || extraError });
+    } else {
+      clean[field] = result.value;
+    }
+  }
+
+  if (details.length === 0 && partial && Object.keys(clean).length === 0) {
+    throw ApiError.badRequest('No fields to update');
+  }
+  if (details.length > 0) {
+    throw ApiError.badRequest('Invalid request body', details);
+  }
+  return clean;
+}
+
+/**
+ * Middleware factory: validate req.body against rules
+ * @param {Object} rules - Field name -> rule
+ * @param {Object} [options] - Same options as validate()
+ */
+function validateBody(rules, options) {
+  const middleware = (req, res, next) => {
+    req.body = validate(req.body, rules, options);
+    next();
+  };
+  middleware.validates = { in: 'body', rules, partial: Boolean(options?.partial) };
+  return middleware;
+}
+
+/**
+ * Converts a query string value to the type its rule expects
+ * Everything in req.query arrives as a string ("?limit=20" gives "20"), so numbers
+ * and booleans need converting before they are checked
+ * @param {*} value - Raw value from req.query
+ * @param {Object} [rule] - The rule for this parameter (undefined for unknown parameters)
+ * @returns {*} The converted value, or the raw value if it can't be converted
+ */
+function coerceQueryValue(value, rule) {
+  if (!rule || typeof value !== 'string') return value;
+  if (rule.type === 'number' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (rule.type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+/**
+ * Middleware factory: validate req.query against rules
+ * Express 5 makes req.query read-only, so the cleaned values are stored on req.validQuery
+ * @param {Object} rules - Parameter name -> rule (same format as for bodies)
+ */
+function validateQuery(rules) {
+  const middleware = (req, res, next) => {
+    const input = {};
+    for (const [name, value] of Object.entries(req.query)) {
+      input[name] = coerceQueryValue(value, rules[name]);
+    }
+    try {
+      req.validQuery = validate(input, rules);
+    } catch (err) {
+      // Same error, but say "query" instead of "body" so the client knows where to look
+      if (err.details) err.message = 'Invalid query parameters';
+      throw err;
+    }
+    next();
+  };
+  middleware.validates = { in: 'query', rules };
+  return middleware;
+}
+
+/**
+ * Middleware: make sure req.params[name] is a valid MongoDB id
+ * Without this, a malformed id makes mongoose throw a CastError deep inside the query
+ * @param {string} [name='id'] - The URL parameter to check
+ */
+function validateObjectId(name = 'id') {
+  const middleware = (req, res, next) => {
+    if (!isObjectId(req.params[name])) {
+      throw new ApiError(400, 'INVALID_ID', `"${req.params[name]}" is not a valid id`);
+    }
+    next();
+  };
+  middleware.validates = { in: 'path', name };
+  return middleware;
+}
+
+module.exports = { validate, validateBody, validateQuery, validateObjectId, isObjectId };
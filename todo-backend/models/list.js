@@ -0,0 +1,52 @@
+/**
+ * LIST DATA MODEL
+ * A list (project) groups todos, e.g. "Work", "Groceries", "Side project"
+ * Todos point at their list through the `listId` field in models/todo.js.
+ * Todos without a list (listId: null) live in the built-in "Inbox", which has no document here.
+ */
+
+// Import mongoose to create database schemas and models
+const mongoose = require('mongoose');
+
+/**
+ * DEFINE LIST SCHEMA
+ */
+const ListSchema = new mongoose.Schema({
+  // Owner field: the user this list belongs to
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Name shown in the sidebar (e.g. "Work")
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100     // Keep in sync with LIST_NAME_MAX_LENGTH in validators/list.js
+  },
+
+  // Color of the dot next to the name, as a hex code (e.g. "#4CAF50")
+  color: {
+    type: String,
+    default: '#667eea',
+    match: /^#[0-9a-f]{6}$/i
+  },
+
+  // Where the list appears in the sidebar (smaller numbers first)
+  position: {
+    type: Number,
+    default: 0
+  },
+}, {
+  timestamps: true     // Automatically add 'createdAt' and 'updatedAt' fields
+});
+
+// The sidebar loads all of a user's lists in position order
+ListSchema.index({ owner: 1, position: 1 });
+
+/**
+ * CREATE AND EXPORT MODEL
+ */
+module.exports = mongoose.model('List', ListSchema);
@@ -0,0 +1,65 @@
+/**
+ * LIST INVITE DATA MODEL
+ * An invite link to a shared list: whoever opens it (and is logged in) joins the list
+ * with the role the link was made for, until the link expires or is revoked.
+ * Only a hash of the link's token is stored, so the links can't be read back out of the database.
+ */
+
+// Import mongoose to create database schemas and models
+const mongoose = require('mongoose');
+
+/**
+ * DEFINE LIST INVITE SCHEMA
+ */
+const ListInviteSchema = new mongoose.Schema({
+  // The list the link lets people join
+  listId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'List',
+    required: true,
+    index: true        // An owner lists the links of one list
+  },
+
+  // SHA-256 of the token in the link (see services/sharing.js)
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Role people joining through the link get (viewer or editor, never owner)
+  role: {
+    type: String,
+    enum: ['viewer', 'editor'],
+    required: true
+  },
+
+  // Who made the link
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // After this the link stops working (MongoDB also deletes it, see the index below)
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // How many people joined through it
+  uses: {
+    type: Number,
+    default: 0
+  },
+}, {
+  timestamps: true     // Automatically add 'createdAt' and 'updatedAt' fields
+});
+
+// MongoDB's TTL monitor removes links once expiresAt has passed
+ListInviteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * CREATE AND EXPORT MODEL
+ */
+module.exports = mongoose.model('ListInvite', ListInviteSchema);
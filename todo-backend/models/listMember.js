@@ -0,0 +1,58 @@
+/**
+ * LIST MEMBER DATA MODEL
+ * Someone a list is shared with, and what they may do with it:
+ * - viewer: sees the list and its todos
+ * - editor: also adds, changes, completes, assigns and deletes its todos
+ * - owner:  also renames or deletes the list and decides who's in it
+ * The user who created the list (List.owner) is always an owner and has no document here.
+ * See services/sharing.js for how roles are checked.
+ */
+
+// Import mongoose to create database schemas and models
+const mongoose = require('mongoose');
+
+/**
+ * DEFINE LIST MEMBER SCHEMA
+ */
+const ListMemberSchema = new mongoose.Schema({
+  // The shared list
+  listId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'List',
+    required: true
+  },
+
+  // The member
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // What they may do (keep in sync with MEMBER_ROLES in validators/list.js)
+  role: {
+    type: String,
+    enum: ['viewer', 'editor', 'owner'],
+    required: true
+  },
+
+  // Who added them (by username or through an invite link)
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+}, {
+  timestamps: true     // Automatically add 'createdAt' and 'updatedAt' fields
+});
+
+// One membership per user per list - also how a list's members are listed
+ListMemberSchema.index({ listId: 1, user: 1 }, { unique: true });
+
+// Every request looks up the lists shared with the caller
+ListMemberSchema.index({ user: 1 });
+
+/**
+ * CREATE AND EXPORT MODEL
+ */
+module.exports = mongoose.model('ListMember', ListMemberSchema);
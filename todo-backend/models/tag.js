@@ -0,0 +1,47 @@
+/**
+ * TAG DATA MODEL
+ * A tag is a label that cuts across lists (e.g. "waiting", "errands", "work").
+ * Todos keep the names of their tags in their `tags` array (see models/todo.js);
+ * this collection gives every name a color, so a tag's chip looks the same everywhere.
+ * Renaming or deleting a tag updates every todo that has it (see routes/tags.js).
+ */
+
+// Import mongoose to create database schemas and models
+const mongoose = require('mongoose');
+
+/**
+ * DEFINE TAG SCHEMA
+ */
+const TagSchema = new mongoose.Schema({
+  // Owner field: the user this tag belongs to (every user has their own tags)
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Name as it appears on todos (e.g. "errands")
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 30      // Keep in sync with TAG_MAX_LENGTH in validators/tag.js
+  },
+
+  // Chip color, as a hex code (e.g. "#4CAF50")
+  color: {
+    type: String,
+    default: '#90a4ae',
+    match: /^#[0-9a-f]{6}$/i
+  },
+}, {
+  timestamps: true     // Automatically add 'createdAt' and 'updatedAt' fields
+});
+
+// One tag per name per user - also how tags are looked up and listed (alphabetically)
+TagSchema.index({ owner: 1, name: 1 }, { unique: true });
+
+/**
+ * CREATE AND EXPORT MODEL
+ */
+module.exports = mongoose.model('Tag', TagSchema);
@@ -7,28 +7,316 @@
 // Import mongoose to create database schemas and models
 const mongoose = require('mongoose');
 
+/**
+ * SUBTASK SCHEMA
+ * A checklist item inside a todo (e.g. "Buy milk" inside "Groceries")
+ * Each subtask gets its own _id so it can be changed without replacing the whole list
+ */
+const SubtaskSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200     // Keep in sync with SUBTASK_TITLE_MAX_LENGTH in validators/subtask.js
+  },
+  completed: {
+    type: Boolean,
+    default: false
+  },
+});
+
+/**
+ * ATTACHMENT SCHEMA
+ * What we know about a file attached to a todo. The file itself lives in the attachment
+ * storage under the attachment's _id (see services/attachmentStorage.js)
+ */
+const AttachmentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    maxlength: 200     // Keep in sync with ATTACHMENT_NAME_MAX_LENGTH in validators/attachment.js
+  },
+  size: {
+    type: Number,      // Bytes
+    required: true
+  },
+  mimeType: {
+    type: String,      // One of ATTACHMENT_TYPES in validators/attachment.js
+    required: true
+  },
+  checksum: {
+    type: String,      // SHA-256 of the file, hex
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
 /**
  * DEFINE TODO SCHEMA
  * A schema defines the structure and rules for documents in MongoDB
  * Think of it as defining the "columns" in a traditional database table
  */
 const TodoSchema = new mongoose.Schema({
+  // Owner field: the user this todo belongs to - for todos in a list, the list's creator
+  // (members of a shared list see and change its todos too, see services/sharing.js)
+  owner: {
+    type: mongoose.Schema.Types.ObjectId, // Points at a document in the users collection
+    ref: 'User',
+    required: true,
+    index: true        // Every query filters by owner, so keep it fast
+  },
+
+  // List field: which list (project) this todo is in (null = the Inbox)
+  listId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'List',
+    default: null
+  },
+
   // Title field: the actual todo text (e.g., "Buy groceries")
   title: { 
     type: String,      // Must be text
-    required: true     // Cannot be empty - every todo must have a title
+    required: true,    // Cannot be empty - every todo must have a title
+    trim: true,        // Strip spaces from both ends before saving
+    maxlength: 500     // Keep in sync with TITLE_MAX_LENGTH in validators/todo.js
   },
   
+  // Notes: longer details in Markdown - links, steps, acceptance criteria... ("" = none)
+  // Cleaned before they're saved (see utils/markdown.js) and searched along with the title
+  notes: {
+    type: String,
+    default: '',
+    maxlength: 20000   // Keep in sync with NOTES_MAX_LENGTH in validators/todo.js
+  },
+
   // Completed field: whether the todo is done or not
   completed: { 
     type: Boolean,     // Must be true or false
     default: false     // New todos start as "not completed"
   },
+
+  // When the todo was completed (null = not completed) - kept in step with completed by the
+  // COMPLETED AT hooks below, and used for the productivity stats (see services/stats.js)
+  completedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Subtasks: the todo's checklist, in display order
+  subtasks: {
+    type: [SubtaskSchema],
+    default: []
+  },
+
+  // Attachments: files uploaded to the todo, oldest first
+  attachments: {
+    type: [AttachmentSchema],
+    default: []
+  },
+
+  // Priority: how much the todo matters, used by the smart order and the Today list
+  // (see services/smartOrder.js)
+  priority: {
+    type: String,
+    enum: ['none', 'low', 'medium', 'high', 'urgent'], // Keep in sync with PRIORITIES in validators/todo.js
+    default: 'none'
+  },
+
+  // Assignee: who is supposed to do it (null = nobody in particular)
+  // For todos in a shared list, one of the list's members (see services/sharing.js)
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Tags: short labels that cut across lists (e.g. "work", "errands")
+  tags: {
+    type: [String],
+    default: []
+  },
+
+  // Position: key for the user's manual order (sort=manual), compared as a plain string
+  // Moving a todo only changes its own key - see utils/fractionalIndex.js
+  position: {
+    type: String,
+    default: null
+  },
+
+  // Due date: when the todo must be done by (null = no deadline)
+  dueAt: {
+    type: Date,
+    default: null
+  },
+
+  // Reminder time: when to nudge the user about this todo (null = no reminder)
+  remindAt: {
+    type: Date,
+    default: null
+  },
+
+  // Recurrence rule: how this todo repeats (null = it doesn't)
+  // When a repeating todo is completed, the next occurrence is created automatically
+  // See utils/recurrence.js for how the next due date is worked out
+  recurrence: {
+    type: new mongoose.Schema({
+      freq: { type: String, enum: ['daily', 'weekly', 'monthly'], required: true },
+      interval: { type: Number, min: 1, max: 365, default: 1 }, // Every N days/weeks/months
+      weekdays: { type: [Number], default: undefined },         // weekly: 0 = Sunday ... 6 = Saturday
+      monthDay: { type: Number, min: 1, max: 31 },              // monthly: day of the month
+      until: { type: Date, default: null },                     // No occurrences after this date
+      timeZone: { type: String, default: 'UTC' },               // Zone the weekdays/days are counted in
+    }, { _id: false }),
+    default: null
+  },
+
+  // Series id: shared by every occurrence of the same repeating todo
+  // (the _id of the first occurrence), so the whole series can be found or deleted
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+    index: true
+  },
+
+  // When the todo was moved to the trash (null = not deleted)
+  // Trashed todos are left out of every query unless it asks for them (see SOFT DELETE below)
+  // and are purged for good after a while (see services/trashPurger.js)
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+
+  // When the reminder scheduler fired this todo's reminder (null = not fired yet)
+  // Cleared again whenever remindAt changes, so a new reminder time fires again
+  reminderFiredAt: {
+    type: Date,
+    default: null
+  },
 }, { 
   // Schema options
   timestamps: true     // Automatically add 'createdAt' and 'updatedAt' fields
 });
 
+/**
+ * INDEXES
+ * GET /api/todos always filters by owner and then sorts, so each sortable field
+ * gets a compound index starting with owner. _id is the tie-breaker used by
+ * cursor pagination (see utils/pagination.js).
+ * Keep this list in sync with SORT_FIELDS in validators/todo.js
+ */
+TodoSchema.index({ owner: 1, createdAt: -1, _id: -1 });
+TodoSchema.index({ owner: 1, updatedAt: -1, _id: -1 });
+TodoSchema.index({ owner: 1, title: 1, _id: 1 });
+TodoSchema.index({ owner: 1, dueAt: 1, _id: 1 });
+
+// Manual order (sort=manual) - unique, so two todos never share a spot
+// (todos without a position yet are left out, see services/positions.js)
+TodoSchema.index(
+  { owner: 1, position: 1 },
+  { unique: true, partialFilterExpression: { position: { $type: 'string' } } }
+);
+
+// Finding the todos with a given tag (bulk tag changes)
+TodoSchema.index({ owner: 1, tags: 1 });
+
+// Viewing one list filters on listId before sorting
+TodoSchema.index({ owner: 1, listId: 1, createdAt: -1, _id: -1 });
+
+// Members of a shared list load its todos by listId, whoever owns them (see services/sharing.js)
+TodoSchema.index({ listId: 1, createdAt: -1, _id: -1 });
+
+// Status tabs (active / completed) filter on completed before sorting
+TodoSchema.index({ owner: 1, completed: 1, createdAt: -1, _id: -1 });
+
+// The stats count completions per day (see services/stats.js)
+TodoSchema.index({ owner: 1, completedAt: 1 });
+
+// The reminder scheduler looks for reminders that are due but haven't fired yet
+TodoSchema.index(
+  { remindAt: 1 },
+  { partialFilterExpression: { reminderFiredAt: null, completed: false } }
+);
+
+// The trash, most recently deleted first (only trashed todos are in this index)
+TodoSchema.index(
+  { owner: 1, deletedAt: -1, _id: -1 },
+  { partialFilterExpression: { deletedAt: { $type: 'date' } } }
+);
+
+// Full-text search over the title and notes (?q=groceries)
+// Title matches count more than notes matches
+TodoSchema.index(
+  { title: 'text', notes: 'text' },
+  { weights: { title: 3, notes: 1 }, name: 'todo_text_search' }
+);
+
+/**
+ * SOFT DELETE
+ * Deleting a todo only sets deletedAt, so it can be restored from the trash.
+ * To keep trashed todos out of everything else, these hooks add { deletedAt: null }
+ * to every query and aggregation - unless the query already says something about
+ * deletedAt (e.g. the trash: { deletedAt: { $ne: null } }) or is run with the
+ * withDeleted option, for changes that must reach trashed todos too:
+ *
+ *   Todo.updateMany(filter, update).setOptions({ withDeleted: true })
+ */
+const SOFT_DELETE_QUERIES = [
+  'countDocuments', 'distinct', 'find', 'findOne', 'findOneAndDelete', 'findOneAndUpdate',
+  'deleteMany', 'deleteOne', 'updateMany', 'updateOne', 'replaceOne',
+];
+
+/**
+ * Whether a filter already says something about deletedAt, at the top level or in an $and
+ * (utils/pagination.js wraps the filter in an $and for every page after the first)
+ * @param {Object} filter - A MongoDB filter
+ * @returns {boolean}
+ */
+function mentionsDeletedAt(filter) {
+  return 'deletedAt' in filter || (Array.isArray(filter.$and) && filter.$and.some(mentionsDeletedAt));
+}
+
+TodoSchema.pre(SOFT_DELETE_QUERIES, function excludeDeleted() {
+  if (this.getOptions().withDeleted || mentionsDeletedAt(this.getFilter())) return;
+  this.where({ deletedAt: null });
+});
+
+TodoSchema.pre('aggregate', function excludeDeleted() {
+  if (this.options.withDeleted) return;
+  const first = this.pipeline()[0];
+  if (first && first.$match && mentionsDeletedAt(first.$match)) return;
+  this.pipeline().unshift({ $match: { deletedAt: null } });
+});
+
+/**
+ * COMPLETED AT
+ * completedAt is set when completed becomes true and cleared when it goes back to false,
+ * however the todo is changed:
+ * - saving a document (new todos, PATCH/PUT, imports): a new todo that arrives completed
+ *   keeps the completedAt it came with (e.g. from an export), or gets "now"
+ * - update queries that set completed (bulk complete, the last checklist item ticked...)
+ *   Their filter should only match todos whose completed really changes - e.g.
+ *   { completed: false } when completing - or completedAt moves on todos that were done already
+ */
+TodoSchema.pre('validate', function trackCompletedAt() {
+  if (!this.isNew && !this.isModified('completed')) return;
+  this.completedAt = this.completed ? (this.completedAt ?? new Date()) : null;
+});
+
+TodoSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function trackCompletedAt() {
+  const update = this.getUpdate();
+  if (!update || Array.isArray(update)) return; // Aggregation pipeline updates set what they need
+
+  const completed = update.$set?.completed ?? update.completed;
+  if (typeof completed !== 'boolean' || update.$set?.completedAt !== undefined) return;
+  this.set('completedAt', completed ? new Date() : null);
+});
+
 /**
  * WHAT TIMESTAMPS DOES:
  * When timestamps: true is set, MongoDB automatically adds:
@@ -38,8 +326,25 @@ const TodoSchema = new mongoose.Schema({
  * So our final todo document looks like:
  * {
  *   _id: "unique-id-here",
+ *   owner: "user-id-here",
+ *   listId: "list-id-here",
  *   title: "Buy groceries",
+ *   notes: "Check the [weekly offers](https://example.com) first\n- [ ] Bring bags",
  *   completed: false,
+ *   completedAt: null,
+ *   subtasks: [{ _id: "subtask-id", title: "Buy milk", completed: true }],
+ *   attachments: [{ _id: "attachment-id", name: "list.pdf", size: 48213, mimeType: "application/pdf",
+ *                   checksum: "9f86d0...", uploadedBy: "user-id-here", createdAt: "..." }],
+ *   tags: ["errands"],
+ *   priority: "high",
+ *   assignee: "user-id-here",
+ *   position: "a3",
+ *   dueAt: "2024-01-16T17:00:00.000Z",
+ *   remindAt: "2024-01-16T16:00:00.000Z",
+ *   reminderFiredAt: null,
+ *   deletedAt: null,
+ *   recurrence: { freq: "weekly", interval: 1, weekdays: [1], until: null, timeZone: "UTC" },
+ *   seriesId: "id-of-the-first-occurrence",
  *   createdAt: "2024-01-15T10:30:00.000Z",
  *   updatedAt: "2024-01-15T10:30:00.000Z"
  * }
@@ -60,15 +365,15 @@ module.exports = mongoose.model('Todo', TodoSchema);
  * const Todo = require('./models/todo');
  * 
  * // Create a new todo
- * const newTodo = new Todo({ title: "Learn Node.js" });
+ * const newTodo = new Todo({ title: "Learn Node.js", owner: userId });
  * await newTodo.save();
  * 
- * // Find all todos
- * const allTodos = await Todo.find();
+ * // Find all of one user's todos
+ * const allTodos = await Todo.find({ owner: userId });
  * 
- * // Update a todo
- * await Todo.findByIdAndUpdate(id, { completed: true });
+ * // Update a todo (only if it belongs to the user)
+ * await Todo.findOneAndUpdate({ _id: id, owner: userId }, { completed: true });
  * 
- * // Delete a todo
- * await Todo.findByIdAndDelete(id);
+ * // Delete a todo (only if it belongs to the user)
+ * await Todo.findOneAndDelete({ _id: id, owner: userId });
  */
\ No newline at end of file
@@ -0,0 +1,105 @@
+/**
+ * TODO EVENT DATA MODEL
+ * One entry in a todo's history: who did what to it, and when. Events are written by the
+ * todo routes (see services/history.js) and are append-only - they are never changed or
+ * removed, not even when the todo itself is purged from the trash.
+ */
+
+// Import mongoose to create database schemas and models
+const mongoose = require('mongoose');
+
+/**
+ * DEFINE TODO EVENT SCHEMA
+ */
+const TodoEventSchema = new mongoose.Schema({
+  // The todo this happened to
+  todo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Todo',
+    required: true
+  },
+
+  // The todo's owner - the activity feed shows everything that happened to their todos
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // The list the todo was in (null = Inbox) - members of a shared list see what happens in it
+  // in their activity feed too, though its todos belong to whoever created the list
+  listId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'List',
+    default: null
+  },
+
+  // Who did it, with their username at the time (so the history still reads the same
+  // if they rename themselves later)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  actorName: {
+    type: String,
+    required: true
+  },
+
+  // What happened (keep in sync with EVENT_TYPES in validators/history.js)
+  type: {
+    type: String,
+    enum: ['created', 'updated', 'completed', 'deleted', 'restored'],
+    required: true
+  },
+
+  // The todo's title at the time, so the feed can name todos that are gone for good
+  title: {
+    type: String,
+    default: ''
+  },
+
+  // Field-level diff for updates: [{ field: "title", before: "Milk", after: "Oat milk" }]
+  // Values are stored the way they look in the API (dates as ISO strings, ids as strings)
+  changes: {
+    type: [{
+      _id: false,
+      field: { type: String, required: true },
+      before: mongoose.Schema.Types.Mixed,
+      after: mongoose.Schema.Types.Mixed,
+    }],
+    default: []
+  },
+}, {
+  // Events never change, so only createdAt
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// GET /api/todos/:id/history - one todo's events, newest first
+TodoEventSchema.index({ todo: 1, createdAt: -1, _id: -1 });
+
+// GET /api/activity - everything that happened to a user's todos, newest first
+TodoEventSchema.index({ owner: 1, createdAt: -1, _id: -1 });
+
+// ...and in the lists shared with them
+TodoEventSchema.index({ listId: 1, createdAt: -1, _id: -1 });
+
+/**
+ * APPEND-ONLY
+ * Saving an existing event, and every update or delete query, is refused
+ */
+TodoEventSchema.pre('save', function refuseChanges() {
+  if (!this.isNew) throw new Error('Todo events are append-only');
+});
+
+TodoEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function refuseChanges() {
+    throw new Error('Todo events are append-only');
+  }
+);
+
+/**
+ * CREATE AND EXPORT MODEL
+ */
+module.exports = mongoose.model('TodoEvent', TodoEventSchema);
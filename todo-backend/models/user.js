@@ -0,0 +1,76 @@
+/**
+ * USER DATA MODEL
+ * This file defines the structure of a user account in our MongoDB database
+ * Every todo belongs to exactly one user (see the `owner` field in models/todo.js),
+ * though todos in a shared list are seen by all of its members (see models/listMember.js)
+ */
+
+// Import mongoose to create database schemas and models
+const mongoose = require('mongoose');
+// bcryptjs hashes passwords so we never store them as plain text
+const bcrypt = require('bcryptjs');
+
+// How much work bcrypt does per hash (higher = slower = harder to brute force)
+const SALT_ROUNDS = 10;
+
+/**
+ * DEFINE USER SCHEMA
+ */
+const UserSchema = new mongoose.Schema({
+  // Username field: what the user types on the login screen
+  username: {
+    type: String,
+    required: true,
+    unique: true,      // Two accounts can't share a username
+    trim: true,
+    lowercase: true,   // "Alice" and "alice" are the same account
+    minlength: 3,
+    maxlength: 32,
+  },
+
+  // Password hash: the bcrypt hash of the password, NEVER the password itself
+  passwordHash: {
+    type: String,
+    required: true,
+  },
+
+  // Token version: bumped on logout so every token issued before it stops working
+  tokenVersion: {
+    type: Number,
+    default: 0,
+  },
+}, {
+  timestamps: true     // Automatically add 'createdAt' and 'updatedAt' fields
+});
+
+/**
+ * INSTANCE METHODS
+ * These are available on every user document (e.g. user.checkPassword(...))
+ */
+
+// Hash a plain text password and store it on this user
+UserSchema.methods.setPassword = async function (password) {
+  this.passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+};
+
+// Compare a plain text password with the stored hash (resolves to true/false)
+UserSchema.methods.checkPassword = function (password) {
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+/**
+ * HIDE SECRETS WHEN SENDING USERS TO THE FRONTEND
+ * res.json(user) calls toJSON() behind the scenes, so we strip the hash here
+ */
+UserSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    delete ret.tokenVersion;
+    return ret;
+  },
+});
+
+/**
+ * CREATE AND EXPORT MODEL
+ */
+module.exports = mongoose.model('User', UserSchema);
@@ -0,0 +1,127 @@
+/**
+ * VALIDATION RULES -> JSON SCHEMA
+ * Turns the rules routes validate with (see middleware/validate.js) into the JSON Schema
+ * the OpenAPI document uses for request bodies and query parameters, so the document
+ * describes exactly what the routes accept.
+ *
+ * Some rules have a check() that JSON Schema can't express (e.g. "weekly repeats need at least
+ * one weekday"); the server still enforces those, the schema only describes the shape.
+ */
+
+// What an objectId rule accepts (same as OBJECT_ID_PATTERN in middleware/validate.js)
+const OBJECT_ID_SCHEMA = { type: 'string', pattern: '^[0-9a-fA-F]{24}$' };
+
+/**
+ * Adds null to what a schema allows
+ * @param {Object} schema
+ * @returns {Object}
+ */
+function orNull(schema) {
+  if (schema.enum) return { ...schema, enum: [...schema.enum, null] };
+  if (schema.type) return { ...schema, type: [schema.type, 'null'] };
+  return { anyOf: [schema, { type: 'null' }] };
+}
+
+/**
+ * JSON Schema for one field's rule
+ * @param {Object} rule - A rule, e.g. { type: 'string', maxLength: 500 }
+ * @returns {Object}
+ */
+function ruleToSchema(rule) {
+  let schema;
+  switch (rule.type) {
+    case 'string':
+      schema = { type: 'string' };
+      if (rule.minLength !== undefined) schema.minLength = rule.minLength;
+      if (rule.maxLength !== undefined) schema.maxLength = rule.maxLength;
+      if (rule.pattern) schema.pattern = rule.pattern.source;
+      if (rule.example !== undefined) schema.examples = [rule.example];
+      break;
+    case 'boolean':
+      schema = { type: 'boolean' };
+      break;
+    case 'number':
+      schema = { type: rule.integer ? 'integer' : 'number' };
+      if (rule.min !== undefined) schema.minimum = rule.min;
+      if (rule.max !== undefined) schema.maximum = rule.max;
+      break;
+    case 'date':
+      // Timestamps (milliseconds) are accepted too, but ISO strings are what clients should send
+      schema = { type: 'string', format: 'date-time' };
+      break;
+    case 'enum':
+      schema = { enum: [...rule.values] };
+      break;
+    case 'objectId':
+      schema = { ...OBJECT_ID_SCHEMA };
+      break;
+    case 'array':
+      schema = { type: 'array', items: ruleToSchema(rule.items) };
+      if (rule.maxItems !== undefined) schema.maxItems = rule.maxItems;
+      break;
+    case 'object':
+      schema = rulesToSchema(rule.fields);
+      break;
+    default:
+      throw new Error(`Unknown validation type "${rule.type}"`);
+  }
+
+  if (rule.default !== undefined) schema.default = rule.default;
+  return rule.nullable ? orNull(schema) : schema;
+}
+
+/**
+ * JSON Schema for an object validated with a set of rules (e.g. a request body)
+ * Unknown fields are refused, like validate() does
+ * @param {Object} rules - Field name -> rule
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Same as validate(): nothing required, but at least one field
+ * @returns {Object}
+ */
+function rulesToSchema(rules, { partial = false } = {}) {
+  const properties = {};
+  const required = [];
+  for (const [field, rule] of Object.entries(rules)) {
+    properties[field] = ruleToSchema(rule);
+    if (rule.required && !partial) required.push(field);
+  }
+
+  const schema = { type: 'object', properties, additionalProperties: false };
+  if (required.length > 0) schema.required = required;
+  if (partial) schema.minProperties = 1;
+  return schema;
+}
+
+/**
+ * JSON Schema for a JSON Merge Patch of an object validated with a set of rules
+ * (see utils/mergePatch.js): every field is optional and may be null (= remove it),
+ * and objects inside are patches themselves
+ * @param {Object} rules - Field name -> rule
+ * @returns {Object}
+ */
+function mergePatchSchema(rules) {
+  const properties = {};
+  for (const [field, rule] of Object.entries(rules)) {
+    const schema = rule.type === 'object'
+      ? mergePatchSchema(rule.fields)
+      : ruleToSchema({ ...rule, nullable: false, default: undefined });
+    properties[field] = orNull(schema);
+  }
+  return { type: 'object', properties, additionalProperties: false };
+}
+
+/**
+ * OpenAPI query parameters for a set of query rules
+ * @param {Object} rules - Parameter name -> rule
+ * @returns {Object[]}
+ */
+function rulesToParameters(rules) {
+  return Object.entries(rules).map(([name, rule]) => ({
+    name,
+    in: 'query',
+    required: Boolean(rule.required),
+    schema: ruleToSchema(rule),
+  }));
+}
+
+module.exports = { OBJECT_ID_SCHEMA, ruleToSchema, rulesToSchema, mergePatchSchema, rulesToParameters };
@@ -0,0 +1,645 @@
+/**
+ * OPENAPI DOCUMENT
+ * A machine-readable description of the API (OpenAPI 3.1), served at /api/openapi.json.
+ *
+ * Every endpoint is one entry in OPERATIONS below. Request bodies and query parameters aren't
+ * written out by hand: each entry points at the same validation rules its route uses, and
+ * fromRules.js turns those into JSON Schema. Response shapes are in schemas.js.
+ *
+ * The tests keep this honest (see test/openapi.test.js and test/contract.test.js): every route
+ * must have an entry here with the rules it really validates with, and every entry is called
+ * against a real database, its answers checked against the schemas.
+ */
+
+const { rulesToSchema, mergePatchSchema, rulesToParameters, OBJECT_ID_SCHEMA } = require('./fromRules');
+const { schemas, ref, object, DATE_TIME } = require('./schemas');
+const { registerRules, loginRules } = require('../validators/auth');
+const {
+  createTodoRules,
+  createTodoQueryRules,
+  replaceTodoRules,
+  listTodosQueryRules,
+  upcomingQueryRules,
+  todayQueryRules,
+  remindersQueryRules,
+  deleteTodoQueryRules,
+  trashQueryRules,
+  moveTodoRules,
+  bulkTodoRules,
+  exportQueryRules,
+  importQueryRules,
+} = require('../validators/todo');
+const { createSubtaskRules, updateSubtaskRules, reorderSubtasksRules } = require('../validators/subtask');
+const { downloadAttachmentQueryRules } = require('../validators/attachment');
+const {
+  createListRules,
+  updateListRules,
+  deleteListQueryRules,
+  addMemberRules,
+  updateMemberRules,
+  createInviteRules,
+  MEMBER_ROLES,
+} = require('../validators/list');
+const { createTagRules, updateTagRules } = require('../validators/tag');
+const { historyQueryRules, activityQueryRules } = require('../validators/history');
+const { statsQueryRules } = require('../validators/stats');
+
+// What each error status means (the body is always an Error)
+const ERROR_DESCRIPTIONS = {
+  400: 'Invalid request (VALIDATION_ERROR lists each problem in details)',
+  401: 'Not logged in, or the session has expired',
+  403: 'The caller may only view this, or may not do this in a shared list',
+  404: 'Not found, or not visible to the caller',
+  409: 'Conflicts with the current state (e.g. a name that is taken)',
+  412: 'PRECONDITION_FAILED: changed since the ETag sent in If-Match (details.current is the current version)',
+  413: 'Too large',
+  415: 'Unsupported file type, or (for PATCH) not a JSON Merge Patch',
+  429: 'RATE_LIMITED: too many requests from this address or user; try again after Retry-After seconds',
+};
+
+// Headers sent with the errors that have them
+const ERROR_HEADERS = {
+  429: {
+    'Retry-After': { description: 'Seconds until the rate limit window ends', schema: { type: 'integer' } },
+  },
+};
+
+// Path parameters that aren't MongoDB ids
+const PATH_PARAMETERS = {
+  token: { type: 'string', description: 'The token from an invite link' },
+};
+
+// Request headers of conditional operations (see utils/conditional.js)
+const CONDITIONAL_HEADERS = {
+  read: {
+    name: 'If-None-Match',
+    in: 'header',
+    required: false,
+    description: 'The ETag of the copy the client has; 304 if it is still current',
+    schema: { type: 'string' },
+  },
+  write: {
+    name: 'If-Match',
+    in: 'header',
+    required: false,
+    description: 'The ETag the change is based on (for a todo, its updatedAt quoted is enough); 412 if the todo changed since',
+    schema: { type: 'string', examples: ['"2024-01-15T10:00:00.000Z"'] },
+  },
+};
+
+// Response headers of conditional GETs
+const VALIDATOR_HEADERS = {
+  ETag: { description: 'Send back in If-None-Match (or, for a todo, If-Match)', schema: { type: 'string' } },
+  'Last-Modified': { schema: { type: 'string' } },
+};
+
+/**
+ * A response with a JSON body
+ * @param {string} description
+ * @param {Object} schema
+ * @returns {Object}
+ */
+function json(description, schema) {
+  return { description, content: { 'application/json': { schema } } };
+}
+
+const messageWith = (properties) => object({ message: { type: 'string' }, ...properties });
+const todoList = { type: 'array', items: ref('Todo') };
+
+/**
+ * EVERY ENDPOINT
+ * path is relative to the server (/api/v1) and uses OpenAPI's {param} style. Besides what's
+ * listed in errors, every operation can answer 401 (unless public), 400 (if it takes a body,
+ * query or id) and 404 (if it has path parameters).
+ * conditional: 'read' for GETs that send validators (ETag, Last-Modified) and answer 304 to
+ * If-None-Match, 'write' for changes that take If-Match and answer 412 (see utils/conditional.js)
+ *   { method, path, id, tag, summary, public?, query?: rules, body?: rules, partial?,
+ *     requestBody?: (when not JSON), conditional?, responses: { status: response }, errors?: [status] }
+ */
+const OPERATIONS = [
+  // AUTH
+  {
+    method: 'post', path: '/auth/register', id: 'register', tag: 'Auth', public: true,
+    summary: 'Create an account (and log in)',
+    body: registerRules,
+    responses: { 201: json('The new session', ref('Session')) },
+    errors: [409],
+  },
+  {
+    method: 'post', path: '/auth/login', id: 'login', tag: 'Auth', public: true,
+    summary: 'Log in',
+    body: loginRules,
+    responses: { 200: json('The new session', ref('Session')) },
+    errors: [401],
+  },
+  {
+    method: 'post', path: '/auth/logout', id: 'logout', tag: 'Auth',
+    summary: 'Log out everywhere (every token issued so far stops working)',
+    responses: { 200: json('Logged out', ref('Message')) },
+  },
+  {
+    method: 'get', path: '/auth/me', id: 'getCurrentUser', tag: 'Auth',
+    summary: 'Who the session belongs to',
+    responses: {
+      200: json('The logged-in user', object({ user: object({ _id: ref('ObjectId'), username: { type: 'string' } }) })),
+    },
+  },
+
+  // TODOS
+  {
+    method: 'get', path: '/todos', id: 'listTodos', tag: 'Todos',
+    summary: 'A page of todos, filtered, searched and sorted',
+    query: listTodosQueryRules,
+    conditional: 'read',
+    responses: { 200: json('One page of todos', ref('TodoPage')) },
+  },
+  {
+    method: 'post', path: '/todos', id: 'createTodo', tag: 'Todos',
+    summary: 'Create a todo (with ?parse=true, dates, repeats, #tags and @lists are read out of the title)',
+    query: createTodoQueryRules,
+    body: createTodoRules,
+    responses: { 201: json('The new todo', ref('Todo')) },
+    errors: [403, 404],
+  },
+  {
+    method: 'get', path: '/todos/upcoming', id: 'getUpcomingTodos', tag: 'Todos',
+    summary: 'Unfinished todos with a due date, grouped into overdue, today, this week and later',
+    query: upcomingQueryRules,
+    responses: {
+      200: json('The groups', object({
+        timeZone: { type: 'string' },
+        overdue: todoList,
+        today: todoList,
+        thisWeek: todoList,
+        later: todoList,
+      })),
+    },
+  },
+  {
+    method: 'get', path: '/todos/today', id: 'getTodayTodos', tag: 'Todos',
+    summary: 'A short focus list for today, most pressing first',
+    query: todayQueryRules,
+    responses: {
+      200: json('The focus list', object({
+        timeZone: { type: 'string' },
+        items: todoList,
+        total: { type: 'integer', description: 'How many todos qualified' },
+      })),
+    },
+  },
+  {
+    method: 'get', path: '/todos/reminders', id: 'getFiredReminders', tag: 'Todos',
+    summary: 'Todos whose reminder fired since a given time',
+    query: remindersQueryRules,
+    responses: {
+      200: json('The reminders', object({
+        reminders: todoList,
+        checkedAt: { ...DATE_TIME, description: 'Pass as ?since= next time' },
+      })),
+    },
+  },
+  {
+    method: 'get', path: '/todos/export', id: 'exportTodos', tag: 'Import and export',
+    summary: 'Download every todo as one file',
+    query: exportQueryRules,
+    responses: {
+      200: {
+        description: 'The file, as an attachment',
+        content: Object.fromEntries(
+          ['application/json', 'text/csv', 'text/markdown', 'text/calendar'].map((type) => [type, { schema: { type: 'string' } }])
+        ),
+      },
+    },
+  },
+  {
+    method: 'post', path: '/todos/import', id: 'importTodos', tag: 'Import and export',
+    summary: 'Import todos from a file (or, with ?dryRun=true, only check it)',
+    query: importQueryRules,
+    requestBody: {
+      required: true,
+      description: 'The file itself, as text',
+      content: { 'text/plain': { schema: { type: 'string' } } },
+    },
+    responses: {
+      200: json('What a dry run would do', ref('ImportReport')),
+      201: json('What was imported', ref('ImportReport')),
+    },
+    errors: [413],
+  },
+  {
+    method: 'get', path: '/todos/trash', id: 'listTrash', tag: 'Trash',
+    summary: 'A page of deleted todos, most recently deleted first',
+    query: trashQueryRules,
+    responses: {
+      200: json('One page of deleted todos', {
+        ...schemas.TodoPage,
+        properties: { ...schemas.TodoPage.properties, retentionDays: { type: 'integer' } },
+        required: [...schemas.TodoPage.required, 'retentionDays'],
+      }),
+    },
+  },
+  {
+    method: 'delete', path: '/todos/trash', id: 'emptyTrash', tag: 'Trash',
+    summary: 'Delete every todo in the trash for good',
+    responses: { 200: json('Trash emptied', messageWith({ purged: { type: 'integer' } })) },
+  },
+  {
+    method: 'delete', path: '/todos/trash/{id}', id: 'purgeTodo', tag: 'Trash',
+    summary: 'Delete one todo in the trash for good',
+    responses: { 200: json('Deleted for good', messageWith({ purged: { type: 'integer' } })) },
+    errors: [403],
+  },
+  {
+    method: 'get', path: '/todos/{id}', id: 'getTodo', tag: 'Todos',
+    summary: 'One todo',
+    conditional: 'read',
+    responses: { 200: json('The todo', ref('Todo')) },
+  },
+  {
+    method: 'patch', path: '/todos/{id}', id: 'patchTodo', tag: 'Todos',
+    summary: 'Change some of a todo\'s fields, with a JSON Merge Patch (null puts a field back to its default)',
+    requestBody: {
+      required: true,
+      content: { 'application/merge-patch+json': { schema: mergePatchSchema(replaceTodoRules) } },
+    },
+    conditional: 'write',
+    responses: { 200: json('The updated todo', ref('UpdatedTodo')) },
+    errors: [403, 415],
+  },
+  {
+    method: 'put', path: '/todos/{id}', id: 'replaceTodo', tag: 'Todos',
+    summary: 'Replace a todo (fields left out go back to their defaults)',
+    body: replaceTodoRules,
+    conditional: 'write',
+    responses: { 200: json('The updated todo', ref('UpdatedTodo')) },
+    errors: [403],
+  },
+  {
+    method: 'delete', path: '/todos/{id}', id: 'deleteTodo', tag: 'Todos',
+    summary: 'Move a todo (or, with ?scope=series, its whole series) to the trash',
+    query: deleteTodoQueryRules,
+    conditional: 'write',
+    responses: {
+      200: json('Moved to the trash', messageWith({ deletedIds: { type: 'array', items: ref('ObjectId') } })),
+    },
+    errors: [403],
+  },
+  {
+    method: 'post', path: '/todos/{id}/restore', id: 'restoreTodo', tag: 'Trash',
+    summary: 'Bring a todo back from the trash',
+    responses: { 200: json('The restored todo', ref('Todo')) },
+    errors: [403],
+  },
+  {
+    method: 'patch', path: '/todos/{id}/move', id: 'moveTodo', tag: 'Todos',
+    summary: 'Move a todo in the manual order, between two neighbours',
+    body: moveTodoRules,
+    responses: { 200: json('The moved todo', ref('Todo')) },
+    errors: [403, 409],
+  },
+  {
+    method: 'post', path: '/todos/bulk', id: 'bulkUpdateTodos', tag: 'Todos',
+    summary: 'One change (complete, delete, move, tag...) to many todos at once',
+    body: bulkTodoRules,
+    responses: {
+      200: json('What happened to each todo', object({
+        results: {
+          type: 'array',
+          items: object(
+            {
+              id: ref('ObjectId'),
+              status: { enum: ['updated', 'deleted', 'unchanged', 'failed', 'not_found'] },
+              error: { type: 'string' },
+            },
+            ['error']
+          ),
+        },
+        todos: todoList,
+        createdTodos: todoList,
+        deletedIds: { type: 'array', items: ref('ObjectId') },
+        hasMore: { type: 'boolean' },
+      })),
+    },
+    errors: [403],
+  },
+  {
+    method: 'get', path: '/todos/{id}/history', id: 'getTodoHistory', tag: 'History',
+    summary: 'What happened to a todo, newest first',
+    query: historyQueryRules,
+    responses: { 200: json('One page of events', ref('TodoEventPage')) },
+  },
+
+  // CHECKLISTS
+  {
+    method: 'post', path: '/todos/{id}/subtasks', id: 'addSubtask', tag: 'Checklists',
+    summary: 'Add a subtask to a todo\'s checklist',
+    body: createSubtaskRules,
+    responses: { 201: json('The updated todo', ref('Todo')) },
+    errors: [403],
+  },
+  {
+    method: 'put', path: '/todos/{id}/subtasks/order', id: 'reorderSubtasks', tag: 'Checklists',
+    summary: 'Put the checklist in a new order',
+    body: reorderSubtasksRules,
+    responses: { 200: json('The updated todo', ref('Todo')) },
+    errors: [403],
+  },
+  {
+    method: 'patch', path: '/todos/{id}/subtasks/{subtaskId}', id: 'updateSubtask', tag: 'Checklists',
+    summary: 'Rename and/or tick a subtask (ticking the last one completes the todo)',
+    body: updateSubtaskRules,
+    partial: true,
+    responses: { 200: json('The updated todo', ref('UpdatedTodo')) },
+    errors: [403],
+  },
+  {
+    method: 'delete', path: '/todos/{id}/subtasks/{subtaskId}', id: 'deleteSubtask', tag: 'Checklists',
+    summary: 'Remove a subtask',
+    responses: { 200: json('The updated todo', ref('Todo')) },
+    errors: [403],
+  },
+
+  // ATTACHMENTS
+  {
+    method: 'post', path: '/todos/{id}/attachments', id: 'uploadAttachment', tag: 'Attachments',
+    summary: 'Attach a file to a todo',
+    requestBody: {
+      required: true,
+      content: {
+        'multipart/form-data': {
+          schema: object({ file: { type: 'string', contentMediaType: 'application/octet-stream' } }),
+        },
+      },
+    },
+    responses: { 201: json('The updated todo', ref('Todo')) },
+    errors: [403, 413, 415],
+  },
+  {
+    method: 'get', path: '/todos/{id}/attachments/{attachmentId}', id: 'downloadAttachment', tag: 'Attachments',
+    summary: 'Download an attached file (images are shown inline unless ?download=true)',
+    query: downloadAttachmentQueryRules,
+    responses: {
+      200: { description: 'The file', content: { '*/*': { schema: { type: 'string', contentMediaType: 'application/octet-stream' } } } },
+      304: { description: 'Not changed since the ETag sent in If-None-Match' },
+    },
+  },
+  {
+    method: 'delete', path: '/todos/{id}/attachments/{attachmentId}', id: 'deleteAttachment', tag: 'Attachments',
+    summary: 'Remove an attached file',
+    responses: { 200: json('The updated todo', ref('Todo')) },
+    errors: [403],
+  },
+
+  // LISTS
+  {
+    method: 'get', path: '/lists', id: 'listLists', tag: 'Lists',
+    summary: 'The caller\'s lists and the ones shared with them, with todo counts',
+    responses: {
+      200: json('Every list', object({
+        inbox: object({ counts: ref('TodoCounts') }),
+        lists: { type: 'array', items: ref('ListSummary') },
+      })),
+    },
+  },
+  {
+    method: 'post', path: '/lists', id: 'createList', tag: 'Lists',
+    summary: 'Create a list',
+    body: createListRules,
+    responses: { 201: json('The new list', ref('ListSummary')) },
+  },
+  {
+    method: 'put', path: '/lists/{id}', id: 'updateList', tag: 'Lists',
+    summary: 'Rename, recolor or move a list',
+    body: updateListRules,
+    partial: true,
+    responses: { 200: json('The updated list', ref('List')) },
+    errors: [403],
+  },
+  {
+    method: 'delete', path: '/lists/{id}', id: 'deleteList', tag: 'Lists',
+    summary: 'Delete a list, as its creator (its todos move to the Inbox, or with ?todos=delete to the trash)',
+    query: deleteListQueryRules,
+    responses: { 200: json('Deleted', messageWith({ affectedTodos: { type: 'integer' } })) },
+    errors: [403],
+  },
+  {
+    method: 'get', path: '/lists/{id}/members', id: 'listMembers', tag: 'Sharing',
+    summary: 'Who is in a list',
+    responses: { 200: json('The members, the list\'s creator first', ref('Members')) },
+  },
+  {
+    method: 'post', path: '/lists/{id}/members', id: 'addMember', tag: 'Sharing',
+    summary: 'Share a list with someone, by username',
+    body: addMemberRules,
+    responses: { 201: json('The members', ref('Members')) },
+    errors: [403, 409],
+  },
+  {
+    method: 'patch', path: '/lists/{id}/members/{userId}', id: 'updateMember', tag: 'Sharing',
+    summary: 'Give a member another role',
+    body: updateMemberRules,
+    responses: { 200: json('The members', ref('Members')) },
+    errors: [403],
+  },
+  {
+    method: 'delete', path: '/lists/{id}/members/{userId}', id: 'removeMember', tag: 'Sharing',
+    summary: 'Remove a member, or leave the list (with your own id)',
+    responses: { 200: json('The members', ref('Members')) },
+    errors: [403],
+  },
+  {
+    method: 'get', path: '/lists/{id}/invites', id: 'listInvites', tag: 'Sharing',
+    summary: 'A list\'s invite links that still work',
+    responses: { 200: json('The invite links', object({ invites: { type: 'array', items: ref('Invite') } })) },
+    errors: [403],
+  },
+  {
+    method: 'post', path: '/lists/{id}/invites', id: 'createInvite', tag: 'Sharing',
+    summary: 'Make an invite link (its token is only ever sent this once)',
+    body: createInviteRules,
+    responses: { 201: json('The invite and its token', object({ invite: ref('Invite'), token: { type: 'string' } })) },
+    errors: [403],
+  },
+  {
+    method: 'delete', path: '/lists/{id}/invites/{inviteId}', id: 'revokeInvite', tag: 'Sharing',
+    summary: 'Revoke an invite link',
+    responses: { 200: json('Revoked', ref('Message')) },
+    errors: [403],
+  },
+
+  // INVITES
+  {
+    method: 'get', path: '/invites/{token}', id: 'getInvite', tag: 'Sharing',
+    summary: 'Which list an invite link is for, and the role it gives',
+    responses: {
+      200: json('The invite', object({
+        list: object({ _id: ref('ObjectId'), name: { type: 'string' }, color: { type: 'string' } }),
+        role: { enum: ['viewer', 'editor'] },
+        invitedBy: { type: ['string', 'null'] },
+        expiresAt: DATE_TIME,
+        currentRole: { enum: [...MEMBER_ROLES, null] },
+      })),
+    },
+  },
+  {
+    method: 'post', path: '/invites/{token}/accept', id: 'acceptInvite', tag: 'Sharing',
+    summary: 'Join a list through an invite link',
+    responses: {
+      200: json('The caller\'s role in the list now', object({ listId: ref('ObjectId'), role: { enum: MEMBER_ROLES } })),
+    },
+  },
+
+  // TAGS
+  {
+    method: 'get', path: '/tags', id: 'listTags', tag: 'Tags',
+    summary: 'The caller\'s tags, by name, with how many todos have each',
+    responses: { 200: json('Every tag', { type: 'array', items: ref('Tag') }) },
+  },
+  {
+    method: 'post', path: '/tags', id: 'createTag', tag: 'Tags',
+    summary: 'Create a tag',
+    body: createTagRules,
+    responses: { 201: json('The new tag', ref('Tag')) },
+    errors: [409],
+  },
+  {
+    method: 'put', path: '/tags/{id}', id: 'updateTag', tag: 'Tags',
+    summary: 'Rename and/or recolor a tag (renaming changes it on every todo)',
+    body: updateTagRules,
+    partial: true,
+    responses: {
+      200: json('The updated tag', {
+        ...schemas.Tag,
+        properties: { ...schemas.Tag.properties, affectedTodos: { type: 'integer' } },
+        required: [...schemas.Tag.required, 'affectedTodos'],
+      }),
+    },
+    errors: [409],
+  },
+  {
+    method: 'delete', path: '/tags/{id}', id: 'deleteTag', tag: 'Tags',
+    summary: 'Delete a tag (the todos stay, without it)',
+    responses: { 200: json('Deleted', messageWith({ affectedTodos: { type: 'integer' } })) },
+  },
+
+  // ACTIVITY AND LIVE UPDATES
+  {
+    method: 'get', path: '/activity', id: 'getActivity', tag: 'History',
+    summary: 'What happened to any of the caller\'s todos and in the lists shared with them, newest first',
+    query: activityQueryRules,
+    responses: { 200: json('One page of events', ref('TodoEventPage')) },
+  },
+  {
+    method: 'get', path: '/events', id: 'streamEvents', tag: 'Live updates',
+    summary: 'Server-Sent Events stream of changes to the todos the caller can see',
+    responses: {
+      200: {
+        description: 'A stream that stays open: "event: todo.updated" / "data: {...}" blocks, starting with "ready"',
+        content: { 'text/event-stream': { schema: { type: 'string' } } },
+      },
+    },
+  },
+
+  // STATS
+  {
+    method: 'get', path: '/stats', id: 'getStats', tag: 'Stats',
+    summary: 'Todos created and completed per day and week, streak and completion time, in the caller\'s time zone',
+    query: statsQueryRules,
+    responses: { 200: json('The stats', ref('Stats')) },
+  },
+];
+
+/**
+ * The path parameters of a path like /todos/{id}/subtasks/{subtaskId}
+ * @param {string} path
+ * @returns {Object[]} OpenAPI parameter objects
+ */
+function pathParameters(path) {
+  return [...path.matchAll(/\{(\w+)\}/g)].map(([, name]) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: PATH_PARAMETERS[name] || OBJECT_ID_SCHEMA,
+  }));
+}
+
+/**
+ * The OpenAPI operation object for one entry of OPERATIONS
+ * @param {Object} op
+ * @returns {Object}
+ */
+function buildOperation(op) {
+  const parameters = [...pathParameters(op.path), ...(op.query ? rulesToParameters(op.query) : [])];
+  if (op.conditional) parameters.push(CONDITIONAL_HEADERS[op.conditional]);
+
+  const errors = new Set(op.errors);
+  if (!op.public) errors.add(401);
+  if (parameters.length > 0 || op.body || op.requestBody) errors.add(400);
+  if (op.path.includes('{')) errors.add(404);
+  if (op.conditional === 'write') errors.add(412);
+  errors.add(429); // Every request counts towards the rate limits (see middleware/rateLimit.js)
+
+  const responses = { ...op.responses };
+  if (op.conditional === 'read') {
+    responses[200] = { ...responses[200], headers: VALIDATOR_HEADERS };
+    responses[304] = { description: 'Not changed since the ETag sent in If-None-Match' };
+  }
+  for (const status of [...errors].sort((a, b) => a - b)) {
+    responses[status] = { $ref: `#/components/responses/Error${status}` };
+  }
+
+  const operation = { operationId: op.id, tags: [op.tag], summary: op.summary };
+  if (op.public) operation.security = [];
+  if (parameters.length > 0) operation.parameters = parameters;
+  if (op.body) {
+    operation.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: rulesToSchema(op.body, { partial: op.partial }) } },
+    };
+  }
+  if (op.requestBody) operation.requestBody = op.requestBody;
+  operation.responses = responses;
+  return operation;
+}
+
+/**
+ * Builds the whole OpenAPI document
+ * @returns {Object}
+ */
+function buildOpenApiDocument() {
+  const paths = {};
+  for (const op of OPERATIONS) {
+    paths[op.path] ??= {};
+    paths[op.path][op.method] = buildOperation(op);
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Todo API',
+      version: '1.0.0',
+      description:
+        'Todos, lists, tags, sharing and more. Every endpoint but register and login needs ' +
+        '"Authorization: Bearer <token>" with the token they return. Errors always look like ' +
+        '{ "error": { "code", "message", "details", "requestId" } }. The unversioned /api/... addresses still ' +
+        'work, but are deprecated.',
+    },
+    servers: [{ url: '/api/v1' }],
+    security: [{ bearerAuth: [] }],
+    paths,
+    components: {
+      schemas,
+      responses: Object.fromEntries(
+        Object.entries(ERROR_DESCRIPTIONS).map(([status, description]) => [
+          `Error${status}`,
+          { ...json(description, ref('Error')), ...(ERROR_HEADERS[status] && { headers: ERROR_HEADERS[status] }) },
+        ])
+      ),
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+      },
+    },
+  };
+}
+
+module.exports = { OPERATIONS, buildOpenApiDocument };
@@ -0,0 +1,257 @@
+/**
+ * OPENAPI COMPONENT SCHEMAS
+ * The shapes of what the API sends back, as JSON Schema (OpenAPI 3.1 uses JSON Schema 2020-12).
+ * Request bodies aren't here - they're built from the validation rules (see fromRules.js).
+ *
+ * Objects list every field the server sends (additionalProperties: false), so a field added to
+ * a model without being added here makes the contract tests fail (see test/contract.test.js).
+ * Keep these in sync with models/*.js and the routes' responses.
+ */
+
+const { OBJECT_ID_SCHEMA } = require('./fromRules');
+const { PRIORITIES } = require('../validators/todo');
+const { MEMBER_ROLES } = require('../validators/list');
+const { EVENT_TYPES } = require('../validators/history');
+const { FREQUENCIES } = require('../utils/recurrence');
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (schema) => ({ anyOf: [schema, { type: 'null' }] });
+
+const DATE_TIME = { type: 'string', format: 'date-time' };
+const DAY = { type: 'string', format: 'date' }; // A calendar day, "2024-01-15"
+const COLOR = { type: 'string', pattern: '^#[0-9a-fA-F]{6}$' };
+
+/**
+ * An object schema where every listed property is required unless named in optional
+ * @param {Object} properties - Property name -> schema
+ * @param {string[]} [optional] - Properties that may be missing
+ * @returns {Object}
+ */
+function object(properties, optional = []) {
+  return {
+    type: 'object',
+    properties,
+    required: Object.keys(properties).filter((name) => !optional.includes(name)),
+    additionalProperties: false,
+  };
+}
+
+// Fields mongoose adds to every document saved with timestamps
+const documentFields = {
+  _id: ref('ObjectId'),
+  createdAt: DATE_TIME,
+  updatedAt: DATE_TIME,
+  __v: { type: 'integer' },
+};
+
+const todo = object({
+  ...documentFields,
+  owner: ref('ObjectId'),
+  listId: nullable(ref('ObjectId')),
+  title: { type: 'string' },
+  notes: { type: 'string', description: 'Markdown' },
+  completed: { type: 'boolean' },
+  completedAt: nullable(DATE_TIME),
+  subtasks: { type: 'array', items: ref('Subtask') },
+  attachments: { type: 'array', items: ref('Attachment') },
+  priority: { enum: PRIORITIES },
+  assignee: nullable(ref('ObjectId')),
+  tags: { type: 'array', items: { type: 'string' } },
+  position: { type: ['string', 'null'], description: 'Key in the manual order' },
+  dueAt: nullable(DATE_TIME),
+  remindAt: nullable(DATE_TIME),
+  recurrence: nullable(ref('Recurrence')),
+  seriesId: nullable(ref('ObjectId')),
+  deletedAt: nullable(DATE_TIME),
+  reminderFiredAt: nullable(DATE_TIME),
+});
+
+const schemas = {
+  ObjectId: OBJECT_ID_SCHEMA,
+
+  Error: object({
+    error: object({
+      code: { type: 'string', examples: ['VALIDATION_ERROR', 'NOT_FOUND', 'PRECONDITION_FAILED'] },
+      message: { type: 'string' },
+      // For VALIDATION_ERROR: [{ field, message }]; other errors may send an object (or null)
+      details: {},
+      requestId: { type: ['string', 'null'], description: 'Correlation id: also in the X-Request-Id header and the server logs' },
+    }),
+  }),
+
+  Message: object({ message: { type: 'string' } }),
+
+  User: object({ ...documentFields, username: { type: 'string' } }),
+
+  Session: object({ token: { type: 'string' }, user: ref('User') }),
+
+  Subtask: object({
+    _id: ref('ObjectId'),
+    title: { type: 'string' },
+    completed: { type: 'boolean' },
+  }),
+
+  Attachment: object({
+    _id: ref('ObjectId'),
+    name: { type: 'string' },
+    size: { type: 'integer', description: 'Bytes' },
+    mimeType: { type: 'string' },
+    checksum: { type: 'string', description: 'SHA-256 of the file, hex' },
+    uploadedBy: ref('ObjectId'),
+    createdAt: DATE_TIME,
+  }),
+
+  Recurrence: object(
+    {
+      freq: { enum: FREQUENCIES },
+      interval: { type: 'integer', minimum: 1 },
+      weekdays: { type: 'array', items: { type: 'integer', minimum: 0, maximum: 6 } },
+      monthDay: { type: 'integer', minimum: 1, maximum: 31 },
+      until: nullable(DATE_TIME),
+      timeZone: { type: 'string' },
+    },
+    ['weekdays', 'monthDay']
+  ),
+
+  Todo: todo,
+
+  // A todo after a change; completing a repeating todo sends the next occurrence along
+  UpdatedTodo: { ...todo, properties: { ...todo.properties, nextOccurrence: ref('Todo') } },
+
+  TodoPage: object({
+    items: { type: 'array', items: ref('Todo') },
+    nextCursor: { type: ['string', 'null'], description: 'Pass as ?cursor= for the next page; null on the last page' },
+  }),
+
+  TodoCounts: object({ active: { type: 'integer' }, completed: { type: 'integer' } }),
+
+  Member: object({
+    user: nullable(object({ _id: ref('ObjectId'), username: { type: 'string' } })),
+    role: { enum: MEMBER_ROLES },
+    creator: { type: 'boolean' },
+  }),
+
+  Members: object({ members: { type: 'array', items: ref('Member') } }),
+
+  List: object({
+    ...documentFields,
+    owner: ref('ObjectId'),
+    name: { type: 'string' },
+    color: COLOR,
+    position: { type: 'number' },
+  }),
+
+  // A list as GET /api/lists shows it: with the caller's role, its members and todo counts
+  ListSummary: object({
+    ...documentFields,
+    owner: ref('ObjectId'),
+    name: { type: 'string' },
+    color: COLOR,
+    position: { type: 'number' },
+    role: { enum: MEMBER_ROLES },
+    shared: { type: 'boolean' },
+    members: { type: 'array', items: ref('Member') },
+    counts: ref('TodoCounts'),
+  }),
+
+  Invite: object({
+    ...documentFields,
+    listId: ref('ObjectId'),
+    role: { enum: ['viewer', 'editor'] },
+    createdBy: ref('ObjectId'),
+    expiresAt: DATE_TIME,
+    uses: { type: 'integer' },
+  }),
+
+  Tag: object({
+    ...documentFields,
+    owner: ref('ObjectId'),
+    name: { type: 'string' },
+    color: COLOR,
+    count: { type: 'integer', description: 'Todos with this tag' },
+  }),
+
+  TodoEvent: object({
+    _id: ref('ObjectId'),
+    todo: ref('ObjectId'),
+    owner: ref('ObjectId'),
+    listId: nullable(ref('ObjectId')),
+    actor: ref('ObjectId'),
+    actorName: { type: 'string' },
+    type: { enum: EVENT_TYPES },
+    title: { type: 'string' },
+    changes: {
+      type: 'array',
+      items: object({ field: { type: 'string' }, before: {}, after: {} }, ['before', 'after']),
+    },
+    createdAt: DATE_TIME,
+    __v: { type: 'integer' },
+  }),
+
+  TodoEventPage: object({
+    items: { type: 'array', items: ref('TodoEvent') },
+    nextCursor: { type: ['string', 'null'] },
+  }),
+
+  // GET /api/stats (see services/stats.js)
+  Stats: object({
+    timeZone: { type: 'string' },
+    from: DAY,
+    to: DAY,
+    totals: object({ created: { type: 'integer' }, completed: { type: 'integer' }, open: { type: 'integer' } }),
+    days: {
+      type: 'array',
+      items: object({
+        date: DAY,
+        created: { type: 'integer' },
+        completed: { type: 'integer' },
+        open: { type: 'integer', description: 'Todos still open at the end of the day' },
+        done: { type: 'integer', description: 'Todos done by the end of the day' },
+      }),
+    },
+    weeks: {
+      type: 'array',
+      items: object({
+        week: { ...DAY, description: 'The Monday the week starts on' },
+        created: { type: 'integer' },
+        completed: { type: 'integer' },
+      }),
+    },
+    streak: object({
+      current: { type: 'integer', description: 'Days in a row, up to today or yesterday, with something completed' },
+      longest: { type: 'integer' },
+      lastCompletedOn: { anyOf: [DAY, { type: 'null' }] },
+    }),
+    averageCompletionMs: { type: ['number', 'null'], description: 'From created to completed, for todos completed in the range' },
+  }),
+
+  // What POST /api/todos/import did (or, for a dry run, would do) with each todo in the file
+  ImportReport: object({
+    dryRun: { type: 'boolean' },
+    summary: object({
+      total: { type: 'integer' },
+      imported: { type: 'integer' },
+      duplicates: { type: 'integer' },
+      errors: { type: 'integer' },
+    }),
+    newLists: { type: 'array', items: { type: 'string' } },
+    rows: {
+      type: 'array',
+      items: object(
+        {
+          line: { type: 'integer' },
+          status: { enum: ['ready', 'created', 'duplicate', 'error'] },
+          title: { type: ['string', 'null'] },
+          id: ref('ObjectId'),
+          errors: {
+            type: 'array',
+            items: object({ field: { type: ['string', 'null'] }, message: { type: 'string' } }),
+          },
+        },
+        ['id', 'errors']
+      ),
+    },
+  }),
+};
+
+module.exports = { schemas, ref, object, nullable, DATE_TIME };
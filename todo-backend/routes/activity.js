@@ -0,0 +1,36 @@
+/**
+ * ACTIVITY FEED ROUTE
+ * GET /api/activity - everything that happened to the caller's todos and in the lists shared
+ * with them, newest first
+ * (the same events as GET /api/todos/:id/history, across all todos - see services/history.js)
+ */
+
+const express = require("express");
+const router = express.Router();
+const TodoEvent = require("../models/todoEvent");
+const { validateQuery } = require("../middleware/validate");
+const { activityQueryRules } = require("../validators/history");
+const { paginate } = require("../utils/pagination");
+const { sharedListIds } = require("../services/sharing");
+
+/**
+ * GET /api/activity - ACTIVITY FEED
+ * Query (all optional):
+ * - type:   only one kind of event ("created", "updated", "completed", "deleted", "restored")
+ * - limit:  page size (default 50, max 100)
+ * - cursor: nextCursor from the previous page
+ * Response: { items: [{ _id, todo, listId, type, actor, actorName, title, changes, createdAt }], nextCursor }
+ */
+router.get("/", validateQuery(activityQueryRules), async (req, res) => {
+  const { type, limit, cursor } = req.validQuery;
+  // Todos in shared lists belong to the list's creator, so members find them by list
+  // (like todoAccessFilter does for the todos themselves)
+  const listIds = await sharedListIds(req.user.id);
+  const filter = listIds.length > 0
+    ? { $or: [{ owner: req.user.id }, { listId: { $in: listIds } }] }
+    : { owner: req.user.id };
+  if (type) filter.type = type;
+  res.json(await paginate(TodoEvent, filter, { sort: "-createdAt", limit, cursor }));
+});
+
+module.exports = router;
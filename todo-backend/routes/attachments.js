@@ -0,0 +1,206 @@
+/**
+ * ATTACHMENT ROUTES (API ENDPOINTS)
+ * Files attached to one todo. Mounted by routes/todo.js under /api/todos/:id/attachments,
+ * so req.params.id is the todo.
+ *
+ * Endpoints:
+ * - POST   /api/todos/:id/attachments                  (upload: multipart/form-data, the file in "file")
+ * - GET    /api/todos/:id/attachments/:attachmentId    (download the file)
+ * - DELETE /api/todos/:id/attachments/:attachmentId    (remove it)
+ *
+ * The todo keeps each file's metadata (name, size, MIME type, checksum); the bytes go to the
+ * attachment storage (see services/attachmentStorage.js). Limits and accepted types are in
+ * validators/attachment.js. Files are deleted for good when their todo is purged from the trash.
+ * Uploading and removing need the editor role in a shared list, downloading only viewer.
+ */
+
+const express = require("express");
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { pipeline } = require("stream/promises");
+const multer = require("multer");
+// mergeParams: true lets us read :id from the parent router's path
+const router = express.Router({ mergeParams: true });
+const Todo = require("../models/todo");
+const { ApiError } = require("../utils/errors");
+const { validateObjectId, validateQuery } = require("../middleware/validate");
+const {
+  MAX_ATTACHMENT_SIZE,
+  MAX_ATTACHMENTS,
+  ATTACHMENT_TYPES,
+  attachmentType,
+  cleanAttachmentName,
+  downloadAttachmentQueryRules,
+} = require("../validators/attachment");
+const { getStorage } = require("../services/attachmentStorage");
+const { snapshotTodo, updateEvent, recordTodoEvents } = require("../services/history");
+const { findTodoFor, announce } = require("../services/sharing");
+
+/**
+ * 415 for a file we don't take
+ * @param {string} message - What's wrong with it
+ * @returns {ApiError}
+ */
+function unsupportedFile(message) {
+  const accepted = Object.values(ATTACHMENT_TYPES).flatMap((type) => type.extensions).join(", ");
+  return new ApiError(415, "UNSUPPORTED_MEDIA_TYPE", message, { accepted });
+}
+
+/**
+ * Reads the upload into memory (it's small - MAX_ATTACHMENT_SIZE at most)
+ * Files of a type we don't accept are turned away before they're read
+ */
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_SIZE, files: 1, fields: 5 },
+  defParamCharset: "utf8", // File names with accents, emoji... arrive intact
+  fileFilter: (req, file, cb) => {
+    if (attachmentType(file.mimetype, file.originalname)) return cb(null, true);
+    cb(unsupportedFile(`Files of type "${file.mimetype || "unknown"}" can't be attached`));
+  },
+}).single("file");
+
+/**
+ * Runs the upload, turning multer's errors into the API's error shape
+ */
+function receiveFile(req, res, next) {
+  upload(req, res, (err) => {
+    if (err && err.code === "LIMIT_FILE_SIZE") {
+      const kilobytes = Math.round(MAX_ATTACHMENT_SIZE / 1024);
+      const limit = kilobytes < 1024 ? `${kilobytes} KB` : `${Math.round((kilobytes / 1024) * 10) / 10} MB`;
+      return next(new ApiError(413, "PAYLOAD_TOO_LARGE", `Attachments can be at most ${limit}`));
+    }
+    if (err instanceof multer.MulterError) {
+      return next(ApiError.badRequest(`Invalid upload: ${err.message.toLowerCase()}`));
+    }
+    next(err);
+  });
+}
+
+/**
+ * Makes sure the caller may add files to the todo, before the file is read
+ * (so a file for a todo that's gone, or that they can only view, isn't uploaded for nothing)
+ */
+async function checkCanUpload(req, res, next) {
+  const todo = await findTodoFor(req.user.id, req.params.id, "editor");
+  if (todo.attachments.length >= MAX_ATTACHMENTS) {
+    throw ApiError.badRequest(`A todo can have at most ${MAX_ATTACHMENTS} attachments`);
+  }
+  next();
+}
+
+/**
+ * POST /api/todos/:id/attachments - UPLOAD AN ATTACHMENT
+ * Body: multipart/form-data with the file in a field called "file"
+ * Answers 201 with the updated todo; 413 if the file is too big, 415 if it's not a type we accept
+ */
+router.post("/", checkCanUpload, receiveFile, async (req, res) => {
+  const { file } = req;
+  if (!file) {
+    throw ApiError.badRequest('Send the file as multipart/form-data, in a field called "file"');
+  }
+  if (file.size === 0) throw ApiError.badRequest("The file is empty");
+
+  // The content has to match the type, so a renamed .exe isn't served as a .png
+  const mimeType = attachmentType(file.mimetype, file.originalname);
+  if (!ATTACHMENT_TYPES[mimeType].looksRight(file.buffer)) {
+    throw unsupportedFile(`The file's content doesn't look like ${mimeType}`);
+  }
+
+  // Who can change the todo may have changed while the file was arriving
+  const before = snapshotTodo(await findTodoFor(req.user.id, req.params.id, "editor"));
+
+  const attachment = {
+    _id: new mongoose.Types.ObjectId(),
+    name: cleanAttachmentName(file.originalname),
+    size: file.size,
+    mimeType,
+    checksum: crypto.createHash("sha256").update(file.buffer).digest("hex"),
+    uploadedBy: req.user.id,
+  };
+  const storage = getStorage();
+  await storage.save(attachment._id.toString(), file.buffer);
+
+  // The "attachments.N doesn't exist" condition enforces the limit in the same atomic step
+  const todo = await Todo.findOneAndUpdate(
+    { _id: req.params.id, [`attachments.${MAX_ATTACHMENTS - 1}`]: { $exists: false } },
+    { $push: { attachments: attachment } },
+    { new: true, runValidators: true }
+  );
+  if (!todo) {
+    await storage.remove(attachment._id.toString());
+    if (!(await Todo.exists({ _id: req.params.id }))) throw ApiError.notFound("Todo not found");
+    throw ApiError.badRequest(`A todo can have at most ${MAX_ATTACHMENTS} attachments`);
+  }
+
+  await recordTodoEvents(req, [updateEvent(before, todo)]);
+  await announce(req, "todo.updated", { todo }, [todo.listId]);
+  res.status(201).json(todo);
+});
+
+/**
+ * GET /api/todos/:id/attachments/:attachmentId - DOWNLOAD AN ATTACHMENT
+ * Images are sent inline (for thumbnails) unless ?download=true; everything else as a download
+ * The checksum is the ETag, so a cached copy is answered with 304
+ */
+router.get(
+  "/:attachmentId",
+  validateObjectId("attachmentId"),
+  validateQuery(downloadAttachmentQueryRules),
+  async (req, res) => {
+    const todo = await findTodoFor(req.user.id, req.params.id);
+    const attachment = todo.attachments.id(req.params.attachmentId);
+    if (!attachment) throw ApiError.notFound("Attachment not found");
+
+    const etag = `"${attachment.checksum}"`;
+    res.set({
+      ETag: etag,
+      "Cache-Control": "private, max-age=3600",
+      // Never let the browser guess a different type, or run anything the file contains
+      "X-Content-Type-Options": "nosniff",
+      "Content-Security-Policy": "default-src 'none'; sandbox",
+    });
+    if (req.get("If-None-Match") === etag) return res.status(304).end();
+
+    let stream;
+    try {
+      stream = await getStorage().open(attachment._id.toString());
+    } catch (err) {
+      if (err.code === "ENOENT") throw ApiError.notFound("The attachment's file is missing");
+      throw err;
+    }
+
+    if (req.validQuery.download || !ATTACHMENT_TYPES[attachment.mimeType]?.image) {
+      res.attachment(attachment.name);
+    }
+    res.type(attachment.mimeType);
+    res.set("Content-Length", String(attachment.size));
+    await pipeline(stream, res);
+  }
+);
+
+/**
+ * DELETE /api/todos/:id/attachments/:attachmentId - REMOVE AN ATTACHMENT
+ * Answers with the updated todo; the file is deleted right away
+ */
+router.delete("/:attachmentId", validateObjectId("attachmentId"), async (req, res) => {
+  const { id, attachmentId } = req.params;
+  const before = snapshotTodo(await findTodoFor(req.user.id, id, "editor"));
+
+  const todo = await Todo.findOneAndUpdate(
+    { _id: id, "attachments._id": attachmentId },
+    { $pull: { attachments: { _id: attachmentId } } },
+    { new: true }
+  );
+  if (!todo) {
+    if (!(await Todo.exists({ _id: id }))) throw ApiError.notFound("Todo not found");
+    throw ApiError.notFound("Attachment not found");
+  }
+  await getStorage().remove(attachmentId);
+
+  await recordTodoEvents(req, [updateEvent(before, todo)]);
+  await announce(req, "todo.updated", { todo }, [todo.listId]);
+  res.json(todo);
+});
+
+module.exports = router;
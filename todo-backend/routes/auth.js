@@ -0,0 +1,74 @@
+/**
+ * AUTH ROUTES (API ENDPOINTS)
+ * This file lets people create an account, log in and log out
+ *
+ * Endpoints:
+ * - POST /api/auth/register (create account, returns { token, user })
+ * - POST /api/auth/login    (check password, returns { token, user })
+ * - POST /api/auth/logout   (invalidate every token the user currently holds)
+ * - GET  /api/auth/me       (who am I? used by the frontend to restore a session)
+ */
+
+const express = require("express");
+const router = express.Router();
+const User = require("../models/user");
+const { signToken, requireAuth } = require("../middleware/auth");
+const { ApiError } = require("../utils/errors");
+const { validateBody } = require("../middleware/validate");
+const { registerRules, loginRules } = require("../validators/auth");
+
+/**
+ * POST /api/auth/register - CREATE ACCOUNT
+ * Body: { username: "alice", password: "secret123" }
+ */
+router.post("/register", validateBody(registerRules), async (req, res) => {
+  const { username, password } = req.body;
+
+  // Usernames are unique - tell the user instead of failing on the database index
+  if (await User.exists({ username: username.toLowerCase() })) {
+    throw ApiError.conflict("Username already taken", [{ field: "username", message: "is already taken" }]);
+  }
+
+  // Hash the password before saving (see models/user.js)
+  const user = new User({ username });
+  await user.setPassword(password);
+  await user.save();
+
+  // Log the new user straight in
+  res.status(201).json({ token: signToken(user), user });
+});
+
+/**
+ * POST /api/auth/login - LOG IN
+ * Body: { username: "alice", password: "secret123" }
+ */
+router.post("/login", validateBody(loginRules), async (req, res) => {
+  const { username, password } = req.body;
+
+  // Same message for "no such user" and "wrong password" so we don't leak which usernames exist
+  const user = await User.findOne({ username: username.toLowerCase() });
+  if (!user || !(await user.checkPassword(password))) {
+    throw ApiError.unauthorized("Invalid username or password");
+  }
+
+  res.json({ token: signToken(user), user });
+});
+
+/**
+ * POST /api/auth/logout - LOG OUT
+ * Bumps the user's tokenVersion so every token issued so far is rejected by requireAuth
+ */
+router.post("/logout", requireAuth, async (req, res) => {
+  await User.updateOne({ _id: req.user.id }, { $inc: { tokenVersion: 1 } });
+  res.json({ message: "Logged out" });
+});
+
+/**
+ * GET /api/auth/me - CURRENT USER
+ * Lets the frontend check that a stored token is still valid
+ */
+router.get("/me", requireAuth, (req, res) => {
+  res.json({ user: { _id: req.user.id, username: req.user.username } });
+});
+
+module.exports = router;
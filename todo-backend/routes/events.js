@@ -0,0 +1,50 @@
+/**
+ * LIVE EVENTS ROUTE
+ * GET /api/events - a Server-Sent Events stream of the caller's todo changes
+ * (see services/events.js for the event types)
+ *
+ * The response never ends on its own: each event is written as
+ *   event: todo.updated
+ *   data: {"todo":{...},"origin":"client-id"}
+ * followed by a blank line. The client reconnects if the connection drops.
+ */
+
+const express = require("express");
+const router = express.Router();
+const { subscribe, trackStream } = require("../services/events");
+
+// Send a comment line this often so proxies don't close an idle connection (milliseconds)
+const HEARTBEAT_MS = 25 * 1000;
+
+router.get("/", (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // Stops nginx from holding events back in its buffer
+  });
+  res.flushHeaders();
+
+  // Numbered so they're easy to follow in the browser's network panel
+  let eventId = 0;
+  const send = (type, data) => {
+    res.write(`id: ${++eventId}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Tells the client the stream is open (it reloads once after a reconnect)
+  send("ready", {});
+
+  const unsubscribe = subscribe(req.user.id, send);
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+  // The server is shutting down - end the stream so it doesn't wait for us
+  const untrack = trackStream(() => res.end());
+
+  // Browser tab closed, network dropped, the client aborted or we ended it
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    untrack();
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+/**
+ * HEALTH, READINESS AND METRICS ROUTES
+ * For load balancers, orchestrators (e.g. Kubernetes probes) and monitoring - not for the app.
+ * They live outside /api: no login, no rate limit, not in the OpenAPI document.
+ *
+ * GET /healthz - is the process alive? Always 200 while it can answer at all, so a database
+ *                outage doesn't get the server restarted (restarting wouldn't fix it):
+ *                { status: "ok", uptime, database: { state, connected } }
+ * GET /readyz  - should it get traffic? 200 { status: "ready", ... } when connected to the
+ *                database; 503 { status: "not ready", reason, ... } while connecting, after the
+ *                connection is lost or once shutting down
+ * GET /metrics - request counts, latencies and more in Prometheus's text format
+ *                (see services/metrics.js). Set METRICS_TOKEN in .env to require
+ *                "Authorization: Bearer <METRICS_TOKEN>"
+ *
+ * uptime is in seconds.
+ */
+
+const crypto = require("crypto");
+const express = require("express");
+const router = express.Router();
+const { databaseStatus } = require("../services/database");
+const { renderMetrics } = require("../services/metrics");
+const { ApiError } = require("../utils/errors");
+
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+
+/**
+ * What both probes report
+ */
+function report() {
+  return { uptime: Math.round(process.uptime()), database: databaseStatus() };
+}
+
+router.get("/healthz", (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.json({ status: "ok", ...report() });
+});
+
+router.get("/readyz", (req, res) => {
+  const { uptime, database } = report();
+  let reason = null;
+  if (!database.connected) reason = "database not connected";
+  // Set by index.js when a shutdown starts (see shutdown() there)
+  if (req.app.locals.shuttingDown) reason = "shutting down";
+
+  res.set("Cache-Control", "no-store");
+  res.status(reason ? 503 : 200).json({ status: reason ? "not ready" : "ready", reason, uptime, database });
+});
+
+router.get("/metrics", (req, res) => {
+  if (METRICS_TOKEN) {
+    const expected = Buffer.from(`Bearer ${METRICS_TOKEN}`);
+    const given = Buffer.from(req.get("Authorization") || "");
+    // timingSafeEqual: how long the comparison takes mustn't give away how much of the token was right
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      throw ApiError.unauthorized();
+    }
+  }
+
+  res.set("Cache-Control", "no-store");
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
+
+module.exports = router;
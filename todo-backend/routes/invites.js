@@ -0,0 +1,78 @@
+/**
+ * INVITE LINK ROUTES (API ENDPOINTS)
+ * Using an invite link to a shared list (owners make them with POST /api/lists/:id/invites).
+ * The link is the app's address with ?invite=<token>; the frontend shows what it's for and
+ * lets the logged-in user join. Runs after requireAuth, like the other routes.
+ *
+ * Endpoints:
+ * - GET  /api/invites/:token         (which list the link is for, and the role it gives)
+ * - POST /api/invites/:token/accept  (join the list)
+ */
+
+const express = require("express");
+const router = express.Router();
+const List = require("../models/list");
+const ListInvite = require("../models/listInvite");
+const ListMember = require("../models/listMember");
+const User = require("../models/user");
+const { ApiError } = require("../utils/errors");
+const { publishFromRequest } = require("../services/events");
+const { hasRole, listRole, hashInviteToken, announce } = require("../services/sharing");
+
+/**
+ * Loads the invite a token belongs to, and its list
+ * @param {string} token - Token from the link
+ * @returns {Promise<{ invite: Object, list: Object }>}
+ * @throws {ApiError} 404 if the link is unknown, revoked or expired, or its list is gone
+ */
+async function findInvite(token) {
+  const invite = await ListInvite.findOne({ tokenHash: hashInviteToken(token), expiresAt: { $gt: new Date() } });
+  const list = invite && (await List.findById(invite.listId));
+  if (!list) throw ApiError.notFound("This invite link is invalid or has expired");
+  return { invite, list };
+}
+
+/**
+ * GET /api/invites/:token - WHAT AN INVITE LINK IS FOR
+ * Response: { list: { _id, name, color }, role, invitedBy, expiresAt, currentRole }
+ * currentRole is the caller's role in the list already (null if they're not in it)
+ */
+router.get("/:token", async (req, res) => {
+  const { invite, list } = await findInvite(req.params.token);
+  const [inviter, currentRole] = await Promise.all([
+    User.findById(invite.createdBy, { username: 1 }),
+    listRole(list, req.user.id),
+  ]);
+
+  res.json({
+    list: { _id: list._id, name: list.name, color: list.color },
+    role: invite.role,
+    invitedBy: inviter ? inviter.username : null,
+    expiresAt: invite.expiresAt,
+    currentRole,
+  });
+});
+
+/**
+ * POST /api/invites/:token/accept - JOIN A LIST THROUGH AN INVITE LINK
+ * Members who already have the link's role (or more) keep theirs; a link never lowers a role
+ * Response: { listId, role } - the caller's role in the list now
+ */
+router.post("/:token/accept", async (req, res) => {
+  const { invite, list } = await findInvite(req.params.token);
+  const currentRole = await listRole(list, req.user.id);
+  if (hasRole(currentRole, invite.role)) return res.json({ listId: list._id, role: currentRole });
+
+  await ListMember.findOneAndUpdate(
+    { listId: list._id, user: req.user.id },
+    { $set: { role: invite.role }, $setOnInsert: { addedBy: invite.createdBy } },
+    { upsert: true }
+  );
+  await ListInvite.updateOne({ _id: invite._id }, { $inc: { uses: 1 } });
+
+  await announce(req, "lists.changed", {}, [list._id]);
+  publishFromRequest(req, "todos.changed", {});
+  res.json({ listId: list._id, role: invite.role });
+});
+
+module.exports = router;
@@ -0,0 +1,365 @@
+/**
+ * LIST ROUTES (API ENDPOINTS)
+ * CRUD for the user's lists (projects), and sharing them. Like the todo routes, everything here
+ * runs after requireAuth and only ever touches the caller's own lists and the ones shared with them.
+ * Renaming and deciding who's in a list needs the owner role (see services/sharing.js); only its creator can delete it.
+ *
+ * Endpoints:
+ * - GET    /api/lists      (all lists with active/completed counts and members, plus Inbox counts)
+ * - POST   /api/lists      (create a list)
+ * - PUT    /api/lists/:id  (rename, recolor or move a list)
+ * - DELETE /api/lists/:id  (delete a list; ?todos=inbox moves its todos to the Inbox, ?todos=delete trashes them)
+ *
+ * Sharing:
+ * - GET    /api/lists/:id/members          (who's in the list, with their roles)
+ * - POST   /api/lists/:id/members          (share it with someone by username)
+ * - PATCH  /api/lists/:id/members/:userId  (change a member's role)
+ * - DELETE /api/lists/:id/members/:userId  (remove a member, or leave the list yourself)
+ * - GET    /api/lists/:id/invites          (invite links that still work)
+ * - POST   /api/lists/:id/invites          (make an invite link - see routes/invites.js for using one)
+ * - DELETE /api/lists/:id/invites/:inviteId (revoke one)
+ */
+
+const express = require("express");
+const router = express.Router();
+const List = require("../models/list");
+const ListMember = require("../models/listMember");
+const ListInvite = require("../models/listInvite");
+const Todo = require("../models/todo");
+const User = require("../models/user");
+const { ApiError } = require("../utils/errors");
+const { validateBody, validateQuery, validateObjectId } = require("../middleware/validate");
+const {
+  createListRules,
+  updateListRules,
+  deleteListQueryRules,
+  addMemberRules,
+  updateMemberRules,
+  createInviteRules,
+} = require("../validators/list");
+const { publish, publishFromRequest } = require("../services/events");
+const { snapshotTodo, updateEvent, recordTodoEvents } = require("../services/history");
+const {
+  todoAccessFilter,
+  findListFor,
+  membersByList,
+  listAudience,
+  announce,
+  createInviteToken,
+} = require("../services/sharing");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Counts active and completed todos per list for one user, in a single aggregation
+ * @param {Object} access - Filter for the todos they can see (todoAccessFilter())
+ * @returns {Promise<Map>} listId (as string, "inbox" for no list) -> { active, completed }
+ */
+async function countTodosByList(access) {
+  const rows = await Todo.aggregate([
+    { $match: access },
+    {
+      $group: {
+        _id: "$listId",
+        active: { $sum: { $cond: ["$completed", 0, 1] } },
+        completed: { $sum: { $cond: ["$completed", 1, 0] } },
+      },
+    },
+  ]);
+  return new Map(rows.map((row) => [
+    row._id ? row._id.toString() : "inbox",
+    { active: row.active, completed: row.completed },
+  ]));
+}
+
+/**
+ * A list as the endpoints send it: with the caller's role and everyone in it
+ * @param {Object} list - List document
+ * @param {string} role - The caller's role in it
+ * @param {Object[]} members - membersByList() entry for it
+ * @param {Object} counts - { active, completed }
+ * @returns {Object}
+ */
+function describeList(list, role, members, counts) {
+  return { ...list.toJSON(), role, shared: members.length > 1, members, counts };
+}
+
+/**
+ * Tells everyone in a list (and the caller) that its members changed, and the user who
+ * joined or left that the todos they can see changed too
+ * @param {Object} req - Express request (after requireAuth)
+ * @param {Object} list - The list
+ * @param {ObjectId} user - Who joined or left
+ */
+async function announceMembership(req, list, user) {
+  await announce(req, "lists.changed", {}, [list._id]);
+  if (user.equals(req.user.id)) return publishFromRequest(req, "todos.changed", {});
+  publish(user, "lists.changed", {}); // Someone who just left isn't in the list's audience any more
+  publish(user, "todos.changed", {});
+}
+
+/**
+ * GET /api/lists - FETCH ALL LISTS
+ * The caller's own lists (in their order), then the ones shared with them (by name)
+ * Response: { inbox: { counts }, lists: [{ ...list, role, shared, members, counts: { active, completed } }] }
+ * members: [{ user: { _id, username }, role, creator }], the list's creator first
+ */
+router.get("/", async (req, res) => {
+  const memberships = await ListMember.find({ user: req.user.id }, { listId: 1, role: 1 });
+  const [own, shared, counts] = await Promise.all([
+    List.find({ owner: req.user.id }).sort({ position: 1, createdAt: 1 }),
+    List.find({ _id: { $in: memberships.map((m) => m.listId) } }).sort({ name: 1 }),
+    countTodosByList(await todoAccessFilter(req.user.id)),
+  ]);
+  const lists = [...own, ...shared];
+  const members = await membersByList(lists);
+  const roles = new Map(memberships.map((m) => [m.listId.toString(), m.role]));
+  const empty = { active: 0, completed: 0 };
+
+  res.json({
+    inbox: { counts: counts.get("inbox") || empty },
+    lists: lists.map((list) => {
+      const id = list._id.toString();
+      return describeList(list, roles.get(id) || "owner", members.get(id), counts.get(id) || empty);
+    }),
+  });
+});
+
+/**
+ * POST /api/lists - CREATE LIST
+ * Body: { name: "Work", color: "#4CAF50" } - new lists go to the bottom unless position is given
+ */
+router.post("/", validateBody(createListRules), async (req, res) => {
+  const list = new List({ ...req.body, owner: req.user.id });
+
+  if (req.body.position === undefined) {
+    const last = await List.findOne({ owner: req.user.id }).sort({ position: -1 });
+    list.position = last ? last.position + 1 : 0;
+  }
+
+  await list.save();
+  publishFromRequest(req, "lists.changed", {});
+  const members = await membersByList([list]);
+  res.status(201).json(describeList(list, "owner", members.get(list._id.toString()), { active: 0, completed: 0 }));
+});
+
+/**
+ * PUT /api/lists/:id - UPDATE LIST
+ * Body: any of { name, color, position } - needs the owner role
+ */
+router.put(
+  "/:id",
+  validateObjectId("id"),
+  validateBody(updateListRules, { partial: true }),
+  async (req, res) => {
+    const { list } = await findListFor(req.user.id, req.params.id, "owner");
+    list.set(req.body);
+    await list.save();
+    await announce(req, "lists.changed", {}, [list._id]);
+    res.json(list);
+  }
+);
+
+/**
+ * DELETE /api/lists/:id - DELETE LIST
+ * ?todos=inbox (default): the list's todos move to the Inbox (of the list's creator, who owns them)
+ * ?todos=delete: the list's todos go to the trash (restorable into the Inbox)
+ * Only the list's creator can delete it (other owners can leave it instead); the list stops being shared with anyone
+ */
+router.delete(
+  "/:id",
+  validateObjectId("id"),
+  validateQuery(deleteListQueryRules),
+  async (req, res) => {
+    const { list } = await findListFor(req.user.id, req.params.id, "owner");
+    // Its todos belong to the creator, so nobody else decides to trash them or empty the list
+    if (!list.owner.equals(req.user.id)) {
+      throw ApiError.forbidden("Only the list's creator can delete it - you can leave it instead");
+    }
+
+    // Everyone else in the list hears about it too, so find them before they're removed
+    const audience = await listAudience([list._id], req.user.id);
+    await list.deleteOne();
+    await Promise.all([ListMember.deleteMany({ listId: list._id }), ListInvite.deleteMany({ listId: list._id })]);
+
+    publishFromRequest(req, "lists.changed", {});
+
+    const todoFilter = { owner: list.owner, listId: list._id };
+    // The list's todos outside the trash as they are now, so their history can show the change
+    const affected = await Todo.find(todoFilter);
+
+    // Inbox todos can only be assigned to their owner
+    await Todo.updateMany(
+      { ...todoFilter, assignee: { $nin: [null, list.owner] } },
+      { $set: { assignee: null } },
+      { withDeleted: true }
+    );
+
+    // "delete" moves the list's todos to the trash
+    const result = req.validQuery.todos === "delete"
+      ? await Todo.updateMany(todoFilter, { $set: { deletedAt: new Date() } })
+      : await Todo.updateMany(todoFilter, { $set: { listId: null } });
+
+    // Trashed todos of the list (including the ones just trashed) point at the Inbox from now on,
+    // so restoring one never leaves it in a list that's gone
+    await Todo.updateMany(todoFilter, { $set: { listId: null } }, { withDeleted: true });
+
+    // Their history says what happened, like it does for deleting or moving them one by one
+    if (req.validQuery.todos === "delete") {
+      await recordTodoEvents(req, affected.map((todo) => ({ todo, type: "deleted" })));
+    } else {
+      const beforeById = new Map(affected.map((todo) => [todo._id.toString(), snapshotTodo(todo)]));
+      const moved = await Todo.find({ _id: { $in: affected.map((todo) => todo._id) } });
+      await recordTodoEvents(req, moved.map((todo) => updateEvent(beforeById.get(todo._id.toString()), todo)));
+    }
+
+    publishFromRequest(req, "todos.changed", {});
+    for (const userId of audience) {
+      publish(userId, "lists.changed", {});
+      publish(userId, "todos.changed", {});
+    }
+    const message = req.validQuery.todos === "delete"
+      ? "List deleted, its todos moved to the trash"
+      : "List deleted, todos moved to Inbox";
+    res.json({ message, affectedTodos: result.modifiedCount });
+  }
+);
+
+/**
+ * GET /api/lists/:id/members - WHO'S IN A LIST
+ * Response: { members: [{ user: { _id, username }, role, creator }] } - the creator first
+ */
+router.get("/:id/members", validateObjectId("id"), async (req, res) => {
+  const { list } = await findListFor(req.user.id, req.params.id);
+  const members = await membersByList([list]);
+  res.json({ members: members.get(list._id.toString()) });
+});
+
+/**
+ * POST /api/lists/:id/members - SHARE A LIST WITH SOMEONE
+ * Body: { username: "alice", role: "viewer" | "editor" (default) | "owner" } - needs the owner role
+ * They see the list straight away. Response (201): { members } like GET /api/lists/:id/members
+ */
+router.post("/:id/members", validateObjectId("id"), validateBody(addMemberRules), async (req, res) => {
+  const { list } = await findListFor(req.user.id, req.params.id, "owner");
+
+  const user = await User.findOne({ username: req.body.username.toLowerCase() }, { username: 1 });
+  if (!user) {
+    throw ApiError.badRequest("Invalid username", [{ field: "username", message: "no account has this username" }]);
+  }
+  if (user._id.equals(list.owner) || (await ListMember.exists({ listId: list._id, user: user._id }))) {
+    throw ApiError.conflict(`${user.username} is already in this list`);
+  }
+
+  await ListMember.create({ listId: list._id, user: user._id, role: req.body.role, addedBy: req.user.id });
+  await announceMembership(req, list, user._id);
+
+  const members = await membersByList([list]);
+  res.status(201).json({ members: members.get(list._id.toString()) });
+});
+
+/**
+ * PATCH /api/lists/:id/members/:userId - CHANGE A MEMBER'S ROLE
+ * Body: { role } - needs the owner role. The list's creator is always an owner
+ * Response: { members } like GET /api/lists/:id/members
+ */
+router.patch(
+  "/:id/members/:userId",
+  validateObjectId("id"),
+  validateObjectId("userId"),
+  validateBody(updateMemberRules),
+  async (req, res) => {
+    const { list } = await findListFor(req.user.id, req.params.id, "owner");
+    if (list.owner.equals(req.params.userId)) {
+      throw ApiError.badRequest("The list's creator is always one of its owners");
+    }
+
+    const member = await ListMember.findOneAndUpdate(
+      { listId: list._id, user: req.params.userId },
+      { $set: { role: req.body.role } },
+      { new: true }
+    );
+    if (!member) throw ApiError.notFound("Member not found");
+    await announce(req, "lists.changed", {}, [list._id]);
+
+    const members = await membersByList([list]);
+    res.json({ members: members.get(list._id.toString()) });
+  }
+);
+
+/**
+ * DELETE /api/lists/:id/members/:userId - REMOVE A MEMBER (OR LEAVE)
+ * Owners can remove anyone but the creator; everyone can remove themselves (leave the list)
+ * Todos in the list that were assigned to them are unassigned
+ * Response: { members } like GET /api/lists/:id/members
+ */
+router.delete("/:id/members/:userId", validateObjectId("id"), validateObjectId("userId"), async (req, res) => {
+  const leaving = req.user.id.equals(req.params.userId);
+  const { list } = await findListFor(req.user.id, req.params.id, leaving ? "viewer" : "owner");
+  if (list.owner.equals(req.params.userId)) {
+    throw ApiError.badRequest(
+      leaving ? "You created this list - delete it instead of leaving" : "The list's creator can't be removed"
+    );
+  }
+
+  const member = await ListMember.findOneAndDelete({ listId: list._id, user: req.params.userId });
+  if (!member) throw ApiError.notFound("Member not found");
+  await Todo.updateMany(
+    { listId: list._id, assignee: member.user },
+    { $set: { assignee: null } },
+    { withDeleted: true }
+  );
+  await announce(req, "todos.changed", {}, [list._id]);
+  await announceMembership(req, list, member.user);
+
+  const members = await membersByList([list]);
+  res.json({ members: members.get(list._id.toString()) });
+});
+
+/**
+ * GET /api/lists/:id/invites - INVITE LINKS OF A LIST
+ * The ones that still work, newest first - needs the owner role
+ * Response: { invites: [{ _id, role, expiresAt, uses, createdAt }] } (the links themselves can't be shown again)
+ */
+router.get("/:id/invites", validateObjectId("id"), async (req, res) => {
+  const { list } = await findListFor(req.user.id, req.params.id, "owner");
+  const invites = await ListInvite.find(
+    { listId: list._id, expiresAt: { $gt: new Date() } },
+    { tokenHash: 0 }
+  ).sort({ createdAt: -1 });
+  res.json({ invites });
+});
+
+/**
+ * POST /api/lists/:id/invites - MAKE AN INVITE LINK
+ * Body: { role: "viewer" (default) | "editor", expiresInDays: 7 (default, max 30) } - needs the owner role
+ * Response (201): { invite, token } - the token is only ever sent this once; the link is
+ * the app's address with ?invite=<token> (see routes/invites.js)
+ */
+router.post("/:id/invites", validateObjectId("id"), validateBody(createInviteRules), async (req, res) => {
+  const { list } = await findListFor(req.user.id, req.params.id, "owner");
+  const { token, tokenHash } = createInviteToken();
+  const invite = await ListInvite.create({
+    listId: list._id,
+    tokenHash,
+    role: req.body.role,
+    createdBy: req.user.id,
+    expiresAt: new Date(Date.now() + req.body.expiresInDays * DAY),
+  });
+  const shown = invite.toJSON();
+  delete shown.tokenHash;
+  res.status(201).json({ invite: shown, token });
+});
+
+/**
+ * DELETE /api/lists/:id/invites/:inviteId - REVOKE AN INVITE LINK
+ * Needs the owner role; people who already joined through it stay in the list
+ */
+router.delete("/:id/invites/:inviteId", validateObjectId("id"), validateObjectId("inviteId"), async (req, res) => {
+  const { list } = await findListFor(req.user.id, req.params.id, "owner");
+  const result = await ListInvite.deleteOne({ _id: req.params.inviteId, listId: list._id });
+  if (result.deletedCount === 0) throw ApiError.notFound("Invite not found");
+  res.json({ message: "Invite link revoked" });
+});
+
+module.exports = router;
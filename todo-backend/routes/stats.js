@@ -0,0 +1,38 @@
+/**
+ * STATS ROUTES
+ * GET /api/stats - productivity stats for the dashboard (see services/stats.js)
+ */
+
+const express = require("express");
+const router = express.Router();
+const { validateQuery } = require("../middleware/validate");
+const { statsQueryRules } = require("../validators/stats");
+const { resolveTimeZone } = require("../utils/dates");
+const { productivityStats, resolveStatsRange } = require("../services/stats");
+
+/**
+ * GET /api/stats - HOW PRODUCTIVE HAS THE CALLER BEEN?
+ * Query:
+ * - from: first day, "YYYY-MM-DD" (default: 30 days before to)
+ * - to:   last day, included (default: today) - at most 366 days after from
+ * - tz:   the caller's time zone, for where days and weeks begin (default UTC)
+ *
+ * Response: {
+ *   timeZone, from, to,
+ *   totals:  { created, completed, open } - created / completed in the range; open = not done now
+ *   days:    one { date, created, completed, open, done } per day - open and done are how many
+ *            todos were still open / done by the end of that day (the trend)
+ *   weeks:   one { week, created, completed } per week, week = its Monday
+ *   streak:  { current, longest, lastCompletedOn } - days in a row with something completed
+ *            (current keeps counting through today until the day is over)
+ *   averageCompletionMs: average time from creating to completing, for todos completed in the
+ *            range (null if none were)
+ * }
+ */
+router.get("/", validateQuery(statsQueryRules), async (req, res) => {
+  const timeZone = resolveTimeZone(req.validQuery.tz);
+  const { from, to } = resolveStatsRange(req.validQuery, timeZone);
+  res.json(await productivityStats(req.user.id, { from, to, timeZone }));
+});
+
+module.exports = router;
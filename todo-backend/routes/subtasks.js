@@ -0,0 +1,173 @@
+/**
+ * SUBTASK ROUTES (API ENDPOINTS)
+ * Manage the checklist inside one todo without sending the whole todo back and forth.
+ * Mounted by routes/todo.js under /api/todos/:id/subtasks, so req.params.id is the todo.
+ *
+ * Endpoints (all answer with the updated todo):
+ * - POST   /api/todos/:id/subtasks               (add a subtask)
+ * - PATCH  /api/todos/:id/subtasks/:subtaskId    (rename and/or tick a subtask)
+ * - PUT    /api/todos/:id/subtasks/order         (reorder: { ids: [...every subtask id] })
+ * - DELETE /api/todos/:id/subtasks/:subtaskId    (remove a subtask)
+ *
+ * Ticking the last open subtask also completes the todo itself.
+ * Every change goes into the todo's history like changes made through PUT /api/todos/:id.
+ * Changing the checklist of a todo in a shared list needs the editor role (see services/sharing.js).
+ */
+
+const express = require("express");
+// mergeParams: true lets us read :id from the parent router's path
+const router = express.Router({ mergeParams: true });
+const Todo = require("../models/todo");
+const { ApiError } = require("../utils/errors");
+const { validateBody, validateObjectId } = require("../middleware/validate");
+const {
+  MAX_SUBTASKS,
+  createSubtaskRules,
+  updateSubtaskRules,
+  reorderSubtasksRules,
+} = require("../validators/subtask");
+const { createNextOccurrence } = require("../services/recurrence");
+const { snapshotTodo, updateEvent, recordTodoEvents } = require("../services/history");
+const { findTodoFor, announce } = require("../services/sharing");
+
+/**
+ * Throws 404 if the todo is gone
+ * Used after a conditional update matched nothing, to find out why
+ */
+async function assertTodoExists(id) {
+  if (!(await Todo.exists({ _id: id }))) {
+    throw ApiError.notFound("Todo not found");
+  }
+}
+
+/**
+ * The todo as it is before a change, for the diff in its history
+ * (the changes below are single atomic updates that only return the todo afterwards)
+ * @param {Object} req - Express request (req.params.id is the todo)
+ * @returns {Promise<Object>} snapshotTodo() of the todo
+ * @throws {ApiError} 404 if the caller can't see the todo, 403 if they can only view it
+ */
+async function snapshotBefore(req) {
+  return snapshotTodo(await findTodoFor(req.user.id, req.params.id, "editor"));
+}
+
+/**
+ * POST /api/todos/:id/subtasks - ADD SUBTASK
+ * Body: { title: "Buy milk", position: 0 } (position is optional, default: at the end)
+ */
+router.post("/", validateBody(createSubtaskRules), async (req, res) => {
+  const { title, position } = req.body;
+  const before = await snapshotBefore(req);
+
+  // $push adds to the array in one atomic step
+  // The "subtasks.N doesn't exist" condition enforces the limit at the same time
+  const todo = await Todo.findOneAndUpdate(
+    { _id: req.params.id, [`subtasks.${MAX_SUBTASKS - 1}`]: { $exists: false } },
+    { $push: { subtasks: { $each: [{ title }], ...(position !== undefined && { $position: position }) } } },
+    { new: true, runValidators: true }
+  );
+
+  if (!todo) {
+    await assertTodoExists(req.params.id);
+    throw ApiError.badRequest(`A todo can have at most ${MAX_SUBTASKS} subtasks`);
+  }
+  await recordTodoEvents(req, [updateEvent(before, todo)]);
+  await announce(req, "todo.updated", { todo }, [todo.listId]);
+  res.status(201).json(todo);
+});
+
+/**
+ * PUT /api/todos/:id/subtasks/order - REORDER SUBTASKS
+ * Body: { ids: ["subtask-id-3", "subtask-id-1", "subtask-id-2"] } - must list every subtask once
+ * (Declared before /:subtaskId so "order" isn't mistaken for a subtask id)
+ */
+router.put("/order", validateBody(reorderSubtasksRules), async (req, res) => {
+  const todo = await findTodoFor(req.user.id, req.params.id, "editor");
+
+  const { ids } = req.body;
+  const byId = new Map(todo.subtasks.map((s) => [s._id.toString(), s]));
+  if (ids.length !== byId.size || new Set(ids).size !== ids.length || !ids.every((id) => byId.has(id))) {
+    throw ApiError.badRequest("ids must list every subtask of this todo exactly once");
+  }
+
+  const before = snapshotTodo(todo);
+  todo.subtasks = ids.map((id) => byId.get(id));
+  await todo.save();
+  await recordTodoEvents(req, [updateEvent(before, todo)]);
+  await announce(req, "todo.updated", { todo }, [todo.listId]);
+  res.json(todo);
+});
+
+/**
+ * PATCH /api/todos/:id/subtasks/:subtaskId - RENAME / TICK SUBTASK
+ * Body: { title: "Buy oat milk" } and/or { completed: true }
+ */
+router.patch(
+  "/:subtaskId",
+  validateObjectId("subtaskId"),
+  validateBody(updateSubtaskRules, { partial: true }),
+  async (req, res) => {
+    const { id, subtaskId } = req.params;
+    const before = await snapshotBefore(req);
+
+    // $[sub] is "the array element matched by arrayFilters" - only that subtask changes
+    const set = {};
+    for (const [field, value] of Object.entries(req.body)) {
+      set[`subtasks.$[sub].${field}`] = value;
+    }
+    let todo = await Todo.findOneAndUpdate(
+      { _id: id, "subtasks._id": subtaskId },
+      { $set: set },
+      { new: true, runValidators: true, arrayFilters: [{ "sub._id": subtaskId }] }
+    );
+    if (!todo) {
+      await assertTodoExists(id);
+      throw ApiError.notFound("Subtask not found");
+    }
+
+    // Ticking the last open subtask completes the todo
+    // The conditions make sure only one request wins if two happen at once
+    let nextOccurrence = null;
+    if (req.body.completed === true && !todo.completed) {
+      const completed = await Todo.findOneAndUpdate(
+        { _id: id, completed: false, subtasks: { $not: { $elemMatch: { completed: false } } } },
+        { $set: { completed: true } },
+        { new: true }
+      );
+      if (completed) {
+        todo = completed;
+        if (todo.recurrence) nextOccurrence = await createNextOccurrence(todo);
+      }
+    }
+
+    await recordTodoEvents(req, [
+      updateEvent(before, todo),
+      nextOccurrence && { todo: nextOccurrence, type: "created" },
+    ]);
+    await announce(req, "todo.updated", { todo }, [todo.listId]);
+    if (nextOccurrence) await announce(req, "todo.created", { todo: nextOccurrence }, [nextOccurrence.listId]);
+    res.json(nextOccurrence ? { ...todo.toJSON(), nextOccurrence } : todo);
+  }
+);
+
+/**
+ * DELETE /api/todos/:id/subtasks/:subtaskId - REMOVE SUBTASK
+ */
+router.delete("/:subtaskId", validateObjectId("subtaskId"), async (req, res) => {
+  const { id, subtaskId } = req.params;
+  const before = await snapshotBefore(req);
+  const todo = await Todo.findOneAndUpdate(
+    { _id: id, "subtasks._id": subtaskId },
+    { $pull: { subtasks: { _id: subtaskId } } },
+    { new: true }
+  );
+  if (!todo) {
+    await assertTodoExists(id);
+    throw ApiError.notFound("Subtask not found");
+  }
+  await recordTodoEvents(req, [updateEvent(before, todo)]);
+  await announce(req, "todo.updated", { todo }, [todo.listId]);
+  res.json(todo);
+});
+
+module.exports = router;
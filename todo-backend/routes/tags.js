@@ -0,0 +1,137 @@
+/**
+ * TAG ROUTES (API ENDPOINTS)
+ * CRUD for the user's tags. Like the todo routes, everything here runs after
+ * requireAuth and only ever touches the caller's own tags and todos.
+ *
+ * Endpoints:
+ * - GET    /api/tags      (all tags, alphabetically, each with how many todos have it)
+ * - POST   /api/tags      (create a tag)
+ * - PUT    /api/tags/:id  (rename and/or recolor - a rename updates every todo with the tag)
+ * - DELETE /api/tags/:id  (delete a tag and take it off every todo)
+ */
+
+const express = require("express");
+const router = express.Router();
+const Tag = require("../models/tag");
+const Todo = require("../models/todo");
+const { ApiError } = require("../utils/errors");
+const { validateBody, validateObjectId } = require("../middleware/validate");
+const { createTagRules, updateTagRules } = require("../validators/tag");
+const { publishFromRequest } = require("../services/events");
+
+/**
+ * Counts how many of a user's todos have each tag, in a single aggregation
+ * @param {ObjectId} owner - The user's id
+ * @returns {Promise<Map>} tag name -> number of todos
+ */
+async function countTodosByTag(owner) {
+  const rows = await Todo.aggregate([
+    { $match: { owner, "tags.0": { $exists: true } } },
+    { $unwind: "$tags" },
+    { $group: { _id: "$tags", count: { $sum: 1 } } },
+  ]);
+  return new Map(rows.map((row) => [row._id, row.count]));
+}
+
+/**
+ * Throws 409 if the user already has a tag with this name
+ * (the unique index would refuse it too, but with a less helpful message)
+ * @param {ObjectId} owner - The user's id
+ * @param {string} name - The name about to be used
+ */
+async function assertNameFree(owner, name) {
+  if (await Tag.exists({ owner, name })) {
+    throw ApiError.conflict(`You already have a tag called "${name}"`, { fields: ["name"] });
+  }
+}
+
+/**
+ * GET /api/tags - FETCH ALL TAGS
+ * Response: [{ _id, name, color, count }] sorted by name
+ */
+router.get("/", async (req, res) => {
+  const [tags, counts] = await Promise.all([
+    Tag.find({ owner: req.user.id }).sort({ name: 1 }),
+    countTodosByTag(req.user.id),
+  ]);
+  res.json(tags.map((tag) => ({ ...tag.toJSON(), count: counts.get(tag.name) || 0 })));
+});
+
+/**
+ * POST /api/tags - CREATE TAG
+ * Body: { name: "errands", color: "#4CAF50" } (color is optional)
+ * Todos can also be given tags that don't exist yet - those are created automatically
+ */
+router.post("/", validateBody(createTagRules), async (req, res) => {
+  await assertNameFree(req.user.id, req.body.name);
+  const tag = await Tag.create({ ...req.body, owner: req.user.id });
+  publishFromRequest(req, "tags.changed", {});
+  res.status(201).json({ ...tag.toJSON(), count: 0 });
+});
+
+/**
+ * PUT /api/tags/:id - UPDATE TAG
+ * Body: any of { name, color }
+ * Renaming changes the name on every todo that has the tag
+ */
+router.put(
+  "/:id",
+  validateObjectId("id"),
+  validateBody(updateTagRules, { partial: true }),
+  async (req, res) => {
+    const tag = await Tag.findOne({ _id: req.params.id, owner: req.user.id });
+    if (!tag) throw ApiError.notFound("Tag not found");
+
+    const oldName = tag.name;
+    const renamed = req.body.name !== undefined && req.body.name !== oldName;
+    if (renamed) await assertNameFree(req.user.id, req.body.name);
+
+    tag.set(req.body);
+    await tag.save();
+
+    let affectedTodos = 0;
+    if (renamed) {
+      const newName = tag.name;
+      // Swap the name in place, so the tag keeps its spot among the todo's tags...
+      // (todos in the trash too, so they come back with the new name if restored)
+      const swapped = await Todo.updateMany(
+        { owner: req.user.id, tags: { $eq: oldName, $ne: newName } },
+        { $set: { "tags.$[tag]": newName } },
+        { arrayFilters: [{ tag: oldName }], withDeleted: true }
+      );
+      // ...except on todos that somehow have both names already: there the old one just goes
+      const merged = await Todo.updateMany(
+        { owner: req.user.id, tags: oldName },
+        { $pull: { tags: oldName } },
+        { withDeleted: true }
+      );
+      affectedTodos = swapped.modifiedCount + merged.modifiedCount;
+      if (affectedTodos > 0) publishFromRequest(req, "todos.changed", {});
+    }
+
+    publishFromRequest(req, "tags.changed", {});
+    const count = await Todo.countDocuments({ owner: req.user.id, tags: tag.name });
+    res.json({ ...tag.toJSON(), count, affectedTodos });
+  }
+);
+
+/**
+ * DELETE /api/tags/:id - DELETE TAG
+ * The todos themselves stay; they just lose the tag
+ */
+router.delete("/:id", validateObjectId("id"), async (req, res) => {
+  const tag = await Tag.findOneAndDelete({ _id: req.params.id, owner: req.user.id });
+  if (!tag) throw ApiError.notFound("Tag not found");
+
+  // Trashed todos lose it too, so restoring one doesn't bring the tag back half-way
+  const result = await Todo.updateMany(
+    { owner: req.user.id, tags: tag.name },
+    { $pull: { tags: tag.name } },
+    { withDeleted: true }
+  );
+  publishFromRequest(req, "tags.changed", {});
+  if (result.modifiedCount > 0) publishFromRequest(req, "todos.changed", {});
+  res.json({ message: "Tag deleted", affectedTodos: result.modifiedCount });
+});
+
+module.exports = router;
@@ -5,111 +5,821 @@
  * 
  * CRUD Operations:
  * - CREATE: POST /api/todos (add new todo)
- * - READ:   GET /api/todos (get all todos)
- * - UPDATE: PUT /api/todos/:id (modify existing todo)
- * - DELETE: DELETE /api/todos/:id (remove todo)
+ * - READ:   GET /api/todos (get todos, filtered and paginated)
+ *           GET /api/todos/:id (one todo)
+ *           GET /api/todos/upcoming (todos grouped by due date)
+ *           GET /api/todos/today (short list of what to focus on today)
+ *           GET /api/todos/reminders (reminders that fired recently)
+ * - UPDATE: PATCH /api/todos/:id (change some fields), PUT /api/todos/:id (replace the whole todo)
+ *           PATCH /api/todos/:id/move (drag to a new spot in the manual order)
+ * - DELETE: DELETE /api/todos/:id (move todo to the trash)
+ * - TRASH:  GET /api/todos/trash (deleted todos), POST /api/todos/:id/restore (undo a delete),
+ *           DELETE /api/todos/trash and DELETE /api/todos/trash/:id (delete for good)
+ * - BULK:   POST /api/todos/bulk (complete, delete, move, tag... many todos at once)
+ * - FILES:  GET /api/todos/export (download every todo), POST /api/todos/import (upload a file)
+ * - HISTORY: GET /api/todos/:id/history (who changed what, see services/history.js)
+ * - Subtasks: /api/todos/:id/subtasks/... (checklist inside a todo, see routes/subtasks.js)
+ * - Attachments: /api/todos/:id/attachments/... (files on a todo, see routes/attachments.js)
+ *
+ * Single todos come with an ETag, so clients can ask for them only if they changed
+ * (If-None-Match) and change them only if nobody else did (If-Match) - see utils/conditional.js
+ *
+ * Every route here runs AFTER requireAuth (see index.js), so req.user is always set
+ * and every query is limited to the caller's own todos and the ones in lists shared with them.
+ * Viewers of a shared list can only read its todos; changing one needs the editor role
+ * (see services/sharing.js)
+ *
+ * Every change is also pushed to the caller's other open tabs and to the other members of
+ * the list it happened in (see services/events.js), and written to the todo's history
+ * (see services/history.js)
  */
 
 // Import required modules
 const express = require("express");     // Web framework
+const { isDeepStrictEqual } = require("util");
 const router = express.Router();        // Create router to define routes
 const Todo = require("../models/todo"); // Import our Todo model for database operations
+const List = require("../models/list"); // Lists, to find out who a todo in a list belongs to
+const { ApiError } = require("../utils/errors");
+const { validate, validateBody, validateQuery, validateObjectId } = require("../middleware/validate");
+const {
+  createTodoRules,
+  createTodoQueryRules,
+  replaceTodoRules,
+  listTodosQueryRules,
+  upcomingQueryRules,
+  todayQueryRules,
+  remindersQueryRules,
+  deleteTodoQueryRules,
+  trashQueryRules,
+  moveTodoRules,
+  bulkTodoRules,
+  exportQueryRules,
+  importQueryRules,
+} = require("../validators/todo");
+const { paginate } = require("../utils/pagination");
+const { applyMergePatch } = require("../utils/mergePatch");
+const { setTodoValidators, checkIfMatch } = require("../utils/conditional");
+const { paginateSmart } = require("../services/smartOrder");
+const { resolveTimeZone, startOfDay, startOfNextWeek } = require("../utils/dates");
+const { createNextOccurrence } = require("../services/recurrence");
+const { saveAtTop, neighbourPosition } = require("../services/positions");
+const { keyBetween } = require("../utils/fractionalIndex");
+const { publish, publishFromRequest } = require("../services/events");
+const { runBulkOperation } = require("../services/bulkTodos");
+const { ensureTags } = require("../services/tags");
+const trashPurger = require("../services/trashPurger");
+const { snapshotTodo, updateEvent, recordTodoEvents } = require("../services/history");
+const TodoEvent = require("../models/todoEvent");
+const { historyQueryRules } = require("../validators/history");
+const { splitTagList } = require("../validators/tag");
+const { FORMATS } = require("../utils/todoFormats");
+const { streamExport, importTodos } = require("../services/importExport");
+const { parseQuickAdd } = require("../services/quickAdd");
+const {
+  todoAccessFilter,
+  targetList,
+  findTodoFor,
+  isAssignable,
+  assertAssignable,
+  announce,
+  announceLeftList,
+} = require("../services/sharing");
+
+// Largest file POST /api/todos/import accepts
+const IMPORT_SIZE_LIMIT = "5mb";
+
+// What PATCH /api/todos/:id takes (plain JSON is read as a merge patch too)
+const MERGE_PATCH_TYPE = "application/merge-patch+json";
 
 /**
- * GET /api/todos - FETCH ALL TODOS
- * This endpoint returns all todos from the database
- * Frontend calls this when the app loads to display existing todos
+ * ERROR HANDLING
+ * Routes don't need try/catch: Express 5 passes anything thrown in an async handler
+ * to the error handler in middleware/errorHandler.js, which sends
+ * { error: { code, message, details } } with the right status code
  */
-router.get("/", async (req, res) => {
-  try {
-    // Find all todos in database and sort by creation date (newest first)
-    // .sort({ createdAt: -1 }) means sort by createdAt field in descending order
-    const todos = await Todo.find().sort({ createdAt: -1 });
-    
-    // Send todos back to frontend as JSON
-    res.json(todos);
-  } catch (err) {
-    // If something goes wrong (database error, etc.), send error response
-    res.status(500).json({ error: err.message });
+
+/**
+ * Makes sure every tag name a todo was given has a Tag document (with a color),
+ * and tells the caller's tabs when new ones appeared
+ * Tags are per user, so a todo in someone else's list gets them for its owner too
+ * @param {Object} req - Express request (after requireAuth)
+ * @param {string[]|undefined} names - The tag names sent, if any
+ * @param {ObjectId} [owner] - Who the todo belongs to (default: the caller)
+ */
+async function registerTags(req, names, owner = req.user.id) {
+  if (await ensureTags(req.user.id, names)) publishFromRequest(req, "tags.changed", {});
+  if (!owner.equals(req.user.id) && (await ensureTags(owner, names))) publish(owner, "tags.changed", {});
+}
+
+/**
+ * With ?parse=true, reads the quick-add phrases out of the title before the body is validated:
+ * "Call mom tomorrow 5pm #family" becomes { title: "Call mom", dueAt: ..., tags: ["family"] }
+ * Fields sent in the body win over the ones found in the title
+ */
+async function applyQuickAdd(req, res, next) {
+  const { parse, tz } = req.validQuery;
+  if (parse && typeof req.body?.title === "string") {
+    const { title, fields } = await parseQuickAdd(req.user.id, req.body.title, resolveTimeZone(tz));
+    req.body = { ...fields, ...req.body, title };
   }
+  next();
+}
+
+/**
+ * Turns the list/status/search/tag options of GET /api/todos into a MongoDB filter
+ * (also used by POST /api/todos/bulk to pick todos the same way)
+ * Which todos the caller may see at all is added by the caller (todoAccessFilter())
+ * @param {Object} options - { listId, status, q, tags, tagMode } as validated by listTodosQueryRules
+ * @returns {Object} MongoDB filter
+ */
+function todoListFilter({ listId, status, q, tags, tagMode }) {
+  const filter = {};
+
+  // One list only ("inbox" = todos that aren't in any list)
+  if (listId) filter.listId = listId === "inbox" ? null : listId;
+
+  // Status tabs: active = not completed, completed = completed
+  if (status !== "all") filter.completed = status === "completed";
+
+  // Text search uses the text index on title + notes (see models/todo.js)
+  if (q) filter.$text = { $search: q };
+
+  // Tags: "any" = has at least one of them, "all" = has every one of them
+  if (tags) {
+    const names = splitTagList(tags);
+    filter.tags = tagMode === "all" ? { $all: names } : { $in: names };
+  }
+
+  return filter;
+}
+
+/**
+ * GET /api/todos - FETCH TODOS (ONE PAGE AT A TIME)
+ * This endpoint returns the logged-in user's todos (and those in lists shared with them), a page at a time
+ * Frontend calls this when the app loads, when filters change and when scrolling down
+ *
+ * Query parameters (all optional):
+ * - listId: one list's todos, or "inbox" for todos without a list (default: every todo)
+ * - status: "all" (default), "active" or "completed"
+ * - q:      full-text search over title and notes
+ * - tags:   comma-separated tag names (?tags=work,urgent), with
+ *   tagMode: "any" (default, at least one of the tags) or "all" (every one of them)
+ * - sort:   field to sort on, "-" prefix for descending (default "-createdAt" = newest first),
+ *           "manual" for the order the user dragged them into,
+ *           or "smart" for the most pressing first (see services/smartOrder.js)
+ * - limit:  page size (default 50, max 100)
+ * - cursor: nextCursor from the previous page
+ *
+ * Response: { items: [...todos], nextCursor: "..." } (nextCursor is null on the last page)
+ * With an ETag (a hash of the page, made by Express) and Last-Modified, so a repeated request
+ * with If-None-Match gets 304 if the page is the same
+ */
+router.get("/", validateQuery(listTodosQueryRules), async (req, res) => {
+  const { sort, limit, cursor } = req.validQuery;
+  const access = await todoAccessFilter(req.user.id);
+  const filter = { ...access, ...todoListFilter(req.validQuery) };
+
+  // Last-Modified: the newest change to any todo the caller can see - trashed ones included,
+  // so a todo leaving the page (deleted, or no longer matching the filter) counts too
+  const newest = await Todo.findOne(access, { updatedAt: 1 }).sort({ updatedAt: -1 }).setOptions({ withDeleted: true });
+  if (newest) res.set("Last-Modified", newest.updatedAt.toUTCString());
+  res.set("Cache-Control", "private, no-cache");
+
+  // The smart order is a score worked out on the fly, not a field an index can sort on
+  if (sort === "smart") return res.json(await paginateSmart(filter, { limit, cursor }));
+
+  // Manual order is stored in the position field
+  const sortParam = sort === "manual" ? "position" : sort;
+
+  res.json(await paginate(Todo, filter, { sort: sortParam, limit, cursor }));
 });
 
+/**
+ * GET /api/todos/upcoming - DUE DATES AT A GLANCE
+ * Groups the user's unfinished todos that have a due date into:
+ * - overdue:  due date already passed
+ * - today:    due later today
+ * - thisWeek: due after today but before next Monday (always empty on Sundays)
+ * - later:    due next week or after
+ *
+ * Query parameters:
+ * - tz:    the user's time zone (e.g. "Europe/Berlin"), decides when "today" starts (default UTC)
+ * - limit: maximum todos per group (default 50)
+ */
+router.get("/upcoming", validateQuery(upcomingQueryRules), async (req, res) => {
+  const timeZone = resolveTimeZone(req.validQuery.tz);
+  const { limit } = req.validQuery;
+
+  // Work out the boundaries between the groups in the user's time zone
+  const now = new Date();
+  const tomorrow = startOfDay(now, timeZone, 1);
+  const nextWeek = startOfNextWeek(now, timeZone);
+
+  // Each group is one indexed query on (owner, dueAt), earliest due first
+  const base = { ...(await todoAccessFilter(req.user.id)), completed: false };
+  const group = (range) => Todo.find({ ...base, dueAt: range }).sort({ dueAt: 1, _id: 1 }).limit(limit);
+
+  const [overdue, today, thisWeek, later] = await Promise.all([
+    group({ $lt: now }),
+    group({ $gte: now, $lt: tomorrow }),
+    group({ $gte: tomorrow, $lt: nextWeek }),
+    group({ $gte: nextWeek }),
+  ]);
+
+  res.json({ timeZone, overdue, today, thisWeek, later });
+});
+
+/**
+ * GET /api/todos/today - WHAT TO FOCUS ON TODAY
+ * A short list of the unfinished todos that matter today, most pressing first (smart order):
+ * everything overdue or due before the end of today, plus high and urgent todos whatever their
+ * due date. Capped on purpose - it's a focus list, not another view of everything.
+ *
+ * Query parameters:
+ * - tz:    the user's time zone (e.g. "Europe/Berlin"), decides when today ends (default UTC)
+ * - limit: how many todos to return (default 10, max 25)
+ *
+ * Response: { timeZone, items: [...todos], total } - total counts every todo that qualified,
+ * so the client can say how many more there are
+ */
+router.get("/today", validateQuery(todayQueryRules), async (req, res) => {
+  const timeZone = resolveTimeZone(req.validQuery.tz);
+  const { limit } = req.validQuery;
+
+  const filter = {
+    $and: [
+      await todoAccessFilter(req.user.id),
+      {
+        completed: false,
+        $or: [{ dueAt: { $lt: startOfDay(new Date(), timeZone, 1) } }, { priority: { $in: ["high", "urgent"] } }],
+      },
+    ],
+  };
+
+  const [{ items }, total] = await Promise.all([
+    paginateSmart(filter, { limit }),
+    Todo.countDocuments(filter),
+  ]);
+
+  res.json({ timeZone, items, total });
+});
+
+/**
+ * GET /api/todos/reminders - REMINDERS THAT HAVE FIRED
+ * The reminder scheduler (services/reminderScheduler.js) marks reminders as fired.
+ * The frontend polls this with the time of its last check and shows a notification
+ * for every todo returned.
+ *
+ * Reminders go to whoever a todo is assigned to, or to its owner while it's assigned to nobody
+ *
+ * Query: ?since=2024-01-15T10:00:00.000Z
+ * Response: { reminders: [...todos], checkedAt: "..." } - pass checkedAt as "since" next time
+ */
+router.get("/reminders", validateQuery(remindersQueryRules), async (req, res) => {
+  const checkedAt = new Date();
+  const reminders = await Todo.find({
+    $or: [{ owner: req.user.id, assignee: null }, { assignee: req.user.id }],
+    reminderFiredAt: { $gt: req.validQuery.since, $lte: checkedAt },
+  }).sort({ reminderFiredAt: 1 });
+
+  res.json({ reminders, checkedAt });
+});
+
+/**
+ * GET /api/todos/export - DOWNLOAD EVERY TODO
+ * All of the user's todos (not the trash) as one file, with every field, written a todo at a time
+ * Query: ?format=json (default) | csv | md | ics - see utils/todoFormats.js for each format
+ * Response: the file, as an attachment named like todos-2024-01-16.csv
+ */
+router.get("/export", validateQuery(exportQueryRules), async (req, res) => {
+  const { format } = req.validQuery;
+  const date = new Date().toISOString().slice(0, 10);
+  res.attachment(`todos-${date}.${FORMATS[format].extension}`);
+  res.type(FORMATS[format].contentType);
+  await streamExport(req.user.id, format, res);
+});
+
+/**
+ * POST /api/todos/import - UPLOAD TODOS FROM A FILE
+ * The body is the file itself, sent as text (Content-Type: text/plain), in any format
+ * GET /api/todos/export writes - or from other apps: a CSV with a "title" column, a Markdown
+ * checklist ("- [x] Done already"), an iCalendar file with VTODOs (DUE, STATUS, CATEGORIES, RRULE...)
+ *
+ * Query:
+ * - format:     json, csv, md or ics (required)
+ * - dryRun:     true = import nothing, only report what would happen (default false)
+ * - tz:         time zone for dates in the file without one (default UTC)
+ * - duplicates: "skip" (default) todos the user already has (same title and due date), or "import" them
+ *
+ * Response (201, or 200 for a dry run): {
+ *   dryRun,
+ *   summary:  { total, imported, duplicates, errors } - imported = would be imported, for a dry run
+ *   newLists: names of the lists that were (or would be) created for the todos
+ *   rows:     one { line, status, title, id?, errors? } per todo in the file - status is "ready"
+ *             (dry run), "created", "duplicate" or "error" (errors: [{ field, message }])
+ * }
+ * A file that can't be read at all is refused with 400 INVALID_FILE
+ */
+router.post(
+  "/import",
+  validateQuery(importQueryRules),
+  express.text({ type: "*/*", limit: IMPORT_SIZE_LIMIT }),
+  async (req, res) => {
+    if (typeof req.body !== "string" || !req.body.trim()) {
+      throw ApiError.badRequest("Send the file as the request body, with Content-Type: text/plain");
+    }
+    const { format, dryRun, duplicates } = req.validQuery;
+    const { rows, todos, newLists, tagsCreated } = await importTodos(req.user.id, {
+      format,
+      text: req.body,
+      dryRun,
+      timeZone: resolveTimeZone(req.validQuery.tz),
+      duplicates,
+    });
+
+    if (todos.length > 0) {
+      await recordTodoEvents(req, todos.map((todo) => ({ todo, type: "created" })));
+      if (newLists.length > 0) publishFromRequest(req, "lists.changed", {});
+      if (tagsCreated > 0) publishFromRequest(req, "tags.changed", {});
+      publishFromRequest(req, "todos.changed", {});
+    }
+
+    const count = (...statuses) => rows.filter((row) => statuses.includes(row.status)).length;
+    res.status(dryRun ? 200 : 201).json({
+      dryRun,
+      summary: {
+        total: rows.length,
+        imported: count("ready", "created"),
+        duplicates: count("duplicate"),
+        errors: count("error"),
+      },
+      newLists,
+      rows,
+    });
+  }
+);
+
 /**
  * POST /api/todos - CREATE NEW TODO
  * This endpoint creates a new todo in the database
  * Frontend sends todo title in request body: { title: "Buy groceries" }
+ * Optional fields: completed, dueAt, remindAt (ISO date strings), recurrence (see models/todo.js),
+ * listId, tags (tag names - new names become tags with the default color), priority,
+ * assignee (a member of the list), notes (Markdown - HTML and unsafe links are stripped)
+ * validateBody() has already checked the fields and removed anything unknown
+ * Adding to a shared list needs the editor role; the todo then belongs to the list's creator
+ *
+ * Quick add: with ?parse=true&tz=Europe/Berlin the title is read like the add form's preview
+ * reads it - { title: "Pay rent every 1st #home" } is due on the 1st, repeats monthly and is
+ * tagged "home" (see shared/quickAdd.js for every phrase it understands)
  */
-router.post("/", async (req, res) => {
-  try {
-    // Extract title from request body (data sent by frontend)
-    const { title } = req.body;
-    
-    // Validation: make sure title exists and isn't empty
-    if (!title) {
-      return res.status(400).json({ error: "Title required" });
-    }
-    
-    // Create new todo using our Todo model
-    const todo = new Todo({ title });
-    
-    // Save to database (this is when it actually gets stored)
-    await todo.save();
-    
-    // Send the created todo back to frontend with 201 status (Created)
-    res.status(201).json(todo);
-  } catch (err) {
-    // Handle any errors (validation errors, database errors, etc.)
-    res.status(500).json({ error: err.message });
-  }
+router.post("/", validateQuery(createTodoQueryRules), applyQuickAdd, validateBody(createTodoRules), async (req, res) => {
+  const list = await targetList(req.user.id, req.body.listId);
+  const owner = list ? list.owner : req.user.id;
+  await assertAssignable(req.body.assignee, list, owner);
+  await registerTags(req, req.body.tags, owner);
+
+  // Create new todo using our Todo model, owned by whoever is logged in (or the list's creator)
+  const todo = new Todo({ ...req.body, owner });
+
+  // A repeating todo starts its own series (later occurrences share this id)
+  if (todo.recurrence) todo.seriesId = todo._id;
+  
+  // Save to database (this is when it actually gets stored), at the top of the manual order
+  await saveAtTop(todo);
+  await recordTodoEvents(req, [{ todo, type: "created" }]);
+  await announce(req, "todo.created", { todo }, [todo.listId]);
+  
+  // Send the created todo back to frontend with 201 status (Created)
+  setTodoValidators(res, todo);
+  res.status(201).json(todo);
 });
 
 /**
- * PUT /api/todos/:id - UPDATE EXISTING TODO
- * This endpoint updates a specific todo by its ID
- * Frontend sends updates in request body: { completed: true } or { title: "New title" }
- * The :id in the URL is a parameter (e.g., /api/todos/507f1f77bcf86cd799439011)
+ * The fields PATCH and PUT can change, as JSON (ids and dates as strings) - what a merge patch
+ * is applied to
+ * @param {Object} todo - Todo document
+ * @returns {Object}
  */
-router.put("/:id", async (req, res) => {
-  try {
-    // Extract todo ID from URL parameters
-    const { id } = req.params;
-    
-    // Extract update data from request body
-    const updates = req.body; // Could be { completed: true } or { title: 'new title' }
-    
-    // Find todo by ID and update it with new data
-    // { new: true } option returns the updated todo (not the old one)
-    const todo = await Todo.findByIdAndUpdate(id, updates, { new: true });
-    
-    // Send updated todo back to frontend
-    res.json(todo);
-  } catch (err) {
-    // Handle errors (invalid ID, todo not found, database errors, etc.)
-    res.status(500).json({ error: err.message });
+function editableFields(todo) {
+  const json = JSON.parse(JSON.stringify(todo));
+  return Object.fromEntries(Object.keys(replaceTodoRules).map((field) => [field, json[field]]));
+}
+
+/**
+ * The validated fields whose value differs from the todo's
+ * Only these are applied, so e.g. sending an assignee who has since left the list back
+ * unchanged doesn't fail, and the history only shows what really changed
+ * @param {Object} todo - Todo document
+ * @param {Object} fields - Validated fields (every field of replaceTodoRules)
+ * @returns {Object}
+ */
+function changedFields(todo, fields) {
+  const current = editableFields(todo);
+  const asJson = (value) => JSON.parse(JSON.stringify(value ?? null));
+  return Object.fromEntries(
+    Object.entries(fields).filter(([field, value]) => !isDeepStrictEqual(asJson(value), asJson(current[field])))
+  );
+}
+
+/**
+ * Applies changes to a todo and sends it back (shared by PATCH and PUT)
+ * Moving a todo into someone else's list hands it to that list's creator; moving it to the
+ * Inbox makes it the mover's. An assignee who isn't in the todo's new list is unassigned.
+ * Completing a repeating todo sends the next occurrence along: { ...todo, nextOccurrence }
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} todo - The todo (loaded with the editor role)
+ * @param {Object} updates - Validated fields to change
+ */
+async function saveTodoChanges(req, res, todo, updates) {
+  // The list it ends up in decides who it belongs to and who it can be assigned to
+  const list = "listId" in updates
+    ? await targetList(req.user.id, updates.listId)
+    : todo.listId && (await List.findById(todo.listId));
+  const owner = list ? list.owner : req.user.id;
+  if ("assignee" in updates) await assertAssignable(updates.assignee, list, owner);
+  await registerTags(req, updates.tags, owner);
+
+  // Remember whether this update is what completes the todo, and how it looked before
+  const justCompleted = updates.completed === true && !todo.completed;
+  const before = snapshotTodo(todo);
+  const oldListId = todo.listId;
+
+  // Apply the validated fields; save() runs the schema rules (required, maxlength)
+  todo.set(updates);
+
+  // Positions are per owner, so a todo changing hands goes to the top of its new owner's order
+  const changesOwner = !todo.owner.equals(owner);
+  if (changesOwner) todo.owner = owner;
+  if (!(await isAssignable(todo.assignee, list, owner))) todo.assignee = null;
+
+  // A new reminder time means the reminder should fire again
+  if ("remindAt" in updates) todo.reminderFiredAt = null;
+
+  // A todo that starts repeating starts its own series
+  if (todo.recurrence && !todo.seriesId) todo.seriesId = todo._id;
+
+  if (changesOwner) await saveAtTop(todo);
+  else await todo.save();
+
+  // Completing a repeating todo creates the next occurrence straight away
+  // It's sent back alongside the updated todo so the frontend can show it
+  let nextOccurrence = null;
+  if (justCompleted && todo.recurrence) {
+    nextOccurrence = await createNextOccurrence(todo);
   }
+
+  await recordTodoEvents(req, [
+    updateEvent(before, todo),
+    nextOccurrence && { todo: nextOccurrence, type: "created" },
+  ]);
+  await announceLeftList(req, todo, oldListId);
+  await announce(req, "todo.updated", { todo }, [todo.listId]);
+  if (nextOccurrence) await announce(req, "todo.created", { todo: nextOccurrence }, [nextOccurrence.listId]);
+
+  // Send updated todo back to frontend, with its new ETag
+  setTodoValidators(res, todo);
+  res.json(nextOccurrence ? { ...todo.toJSON(), nextOccurrence } : todo);
+}
+
+/**
+ * PATCH /api/todos/:id - CHANGE SOME OF A TODO'S FIELDS
+ * The body is a JSON Merge Patch (Content-Type: application/merge-patch+json, see
+ * utils/mergePatch.js): only the fields to change, e.g. { completed: true } or
+ * { dueAt: null, recurrence: { interval: 2 } }. null removes a field, which puts it back to
+ * what a new todo has (no due date, no notes...); objects like recurrence are merged
+ * Send dates as ISO strings. The patched todo must pass the same checks as PUT's body
+ *
+ * Conditional: send If-Match with the todo's ETag and the change only goes through if nobody
+ * changed the todo since. Otherwise the answer is 412 PRECONDITION_FAILED with the current
+ * server copy in details.current, so the client can merge the two versions (the offline
+ * outbox in the frontend does this)
+ *
+ * Needs the editor role for todos in shared lists
+ */
+router.patch("/:id", validateObjectId("id"), async (req, res) => {
+  if (!req.is(MERGE_PATCH_TYPE, "application/json")) {
+    res.set("Accept-Patch", MERGE_PATCH_TYPE);
+    throw new ApiError(415, "UNSUPPORTED_MEDIA_TYPE", `Send the changes as a JSON Merge Patch (${MERGE_PATCH_TYPE})`);
+  }
+
+  // Find the todo by ID (404 if the caller can't see it, 403 if they may only view it)
+  const todo = await findTodoFor(req.user.id, req.params.id, "editor");
+  checkIfMatch(req, todo);
+
+  const patched = validate(applyMergePatch(editableFields(todo), req.body), replaceTodoRules);
+  await saveTodoChanges(req, res, todo, changedFields(todo, patched));
+});
+
+/**
+ * PUT /api/todos/:id - REPLACE A TODO
+ * The body is the whole todo: { title, notes, completed, dueAt, ... } - title is required,
+ * and any other field left out goes back to what a new todo has (no due date, not in a list...)
+ * To change only some fields use PATCH. If-Match works the same way as for PATCH
+ * Needs the editor role for todos in shared lists
+ */
+router.put("/:id", validateObjectId("id"), validateBody(replaceTodoRules), async (req, res) => {
+  const todo = await findTodoFor(req.user.id, req.params.id, "editor");
+  checkIfMatch(req, todo);
+  await saveTodoChanges(req, res, todo, changedFields(todo, req.body));
+});
+
+/**
+ * GET /api/todos/trash - DELETED TODOS
+ * Todos in the trash, most recently deleted first, a page at a time (same shape as GET /api/todos)
+ * They stay restorable until the trash purger removes them (see services/trashPurger.js)
+ * Includes deleted todos of shared lists the caller is an editor of (the ones they could restore)
+ * Response: { items, nextCursor, retentionDays } - retentionDays = how long they're kept
+ * Query: ?limit=20&cursor=...
+ */
+router.get("/trash", validateQuery(trashQueryRules), async (req, res) => {
+  const { limit, cursor } = req.validQuery;
+  const filter = { ...(await todoAccessFilter(req.user.id, "editor")), deletedAt: { $ne: null } };
+  const page = await paginate(Todo, filter, { sort: "-deletedAt", limit, cursor });
+  res.json({ ...page, retentionDays: trashPurger.RETENTION_DAYS });
+});
+
+/**
+ * GET /api/todos/:id - FETCH ONE TODO
+ * Comes with its ETag and Last-Modified: send If-None-Match with the ETag (or If-Modified-Since)
+ * and the answer is an empty 304 Not Modified if the todo hasn't changed
+ * Accept-Patch says what PATCH /api/todos/:id takes
+ */
+router.get("/:id", validateObjectId("id"), async (req, res) => {
+  const todo = await findTodoFor(req.user.id, req.params.id);
+  setTodoValidators(res, todo);
+  res.set("Accept-Patch", MERGE_PATCH_TYPE);
+  res.json(todo);
+});
+
+/**
+ * DELETE /api/todos/trash - EMPTY THE TRASH
+ * Permanently deletes every todo in the caller's trash (everything GET /api/todos/trash lists)
+ */
+router.delete("/trash", async (req, res) => {
+  const access = await todoAccessFilter(req.user.id, "editor");
+  const purged = await trashPurger.purgeTodos({ ...access, deletedAt: { $ne: null } });
+  res.json({ message: "Trash emptied", purged: purged.length });
+});
+
+/**
+ * DELETE /api/todos/trash/:id - DELETE ONE TODO FOR GOOD
+ * Only todos that are already in the trash can be purged
+ */
+router.delete("/trash/:id", validateObjectId("id"), async (req, res) => {
+  await findTodoFor(req.user.id, req.params.id, "editor", { inTrash: true });
+  const purged = await trashPurger.purgeTodos({ _id: req.params.id, deletedAt: { $ne: null } });
+  if (purged.length === 0) throw ApiError.notFound("Todo not found in the trash");
+  res.json({ message: "Todo deleted for good", purged: 1 });
 });
 
 /**
  * DELETE /api/todos/:id - DELETE TODO
- * This endpoint permanently removes a todo from the database
+ * This endpoint moves a todo to the trash (sets deletedAt), where it can be
+ * restored from until the trash is purged - see POST /api/todos/:id/restore
  * The :id in the URL specifies which todo to delete
+ *
+ * For repeating todos, ?scope= decides how much goes:
+ * - scope=this (default): only this occurrence
+ * - scope=series: every unfinished occurrence in the series (completed ones stay as history)
+ *
+ * With If-Match, the todo is only deleted if it hasn't changed since (412 otherwise, like PATCH)
  */
-router.delete("/:id", async (req, res) => {
-  try {
-    // Extract todo ID from URL parameters
-    const { id } = req.params;
-    
-    // Find and delete the todo by ID
-    await Todo.findByIdAndDelete(id);
+router.delete(
+  "/:id",
+  validateObjectId("id"),
+  validateQuery(deleteTodoQueryRules),
+  async (req, res) => {
+    // Find the todo by ID (deleting needs the editor role)
+    const todo = await findTodoFor(req.user.id, req.params.id, "editor");
+    checkIfMatch(req, todo);
+
+    if (req.validQuery.scope === "series" && todo.seriesId) {
+      // Collect the ids first so the frontend knows exactly which todos disappeared
+      // (only occurrences the caller may delete - some may have moved to other lists)
+      const filter = {
+        $and: [
+          await todoAccessFilter(req.user.id, "editor"),
+          { seriesId: todo.seriesId, $or: [{ completed: false }, { _id: todo._id }] },
+        ],
+      };
+      const series = await Todo.find(filter, { _id: 1, owner: 1, title: 1, listId: 1 });
+      const ids = series.map((t) => t._id);
+      await Todo.updateMany({ _id: { $in: ids } }, { $set: { deletedAt: new Date() } });
+      await recordTodoEvents(req, series.map((t) => ({ todo: t, type: "deleted" })));
+      await announce(req, "todo.deleted", { ids }, series.map((t) => t.listId));
+      return res.json({ message: "Series moved to the trash", deletedIds: ids });
+    }
+
+    todo.deletedAt = new Date();
+    await todo.save();
+    await recordTodoEvents(req, [{ todo, type: "deleted" }]);
+    await announce(req, "todo.deleted", { ids: [todo._id] }, [todo.listId]);
     
     // Send confirmation message back to frontend
-    res.json({ message: "Todo deleted successfully" });
-  } catch (err) {
-    // Handle errors (invalid ID, todo not found, database errors, etc.)
-    res.status(500).json({ error: err.message });
+    res.json({ message: "Todo moved to the trash", deletedIds: [todo._id] });
+  }
+);
+
+/**
+ * POST /api/todos/:id/restore - TAKE A TODO BACK OUT OF THE TRASH
+ * Undoes DELETE /api/todos/:id; the todo comes back exactly as it was
+ * (same list, tags, position in the manual order)
+ * Response: the restored todo
+ */
+router.post("/:id/restore", validateObjectId("id"), async (req, res) => {
+  const todo = await findTodoFor(req.user.id, req.params.id, "editor", { inTrash: true });
+
+  todo.deletedAt = null;
+  await todo.save();
+  await recordTodoEvents(req, [{ todo, type: "restored" }]);
+
+  await announce(req, "todo.created", { todo }, [todo.listId]);
+  setTodoValidators(res, todo);
+  res.json(todo);
+});
+
+/**
+ * PATCH /api/todos/:id/move - MOVE TODO IN THE MANUAL ORDER
+ * Body: { after: "id-of-todo-above", before: "id-of-todo-below" }
+ * Send both neighbours, or just one when dropping at the top or bottom of what's shown.
+ * Only this todo's position changes (it gets a key between its new neighbours' keys).
+ * With a single neighbour it goes right next to it, even if the client hides other todos
+ * (another list, a status tab) that would otherwise come in between.
+ * The manual order is the owner's: in a shared list, neighbours are other todos of the list's creator.
+ */
+router.patch(
+  "/:id/move",
+  validateObjectId("id"),
+  validateBody(moveTodoRules),
+  async (req, res) => {
+    if (!req.body.after && !req.body.before) {
+      throw ApiError.badRequest("Invalid request body", [{ field: "after", message: "send after and/or before" }]);
+    }
+
+    const todo = await findTodoFor(req.user.id, req.params.id, "editor");
+
+    // Look up the neighbours' positions
+    const neighbourIds = [req.body.after, req.body.before].filter(Boolean);
+    const neighbours = await Todo.find({ _id: { $in: neighbourIds }, owner: todo.owner }, { position: 1 });
+    const positionOf = (field) => {
+      const id = req.body[field];
+      if (!id) return undefined;
+      const neighbour = neighbours.find((n) => n._id.equals(id));
+      if (!neighbour || neighbour._id.equals(todo._id)) {
+        throw ApiError.badRequest("Invalid neighbour", [{ field, message: "must be another one of your todos" }]);
+      }
+      if (neighbour.position === null) {
+        throw ApiError.conflict("Todos are still being prepared for manual ordering, please try again");
+      }
+      return neighbour.position;
+    };
+    let lower = positionOf("after");
+    let upper = positionOf("before");
+
+    // Only one neighbour: the other side is whatever comes next in the full order
+    if (upper === undefined) upper = await neighbourPosition(todo.owner, lower, 1, todo._id);
+    if (lower === undefined) lower = await neighbourPosition(todo.owner, upper, -1, todo._id);
+
+    // The client's view is out of date (someone reordered in another tab)
+    if (lower !== null && upper !== null && lower >= upper) {
+      throw ApiError.conflict("Those todos are no longer next to each other, please reload");
+    }
+
+    // Trashed todos keep their position (for restoring) but the client doesn't see them:
+    // don't let the new key land on one that sits between the two neighbours
+    if (lower !== null && upper !== null) {
+      const next = await neighbourPosition(todo.owner, lower, 1, todo._id);
+      if (next !== null && next < upper) upper = next;
+    }
+
+    todo.position = keyBetween(lower, upper);
+    await todo.save();
+    await announce(req, "todo.updated", { todo }, [todo.listId]);
+    setTodoValidators(res, todo);
+    res.json(todo);
+  }
+);
+
+// Which body field carries the value for operations that need one
+const BULK_VALUE_FIELDS = { setList: "listId", addTag: "tag", removeTag: "tag", setDueDate: "dueAt" };
+
+/**
+ * POST /api/todos/bulk - ONE CHANGE TO MANY TODOS
+ * Body: { ids: [...] } or { filter: { listId, status, q, tags, tagMode } } (same as for GET /api/todos),
+ * plus the operation and, where it needs one, its value:
+ *   { ids, operation: "complete" | "uncomplete" | "delete" }
+ *   { ids, operation: "setList", listId: "..." }          (null = Inbox)
+ *   { ids, operation: "addTag" | "removeTag", tag: "work" }
+ *   { ids, operation: "setDueDate", dueAt: "2024-01-16T17:00:00.000Z" } (null clears it)
+ * e.g. "Clear completed" = { filter: { status: "completed" }, operation: "delete" }
+ *
+ * The batch is all-or-nothing where MongoDB supports transactions (see services/bulkTodos.js).
+ * Only todos the caller may change are touched (viewers' todos answer "not_found"), and setList
+ * only moves todos that already belong to the target list's creator (the others "failed").
+ * Response: {
+ *   results:      one { id, status, error? } per todo - status is "updated", "deleted",
+ *                 "unchanged" (already that way), "failed" (with error) or "not_found"
+ *   todos:        the updated todos
+ *   createdTodos: next occurrences of repeating todos that were completed
+ *   deletedIds:   the deleted todos
+ *   hasMore:      true if a filter matched more than 500 todos - send it again for the rest
+ * }
+ */
+router.post("/bulk", validateBody(bulkTodoRules), async (req, res) => {
+  const { ids, filter, operation } = req.body;
+  if (Boolean(ids) === Boolean(filter)) {
+    throw ApiError.badRequest("Invalid request body", [{ field: "ids", message: "send either ids or filter" }]);
+  }
+  const valueField = BULK_VALUE_FIELDS[operation];
+  if (valueField && req.body[valueField] === undefined) {
+    throw ApiError.badRequest("Invalid request body", [{ field: valueField, message: `is required for ${operation}` }]);
   }
+  const value = valueField ? req.body[valueField] : undefined;
+  let listOwner;
+  if (operation === "setList") {
+    const list = await targetList(req.user.id, value);
+    listOwner = list ? list.owner : req.user.id;
+  }
+  if (operation === "addTag") await registerTags(req, [value]);
+
+  const { results, changed, hasMore } = await runBulkOperation({
+    access: await todoAccessFilter(req.user.id, "editor"),
+    ids,
+    filter: filter && todoListFilter(filter),
+    operation,
+    value,
+    listOwner,
+  });
+  const changedIds = changed.map((todo) => todo._id);
+  const listIds = changed.map((todo) => todo.listId);
+
+  if (operation === "delete") {
+    await recordTodoEvents(req, changed.map((todo) => ({ todo, type: "deleted" })));
+    if (changedIds.length > 0) await announce(req, "todo.deleted", { ids: changedIds }, listIds);
+    return res.json({ results, todos: [], createdTodos: [], deletedIds: changedIds, hasMore });
+  }
+
+  // Completed repeating todos get their next occurrence, like with PUT
+  // (after the batch, so a failed batch never leaves new occurrences behind)
+  const createdTodos = [];
+  if (operation === "complete") {
+    for (const todo of changed) {
+      const next = todo.recurrence ? await createNextOccurrence(todo) : null;
+      if (next) createdTodos.push(next);
+    }
+  }
+
+  const todos = await Todo.find({ _id: { $in: changedIds } });
+
+  // changed holds the todos as they were before the batch
+  const beforeById = new Map(changed.map((todo) => [todo._id.toString(), snapshotTodo(todo)]));
+  await recordTodoEvents(req, [
+    ...todos.map((todo) => updateEvent(beforeById.get(todo._id.toString()), todo)),
+    ...createdTodos.map((todo) => ({ todo, type: "created" })),
+  ]);
+  if (todos.length > 0) await announce(req, "todos.changed", {}, [...listIds, ...todos.map((todo) => todo.listId)]);
+  res.json({ results, todos, createdTodos, deletedIds: [], hasMore });
+});
+
+/**
+ * GET /api/todos/:id/history - WHAT HAPPENED TO A TODO
+ * Its events, newest first, a page at a time: created, updated (with the fields that
+ * changed), completed, deleted, restored - each with who did it and when.
+ * Works for todos in the trash too (and even after they're purged, as long as events exist -
+ * then only for the user who owned the todo)
+ * Query: ?limit=20&cursor=...
+ * Response: { items: [{ _id, type, actor, actorName, title, changes: [{ field, before, after }], createdAt }], nextCursor }
+ */
+router.get("/:id/history", validateObjectId("id"), validateQuery(historyQueryRules), async (req, res) => {
+  const { limit, cursor } = req.validQuery;
+
+  // While the todo exists, everyone who can see it can see its history
+  const exists = await Todo.exists({ _id: req.params.id }).setOptions({ withDeleted: true });
+  if (exists) await findTodoFor(req.user.id, req.params.id, "viewer", { withDeleted: true });
+
+  const filter = exists ? { todo: req.params.id } : { owner: req.user.id, todo: req.params.id };
+  const page = await paginate(TodoEvent, filter, { sort: "-createdAt", limit, cursor });
+
+  // No events at all: only fine if the todo exists (todos from before history have none)
+  if (page.items.length === 0 && !cursor && !exists) throw ApiError.notFound("Todo not found");
+  res.json(page);
 });
 
+/**
+ * /api/todos/:id/subtasks - CHECKLIST INSIDE A TODO
+ * Add, tick, rename, reorder and remove subtasks (see routes/subtasks.js)
+ */
+router.use("/:id/subtasks", validateObjectId("id"), require("./subtasks"));
+
+/**
+ * /api/todos/:id/attachments - FILES ON A TODO
+ * Upload, download and remove attachments (see routes/attachments.js)
+ */
+router.use("/:id/attachments", validateObjectId("id"), require("./attachments"));
+
 /**
  * EXPORT ROUTER
  * This makes all our routes available to be used in the main server file
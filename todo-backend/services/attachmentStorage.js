@@ -0,0 +1,96 @@
+/**
+ * ATTACHMENT STORAGE
+ * Where the files attached to todos live. The todo only keeps their metadata (see models/todo.js);
+ * the bytes are stored under a key - the attachment's _id - in a storage backend.
+ *
+ * A backend is any object with these three functions, so another one (S3, GridFS, ...)
+ * can be swapped in with setStorage() without touching the routes:
+ *   save(key, buffer)  -> Promise, stores the file (replacing any file with that key)
+ *   open(key)          -> Promise<Readable>, rejects with err.code === 'ENOENT' if there's no such file
+ *   remove(key)        -> Promise, does nothing if there's no such file
+ *
+ * The default backend keeps the files on local disk, in ATTACHMENTS_DIR (default: ./uploads).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+
+// Keys are attachment ids - anything else (like "../") never reaches the disk
+const KEY_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * A storage backend that keeps every file in one folder on local disk
+ * @param {string} root - The folder (created when the first file is saved)
+ * @returns {{ save: Function, open: Function, remove: Function }}
+ */
+function createLocalDiskStorage(root) {
+  const fileFor = (key) => {
+    if (!KEY_PATTERN.test(key)) throw new Error(`Invalid attachment key "${key}"`);
+    return path.join(root, key);
+  };
+
+  return {
+    async save(key, buffer) {
+      const file = fileFor(key);
+      await fs.promises.mkdir(root, { recursive: true });
+      // Write under a temporary name first, so a half-written file is never served
+      const temp = `${file}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+      try {
+        await fs.promises.writeFile(temp, buffer);
+        await fs.promises.rename(temp, file);
+      } catch (err) {
+        await fs.promises.rm(temp, { force: true });
+        throw err;
+      }
+    },
+
+    async open(key) {
+      // Opening first makes a missing file fail here rather than halfway through a response
+      const handle = await fs.promises.open(fileFor(key), 'r');
+      return handle.createReadStream();
+    },
+
+    async remove(key) {
+      await fs.promises.rm(fileFor(key), { force: true });
+    },
+  };
+}
+
+let storage = createLocalDiskStorage(
+  path.resolve(process.env.ATTACHMENTS_DIR || path.join(__dirname, '..', 'uploads'))
+);
+
+/**
+ * The storage backend in use
+ * @returns {{ save: Function, open: Function, remove: Function }}
+ */
+function getStorage() {
+  return storage;
+}
+
+/**
+ * Switches to another storage backend (call it before the server starts)
+ * @param {{ save: Function, open: Function, remove: Function }} backend
+ */
+function setStorage(backend) {
+  storage = backend;
+}
+
+/**
+ * Deletes the stored files of todos that are gone for good
+ * Failures are only logged: the todos are already deleted, so a leftover file is all that's lost
+ * @param {Object[]} todos - The purged todos (with their attachments)
+ * @returns {Promise<number>} How many files were removed
+ */
+async function removeTodoFiles(todos) {
+  const keys = todos.flatMap((todo) => (todo.attachments || []).map((a) => a._id.toString()));
+  const results = await Promise.allSettled(keys.map((key) => storage.remove(key)));
+  for (const result of results) {
+    if (result.status === 'rejected') logger.error('could not delete an attachment file', { err: result.reason });
+  }
+  return results.filter((result) => result.status === 'fulfilled').length;
+}
+
+module.exports = { createLocalDiskStorage, getStorage, setStorage, removeTodoFiles };
@@ -0,0 +1,165 @@
+/**
+ * BULK CHANGES
+ * POST /api/todos/bulk runs one operation (complete, delete, move to a list, ...) on many
+ * todos at once and reports what happened to each one (see routes/todo.js).
+ *
+ * Atomicity: on a replica set or sharded cluster the whole batch runs in one transaction,
+ * so either every todo changes or none does. A standalone MongoDB server has no multi-document
+ * transactions; there the batch is a single updateMany - each todo still changes
+ * atomically, but a crash halfway through could leave the batch partly applied.
+ */
+
+const mongoose = require('mongoose');
+const Todo = require('../models/todo');
+const { MAX_BULK_ITEMS, MAX_TAGS_PER_TODO } = require('../validators/todo');
+
+/**
+ * What each operation does, given its value (the list id, tag or due date sent with it):
+ * - pending: filter for the todos it would actually change (the others are "unchanged")
+ * - update:  the update to apply
+ * - refuse:  optional, returns why one todo can't take the change
+ * - guard:   optional, extra filter for the write that enforces the same rule as refuse
+ * refuse and guard also get the options passed to runBulkOperation()
+ */
+const OPERATIONS = {
+  complete: {
+    pending: () => ({ completed: false }),
+    update: () => ({ $set: { completed: true } }),
+  },
+  uncomplete: {
+    pending: () => ({ completed: true }),
+    update: () => ({ $set: { completed: false } }),
+  },
+  // Deleting moves the todos to the trash (the model hides them from every other query)
+  delete: {
+    pending: () => ({}),
+    update: () => ({ $set: { deletedAt: new Date() } }),
+  },
+  // Todos in a list belong to the list's creator (see services/sharing.js), so a batch only
+  // moves todos that already belong to them - moving one to someone else goes through PUT
+  setList: {
+    pending: (listId) => ({ listId: { $ne: listId } }),
+    update: (listId) => ({ $set: { listId } }),
+    refuse: (todo, listId, { listOwner }) => (todo.owner.equals(listOwner) ? null : 'belongs to someone else - move it on its own'),
+    guard: (listId, { listOwner }) => ({ owner: listOwner }),
+  },
+  addTag: {
+    pending: (tag) => ({ tags: { $ne: tag } }),
+    update: (tag) => ({ $addToSet: { tags: tag } }),
+    refuse: (todo) => (todo.tags.length >= MAX_TAGS_PER_TODO ? `already has ${MAX_TAGS_PER_TODO} tags` : null),
+    // Checked again while writing, in case the todo gained tags since it was read
+    guard: () => ({ [`tags.${MAX_TAGS_PER_TODO - 1}`]: { $exists: false } }),
+  },
+  removeTag: {
+    pending: (tag) => ({ tags: tag }),
+    update: (tag) => ({ $pull: { tags: tag } }),
+  },
+  setDueDate: {
+    pending: (dueAt) => ({ dueAt: { $ne: dueAt } }),
+    update: (dueAt) => ({ $set: { dueAt } }),
+  },
+};
+
+// Whether the database can run transactions (found out on first use)
+let transactionsSupported = null;
+
+/**
+ * @returns {Promise<boolean>} true when connected to a replica set or a sharded cluster
+ */
+async function supportsTransactions() {
+  if (transactionsSupported === null) {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionsSupported = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+  }
+  return transactionsSupported;
+}
+
+/**
+ * Runs work inside a transaction if the database has them, or directly if it doesn't
+ * @param {Function} work - Called with the session to pass to every query (null without transactions);
+ *   may be called again if the transaction hits a temporary error, so it must only touch the database
+ * @returns {Promise<*>} What work returned
+ */
+async function inTransaction(work) {
+  if (!(await supportsTransactions())) return work(null);
+  return mongoose.connection.transaction((session) => work(session));
+}
+
+/**
+ * Applies one operation to many of a user's todos
+ * @param {Object} options
+ * @param {Object} options.access - Filter for the todos the caller may change (see todoAccessFilter() in services/sharing.js)
+ * @param {string[]} [options.ids] - The todos to change...
+ * @param {Object} [options.filter] - ...or a MongoDB filter picking them (without access)
+ * @param {string} options.operation - One of the keys of OPERATIONS
+ * @param {*} [options.value] - The operation's value (list id, tag or due date)
+ * @param {ObjectId} [options.listOwner] - setList only: who the target list's todos belong to
+ * @returns {Promise<Object>} {
+ *   results: [{ id, status: "updated" | "deleted" | "unchanged" | "failed" | "not_found", error? }],
+ *   changed: the changed todos as they were before the operation,
+ *   hasMore: true if the filter matched more than MAX_BULK_ITEMS todos and this batch changed
+ *     some (send the request again)
+ * }
+ */
+async function runBulkOperation({ access, ids, filter, operation, value, listOwner }) {
+  const op = OPERATIONS[operation];
+  const context = { listOwner };
+
+  return inTransaction(async (session) => {
+    const results = new Map();
+    let candidates;
+    let hasMore = false;
+
+    if (ids) {
+      // Every id gets a result, so first sort out which ones exist at all
+      const existing = await Todo.find({ $and: [access, { _id: { $in: ids } }] }, { _id: 1 }).session(session);
+      for (const id of ids) results.set(id.toString(), { id, status: 'not_found' });
+      for (const todo of existing) results.set(todo._id.toString(), { id: todo._id, status: 'unchanged' });
+      candidates = await Todo.find({ $and: [access, { _id: { $in: ids }, ...op.pending(value) }] }).session(session);
+    } else {
+      // Only the todos the operation still changes - and may change (guard), or the ones it
+      // refuses would come back every time - so sending the same request again picks up
+      // where the last one stopped
+      const guard = op.guard ? op.guard(value, context) : {};
+      candidates = await Todo.find({ $and: [access, { ...filter, ...op.pending(value), ...guard }] })
+        .sort({ _id: 1 })
+        .limit(MAX_BULK_ITEMS + 1)
+        .session(session);
+      hasMore = candidates.length > MAX_BULK_ITEMS;
+      candidates = candidates.slice(0, MAX_BULK_ITEMS);
+    }
+
+    let changed = [];
+    for (const todo of candidates) {
+      const reason = op.refuse ? op.refuse(todo, value, context) : null;
+      if (reason) {
+        results.set(todo._id.toString(), { id: todo._id, status: 'failed', error: reason });
+      } else {
+        changed.push(todo);
+      }
+    }
+
+    if (changed.length > 0) {
+      const pendingFilter = { _id: { $in: changed.map((todo) => todo._id) }, ...op.pending(value) };
+      const guard = op.guard ? op.guard(value, context) : {};
+      await Todo.updateMany({ $and: [access, { ...pendingFilter, ...guard }] }, op.update(value), { session });
+
+      // The guard may have held some back (they changed since they were read) - those still
+      // match pending afterwards (deleted ones don't: the trash is hidden from queries)
+      const skipped = await Todo.find({ $and: [access, pendingFilter] }).session(session);
+      const skippedIds = new Set(skipped.map((todo) => todo._id.toString()));
+      for (const todo of skipped) {
+        const reason = (op.refuse && op.refuse(todo, value, context)) || 'changed while the batch ran';
+        results.set(todo._id.toString(), { id: todo._id, status: 'failed', error: reason });
+      }
+      changed = changed.filter((todo) => !skippedIds.has(todo._id.toString()));
+    }
+    const status = operation === 'delete' ? 'deleted' : 'updated';
+    for (const todo of changed) results.set(todo._id.toString(), { id: todo._id, status });
+
+    // Nothing changed in this batch? Then sending it again wouldn't either
+    return { results: [...results.values()], changed, hasMore: hasMore && changed.length > 0 };
+  });
+}
+
+module.exports = { runBulkOperation };
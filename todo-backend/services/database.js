@@ -0,0 +1,67 @@
+/**
+ * DATABASE CONNECTION
+ * Connects mongoose to MongoDB, and keeps trying when it can't: the database may simply not
+ * be up yet (e.g. both started together by docker compose). Each failed attempt waits longer
+ * before the next - 1s, 2s, 4s... up to MONGO_RETRY_MAX_DELAY_MS (30s unless set in .env) -
+ * with some randomness, so a fleet of servers doesn't retry in lockstep.
+ *
+ * Once connected, mongoose reconnects by itself if the connection drops later.
+ * Mistakes that retrying can't fix (no MONGO_URI, a malformed one) fail straight away.
+ */
+
+const mongoose = require('mongoose');
+const { setTimeout: sleep } = require('timers/promises');
+const { logger } = require('../utils/logger');
+
+const FIRST_DELAY_MS = 1000;
+const MAX_DELAY_MS = Number(process.env.MONGO_RETRY_MAX_DELAY_MS) || 30 * 1000;
+
+// How long one attempt waits for a server to answer (mongoose's default is 30s)
+const ATTEMPT_TIMEOUT_MS = 10 * 1000;
+
+// mongoose.connection.readyState -> name
+const STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+/**
+ * @param {Error} err - Why mongoose.connect() failed
+ * @returns {boolean} true if trying again can't help
+ */
+function isPermanent(err) {
+  return err.name === 'MongoParseError' || (err.name === 'MongooseError' && /uri/i.test(err.message));
+}
+
+/**
+ * Connects to MongoDB, retrying with backoff until it works
+ * @param {string} uri - The connection string (MONGO_URI)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Gives up (rejecting with an AbortError) when aborted,
+ *   e.g. because the server is shutting down
+ * @returns {Promise} Resolves once connected
+ */
+async function connectWithRetry(uri, { signal } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    signal?.throwIfAborted();
+    try {
+      await mongoose.connect(uri, { serverSelectionTimeoutMS: ATTEMPT_TIMEOUT_MS });
+      return;
+    } catch (err) {
+      if (isPermanent(err)) throw err;
+      signal?.throwIfAborted();
+
+      const backoff = Math.min(MAX_DELAY_MS, FIRST_DELAY_MS * 2 ** (attempt - 1));
+      const delay = Math.round(backoff * (0.5 + Math.random() / 2));
+      logger.warn('mongodb connection failed, retrying', { attempt, retryInMs: delay, err: err.message });
+      await sleep(delay, undefined, { signal });
+    }
+  }
+}
+
+/**
+ * @returns {{ state: string, connected: boolean }} Where the connection is at
+ */
+function databaseStatus() {
+  const { readyState } = mongoose.connection;
+  return { state: STATES[readyState] ?? 'unknown', connected: readyState === 1 };
+}
+
+module.exports = { connectWithRetry, databaseStatus };
@@ -0,0 +1,92 @@
+/**
+ * LIVE EVENTS (PUSH CHANNEL)
+ * When a todo is created, changed or deleted, every open tab/device of its owner is told
+ * right away through GET /api/events (see routes/events.js), so nobody has to reload.
+ *
+ * Events:
+ * - todo.created  { todo }    a new todo exists
+ * - todo.updated  { todo }    a todo changed (the full new version)
+ * - todo.deleted  { ids }     these todos are gone
+ * - todos.changed {}          many todos changed at once (e.g. a list was deleted) - reload
+ * - lists.changed {}          a list was created, renamed or deleted - reload the sidebar
+ * - tags.changed  {}          a tag was created, renamed, recolored or deleted - reload the tags
+ *
+ * Every event also carries "origin": the X-Client-Id header of the request that caused it.
+ * Each browser tab sends its own id, so it can skip the events about its own changes.
+ *
+ * Subscribers live in this process's memory. With several server processes behind a
+ * load balancer each one only sees its own changes - that would need a shared bus (e.g. Redis).
+ */
+
+// userId (string) -> Set of listener functions
+const subscribers = new Map();
+
+// Functions that end each open stream (see closeAllStreams)
+const streams = new Set();
+
+/**
+ * Starts listening for one user's events
+ * @param {ObjectId|string} userId - Whose events to receive
+ * @param {Function} listener - Called with (type, data) for every event
+ * @returns {Function} Call it to stop listening
+ */
+function subscribe(userId, listener) {
+  const key = userId.toString();
+  if (!subscribers.has(key)) subscribers.set(key, new Set());
+  subscribers.get(key).add(listener);
+
+  return () => {
+    const listeners = subscribers.get(key);
+    if (!listeners) return;
+    listeners.delete(listener);
+    if (listeners.size === 0) subscribers.delete(key);
+  };
+}
+
+/**
+ * Sends an event to every open connection of one user
+ * @param {ObjectId|string} userId - Whose tabs should hear about it
+ * @param {string} type - Event type, e.g. "todo.updated"
+ * @param {Object} data - Event payload, e.g. { todo }
+ * @param {string|null} [origin=null] - Client id of the tab that caused it
+ */
+function publish(userId, type, data, origin = null) {
+  const listeners = subscribers.get(userId.toString());
+  if (!listeners) return;
+  const payload = { ...data, origin };
+  for (const listener of listeners) {
+    listener(type, payload);
+  }
+}
+
+/**
+ * publish() for route handlers: the caller is the user, the origin comes from X-Client-Id
+ * @param {Object} req - Express request (after requireAuth)
+ * @param {string} type - Event type
+ * @param {Object} data - Event payload
+ */
+function publishFromRequest(req, type, data) {
+  publish(req.user.id, type, data, req.get('X-Client-Id') || null);
+}
+
+/**
+ * Remembers an open event stream, so closeAllStreams() can end it
+ * @param {Function} end - Ends the stream
+ * @returns {Function} Call it once the stream has closed
+ */
+function trackStream(end) {
+  streams.add(end);
+  return () => streams.delete(end);
+}
+
+/**
+ * Ends every open event stream - used when the server shuts down, since streams never end on
+ * their own and would keep it waiting. Clients reconnect (to another server, or this one once
+ * it's back).
+ */
+function closeAllStreams() {
+  for (const end of streams) end();
+  streams.clear();
+}
+
+module.exports = { subscribe, publish, publishFromRequest, trackStream, closeAllStreams };
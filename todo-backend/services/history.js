@@ -0,0 +1,82 @@
+/**
+ * TODO HISTORY
+ * The todo routes call recordTodoEvents() after every change, which appends one TodoEvent per
+ * todo: what happened, who did it and - for updates - which fields changed from what to what.
+ *
+ * Updates are diffed on snapshots taken before and after the change:
+ *   const before = snapshotTodo(todo);
+ *   ...change and save the todo...
+ *   await recordTodoEvents(req, [updateEvent(before, todo)]);
+ */
+
+const TodoEvent = require('../models/todoEvent');
+
+// Fields whose changes show up in the history (the rest, like position, is bookkeeping)
+const TRACKED_FIELDS = [
+  'title', 'notes', 'completed', 'dueAt', 'remindAt', 'recurrence', 'listId', 'assignee', 'tags', 'priority',
+  'subtasks', 'attachments',
+];
+
+/**
+ * The tracked fields of a todo, the way the API shows them (dates as ISO strings, ids as strings)
+ * @param {Object} todo - Todo document
+ * @returns {Object} Plain object with just the tracked fields
+ */
+function snapshotTodo(todo) {
+  const json = JSON.parse(JSON.stringify(todo));
+  const snapshot = {};
+  for (const field of TRACKED_FIELDS) {
+    snapshot[field] = json[field] ?? null;
+  }
+  // Subtask ids mean nothing to a reader - the checklist is its titles and ticks
+  snapshot.subtasks = (json.subtasks || []).map(({ title, completed }) => ({ title, completed }));
+  // ...and the attachments their file names
+  snapshot.attachments = (json.attachments || []).map(({ name }) => name);
+  return snapshot;
+}
+
+/**
+ * Field-level diff between two snapshots
+ * @param {Object} before - snapshotTodo() before the change
+ * @param {Object} after - snapshotTodo() after the change
+ * @returns {Object[]} [{ field, before, after }] for every tracked field that changed
+ */
+function diffSnapshots(before, after) {
+  return TRACKED_FIELDS
+    .filter((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map((field) => ({ field, before: before[field], after: after[field] }));
+}
+
+/**
+ * The event for a change to a todo: "completed" if this change completed it, "updated" otherwise
+ * @param {Object} before - snapshotTodo() before the change
+ * @param {Object} todo - The todo after the change
+ * @returns {Object|null} { todo, type, changes }, or null if no tracked field changed
+ */
+function updateEvent(before, todo) {
+  const changes = diffSnapshots(before, snapshotTodo(todo));
+  if (changes.length === 0) return null;
+  const completed = changes.some((c) => c.field === 'completed' && c.after === true);
+  return { todo, type: completed ? 'completed' : 'updated', changes };
+}
+
+/**
+ * Appends events to the history, with the caller as the one who did it
+ * @param {Object} req - Express request (after requireAuth)
+ * @param {Array<Object|null>} events - { todo, type, changes? } each; nulls are skipped
+ */
+async function recordTodoEvents(req, events) {
+  const docs = events.filter(Boolean).map(({ todo, type, changes = [] }) => ({
+    todo: todo._id,
+    owner: todo.owner,
+    listId: todo.listId ?? null,
+    actor: req.user.id,
+    actorName: req.user.username,
+    type,
+    title: todo.title,
+    changes,
+  }));
+  if (docs.length > 0) await TodoEvent.insertMany(docs);
+}
+
+module.exports = { TRACKED_FIELDS, snapshotTodo, diffSnapshots, updateEvent, recordTodoEvents };
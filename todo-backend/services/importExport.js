@@ -0,0 +1,169 @@
+/**
+ * EXPORT AND IMPORT
+ * GET /api/todos/export streams all of a user's todos as one file, and POST /api/todos/import
+ * reads such a file back in (see routes/todo.js). The file formats themselves live in
+ * utils/todoFormats.js; this is the database side.
+ *
+ * An import goes row by row: every row is validated on its own, so one bad row is reported
+ * instead of failing the whole file. Rows that match a todo the user already has
+ * (same title, ignoring case, and same due date) count as duplicates.
+ */
+
+const Todo = require('../models/todo');
+const List = require('../models/list');
+const { ApiError } = require('../utils/errors');
+const { validate } = require('../middleware/validate');
+const { FORMATS, plainTodo } = require('../utils/todoFormats');
+const { MAX_IMPORT_ROWS, importTodoRules } = require('../validators/todo');
+const { insertAtTop } = require('./positions');
+const { ensureTags } = require('./tags');
+
+/**
+ * Writes a chunk, waiting for the client to catch up if the response's buffer is full
+ * @param {Object} res - Express response
+ * @param {string} chunk
+ */
+function write(res, chunk) {
+  if (!chunk || res.write(chunk)) return Promise.resolve();
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done); // The client went away
+  });
+}
+
+/**
+ * Streams every todo of a user (not the trash) to the response, a todo at a time
+ * The caller sets the headers; this writes the body and ends it
+ * @param {ObjectId} owner - The user's id
+ * @param {string} formatName - Key of FORMATS ("json", "csv", "md", "ics")
+ * @param {Object} res - Express response
+ */
+async function streamExport(owner, formatName, res) {
+  const format = FORMATS[formatName];
+  const lists = await List.find({ owner }, { name: 1 });
+  const listNames = new Map(lists.map((list) => [list._id.toString(), list.name]));
+
+  const state = {};
+  await write(res, format.header());
+  const cursor = Todo.find({ owner }).sort(format.sort || { createdAt: 1, _id: 1 }).cursor();
+  for await (const todo of cursor) {
+    if (res.destroyed) break; // Leaving the loop closes the cursor
+    const listName = todo.listId ? listNames.get(todo.listId.toString()) ?? null : null;
+    await write(res, format.row(plainTodo(todo, listName), state));
+  }
+  await write(res, format.footer());
+  res.end();
+}
+
+/**
+ * Duplicate key of a todo: its title (ignoring case) and due date
+ */
+function duplicateKey(title, dueAt) {
+  return `${title.toLowerCase()}|${dueAt ? dueAt.getTime() : ''}`;
+}
+
+/**
+ * Imports todos from a file
+ * @param {ObjectId} owner - The user's id
+ * @param {Object} options
+ * @param {string} options.format - Key of FORMATS
+ * @param {string} options.text - The file's contents
+ * @param {boolean} options.dryRun - true = only work out what would happen
+ * @param {string} options.timeZone - Zone for dates in the file that don't have one
+ * @param {"skip"|"import"} options.duplicates - What to do with todos the user already has
+ * @returns {Promise<Object>} {
+ *   rows:        one { line, status, title, id?, errors? } per todo in the file - status is
+ *                "ready" (dry run), "created", "duplicate" or "error" (errors: [{ field, message }])
+ *   todos:       the created todos
+ *   newLists:    names of the lists that were (or would be) created
+ *   tagsCreated: how many new tags the todos brought along
+ * }
+ * @throws {ApiError} 400 if the file can't be read at all or has too many todos
+ */
+async function importTodos(owner, { format, text, dryRun, timeZone, duplicates }) {
+  let parsed;
+  try {
+    parsed = FORMATS[format].parse(text, { timeZone });
+  } catch (err) {
+    throw new ApiError(400, 'INVALID_FILE', `The file could not be read: ${err.message}`);
+  }
+  if (parsed.length > MAX_IMPORT_ROWS) {
+    throw ApiError.badRequest(`The file has ${parsed.length} todos - at most ${MAX_IMPORT_ROWS} can be imported at once`);
+  }
+
+  // 1. Every row on its own against the same rules as POST /api/todos
+  const rows = parsed.map(({ line, fields, error }) => {
+    if (error) return { line, status: 'error', title: null, errors: [{ field: null, message: error }] };
+    try {
+      const clean = validate(fields, importTodoRules);
+      return { line, status: dryRun ? 'ready' : 'created', title: clean.title, fields: clean };
+    } catch (err) {
+      if (!err.details) throw err;
+      const title = typeof fields.title === 'string' ? fields.title : null;
+      return { line, status: 'error', title, errors: err.details };
+    }
+  });
+
+  // 2. Duplicates: of the user's todos, and of rows further up in the same file
+  let pending = rows.filter((row) => row.fields);
+  if (duplicates === 'skip' && pending.length > 0) {
+    const titles = [...new Set(pending.map((row) => row.fields.title))];
+    const existing = await Todo.find({ owner, title: { $in: titles } }, { title: 1, dueAt: 1 })
+      .collation({ locale: 'en', strength: 2 }); // Case-insensitive, like duplicateKey()
+    const seen = new Set(existing.map((todo) => duplicateKey(todo.title, todo.dueAt)));
+    for (const row of pending) {
+      const key = duplicateKey(row.fields.title, row.fields.dueAt);
+      if (seen.has(key)) row.status = 'duplicate';
+      else seen.add(key);
+    }
+    pending = pending.filter((row) => row.status !== 'duplicate');
+  }
+
+  // 3. Lists are matched by name (ignoring case); the ones the user doesn't have are created
+  const lists = await List.find({ owner }, { name: 1, position: 1 });
+  const listIds = new Map(lists.map((list) => [list.name.toLowerCase(), list._id]));
+  const missing = new Map();
+  for (const { fields } of pending) {
+    const key = fields.list?.toLowerCase();
+    if (key && !listIds.has(key) && !missing.has(key)) missing.set(key, fields.list);
+  }
+  const newLists = [...missing.values()];
+
+  const report = (todos, tagsCreated) => ({
+    rows: rows.map(({ fields, ...row }) => row),
+    todos,
+    newLists,
+    tagsCreated,
+  });
+  if (dryRun || pending.length === 0) return report([], 0);
+
+  if (newLists.length > 0) {
+    const last = lists.reduce((max, list) => Math.max(max, list.position), -1);
+    const created = await List.insertMany(newLists.map((name, i) => ({ owner, name, position: last + 1 + i })));
+    for (const list of created) listIds.set(list.name.toLowerCase(), list._id);
+  }
+  const tagsCreated = await ensureTags(owner, [...new Set(pending.flatMap((row) => row.fields.tags || []))]);
+
+  // 4. The todos, above everything else in the manual order, in the order of the file
+  const docs = pending.map((row) => {
+    const { list, ...fields } = row.fields;
+    const todo = new Todo({
+      ...fields,
+      owner,
+      listId: list ? listIds.get(list.toLowerCase()) : null,
+    });
+    // A repeating todo starts its own series, like with POST /api/todos
+    if (todo.recurrence) todo.seriesId = todo._id;
+    row.id = todo._id;
+    return todo;
+  });
+  const todos = await insertAtTop(owner, docs);
+  return report(todos, tagsCreated);
+}
+
+module.exports = { streamExport, importTodos };
@@ -0,0 +1,184 @@
+/**
+ * METRICS (PROMETHEUS)
+ * Counts the requests this process has answered and how long they took, per route, and
+ * renders them - with a few process and database gauges - in Prometheus's text format for
+ * GET /metrics (see routes/health.js):
+ *
+ *   http_requests_total{method="GET",route="/api/v1/todos/:id",status="200"} 42
+ *   http_request_duration_seconds_bucket{method="GET",route="/api/v1/todos/:id",le="0.05"} 40
+ *   ...
+ *
+ * Routes are labelled by their pattern (/todos/:id/subtasks/:subtaskId), never the real URL, so
+ * there's one series per endpoint instead of one per todo. Requests turned away before a route
+ * took them (401 from requireAuth, 429 from a rate limit, 404 inside a router) are labelled with
+ * the deepest router they got into, e.g. "/api/v1/todos/*"; requests no router took are "unmatched".
+ * Like the rate limits, the numbers are per process and start over on a restart.
+ */
+
+const mongoose = require('mongoose');
+
+// Upper bounds of the latency histogram buckets (seconds)
+const BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// "method route status" -> count
+const requestCounts = new Map();
+
+// "method route" -> { labels, buckets: counts per bucket, sum, count }
+const durations = new Map();
+
+let inFlight = 0;
+
+/**
+ * Quotes a label value the way the text format wants
+ * @param {string} value
+ * @returns {string}
+ */
+function labelValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+/**
+ * @param {Object} labels - Name -> value
+ * @returns {string} e.g. {method="GET",route="/api/v1/todos"}
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}=${labelValue(value)}`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * @returns {boolean} Is url the base itself or below it ("/a/b" is below "/a", "/ab" isn't)?
+ */
+function isWithin(url, base) {
+  return url === base || url.startsWith(`${base}/`);
+}
+
+/**
+ * Keeps track of the route pattern that answers a request, e.g. "/api/v1/todos/:id"
+ * Express only keeps the real URL of the routers a request went through (req.baseUrl), not
+ * the paths they were mounted on - "/api/v1/todos/0123.../subtasks" for "/:id/subtasks". So
+ * every time a router takes the request (sets req.baseUrl), the part it matched is turned
+ * back into its pattern: segments holding one of the mount's params (req.params at that
+ * moment) become ":name". The route's own path comes from req.route.
+ * Both are taken as they're set, because Express puts req.baseUrl back on the way out -
+ * a route that throws reaches the error handler with req.baseUrl = "".
+ * @param {Object} req - Express request, before any router below the app has seen it
+ * @returns {Function} () => the pattern, or "unmatched" if no router took the request
+ */
+function trackRoute(req) {
+  let route;
+  let label = null;
+  let baseUrl = req.baseUrl;
+  // The routers the request is in right now, outermost first: { url, pattern }
+  const mounts = [];
+  // The deepest router it got into, for requests no route took
+  let deepest = null;
+
+  const patternOf = (url) => mounts.findLast((mount) => mount.url === url)?.pattern ?? url;
+
+  Object.defineProperty(req, 'baseUrl', {
+    configurable: true,
+    enumerable: true,
+    get: () => baseUrl,
+    set(value) {
+      baseUrl = value;
+      if (!value) return;
+      while (mounts.length > 0 && !isWithin(value, mounts.at(-1).url)) mounts.pop();
+      const parent = mounts.at(-1) ?? { url: '', pattern: '' };
+      if (value === parent.url) return;
+
+      const params = new Map(Object.entries(req.params || {}).map(([name, v]) => [encodeURIComponent(v), `:${name}`]));
+      const tail = value.slice(parent.url.length).split('/').map((segment) => params.get(segment) ?? segment);
+      const mount = { url: value, pattern: parent.pattern + tail.join('/') };
+      mounts.push(mount);
+      if (!deepest || mount.url.length > deepest.url.length) deepest = mount;
+    },
+  });
+
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set(value) {
+      route = value;
+      if (value) label = `${patternOf(baseUrl)}${value.path === '/' ? '' : value.path}` || '/';
+    },
+  });
+
+  return () => label ?? (deepest ? `${deepest.pattern}/*` : 'unmatched');
+}
+
+/**
+ * Middleware that records every request once its response is finished
+ * Mount it before the routes
+ */
+function collectMetrics(req, res, next) {
+  const started = process.hrtime.bigint();
+  const routeLabel = trackRoute(req);
+  inFlight += 1;
+
+  res.on('close', () => {
+    inFlight -= 1;
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    const labels = { method: req.method, route: routeLabel() };
+
+    const countKey = `${labels.method} ${labels.route} ${res.statusCode}`;
+    const counted = requestCounts.get(countKey);
+    if (counted) counted.value += 1;
+    else requestCounts.set(countKey, { labels: { ...labels, status: res.statusCode }, value: 1 });
+
+    const durationKey = `${labels.method} ${labels.route}`;
+    if (!durations.has(durationKey)) {
+      durations.set(durationKey, { labels, buckets: BUCKETS.map(() => 0), sum: 0, count: 0 });
+    }
+    const histogram = durations.get(durationKey);
+    BUCKETS.forEach((bound, i) => {
+      if (seconds <= bound) histogram.buckets[i] += 1;
+    });
+    histogram.sum += seconds;
+    histogram.count += 1;
+  });
+  next();
+}
+
+/**
+ * Renders every metric in the Prometheus text format (version 0.0.4)
+ * @returns {string}
+ */
+function renderMetrics() {
+  const lines = [];
+  const metric = (name, type, help) => lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+
+  metric('http_requests_total', 'counter', 'HTTP requests answered, by method, route and status');
+  for (const { labels, value } of requestCounts.values()) {
+    lines.push(`http_requests_total${formatLabels(labels)} ${value}`);
+  }
+
+  metric('http_request_duration_seconds', 'histogram', 'Time to answer HTTP requests, by method and route');
+  for (const { labels, buckets, sum, count } of durations.values()) {
+    BUCKETS.forEach((bound, i) => {
+      lines.push(`http_request_duration_seconds_bucket${formatLabels({ ...labels, le: bound })} ${buckets[i]}`);
+    });
+    lines.push(`http_request_duration_seconds_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+    lines.push(`http_request_duration_seconds_sum${formatLabels(labels)} ${sum}`);
+    lines.push(`http_request_duration_seconds_count${formatLabels(labels)} ${count}`);
+  }
+
+  metric('http_requests_in_flight', 'gauge', 'HTTP requests being answered right now (event streams included)');
+  lines.push(`http_requests_in_flight ${inFlight}`);
+
+  metric('mongodb_up', 'gauge', '1 if the MongoDB connection is open, 0 if not');
+  lines.push(`mongodb_up ${mongoose.connection.readyState === 1 ? 1 : 0}`);
+
+  const memory = process.memoryUsage();
+  metric('process_uptime_seconds', 'gauge', 'Seconds since the process started');
+  lines.push(`process_uptime_seconds ${process.uptime()}`);
+  metric('process_resident_memory_bytes', 'gauge', 'Resident memory size');
+  lines.push(`process_resident_memory_bytes ${memory.rss}`);
+  metric('nodejs_heap_used_bytes', 'gauge', 'V8 heap in use');
+  lines.push(`nodejs_heap_used_bytes ${memory.heapUsed}`);
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { collectMetrics, renderMetrics };
@@ -0,0 +1,142 @@
+/**
+ * MANUAL ORDER (POSITIONS)
+ * Every todo has a position key (see utils/fractionalIndex.js); sort=manual sorts by it.
+ * Positions are per user and span all of their lists, so a list view shows its todos
+ * in the same relative order as "All todos".
+ *
+ * New todos go to the top, like they do in the default newest-first order. The key is made
+ * from the todo that's on top right now, so two todos added at the same moment (two tabs, two
+ * members of a shared list) get the same one - the unique index lets only one of them have it.
+ * saveAtTop and insertAtTop try the other one again above the winner.
+ *
+ * Todos in the trash keep their position so a restore puts them back where they were.
+ * That's why every lookup here includes them: a new key must never equal a trashed one.
+ */
+
+const Todo = require('../models/todo');
+const { keysBetween } = require('../utils/fractionalIndex');
+
+// How often a todo is tried at the top again when another one took its key meanwhile
+const MAX_TOP_ATTEMPTS = 5;
+
+/**
+ * A position above every todo the user has
+ * @param {ObjectId} owner - The user's id
+ * @returns {Promise<string>}
+ */
+async function topPosition(owner) {
+  const [position] = await topPositions(owner, 1);
+  return position;
+}
+
+/**
+ * Positions for several new todos above every todo the user has (e.g. an import)
+ * @param {ObjectId} owner - The user's id
+ * @param {number} count - How many positions
+ * @returns {Promise<string[]>} In top-to-bottom order
+ */
+async function topPositions(owner, count) {
+  const first = await Todo.findOne({ owner, position: { $type: 'string' } }, { position: 1 })
+    .sort({ position: 1 })
+    .setOptions({ withDeleted: true });
+  return keysBetween(null, first ? first.position : null, count);
+}
+
+/**
+ * Did a write fail because another todo of the same owner has that position already?
+ * @param {Error|Object} err - A duplicate key error, or one write error of a bulk write
+ * @returns {boolean}
+ */
+function isPositionClash(err) {
+  // Bulk write errors (insertMany) keep the server's answer in .err
+  const details = err.err ?? err;
+  return details.code === 11000 && 'position' in (details.keyPattern || {});
+}
+
+/**
+ * Saves a todo at the top of its owner's manual order (a new todo, or one that changed owner)
+ * @param {Object} todo - Todo document, owner already set
+ * @returns {Promise<Object>} The saved todo
+ */
+async function saveAtTop(todo) {
+  for (let attempt = 1; ; attempt++) {
+    todo.position = await topPosition(todo.owner);
+    try {
+      return await todo.save();
+    } catch (err) {
+      if (attempt === MAX_TOP_ATTEMPTS || !isPositionClash(err)) throw err;
+    }
+  }
+}
+
+/**
+ * Inserts new todos of one owner at the top of the manual order, in the order given
+ * Todos that lost their key to one added meanwhile go on top of the others
+ * @param {ObjectId} owner - The owner of every one of them
+ * @param {Object[]} todos - Todo documents, top first
+ * @returns {Promise<Object[]>} The inserted todos
+ */
+async function insertAtTop(owner, todos) {
+  let pending = todos;
+  for (let attempt = 1; ; attempt++) {
+    const positions = await topPositions(owner, pending.length);
+    pending.forEach((todo, i) => {
+      todo.position = positions[i];
+    });
+    try {
+      await Todo.insertMany(pending, { ordered: false });
+      return todos;
+    } catch (err) {
+      const failed = err.writeErrors || [err];
+      if (attempt === MAX_TOP_ATTEMPTS || !failed.every(isPositionClash)) throw err;
+      pending = failed.map((writeError) => pending[writeError.index]);
+    }
+  }
+}
+
+/**
+ * The position of the todo right before or after a given position, skipping one todo
+ * @param {ObjectId} owner - The user's id
+ * @param {string} position - Position to look from
+ * @param {1|-1} direction - 1 for the next todo down, -1 for the next todo up
+ * @param {ObjectId} skipId - The todo being moved (it must not be its own neighbour)
+ * @returns {Promise<string|null>} null if there is no todo in that direction
+ */
+async function neighbourPosition(owner, position, direction, skipId) {
+  const neighbour = await Todo.findOne(
+    { owner, _id: { $ne: skipId }, position: { [direction === 1 ? '$gt' : '$lt']: position } },
+    { position: 1 }
+  ).sort({ position: direction }).setOptions({ withDeleted: true });
+  return neighbour ? neighbour.position : null;
+}
+
+/**
+ * Gives a position to every todo that doesn't have one yet (todos created before
+ * manual ordering existed). They go below the user's positioned todos, newest first,
+ * so sort=manual starts out looking like the old default order.
+ * Run once at startup from index.js
+ * @returns {Promise<number>} How many todos got a position
+ */
+async function backfillPositions() {
+  let updated = 0;
+  const owners = await Todo.distinct('owner', { position: null }).setOptions({ withDeleted: true });
+
+  for (const owner of owners) {
+    const missing = await Todo.find({ owner, position: null }, { _id: 1 })
+      .sort({ createdAt: -1, _id: -1 })
+      .setOptions({ withDeleted: true });
+    const last = await Todo.findOne({ owner, position: { $type: 'string' } }, { position: 1 })
+      .sort({ position: -1 })
+      .setOptions({ withDeleted: true });
+    const keys = keysBetween(last ? last.position : null, null, missing.length);
+
+    // position: null in the filter: don't overwrite a todo that was moved meanwhile
+    const result = await Todo.bulkWrite(missing.map((todo, i) => ({
+      updateOne: { filter: { _id: todo._id, position: null }, update: { $set: { position: keys[i] } } },
+    })));
+    updated += result.modifiedCount;
+  }
+  return updated;
+}
+
+module.exports = { saveAtTop, insertAtTop, neighbourPosition, backfillPositions };
@@ -0,0 +1,37 @@
+/**
+ * QUICK ADD
+ * POST /api/todos?parse=true reads due dates, repeats, tags, priority and a list out of the
+ * title ("Call mom tomorrow 5pm #family @Personal"), with the same parser the frontend uses
+ * for its live preview: shared/quickAdd.js. That's an ES module, so it's loaded with import().
+ */
+
+const List = require('../models/list');
+const { sharedListIds } = require('./sharing');
+
+// Loaded on first use, then kept
+let parser = null;
+
+/**
+ * The lists a user can add todos to: their own, and shared ones they're an editor of
+ * @param {ObjectId} owner - The user's id
+ * @returns {Promise<Object[]>} Lists with just their names
+ */
+async function writableLists(owner) {
+  const shared = await sharedListIds(owner, 'editor');
+  return List.find({ $or: [{ owner }, { _id: { $in: shared } }] }, { name: 1 });
+}
+
+/**
+ * Parses a quick-add title for a user
+ * @param {ObjectId} owner - The user's id (the lists they can add to are what "@list" can name)
+ * @param {string} text - The title as typed
+ * @param {string} timeZone - Zone the dates and times are meant in
+ * @returns {Promise<Object>} { title, fields, tokens } - see parseQuickAdd() in shared/quickAdd.js
+ */
+async function parseQuickAdd(owner, text, timeZone) {
+  parser = parser || import('../../shared/quickAdd.js');
+  const [{ parseQuickAdd: parse }, lists] = await Promise.all([parser, writableLists(owner)]);
+  return parse(text, { timeZone, lists });
+}
+
+module.exports = { parseQuickAdd };
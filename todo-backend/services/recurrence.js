@@ -0,0 +1,57 @@
+/**
+ * RECURRING TODOS
+ * When a repeating todo is completed, this creates its next occurrence:
+ * same title, priority, tags and rule, next due date from utils/recurrence.js, same seriesId.
+ */
+
+const Todo = require('../models/todo');
+const { nextOccurrence } = require('../utils/recurrence');
+const { saveAtTop } = require('./positions');
+
+/**
+ * Creates the occurrence that follows a completed repeating todo
+ * @param {Object} todo - The todo that was just completed (must have a recurrence rule)
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Promise<Object|null>} The new todo, or null if the series has ended
+ *   (or the next occurrence already exists)
+ */
+async function createNextOccurrence(todo, now = new Date()) {
+  // Todos without a due date repeat from the moment they were completed
+  const from = todo.dueAt || now;
+  const dueAt = nextOccurrence(todo.recurrence, from, now);
+  if (!dueAt) return null;
+
+  // Unticking and re-ticking a todo must not create the next occurrence twice
+  const seriesId = todo.seriesId || todo._id;
+  const alreadyCreated = await Todo.exists({
+    owner: todo.owner,
+    seriesId,
+    completed: false,
+    dueAt: { $gte: dueAt },
+  });
+  if (alreadyCreated) return null;
+
+  // Keep the reminder the same distance before the due date (e.g. "1 hour before")
+  const remindAt = todo.remindAt && todo.dueAt
+    ? new Date(dueAt.getTime() - (todo.dueAt.getTime() - todo.remindAt.getTime()))
+    : null;
+
+  const next = new Todo({
+    owner: todo.owner,
+    listId: todo.listId,
+    title: todo.title,
+    notes: todo.notes,
+    priority: todo.priority,
+    tags: [...todo.tags],
+    // The checklist comes along, unticked
+    subtasks: todo.subtasks.map((subtask) => ({ title: subtask.title })),
+    recurrence: todo.recurrence.toObject ? todo.recurrence.toObject() : todo.recurrence,
+    seriesId,
+    dueAt,
+    remindAt,
+  });
+  // At the top of the manual order, like any new todo
+  return saveAtTop(next);
+}
+
+module.exports = { createNextOccurrence };
@@ -0,0 +1,110 @@
+/**
+ * REMINDER SCHEDULER
+ * Runs inside the server process and checks every so often for reminders whose time has come.
+ * Each due reminder is marked as fired (reminderFiredAt = now) exactly once; clients pick them
+ * up through GET /api/todos/reminders and show a notification.
+ *
+ * Started from index.js once the database is connected:
+ *   const reminders = require('./services/reminderScheduler');
+ *   reminders.start();
+ */
+
+const Todo = require('../models/todo');
+const { logger } = require('../utils/logger');
+
+// How often to check for due reminders (milliseconds) - 30 seconds unless set in .env
+const INTERVAL_MS = Number(process.env.REMINDER_INTERVAL_MS) || 30 * 1000;
+
+// Most reminders to fire in one check (the rest are picked up by the next one)
+const BATCH_SIZE = 500;
+
+// Functions called with the fired todos after every check (see onFire)
+const listeners = new Set();
+
+let timer = null;
+let running = null; // The check in progress, if any
+
+/**
+ * Finds every reminder that is due and marks it as fired
+ * @param {Date} [now=new Date()] - Current time (handy for tests)
+ * @returns {Promise<Object[]>} The todos whose reminder just fired
+ */
+async function fireDueReminders(now = new Date()) {
+  const due = await Todo.find(
+    { remindAt: { $lte: now }, reminderFiredAt: null, completed: false },
+    { _id: 1 }
+  ).limit(BATCH_SIZE);
+  if (due.length === 0) return [];
+
+  const ids = due.map((t) => t._id);
+  // reminderFiredAt: null in the filter makes this safe if two servers check at the same time
+  // timestamps: false - nobody changed the todo, so its updatedAt stays: a client holding it
+  // can still write with If-Match instead of getting a 412 (its ETag does change, for 304s -
+  // see utils/conditional.js)
+  await Todo.updateMany(
+    { _id: { $in: ids }, reminderFiredAt: null },
+    { $set: { reminderFiredAt: now } },
+    { timestamps: false }
+  );
+
+  // Only report the ones WE marked (another server may have won the race for some)
+  const fired = await Todo.find({ _id: { $in: ids }, reminderFiredAt: now });
+  for (const listener of listeners) {
+    listener(fired);
+  }
+  return fired;
+}
+
+/**
+ * One scheduler tick - skips if the previous check is still running
+ */
+async function tick() {
+  if (running) return;
+  running = fireDueReminders()
+    .then((fired) => {
+      if (fired.length > 0) {
+        logger.info('reminders fired', { count: fired.length });
+      }
+    })
+    .catch((err) => {
+      // Never let a failed check crash the server - the next tick tries again
+      logger.error('reminder check failed', { err });
+    })
+    .finally(() => {
+      running = null;
+    });
+  await running;
+}
+
+/**
+ * Starts checking for reminders (does nothing if already started)
+ */
+function start() {
+  if (timer) return;
+  timer = setInterval(tick, INTERVAL_MS);
+  // Don't keep the process alive just for this timer
+  timer.unref();
+  tick();
+}
+
+/**
+ * Stops checking for reminders
+ * @returns {Promise} Resolves once a check that was already running has finished
+ */
+async function stop() {
+  clearInterval(timer);
+  timer = null;
+  await running;
+}
+
+/**
+ * Registers a function to call with the todos whose reminders fired
+ * @param {Function} listener - Called with an array of todos
+ * @returns {Function} Call it to unregister
+ */
+function onFire(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+module.exports = { start, stop, onFire, fireDueReminders };
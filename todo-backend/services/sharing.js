@@ -0,0 +1,298 @@
+/**
+ * SHARED LISTS
+ * A list can be shared with other users, each with a role (see models/listMember.js):
+ * viewer < editor < owner. The user who created the list is always an owner.
+ *
+ * Todos in a list always belong to the list's creator (todo.owner = the list's owner), so the
+ * creator's own queries work as before. Everyone else reaches them through the list:
+ * a user may see a todo if they own it or it's in a list they're a member of.
+ * The Inbox is personal and never shared - a todo moved there belongs to whoever moved it.
+ *
+ * Route handlers use findTodoFor() / findListFor() to load what they work on with a minimum role:
+ * no access at all answers 404 (as if it didn't exist), too small a role answers 403.
+ */
+
+const crypto = require('crypto');
+const List = require('../models/list');
+const ListMember = require('../models/listMember');
+const Todo = require('../models/todo');
+const User = require('../models/user');
+const { ApiError } = require('../utils/errors');
+const { MEMBER_ROLES } = require('../validators/list');
+const { publish, publishFromRequest } = require('./events');
+
+/**
+ * Whether a role allows at least as much as another one
+ * @param {string|null} role - "viewer", "editor", "owner" or null (not a member)
+ * @param {string} minRole - The role needed
+ * @returns {boolean}
+ */
+function hasRole(role, minRole) {
+  return MEMBER_ROLES.indexOf(role) >= MEMBER_ROLES.indexOf(minRole);
+}
+
+/**
+ * Throws unless a role is enough
+ * @param {string|null} role - The caller's role (null = no access at all)
+ * @param {string} minRole - The role needed
+ * @param {string} notFoundMessage - Message for the 404 when there's no access at all
+ */
+function assertRole(role, minRole, notFoundMessage) {
+  if (!role) throw ApiError.notFound(notFoundMessage);
+  if (!hasRole(role, minRole)) {
+    throw ApiError.forbidden(
+      minRole === 'owner'
+        ? "Only the list's owners can do that"
+        : 'You can only view this list - ask one of its owners to make you an editor'
+    );
+  }
+}
+
+/**
+ * Ids of the lists shared with a user (not the ones they created)
+ * @param {ObjectId} userId - The user
+ * @param {string} [minRole="viewer"] - Only lists where they have at least this role
+ * @returns {Promise<ObjectId[]>}
+ */
+async function sharedListIds(userId, minRole = 'viewer') {
+  const roles = MEMBER_ROLES.filter((role) => hasRole(role, minRole));
+  const memberships = await ListMember.find({ user: userId, role: { $in: roles } }, { listId: 1 });
+  return memberships.map((m) => m.listId);
+}
+
+/**
+ * MongoDB filter for every todo a user may see (or change, with minRole "editor")
+ * Just { owner } for users nobody shared a list with, so the usual indexes are used
+ * @param {ObjectId} userId - The user
+ * @param {string} [minRole="viewer"] - Role needed in shared lists
+ * @returns {Promise<Object>}
+ */
+async function todoAccessFilter(userId, minRole = 'viewer') {
+  const listIds = await sharedListIds(userId, minRole);
+  return listIds.length > 0
+    ? { $or: [{ owner: userId }, { listId: { $in: listIds } }] }
+    : { owner: userId };
+}
+
+/**
+ * A user's role in a list
+ * @param {Object} list - List document
+ * @param {ObjectId} userId - The user
+ * @returns {Promise<string|null>} null if the list isn't theirs or shared with them
+ */
+async function listRole(list, userId) {
+  if (list.owner.equals(userId)) return 'owner';
+  const membership = await ListMember.findOne({ listId: list._id, user: userId }, { role: 1 });
+  return membership ? membership.role : null;
+}
+
+/**
+ * Loads a list the user has at least some role in
+ * @param {ObjectId} userId - The caller
+ * @param {string} listId - The list's id
+ * @param {string} [minRole="viewer"] - Role needed
+ * @returns {Promise<{ list: Object, role: string }>}
+ * @throws {ApiError} 404 if there's no such list (or it isn't shared with them), 403 if the role is too small
+ */
+async function findListFor(userId, listId, minRole = 'viewer') {
+  const list = await List.findById(listId);
+  const role = list && (await listRole(list, userId));
+  assertRole(role, minRole, 'List not found');
+  return { list, role };
+}
+
+/**
+ * The list a todo is being put into (created in, or moved to), which needs the editor role
+ * @param {ObjectId} userId - The caller
+ * @param {string|null|undefined} listId - listId from the request body
+ * @returns {Promise<Object|null>} The list, or null for the Inbox
+ * @throws {ApiError} 400 if it's not a list the caller can see, 403 if they can only view it
+ */
+async function targetList(userId, listId) {
+  if (!listId) return null; // null / not sent = Inbox, always allowed
+  const list = await List.findById(listId);
+  const role = list && (await listRole(list, userId));
+  if (!role) {
+    throw ApiError.badRequest('Invalid list', [{ field: 'listId', message: 'is not one of your lists' }]);
+  }
+  assertRole(role, 'editor');
+  return list;
+}
+
+/**
+ * A user's role for one todo: "owner" for their own todos, else their role in its list
+ * @param {Object} todo - Todo document
+ * @param {ObjectId} userId - The user
+ * @returns {Promise<string|null>} null if they have no access
+ */
+async function todoRole(todo, userId) {
+  if (todo.owner.equals(userId)) return 'owner';
+  if (!todo.listId) return null;
+  const membership = await ListMember.findOne({ listId: todo.listId, user: userId }, { role: 1 });
+  return membership ? membership.role : null;
+}
+
+/**
+ * Loads a todo the user has at least some role for
+ * @param {ObjectId} userId - The caller
+ * @param {string} id - The todo's id
+ * @param {string} [minRole="viewer"] - Role needed ("editor" to change it)
+ * @param {Object} [options]
+ * @param {boolean} [options.inTrash=false] - Look in the trash instead
+ * @param {boolean} [options.withDeleted=false] - Look in both
+ * @returns {Promise<Object>} The todo document
+ * @throws {ApiError} 404 if there's no such todo the caller can see, 403 if the role is too small
+ */
+async function findTodoFor(userId, id, minRole = 'viewer', { inTrash = false, withDeleted = false } = {}) {
+  const todo = inTrash
+    ? await Todo.findOne({ _id: id, deletedAt: { $ne: null } })
+    : await Todo.findById(id).setOptions({ withDeleted });
+  const role = todo && (await todoRole(todo, userId));
+  assertRole(role, minRole, inTrash ? 'Todo not found in the trash' : 'Todo not found');
+  return todo;
+}
+
+/**
+ * Everyone in some lists: their creators and members, with usernames
+ * @param {Object[]} lists - List documents
+ * @returns {Promise<Map>} listId (string) -> [{ user: { _id, username }, role, creator }], creator first
+ */
+async function membersByList(lists) {
+  const [creators, members] = await Promise.all([
+    User.find({ _id: { $in: lists.map((list) => list.owner) } }, { username: 1 }),
+    ListMember.find({ listId: { $in: lists.map((list) => list._id) } })
+      .sort({ createdAt: 1 })
+      .populate('user', 'username'),
+  ]);
+
+  const result = new Map();
+  for (const list of lists) {
+    const creator = creators.find((user) => user._id.equals(list.owner));
+    result.set(list._id.toString(), [
+      { user: creator ? { _id: creator._id, username: creator.username } : null, role: 'owner', creator: true },
+    ]);
+  }
+  for (const member of members) {
+    if (!member.user) continue; // Account was deleted
+    result.get(member.listId.toString()).push({
+      user: { _id: member.user._id, username: member.user.username },
+      role: member.role,
+      creator: false,
+    });
+  }
+  return result;
+}
+
+/**
+ * Whether a todo can be assigned to someone: a member of its list,
+ * or for Inbox todos (which aren't shared) only the todo's owner
+ * @param {ObjectId|null|undefined} assignee - User id to assign, null / undefined = nobody
+ * @param {Object|null} list - The todo's list (null = Inbox)
+ * @param {ObjectId} owner - The todo's owner
+ * @returns {Promise<boolean>}
+ */
+async function isAssignable(assignee, list, owner) {
+  if (!assignee) return true;
+  if (!list) return owner.equals(assignee);
+  return list.owner.equals(assignee) || Boolean(await ListMember.exists({ listId: list._id, user: assignee }));
+}
+
+/**
+ * isAssignable(), for an assignee sent by the client
+ * @throws {ApiError} 400 if they can't be assigned
+ */
+async function assertAssignable(assignee, list, owner) {
+  if (!(await isAssignable(assignee, list, owner))) {
+    const message = list ? 'is not a member of the list' : 'todos in the Inbox can only be assigned to their owner';
+    throw ApiError.badRequest('Invalid assignee', [{ field: 'assignee', message }]);
+  }
+}
+
+/**
+ * Ids of everyone in some lists (creators and members), except one user
+ * @param {Array<ObjectId|null>} listIds - Lists (nulls, for the Inbox, are skipped)
+ * @param {ObjectId} exceptUserId - Left out (the caller - they hear about it anyway)
+ * @returns {Promise<string[]>}
+ */
+async function listAudience(listIds, exceptUserId) {
+  const ids = [...new Set(listIds.filter(Boolean).map(String))];
+  if (ids.length === 0) return [];
+  const [lists, members] = await Promise.all([
+    List.find({ _id: { $in: ids } }, { owner: 1 }),
+    ListMember.find({ listId: { $in: ids } }, { user: 1 }),
+  ]);
+  const users = new Set([...lists.map((l) => l.owner.toString()), ...members.map((m) => m.user.toString())]);
+  users.delete(exceptUserId.toString());
+  return [...users];
+}
+
+/**
+ * publishFromRequest() for changes that can touch shared lists: the caller's tabs hear
+ * about it, and so does everyone else in those lists
+ * @param {Object} req - Express request (after requireAuth)
+ * @param {string} type - Event type, e.g. "todo.updated"
+ * @param {Object} data - Event payload
+ * @param {Array<ObjectId|null>} [listIds=[]] - The lists the change was in
+ */
+async function announce(req, type, data, listIds = []) {
+  publishFromRequest(req, type, data);
+  const origin = req.get('X-Client-Id') || null;
+  for (const userId of await listAudience(listIds, req.user.id)) {
+    publish(userId, type, data, origin);
+  }
+}
+
+/**
+ * After a todo moved to another list: tells everyone who could only see it through the list
+ * it left that it's gone for them
+ * @param {Object} req - Express request (after requireAuth)
+ * @param {Object} todo - The todo, already in its new list
+ * @param {ObjectId|null} oldListId - The list it was in
+ */
+async function announceLeftList(req, todo, oldListId) {
+  if (!oldListId || oldListId.equals(todo.listId)) return;
+  const [before, after] = await Promise.all([
+    listAudience([oldListId], req.user.id),
+    listAudience([todo.listId], req.user.id),
+  ]);
+  const origin = req.get('X-Client-Id') || null;
+  for (const userId of before) {
+    if (!after.includes(userId)) publish(userId, 'todo.deleted', { ids: [todo._id] }, origin);
+  }
+}
+
+/**
+ * A new invite link token, and the hash that is stored for it
+ * @returns {{ token: string, tokenHash: string }}
+ */
+function createInviteToken() {
+  const token = crypto.randomBytes(24).toString('base64url');
+  return { token, tokenHash: hashInviteToken(token) };
+}
+
+/**
+ * The stored form of an invite token (tokens themselves are never stored)
+ * @param {string} token - Token from an invite link
+ * @returns {string} SHA-256 hex digest
+ */
+function hashInviteToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+module.exports = {
+  hasRole,
+  sharedListIds,
+  todoAccessFilter,
+  listRole,
+  findListFor,
+  targetList,
+  findTodoFor,
+  membersByList,
+  isAssignable,
+  assertAssignable,
+  listAudience,
+  announce,
+  announceLeftList,
+  createInviteToken,
+  hashInviteToken,
+};
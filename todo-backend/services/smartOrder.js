@@ -0,0 +1,159 @@
+/**
+ * SMART ORDER
+ * Ranks todos by how pressing they are, for GET /api/todos?sort=smart and the Today list.
+ * Every todo gets a score - the higher, the sooner it should be done:
+ *
+ *   priority  none 0, low 10, medium 20, high 35, urgent 50
+ *   due date  overdue: 40, plus 2 for every day overdue (up to 20 more)
+ *             due within a week: up to 40, the closer the more (due right now = 40)
+ *   age       1 for every 3 days since it was created (up to 10), so old todos slowly rise
+ *   done      -1000, so finished todos always come after the unfinished ones
+ *
+ * So an urgent todo due next week (50 + a little) ranks above a low one due tomorrow (10 + 34),
+ * and anything overdue ranks above anything due later with the same priority.
+ *
+ * The score depends on the current time, so it's worked out by MongoDB on every request
+ * instead of being stored. Pages are cursor-paginated like the other sort orders
+ * (see utils/pagination.js), but the cursor also remembers the time the first page was
+ * scored at, so later pages use the same scores and nothing is skipped or repeated.
+ */
+
+const mongoose = require('mongoose');
+const Todo = require('../models/todo');
+const { ApiError } = require('../utils/errors');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Points for each priority (see PRIORITIES in validators/todo.js)
+const PRIORITY_POINTS = { none: 0, low: 10, medium: 20, high: 35, urgent: 50 };
+
+// Due dates: points for being overdue, and how many more each day overdue adds (up to a cap)
+const OVERDUE_POINTS = 40;
+const OVERDUE_POINTS_PER_DAY = 2;
+const MAX_OVERDUE_EXTRA = 20;
+
+// Due dates: a todo due right now gets DUE_POINTS, one due DUE_WINDOW away or later gets 0
+const DUE_POINTS = 40;
+const DUE_WINDOW = 7 * DAY;
+
+// Age: points per day since the todo was created, up to a cap
+const AGE_POINTS_PER_DAY = 1 / 3;
+const MAX_AGE_POINTS = 10;
+
+// Finished todos sink below every unfinished one
+const COMPLETED_POINTS = -1000;
+
+/**
+ * MongoDB expression for a todo's score at a given time
+ * @param {Date} now - The time to score at
+ * @returns {Object} Aggregation expression
+ */
+function scoreExpression(now) {
+  const daysSince = (field) => ({ $divide: [{ $subtract: [now, field] }, DAY] });
+
+  const priority = {
+    $switch: {
+      branches: Object.entries(PRIORITY_POINTS).map(([name, points]) => ({
+        case: { $eq: ['$priority', name] },
+        then: points,
+      })),
+      default: 0, // Todos from before priorities existed
+    },
+  };
+
+  const due = {
+    $cond: [
+      { $eq: [{ $ifNull: ['$dueAt', null] }, null] },
+      0,
+      {
+        $cond: [
+          { $lt: ['$dueAt', now] },
+          { $add: [OVERDUE_POINTS, { $min: [MAX_OVERDUE_EXTRA, { $multiply: [daysSince('$dueAt'), OVERDUE_POINTS_PER_DAY] }] }] },
+          {
+            $max: [0, {
+              $multiply: [DUE_POINTS, { $subtract: [1, { $divide: [{ $subtract: ['$dueAt', now] }, DUE_WINDOW] }] }],
+            }],
+          },
+        ],
+      },
+    ],
+  };
+
+  const age = { $min: [MAX_AGE_POINTS, { $multiply: [daysSince('$createdAt'), AGE_POINTS_PER_DAY] }] };
+
+  return { $add: [priority, due, age, { $cond: ['$completed', COMPLETED_POINTS, 0] }] };
+}
+
+/**
+ * Builds the cursor for the item a page ends on
+ * @param {Object} doc - The last document on the page (with its score)
+ * @param {Date} now - The time the pages are scored at
+ * @returns {string} Opaque cursor string
+ */
+function encodeCursor(doc, now) {
+  const payload = { s: 'smart', t: now.getTime(), v: doc.score, id: doc._id.toString() };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Reads a cursor back
+ * @param {string} cursor - Cursor from a previous response
+ * @returns {{ now: Date, score: number, id: mongoose.Types.ObjectId }}
+ * @throws {ApiError} 400 INVALID_CURSOR if the cursor is garbage or belongs to another sort order
+ */
+function decodeCursor(cursor) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    payload = null;
+  }
+  if (
+    !payload || payload.s !== 'smart' || !Number.isFinite(payload.t) || !Number.isFinite(payload.v)
+    || !mongoose.isValidObjectId(payload.id)
+  ) {
+    throw new ApiError(400, 'INVALID_CURSOR', 'Invalid or expired cursor');
+  }
+  return { now: new Date(payload.t), score: payload.v, id: new mongoose.Types.ObjectId(payload.id) };
+}
+
+/**
+ * Runs a paginated query in smart order (highest score first, newest _id as tie-breaker)
+ * @param {Object} filter - Base filter (owner, status, search, ...)
+ * @param {Object} options
+ * @param {number} options.limit - Page size
+ * @param {string} [options.cursor] - Cursor from the previous page
+ * @param {Date} [options.now] - Time to score at for the first page (default: now)
+ * @returns {Promise<{ items: Object[], nextCursor: string|null }>}
+ */
+async function paginateSmart(filter, { limit, cursor, now = new Date() }) {
+  const after = cursor ? decodeCursor(cursor) : null;
+  const scoredAt = after ? after.now : now;
+
+  // Aggregations don't cast like find() does (list ids arrive as strings), so cast first.
+  // deletedAt is part of the first $match because a $text search must be the very first stage
+  // (otherwise the model's soft delete hook would put its own $match in front)
+  const match = Todo.find().cast(Todo, { ...filter, deletedAt: null });
+  const pipeline = [
+    { $match: match },
+    { $addFields: { score: scoreExpression(scoredAt) } },
+  ];
+  if (after) {
+    pipeline.push({
+      $match: { $or: [{ score: { $lt: after.score } }, { score: after.score, _id: { $lt: after.id } }] },
+    });
+  }
+  pipeline.push({ $sort: { score: -1, _id: -1 } }, { $limit: limit + 1 });
+
+  const docs = await Todo.aggregate(pipeline);
+  const hasMore = docs.length > limit;
+  const page = hasMore ? docs.slice(0, limit) : docs;
+  const nextCursor = hasMore ? encodeCursor(page[page.length - 1], scoredAt) : null;
+
+  // Back to todo documents, so the response looks the same as in every other order
+  // (the score isn't a todo field, so it's left out)
+  return { items: page.map(({ score, ...doc }) => Todo.hydrate(doc)), nextCursor };
+}
+
+module.exports = { paginateSmart };
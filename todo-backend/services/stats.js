@@ -0,0 +1,241 @@
+/**
+ * PRODUCTIVITY STATS
+ * What GET /api/stats shows: how many todos were created and completed each day and week,
+ * the completion streak, how long todos take to get done, and how the open and done piles
+ * grew over a date range. Days and weeks are the caller's (their time zone), weeks start on Monday.
+ *
+ * Everything comes from one aggregation over the todos the caller can see (their own and
+ * those in lists shared with them), based on createdAt and completedAt (see models/todo.js).
+ * Numbers describe the todos as they are now: a trashed todo, or a completed todo that was
+ * reopened, no longer counts on the day it was completed.
+ *
+ * Days travel as "YYYY-MM-DD" strings; the helpers below do calendar arithmetic on those.
+ */
+
+const Todo = require('../models/todo');
+const { todoAccessFilter } = require('./sharing');
+const { zonedParts, zonedTimeToDate } = require('../utils/dates');
+const { ApiError } = require('../utils/errors');
+const { MAX_STATS_DAYS, DEFAULT_STATS_DAYS } = require('../validators/stats');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {string} day - "YYYY-MM-DD"
+ * @param {number} count - Days to move (negative = back)
+ * @returns {string} The day that many days later, e.g. ("2024-02-28", 2) -> "2024-03-01"
+ */
+function addDays(day, count) {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, date + count)).toISOString().slice(0, 10);
+}
+
+/**
+ * @returns {number} Days from one day to another (to - from)
+ */
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+}
+
+/**
+ * @param {string} day - "YYYY-MM-DD"
+ * @returns {string} The Monday of that day's week
+ */
+function weekOf(day) {
+  const weekday = new Date(Date.parse(day)).getUTCDay(); // 0 = Sunday
+  return addDays(day, -((weekday + 6) % 7));
+}
+
+/**
+ * @param {Date} date - A moment
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} The calendar day it falls on there, "YYYY-MM-DD"
+ */
+function dayIn(date, timeZone) {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * @param {string} day - "YYYY-MM-DD"
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Midnight at the start of that day there
+ */
+function startOfDayIn(day, timeZone) {
+  const [year, month, date] = day.split('-').map(Number);
+  return zonedTimeToDate(year, month, date, 0, 0, timeZone);
+}
+
+/**
+ * Works out the days the stats cover
+ * @param {Object} query - { from, to } as the client sent them ("YYYY-MM-DD", both optional)
+ * @param {string} timeZone - The caller's time zone (decides what "today" is)
+ * @param {Date} [now]
+ * @returns {{ from: string, to: string }} Both days included
+ * @throws {ApiError} 400 for days that don't exist, a range that runs backwards or one that's too long
+ */
+function resolveStatsRange(query, timeZone, now = new Date()) {
+  const problems = [];
+  for (const field of ['from', 'to']) {
+    // addDays(day, 0) normalizes: "2024-02-30" comes back as "2024-03-01"
+    if (query[field] && addDays(query[field], 0) !== query[field]) {
+      problems.push({ field, message: 'is not a real date' });
+    }
+  }
+  if (problems.length > 0) throw ApiError.badRequest('Invalid query parameters', problems);
+
+  const to = query.to || dayIn(now, timeZone);
+  const from = query.from || addDays(to, -(DEFAULT_STATS_DAYS - 1));
+  if (from > to) {
+    throw ApiError.badRequest('Invalid query parameters', [{ field: 'from', message: 'must not be after to' }]);
+  }
+  if (daysBetween(from, to) + 1 > MAX_STATS_DAYS) {
+    throw ApiError.badRequest('Invalid query parameters', [
+      { field: 'from', message: `must be at most ${MAX_STATS_DAYS} days before to` },
+    ]);
+  }
+  return { from, to };
+}
+
+/**
+ * The current and longest run of consecutive days with at least one completion
+ * A streak is still "current" if today has nothing done yet but yesterday did - there's time left
+ * @param {string[]} days - Days with a completion, newest first
+ * @param {string} today - "YYYY-MM-DD"
+ * @returns {{ current: number, longest: number, lastCompletedOn: string|null }}
+ */
+function streaks(days, today) {
+  let longest = 0;
+  let run = 0;
+  for (const [i, day] of days.entries()) {
+    run = i > 0 && daysBetween(day, days[i - 1]) === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  }
+
+  let current = 0;
+  const latest = days[0];
+  if (latest === today || latest === addDays(today, -1)) {
+    current = 1;
+    while (current < days.length && daysBetween(days[current], days[current - 1]) === 1) current += 1;
+  }
+
+  return { current, longest, lastCompletedOn: latest ?? null };
+}
+
+/**
+ * Builds the stats for one user
+ * @param {ObjectId} userId - The caller
+ * @param {Object} options
+ * @param {string} options.from - First day, "YYYY-MM-DD" (see resolveStatsRange)
+ * @param {string} options.to - Last day, included
+ * @param {string} options.timeZone - The caller's time zone
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>} See GET /api/stats in routes/stats.js
+ */
+async function productivityStats(userId, { from, to, timeZone, now = new Date() }) {
+  const start = startOfDayIn(from, timeZone);
+  const end = startOfDayIn(addDays(to, 1), timeZone);
+  const inRange = { $gte: start, $lt: end };
+
+  // Expressions for the calendar day / week (its Monday) of a date field, in the caller's zone
+  const day = (field) => ({ $dateToString: { format: '%Y-%m-%d', date: `$${field}`, timezone: timeZone } });
+  const week = (field) => ({
+    $dateToString: {
+      format: '%Y-%m-%d',
+      date: { $dateTrunc: { date: `$${field}`, unit: 'week', startOfWeek: 'monday', timezone: timeZone } },
+      timezone: timeZone,
+    },
+  });
+  // Todos without completedAt (not completed) must not count as "before" anything
+  const completedBefore = { $and: [{ $gt: ['$completedAt', null] }, { $lt: ['$completedAt', start] }] };
+
+  const [facets] = await Todo.aggregate([
+    { $match: await todoAccessFilter(userId) },
+    {
+      $facet: {
+        createdPerDay: [{ $match: { createdAt: inRange } }, { $group: { _id: day('createdAt'), count: { $sum: 1 } } }],
+        completedPerDay: [{ $match: { completedAt: inRange } }, { $group: { _id: day('completedAt'), count: { $sum: 1 } } }],
+        createdPerWeek: [{ $match: { createdAt: inRange } }, { $group: { _id: week('createdAt'), count: { $sum: 1 } } }],
+        completedPerWeek: [{ $match: { completedAt: inRange } }, { $group: { _id: week('completedAt'), count: { $sum: 1 } } }],
+        // How big the piles were when the range started
+        before: [
+          {
+            $group: {
+              _id: null,
+              created: { $sum: { $cond: [{ $lt: ['$createdAt', start] }, 1, 0] } },
+              completed: { $sum: { $cond: [completedBefore, 1, 0] } },
+            },
+          },
+        ],
+        timeToComplete: [
+          { $match: { completedAt: inRange } },
+          { $group: { _id: null, averageMs: { $avg: { $subtract: ['$completedAt', '$createdAt'] } } } },
+        ],
+        open: [{ $match: { completed: false } }, { $count: 'count' }],
+        // Every day anything was completed, for the streaks (not limited to the range)
+        completionDays: [
+          { $match: { completedAt: { $ne: null } } },
+          { $group: { _id: day('completedAt') } },
+          { $sort: { _id: -1 } },
+        ],
+      },
+    },
+  ]);
+
+  const counts = (rows) => new Map(rows.map((row) => [row._id, row.count]));
+  const createdPerDay = counts(facets.createdPerDay);
+  const completedPerDay = counts(facets.completedPerDay);
+  const createdPerWeek = counts(facets.createdPerWeek);
+  const completedPerWeek = counts(facets.completedPerWeek);
+
+  // Every day in the range, with the running totals: open = created so far - completed so far
+  const before = facets.before[0] || { created: 0, completed: 0 };
+  let createdSoFar = before.created;
+  let doneSoFar = before.completed;
+  const days = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const created = createdPerDay.get(date) || 0;
+    const completed = completedPerDay.get(date) || 0;
+    createdSoFar += created;
+    doneSoFar += completed;
+    days.push({ date, created, completed, open: createdSoFar - doneSoFar, done: doneSoFar });
+  }
+
+  // Every week the range touches (the first and last may only be partly in it)
+  const weeks = [];
+  for (let monday = weekOf(from); monday <= to; monday = addDays(monday, 7)) {
+    weeks.push({ week: monday, created: createdPerWeek.get(monday) || 0, completed: completedPerWeek.get(monday) || 0 });
+  }
+
+  const averageMs = facets.timeToComplete[0]?.averageMs;
+  return {
+    timeZone,
+    from,
+    to,
+    totals: {
+      created: days.reduce((sum, d) => sum + d.created, 0),
+      completed: days.reduce((sum, d) => sum + d.completed, 0),
+      open: facets.open[0]?.count ?? 0,
+    },
+    days,
+    weeks,
+    streak: streaks(facets.completionDays.map((row) => row._id), dayIn(now, timeZone)),
+    averageCompletionMs: averageMs == null ? null : Math.round(averageMs),
+  };
+}
+
+/**
+ * Gives todos completed before completedAt existed one: their last change, the best guess there is
+ * (a no-op once they all have one)
+ * @returns {Promise<number>} How many todos got one
+ */
+async function backfillCompletedAt() {
+  const result = await Todo.updateMany(
+    { completed: true, completedAt: null },
+    [{ $set: { completedAt: '$updatedAt' } }],
+    { timestamps: false }
+  ).setOptions({ withDeleted: true });
+  return result.modifiedCount;
+}
+
+module.exports = { productivityStats, resolveStatsRange, backfillCompletedAt };
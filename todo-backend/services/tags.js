@@ -0,0 +1,33 @@
+/**
+ * TAGS ON TODOS
+ * Todos can be given any tag name, including new ones. Every name a todo uses gets a
+ * Tag document (with the default color) so it shows up in GET /api/tags and autocomplete.
+ */
+
+const Tag = require('../models/tag');
+
+/**
+ * Creates the Tag documents that don't exist yet for some tag names
+ * @param {ObjectId} owner - The user's id
+ * @param {string[]} names - Tag names a todo was just given
+ * @returns {Promise<number>} How many tags were created
+ */
+async function ensureTags(owner, names) {
+  if (!names || names.length === 0) return 0;
+  try {
+    const result = await Tag.bulkWrite(
+      names.map((name) => ({
+        updateOne: { filter: { owner, name }, update: { $setOnInsert: { owner, name } }, upsert: true },
+      })),
+      { ordered: false }
+    );
+    return result.upsertedCount;
+  } catch (err) {
+    // Two requests creating the same tag at once: one upsert loses with a duplicate key
+    // error, but the tag exists either way
+    if (err.code === 11000 || err.writeErrors?.every((e) => e.code === 11000)) return 0;
+    throw err;
+  }
+}
+
+module.exports = { ensureTags };
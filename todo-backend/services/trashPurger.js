@@ -0,0 +1,127 @@
+/**
+ * TRASH PURGER
+ * Deleted todos stay in the trash (deletedAt set) so they can be restored. This job runs
+ * inside the server process and permanently removes the ones that have been in the trash
+ * longer than the retention period. Purges the user asks for go through here too (purgeTodos),
+ * so onPurge listeners hear about every todo that's gone for good.
+ *
+ * Started from index.js once the database is connected:
+ *   const trashPurger = require('./services/trashPurger');
+ *   trashPurger.start();
+ */
+
+const Todo = require('../models/todo');
+const { logger } = require('../utils/logger');
+
+// How long deleted todos stay restorable (days) - 30 unless set in .env
+const RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// How often to look for expired trash (milliseconds) - hourly unless set in .env
+const INTERVAL_MS = Number(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000;
+
+// Most todos to remove in one round (a purge keeps going round until nothing is left)
+const BATCH_SIZE = 500;
+
+// Functions called with the purged todos after every purge (see onPurge)
+const listeners = new Set();
+
+let timer = null;
+let running = null; // The purge in progress, if any
+
+/**
+ * Permanently deletes trashed todos, a batch at a time, and tells the onPurge listeners
+ * Every purge goes through here - the expired ones below and the user's own (DELETE /api/todos/trash)
+ * @param {Object} filter - Which todos (must only match ones in the trash)
+ * @returns {Promise<Object[]>} The purged todos ({ _id, owner, attachments } only)
+ */
+async function purgeTodos(filter) {
+  const purged = [];
+
+  for (;;) {
+    const batch = await Todo.find(filter, { _id: 1, owner: 1, attachments: 1 }).limit(BATCH_SIZE);
+    if (batch.length === 0) break;
+    const ids = batch.map((t) => t._id);
+
+    // The filter again, in case one was restored since it was read
+    const result = await Todo.deleteMany({ $and: [filter, { _id: { $in: ids } }] });
+    let deleted = batch;
+    if (result.deletedCount < batch.length) {
+      // Only the ones that are really gone count (their files get deleted by a listener)
+      const left = await Todo.find({ _id: { $in: ids } }, { _id: 1 }).setOptions({ withDeleted: true });
+      deleted = batch.filter((todo) => !left.some((l) => l._id.equals(todo._id)));
+    }
+    purged.push(...deleted);
+    if (batch.length < BATCH_SIZE) break;
+  }
+
+  if (purged.length > 0) {
+    for (const listener of listeners) {
+      listener(purged);
+    }
+  }
+  return purged;
+}
+
+/**
+ * Permanently deletes every todo that has been in the trash longer than the retention period
+ * @param {Date} [now=new Date()] - Current time (handy for tests)
+ * @returns {Promise<Object[]>} The purged todos ({ _id, owner, attachments } only)
+ */
+async function purgeExpiredTrash(now = new Date()) {
+  const cutoff = new Date(now.getTime() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  return purgeTodos({ deletedAt: { $ne: null, $lte: cutoff } });
+}
+
+/**
+ * One purger tick - skips if the previous purge is still running
+ */
+async function tick() {
+  if (running) return;
+  running = purgeExpiredTrash()
+    .then((purged) => {
+      if (purged.length > 0) {
+        logger.info('trash purged', { count: purged.length });
+      }
+    })
+    .catch((err) => {
+      // Never let a failed purge crash the server - the next tick tries again
+      logger.error('trash purge failed', { err });
+    })
+    .finally(() => {
+      running = null;
+    });
+  await running;
+}
+
+/**
+ * Starts purging expired trash (does nothing if already started)
+ */
+function start() {
+  if (timer) return;
+  timer = setInterval(tick, INTERVAL_MS);
+  // Don't keep the process alive just for this timer
+  timer.unref();
+  tick();
+}
+
+/**
+ * Stops purging expired trash
+ * @returns {Promise} Resolves once a purge that was already running has finished
+ */
+async function stop() {
+  clearInterval(timer);
+  timer = null;
+  await running;
+}
+
+/**
+ * Registers a function to call with the todos a purge removed
+ * @param {Function} listener - Called with an array of { _id, owner, attachments }
+ * @returns {Function} Call it to unregister
+ */
+function onPurge(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+module.exports = { start, stop, onPurge, purgeTodos, purgeExpiredTrash, RETENTION_DAYS };
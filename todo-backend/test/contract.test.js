@@ -0,0 +1,453 @@
+/**
+ * CONTRACT TESTS
+ * Calls every operation in the OpenAPI document against a real (in-memory) MongoDB and checks
+ * each answer: its status must be one the document lists for the operation, and its body must
+ * match the schema given for that status. The last test fails if an operation was never called.
+ *
+ * mongodb-memory-server downloads a MongoDB binary the first time it runs
+ * (set MONGOMS_SYSTEM_BINARY to use one that's already installed).
+ */
+
+process.env.JWT_SECRET ??= 'test-secret';
+process.env.LOG_LEVEL ??= 'silent';
+// The whole suite comes from one address and a handful of users, faster than any real client
+process.env.RATE_LIMIT_PER_IP ??= '0';
+process.env.RATE_LIMIT_PER_USER ??= '0';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+const { app } = require('../app');
+const { OPERATIONS, buildOpenApiDocument } = require('../openapi');
+const { createLocalDiskStorage, setStorage } = require('../services/attachmentStorage');
+const { fireDueReminders } = require('../services/reminderScheduler');
+
+const document = buildOpenApiDocument();
+
+// The document's schemas, reachable as spec#/components/schemas/...
+const ajv = new Ajv2020({ strict: false, allErrors: true });
+addFormats(ajv);
+ajv.addSchema({ $id: 'spec', components: document.components });
+
+// Operation id -> { method, path, operation }
+const operations = new Map(
+  OPERATIONS.map((op) => [op.id, { ...op, operation: document.paths[op.path][op.method] }])
+);
+
+// Operations that answered with success at least once
+const called = new Set();
+
+// Compiled response schemas, by "operationId status"
+const validators = new Map();
+
+/**
+ * Checks an answer against the document and counts the operation as called
+ * @param {string} operationId - The operation the request was for
+ * @param {number} status - The status the test expects
+ * @param {Object} res - The response (supertest's, or { status, type } for a stream)
+ * @returns {*} The response body
+ */
+function check(operationId, status, res) {
+  assert.equal(res.status, status, `${operationId} answered ${res.status}: ${JSON.stringify(res.body)}`);
+
+  const { operation } = operations.get(operationId);
+  let response = operation.responses[status];
+  assert.ok(response, `the document doesn't list ${status} for ${operationId}`);
+  if (response.$ref) response = document.components.responses[response.$ref.split('/').pop()];
+
+  if (response.content) {
+    const types = Object.keys(response.content);
+    assert.ok(types.includes(res.type) || types.includes('*/*'), `${operationId} sent ${res.type}, expected ${types}`);
+
+    const schema = response.content['application/json']?.schema;
+    if (schema) {
+      const key = `${operationId} ${status}`;
+      if (!validators.has(key)) {
+        // The schema's #/components/... refs point into the document
+        const resolved = JSON.parse(JSON.stringify(schema).replaceAll('"#/components/', '"spec#/components/'));
+        validators.set(key, ajv.compile(resolved));
+      }
+      const validate = validators.get(key);
+      assert.ok(validate(res.body), `${operationId} ${status}: ${ajv.errorsText(validate.errors)}`);
+    }
+  }
+
+  if (status < 300) called.add(operationId);
+  return res.body;
+}
+
+/**
+ * A request to /api/v1, logged in as user if given
+ * @param {string} method - Lower case HTTP method
+ * @param {string} url - Address relative to /api/v1
+ * @param {Object} [user] - { token } from registering
+ */
+function send(method, url, user) {
+  const req = request(app)[method](`/api/v1${url}`);
+  return user ? req.set('Authorization', `Bearer ${user.token}`) : req;
+}
+
+/**
+ * Registers a user
+ * @param {string} username
+ * @returns {Promise<{ token: string, id: string }>}
+ */
+async function register(username) {
+  const session = check('register', 201, await send('post', '/auth/register').send({ username, password: 'secret-password' }));
+  return { token: session.token, id: session.user._id };
+}
+
+describe('API contract', () => {
+  let mongod;
+  let uploads;
+
+  before(async () => {
+    mongod = await MongoMemoryServer.create();
+    await mongoose.connect(mongod.getUri());
+    // Build the indexes (the text index for ?q= searches, unique names...) before any request
+    await Promise.all(mongoose.modelNames().map((name) => mongoose.model(name).init()));
+
+    uploads = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'todo-attachments-'));
+    setStorage(createLocalDiskStorage(uploads));
+  }, { timeout: 120 * 1000 });
+
+  after(async () => {
+    await mongoose.disconnect();
+    if (mongod) await mongod.stop();
+    if (uploads) await fs.promises.rm(uploads, { recursive: true, force: true });
+  });
+
+  // Users and what the tests create, shared from one test to the next (they run in order)
+  let alice;
+  let bob;
+  let todo;
+  let repeating;
+  let list;
+
+  it('auth', async () => {
+    alice = await register('alice');
+    bob = await register('bob');
+    check('register', 409, await send('post', '/auth/register').send({ username: 'alice', password: 'another-password' }));
+    check('register', 400, await send('post', '/auth/register').send({ username: 'al' }));
+
+    check('login', 200, await send('post', '/auth/login').send({ username: 'alice', password: 'secret-password' }));
+    check('login', 401, await send('post', '/auth/login').send({ username: 'alice', password: 'wrong-password' }));
+
+    const me = check('getCurrentUser', 200, await send('get', '/auth/me', alice));
+    assert.equal(me.user.username, 'alice');
+    check('getCurrentUser', 401, await send('get', '/auth/me'));
+
+    // Logging out ends every session of that user
+    const carol = await register('carol');
+    check('logout', 200, await send('post', '/auth/logout', carol));
+    check('getCurrentUser', 401, await send('get', '/auth/me', carol));
+  });
+
+  it('todos', async () => {
+    const due = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    todo = check('createTodo', 201, await send('post', '/todos', alice).send({
+      title: 'Buy milk',
+      notes: 'Semi-skimmed, **two** bottles',
+      dueAt: due,
+      remindAt: new Date(Date.now() - 1000).toISOString(),
+      priority: 'high',
+      tags: ['home'],
+    }));
+    repeating = check('createTodo', 201, await send('post', '/todos?parse=true&tz=Europe/Berlin', alice).send({
+      title: 'Water the plants every monday #home',
+    }));
+    assert.equal(repeating.recurrence.freq, 'weekly');
+    assert.deepEqual(repeating.tags, ['home']);
+    const other = check('createTodo', 201, await send('post', '/todos', alice).send({ title: 'Call the bank' }));
+    check('createTodo', 400, await send('post', '/todos', alice).send({ notes: 'no title' }));
+
+    check('listTodos', 200, await send('get', '/todos?status=active&sort=smart', alice));
+    const found = check('listTodos', 200, await send('get', '/todos?q=milk&tags=home&limit=1', alice));
+    assert.deepEqual(found.items.map((t) => t._id), [todo._id]);
+    check('listTodos', 400, await send('get', '/todos?limit=1000', alice));
+
+    check('getUpcomingTodos', 200, await send('get', '/todos/upcoming?tz=Europe/Berlin', alice));
+    check('getTodayTodos', 200, await send('get', '/todos/today?tz=Europe/Berlin&limit=5', alice));
+    check('getFiredReminders', 200, await send('get', `/todos/reminders?since=${encodeURIComponent(new Date(0).toISOString())}`, alice));
+    check('getFiredReminders', 400, await send('get', '/todos/reminders', alice));
+
+    // PATCH changes what it's sent, PUT replaces the whole todo
+    const patch = (id, body) => send('patch', `/todos/${id}`, alice).set('Content-Type', 'application/merge-patch+json').send(body);
+    todo = check('patchTodo', 200, await patch(todo._id, { title: 'Buy oat milk', remindAt: null }));
+    assert.equal(todo.priority, 'high');
+    assert.equal(todo.remindAt, null);
+    check('patchTodo', 400, await patch(todo._id, { title: null }));
+    check('patchTodo', 415, await send('patch', `/todos/${todo._id}`, alice).set('Content-Type', 'text/plain').send('title=x'));
+    check('patchTodo', 400, await patch('not-an-id', { title: 'x' }));
+    check('patchTodo', 404, await patch(new mongoose.Types.ObjectId(), { title: 'x' }));
+
+    const replaced = check('replaceTodo', 200, await send('put', `/todos/${other._id}`, alice).send({ title: 'Call the bank today' }));
+    assert.equal(replaced.priority, 'none');
+    check('replaceTodo', 400, await send('put', `/todos/${other._id}`, alice).send({ notes: 'no title' }));
+
+    // Conditional requests: 304 while the ETag is current, 412 for writes based on an old one
+    const fetched = await send('get', `/todos/${todo._id}`, alice);
+    check('getTodo', 200, fetched);
+    assert.equal(fetched.headers.etag, `"${todo.updatedAt}"`);
+    check('getTodo', 304, await send('get', `/todos/${todo._id}`, alice).set('If-None-Match', fetched.headers.etag));
+    check('getTodo', 404, await send('get', `/todos/${new mongoose.Types.ObjectId()}`, alice));
+
+    const page = await send('get', '/todos', alice);
+    check('listTodos', 304, await send('get', '/todos', alice).set('If-None-Match', page.headers.etag));
+
+    check('patchTodo', 412, await patch(todo._id, { title: 'Buy soy milk' }).set('If-Match', `"${new Date(0).toISOString()}"`));
+    todo = check('patchTodo', 200, await patch(todo._id, { notes: 'Oat, two bottles' }).set('If-Match', fetched.headers.etag));
+    check('replaceTodo', 412, await send('put', `/todos/${todo._id}`, alice).set('If-Match', fetched.headers.etag).send({ title: 'x' }));
+    check('deleteTodo', 412, await send('delete', `/todos/${todo._id}`, alice).set('If-Match', fetched.headers.etag));
+
+    // A reminder firing changes the ETag (no 304 for the old copy) but not what writes are checked against
+    const beforeReminder = `"${todo.updatedAt}"`;
+    assert.ok((await fireDueReminders()).some((t) => t._id.equals(todo._id)));
+    const reminded = await send('get', `/todos/${todo._id}`, alice).set('If-None-Match', beforeReminder);
+    assert.ok(check('getTodo', 200, reminded).reminderFiredAt);
+    assert.notEqual(reminded.headers.etag, beforeReminder);
+    check('getTodo', 304, await send('get', `/todos/${todo._id}`, alice).set('If-None-Match', reminded.headers.etag));
+    todo = check('patchTodo', 200, await patch(todo._id, { notes: 'Oat, three bottles' }).set('If-Match', beforeReminder));
+
+    // Completing a repeating todo sends the next occurrence along
+    const completed = check('patchTodo', 200, await patch(repeating._id, { completed: true }));
+    assert.ok(completed.nextOccurrence);
+    assert.deepEqual(completed.nextOccurrence.tags, ['home']);
+    assert.ok(completed.completedAt);
+    assert.equal(completed.nextOccurrence.completedAt, null);
+
+    // completedAt follows completed, both ways
+    assert.ok(check('patchTodo', 200, await patch(other._id, { completed: true })).completedAt);
+    assert.equal(check('patchTodo', 200, await patch(other._id, { completed: false })).completedAt, null);
+
+    check('moveTodo', 200, await send('patch', `/todos/${other._id}/move`, alice).send({ after: todo._id }));
+    check('moveTodo', 400, await send('patch', `/todos/${other._id}/move`, alice).send({}));
+
+    const bulk = check('bulkUpdateTodos', 200, await send('post', '/todos/bulk', alice).send({
+      ids: [todo._id, other._id],
+      operation: 'addTag',
+      tag: 'errands',
+    }));
+    assert.deepEqual(bulk.results.map((r) => r.status), ['updated', 'updated']);
+    check('bulkUpdateTodos', 400, await send('post', '/todos/bulk', alice).send({ ids: [todo._id] }));
+
+    // A filter never picks todos the operation would refuse, so they don't come back on every resend
+    const crowded = check('createTodo', 201, await send('post', '/todos', alice).send({
+      title: 'Crowded',
+      tags: Array.from({ length: 20 }, (_, i) => `tag${i}`),
+    }));
+    const refused = check('bulkUpdateTodos', 200, await send('post', '/todos/bulk', alice).send({
+      filter: { q: 'Crowded' },
+      operation: 'addTag',
+      tag: 'errands',
+    }));
+    assert.deepEqual(refused.results, []);
+    assert.equal(refused.hasMore, false);
+    check('deleteTodo', 200, await send('delete', `/todos/${crowded._id}`, alice));
+
+    check('getTodoHistory', 200, await send('get', `/todos/${todo._id}/history?limit=10`, alice));
+    check('getActivity', 200, await send('get', '/activity?type=completed', alice));
+  });
+
+  it('todos added at the same moment', async () => {
+    // They all start from the same top todo, so they'd all want the same position
+    const erin = await register('erin');
+    const created = await Promise.all(
+      Array.from({ length: 5 }, (_, i) => send('post', '/todos', erin).send({ title: `Parallel ${i}` }))
+    );
+    const todos = created.map((res) => check('createTodo', 201, res));
+    assert.equal(new Set(todos.map((t) => t.position)).size, 5);
+  });
+
+  it('import and export', async () => {
+    const csv = await send('get', '/todos/export?format=csv', alice);
+    check('exportTodos', 200, csv);
+    assert.match(csv.text, /Buy oat milk/);
+    check('exportTodos', 200, await send('get', '/todos/export', alice));
+
+    const file = JSON.stringify([{ title: 'Book flights', list: 'Travel' }, { title: '' }]);
+    const dryRun = check('importTodos', 200, await send('post', '/todos/import?format=json&dryRun=true', alice)
+      .set('Content-Type', 'text/plain')
+      .send(file));
+    assert.deepEqual(dryRun.summary, { total: 2, imported: 1, duplicates: 0, errors: 1 });
+
+    const imported = check('importTodos', 201, await send('post', '/todos/import?format=json', alice)
+      .set('Content-Type', 'text/plain')
+      .send(file));
+    assert.deepEqual(imported.newLists, ['Travel']);
+    check('importTodos', 400, await send('post', '/todos/import?format=json', alice).set('Content-Type', 'text/plain').send('not json'));
+  });
+
+  it('checklists', async () => {
+    let updated = check('addSubtask', 201, await send('post', `/todos/${todo._id}/subtasks`, alice).send({ title: 'Check the fridge' }));
+    updated = check('addSubtask', 201, await send('post', `/todos/${todo._id}/subtasks`, alice).send({ title: 'Go to the shop' }));
+    const [first, second] = updated.subtasks;
+
+    check('reorderSubtasks', 200, await send('put', `/todos/${todo._id}/subtasks/order`, alice).send({ ids: [second._id, first._id] }));
+    check('updateSubtask', 200, await send('patch', `/todos/${todo._id}/subtasks/${first._id}`, alice).send({ completed: true }));
+    check('updateSubtask', 400, await send('patch', `/todos/${todo._id}/subtasks/${first._id}`, alice).send({}));
+    check('deleteSubtask', 200, await send('delete', `/todos/${todo._id}/subtasks/${second._id}`, alice));
+    check('deleteSubtask', 404, await send('delete', `/todos/${todo._id}/subtasks/${second._id}`, alice));
+  });
+
+  it('attachments', async () => {
+    const updated = check('uploadAttachment', 201, await send('post', `/todos/${todo._id}/attachments`, alice)
+      .attach('file', Buffer.from('Milk, eggs, bread\n'), { filename: 'shopping.txt', contentType: 'text/plain' }));
+    const [attachment] = updated.attachments;
+    check('uploadAttachment', 415, await send('post', `/todos/${todo._id}/attachments`, alice)
+      .attach('file', Buffer.from('MZ'), { filename: 'setup.exe', contentType: 'application/x-msdownload' }));
+
+    const url = `/todos/${todo._id}/attachments/${attachment._id}`;
+    const file = await send('get', `${url}?download=true`, alice).buffer(true);
+    check('downloadAttachment', 200, file);
+    assert.equal(file.text, 'Milk, eggs, bread\n');
+    check('downloadAttachment', 304, await send('get', url, alice).set('If-None-Match', file.headers.etag));
+
+    check('deleteAttachment', 200, await send('delete', url, alice));
+    check('downloadAttachment', 404, await send('get', url, alice));
+  });
+
+  it('lists and sharing', async () => {
+    list = check('createList', 201, await send('post', '/lists', alice).send({ name: 'Groceries', color: '#4CAF50' }));
+    check('createList', 400, await send('post', '/lists', alice).send({ name: 'Bad', color: 'green' }));
+    check('updateList', 200, await send('put', `/lists/${list._id}`, alice).send({ name: 'Shopping' }));
+
+    check('addMember', 201, await send('post', `/lists/${list._id}/members`, alice).send({ username: 'bob', role: 'viewer' }));
+    check('addMember', 400, await send('post', `/lists/${list._id}/members`, alice).send({ username: 'nobody' }));
+    check('addMember', 409, await send('post', `/lists/${list._id}/members`, alice).send({ username: 'bob' }));
+    check('updateMember', 200, await send('patch', `/lists/${list._id}/members/${bob.id}`, alice).send({ role: 'editor' }));
+    const { members } = check('listMembers', 200, await send('get', `/lists/${list._id}/members`, bob));
+    assert.deepEqual(members.map((m) => m.role), ['owner', 'editor']);
+
+    // Editors add todos, only owners manage the list
+    check('createTodo', 201, await send('post', '/todos', bob).send({ title: 'Bread', listId: list._id, assignee: alice.id }));
+    // The todo is alice's (she made the list), but it shows up in both their activity feeds
+    for (const user of [alice, bob]) {
+      const feed = check('getActivity', 200, await send('get', '/activity?type=created', user));
+      assert.equal(feed.items[0].title, 'Bread');
+    }
+    check('listInvites', 403, await send('get', `/lists/${list._id}/invites`, bob));
+    check('updateList', 403, await send('put', `/lists/${list._id}`, bob).send({ name: 'Mine now' }));
+    // Not even a co-owner can delete it - only the one who made it
+    check('updateMember', 200, await send('patch', `/lists/${list._id}/members/${bob.id}`, alice).send({ role: 'owner' }));
+    check('deleteList', 403, await send('delete', `/lists/${list._id}`, bob));
+    check('updateMember', 200, await send('patch', `/lists/${list._id}/members/${bob.id}`, alice).send({ role: 'editor' }));
+
+    const { invite, token } = check('createInvite', 201, await send('post', `/lists/${list._id}/invites`, alice).send({ role: 'viewer' }));
+    check('listInvites', 200, await send('get', `/lists/${list._id}/invites`, alice));
+
+    const dave = await register('dave');
+    const shown = check('getInvite', 200, await send('get', `/invites/${token}`, dave));
+    assert.equal(shown.currentRole, null);
+    check('acceptInvite', 200, await send('post', `/invites/${token}/accept`, dave));
+    check('getInvite', 404, await send('get', '/invites/not-a-real-token', dave));
+
+    const lists = check('listLists', 200, await send('get', '/lists', dave));
+    assert.deepEqual(lists.lists.map((l) => l.role), ['viewer']);
+    check('createTodo', 403, await send('post', '/todos', dave).send({ title: 'Chocolate', listId: list._id }));
+
+    check('revokeInvite', 200, await send('delete', `/lists/${list._id}/invites/${invite._id}`, alice));
+    check('removeMember', 200, await send('delete', `/lists/${list._id}/members/${dave.id}`, alice));
+    check('listLists', 200, await send('get', '/lists', alice));
+  });
+
+  it('tags', async () => {
+    const tags = check('listTags', 200, await send('get', '/tags', alice));
+    assert.ok(tags.some((tag) => tag.name === 'home'));
+
+    const tag = check('createTag', 201, await send('post', '/tags', alice).send({ name: 'urgent', color: '#FF0000' }));
+    check('createTag', 409, await send('post', '/tags', alice).send({ name: 'urgent' }));
+    check('updateTag', 200, await send('put', `/tags/${tag._id}`, alice).send({ name: 'asap' }));
+    check('updateTag', 409, await send('put', `/tags/${tag._id}`, alice).send({ name: 'home' }));
+    check('deleteTag', 200, await send('delete', `/tags/${tag._id}`, alice));
+    check('deleteTag', 404, await send('delete', `/tags/${tag._id}`, alice));
+  });
+
+  it('live updates', async () => {
+    const server = app.listen(0);
+    try {
+      const { port } = server.address();
+      const res = await new Promise((resolve, reject) => {
+        const req = http.get(
+          { port, path: '/api/v1/events', headers: { Authorization: `Bearer ${alice.token}` } },
+          (res) => {
+            let text = '';
+            res.on('data', (chunk) => {
+              text += chunk;
+              // The stream never ends; stop once it says it's open
+              if (text.includes('event: ready')) {
+                req.destroy();
+                resolve({ status: res.statusCode, type: res.headers['content-type'].split(';')[0] });
+              }
+            });
+          }
+        );
+        req.on('error', reject);
+      });
+      check('streamEvents', 200, res);
+    } finally {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it('stats', async () => {
+    // The repeating todo was completed today, the others are open
+    const stats = check('getStats', 200, await send('get', '/stats?tz=Europe/Berlin', alice));
+    assert.equal(stats.days.length, 30);
+    assert.equal(stats.streak.current, 1);
+    assert.equal(stats.streak.lastCompletedOn, stats.to);
+    assert.ok(stats.totals.completed >= 1);
+    assert.equal(stats.days.at(-1).done, stats.totals.completed);
+    assert.equal(stats.days.at(-1).open, stats.totals.open);
+    assert.equal(typeof stats.averageCompletionMs, 'number');
+
+    const january = check('getStats', 200, await send('get', '/stats?from=2024-01-01&to=2024-01-31', alice));
+    assert.equal(january.days.length, 31);
+    assert.deepEqual(january.totals, { created: 0, completed: 0, open: stats.totals.open });
+    assert.equal(january.weeks[0].week, '2024-01-01');
+    assert.equal(january.averageCompletionMs, null);
+
+    check('getStats', 400, await send('get', '/stats?from=01/02/2024', alice));
+    check('getStats', 400, await send('get', '/stats?from=2024-02-30&to=2024-03-01', alice));
+    check('getStats', 400, await send('get', '/stats?from=2024-03-02&to=2024-03-01', alice));
+    check('getStats', 400, await send('get', '/stats?from=2020-01-01&to=2024-01-01', alice));
+  });
+
+  it('trash', async () => {
+    check('deleteTodo', 200, await send('delete', `/todos/${todo._id}`, alice));
+    check('restoreTodo', 200, await send('post', `/todos/${todo._id}/restore`, alice));
+    check('restoreTodo', 404, await send('post', `/todos/${todo._id}/restore`, alice));
+
+    const series = check('deleteTodo', 200, await send('delete', `/todos/${repeating._id}?scope=series`, alice));
+    assert.ok(series.deletedIds.length >= 1);
+    check('deleteTodo', 400, await send('delete', `/todos/${todo._id}?scope=everything`, alice));
+
+    const trash = check('listTrash', 200, await send('get', '/todos/trash', alice));
+    check('purgeTodo', 200, await send('delete', `/todos/trash/${trash.items[0]._id}`, alice));
+    check('purgeTodo', 404, await send('delete', `/todos/trash/${todo._id}`, alice));
+    check('emptyTrash', 200, await send('delete', '/todos/trash', alice));
+
+    const last = check('createTodo', 201, await send('post', '/todos', alice).send({
+      title: 'Last one in the list',
+      listId: list._id,
+    }));
+    check('deleteList', 200, await send('delete', `/lists/${list._id}?todos=delete`, alice));
+    const history = check('getTodoHistory', 200, await send('get', `/todos/${last._id}/history`, alice));
+    assert.equal(history.items[0].type, 'deleted');
+    check('deleteList', 404, await send('delete', `/lists/${list._id}`, alice));
+  });
+
+  it('every operation in the document was called', () => {
+    assert.deepEqual(OPERATIONS.map((op) => op.id).filter((id) => !called.has(id)), []);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * HEALTH, READINESS AND METRICS TESTS
+ * Run without a database, which is exactly when the probes matter most.
+ */
+
+process.env.JWT_SECRET ??= 'test-secret';
+process.env.LOG_LEVEL ??= 'silent';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const request = require('supertest');
+
+const { app } = require('../app');
+const { collectMetrics } = require('../services/metrics');
+const { errorHandler } = require('../middleware/errorHandler');
+
+/**
+ * The value of one series in a /metrics answer
+ * @param {string} text - The whole answer
+ * @param {string} series - Name and labels, e.g. 'http_requests_total{method="GET",...}'
+ * @returns {number|undefined}
+ */
+function sample(text, series) {
+  const line = text.split('\n').find((l) => l.startsWith(`${series} `));
+  return line && Number(line.slice(series.length + 1));
+}
+
+describe('Health and readiness', () => {
+  afterEach(() => {
+    app.locals.shuttingDown = false;
+  });
+
+  it('/healthz says the process is alive, with the database state and uptime', async () => {
+    const res = await request(app).get('/healthz').expect(200);
+    assert.equal(res.body.status, 'ok');
+    assert.equal(typeof res.body.uptime, 'number');
+    assert.deepEqual(res.body.database, { state: 'disconnected', connected: false });
+  });
+
+  it('/readyz is 503 without a database', async () => {
+    const res = await request(app).get('/readyz').expect(503);
+    assert.equal(res.body.status, 'not ready');
+    assert.equal(res.body.reason, 'database not connected');
+  });
+
+  it('/readyz is 503 once a shutdown has started', async () => {
+    app.locals.shuttingDown = true;
+    const res = await request(app).get('/readyz').expect(503);
+    assert.equal(res.body.reason, 'shutting down');
+  });
+});
+
+describe('Metrics', () => {
+  it('counts requests per route pattern, not per URL', async () => {
+    await request(app).get('/api/v1/todos/0123456789abcdef01234567').expect(401);
+    await request(app).get('/api/v1/auth/me').expect(401);
+    await request(app).get('/api/v1/auth/me').expect(401);
+    await request(app).get('/no/such/page').expect(404);
+
+    const res = await request(app).get('/metrics').expect(200);
+    assert.match(res.headers['content-type'], /^text\/plain;.*version=0\.0\.4/);
+
+    const text = res.text;
+    assert.equal(sample(text, 'http_requests_total{method="GET",route="/api/v1/auth/me",status="401"}'), 2);
+    assert.equal(sample(text, 'http_requests_total{method="GET",route="unmatched",status="404"}'), 1);
+    assert.ok(!text.includes('0123456789abcdef01234567'), 'no ids in the labels');
+  });
+
+  it('keeps the full route pattern when the route throws', async () => {
+    // /me throws 401 itself (requireAuth runs inside the route), so it goes through the error handler
+    const text = (await request(app).get('/metrics')).text;
+    assert.ok(text.includes('route="/api/v1/auth/me"'));
+    assert.ok(!text.includes('route="/me"'));
+  });
+
+  it('labels routes in routers mounted on a path with params by the pattern', async () => {
+    // The todo router on its own, with a made-up caller, so the request gets past requireAuth
+    // and into the subtask / attachment routers without a database (the ids are checked first)
+    const nested = express();
+    nested.use(collectMetrics);
+    nested.use((req, res, next) => {
+      req.user = { id: '0123456789abcdef01234567' };
+      next();
+    });
+    nested.use('/api/v1/todos', require('../routes/todo'));
+    nested.use(errorHandler);
+
+    const todoId = 'fedcba9876543210fedcba98';
+    await request(nested).patch(`/api/v1/todos/${todoId}/subtasks/not-an-id`).send({ done: true }).expect(400);
+    await request(nested).delete(`/api/v1/todos/${todoId}/attachments/not-an-id`).expect(400);
+
+    const text = (await request(app).get('/metrics')).text;
+    assert.equal(
+      sample(text, 'http_requests_total{method="PATCH",route="/api/v1/todos/:id/subtasks/:subtaskId",status="400"}'),
+      1
+    );
+    assert.equal(
+      sample(text, 'http_requests_total{method="DELETE",route="/api/v1/todos/:id/attachments/:attachmentId",status="400"}'),
+      1
+    );
+    assert.ok(!text.includes(todoId), 'no ids in the labels');
+  });
+
+  it('labels requests turned away before a route by the router they got into', async () => {
+    await request(app).get('/api/v1/todos/0123456789abcdef01234567/subtasks').expect(401);
+    await request(app).get('/api/v1/no-such-thing').expect(404);
+
+    const text = (await request(app).get('/metrics')).text;
+    assert.ok(sample(text, 'http_requests_total{method="GET",route="/api/v1/todos/*",status="401"}') >= 1);
+    assert.equal(sample(text, 'http_requests_total{method="GET",route="/api/v1/*",status="404"}'), 1);
+  });
+
+  it('has a latency histogram and the database gauge', async () => {
+    await request(app).get('/healthz');
+    const text = (await request(app).get('/metrics')).text;
+    assert.match(text, /# TYPE http_request_duration_seconds histogram/);
+    const inf = sample(text, 'http_request_duration_seconds_bucket{method="GET",route="/healthz",le="+Inf"}');
+    assert.equal(inf, sample(text, 'http_request_duration_seconds_count{method="GET",route="/healthz"}'));
+    assert.ok(inf >= 1);
+    assert.equal(sample(text, 'mongodb_up'), 0);
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * MIDDLEWARE TESTS
+ * Request ids, security headers, CORS, body limits and rate limiting - everything that
+ * happens to a request before a route sees it. No database needed.
+ */
+
+process.env.JWT_SECRET ??= 'test-secret';
+process.env.LOG_LEVEL ??= 'silent';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const request = require('supertest');
+
+const { app } = require('../app');
+const { createRateLimiter } = require('../middleware/rateLimit');
+const { errorHandler } = require('../middleware/errorHandler');
+
+/**
+ * A bare app with one rate limited route, answering errors like the real one
+ * @param {Object} options - For createRateLimiter()
+ */
+function limitedApp(options) {
+  const limited = express();
+  limited.get('/', createRateLimiter(options), (req, res) => res.json({ ok: true }));
+  limited.use(errorHandler);
+  return limited;
+}
+
+describe('Request ids', () => {
+  it('every response has one, and errors carry the same id', async () => {
+    const res = await request(app).get('/api/v1/auth/me').expect(401);
+    assert.match(res.headers['x-request-id'], /^[0-9a-f-]{36}$/);
+    assert.equal(res.body.error.requestId, res.headers['x-request-id']);
+  });
+
+  it("uses the caller's id when it looks like one", async () => {
+    const res = await request(app).get('/api/v1/auth/me').set('X-Request-Id', 'proxy-1234.5').expect(401);
+    assert.equal(res.headers['x-request-id'], 'proxy-1234.5');
+    assert.equal(res.body.error.requestId, 'proxy-1234.5');
+  });
+
+  it('ignores ids that could mess up the logs', async () => {
+    const res = await request(app).get('/api/v1/auth/me').set('X-Request-Id', 'a b"c').expect(401);
+    assert.notEqual(res.headers['x-request-id'], 'a b"c');
+  });
+});
+
+describe('Security headers', () => {
+  it('are on every response, and Express stays anonymous', async () => {
+    const res = await request(app).get('/api/v1/auth/me');
+    assert.equal(res.headers['x-content-type-options'], 'nosniff');
+    assert.equal(res.headers['x-frame-options'], 'DENY');
+    assert.equal(res.headers['referrer-policy'], 'no-referrer');
+    assert.match(res.headers['content-security-policy'], /default-src 'none'/);
+    assert.equal(res.headers['x-powered-by'], undefined);
+    assert.equal(res.headers['strict-transport-security'], undefined, 'HTTPS only');
+  });
+});
+
+describe('CORS', () => {
+  it('allows the origins in the allowlist', async () => {
+    const res = await request(app)
+      .options('/api/v1/todos')
+      .set('Origin', 'http://localhost:5173')
+      .set('Access-Control-Request-Method', 'PATCH')
+      .expect(204);
+    assert.equal(res.headers['access-control-allow-origin'], 'http://localhost:5173');
+    assert.match(res.headers['access-control-allow-methods'], /PATCH/);
+  });
+
+  it('gives other origins no CORS headers, so browsers block them', async () => {
+    const res = await request(app).get('/api/v1/auth/me').set('Origin', 'https://evil.example');
+    assert.equal(res.headers['access-control-allow-origin'], undefined);
+  });
+
+  it('lets the frontend read the request id and rate limit headers', async () => {
+    const res = await request(app).get('/api/v1/auth/me').set('Origin', 'http://localhost:5173');
+    const exposed = res.headers['access-control-expose-headers'].split(',');
+    for (const header of ['ETag', 'X-Request-Id', 'Retry-After', 'RateLimit-Remaining']) {
+      assert.ok(exposed.includes(header), header);
+    }
+  });
+});
+
+describe('Body limit', () => {
+  it('refuses JSON bodies over the limit with 413', async () => {
+    const res = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ username: 'someone', password: 'x'.repeat(200 * 1024) })
+      .expect(413);
+    assert.equal(res.body.error.code, 'PAYLOAD_TOO_LARGE');
+  });
+});
+
+describe('Rate limiting', () => {
+  it('counts requests and says how many are left', async () => {
+    const limited = limitedApp({ max: 3, windowMs: 60 * 1000, keyFor: () => 'someone' });
+    const res = await request(limited).get('/').expect(200);
+    assert.equal(res.headers['ratelimit-limit'], '3');
+    assert.equal(res.headers['ratelimit-remaining'], '2');
+    assert.ok(Number(res.headers['ratelimit-reset']) <= 60);
+  });
+
+  it('refuses requests over the limit with 429 and Retry-After', async () => {
+    const limited = limitedApp({ max: 2, windowMs: 60 * 1000, keyFor: () => 'someone' });
+    await request(limited).get('/').expect(200);
+    await request(limited).get('/').expect(200);
+
+    const res = await request(limited).get('/').expect(429);
+    assert.equal(res.body.error.code, 'RATE_LIMITED');
+    const retryAfter = Number(res.headers['retry-after']);
+    assert.ok(retryAfter >= 1 && retryAfter <= 60);
+    assert.equal(res.body.error.details.retryAfter, retryAfter);
+  });
+
+  it('keeps a separate count per caller', async () => {
+    const limited = limitedApp({ max: 1, windowMs: 60 * 1000, keyFor: (req) => req.get('X-Caller') });
+    await request(limited).get('/').set('X-Caller', 'a').expect(200);
+    await request(limited).get('/').set('X-Caller', 'a').expect(429);
+    await request(limited).get('/').set('X-Caller', 'b').expect(200);
+  });
+
+  it('starts over when the window ends', async () => {
+    const limited = limitedApp({ max: 1, windowMs: 50, keyFor: () => 'someone' });
+    await request(limited).get('/').expect(200);
+    await request(limited).get('/').expect(429);
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    await request(limited).get('/').expect(200);
+  });
+
+  it('skips callers without a key, and a limit of 0 is no limit', async () => {
+    const anonymous = limitedApp({ max: 1, keyFor: () => null });
+    await request(anonymous).get('/').expect(200);
+    await request(anonymous).get('/').expect(200);
+
+    const unlimited = limitedApp({ max: 0, keyFor: () => 'someone' });
+    const res = await request(unlimited).get('/').expect(200);
+    await request(unlimited).get('/').expect(200);
+    assert.equal(res.headers['ratelimit-limit'], undefined);
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * OPENAPI DOCUMENT TESTS
+ * Checks the document is valid OpenAPI and that it matches the routes: every route is in it,
+ * everything in it is a route, and each one validates with the rules the document was built from.
+ * No database needed - the routes are found by walking the Express routers.
+ */
+
+process.env.JWT_SECRET ??= 'test-secret';
+process.env.LOG_LEVEL ??= 'silent';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const SwaggerParser = require('@apidevtools/swagger-parser');
+
+const { app, api } = require('../app');
+const { requireAuth } = require('../middleware/auth');
+const { OPERATIONS, buildOpenApiDocument } = require('../openapi');
+const { rulesToSchema, rulesToParameters, OBJECT_ID_SCHEMA } = require('../openapi/fromRules');
+
+// Stands in for every path parameter when finding the route for an operation
+const SAMPLE_ID = '0123456789abcdef01234567';
+
+/**
+ * Finds the route a request would reach, the way Express would
+ * @param {Object} router - Router to search
+ * @param {string} method - Lower case HTTP method
+ * @param {string} path - Path relative to the router
+ * @param {Function[]} [chain] - Middleware already run on the way here
+ * @returns {{ route: Object, chain: Function[] }|null} The route and every function run for it, in order
+ */
+function findRoute(router, method, path, chain = []) {
+  chain = [...chain];
+  for (const layer of router.stack) {
+    if (!layer.match(path)) continue;
+
+    if (layer.route) {
+      if (!layer.route.methods[method]) continue;
+      const handlers = layer.route.stack.filter((l) => l.method === undefined || l.method === method);
+      return { route: layer.route, chain: [...chain, ...handlers.map((l) => l.handle)] };
+    }
+
+    if (layer.handle.stack) {
+      // A router mounted with use(): it sees the rest of the path
+      const found = findRoute(layer.handle, method, path.slice(layer.path.length) || '/', chain);
+      if (found) return found;
+      continue;
+    }
+
+    chain.push(layer.handle);
+  }
+  return null;
+}
+
+/**
+ * Every (route, method) pair in a router and the routers mounted in it
+ * @param {Object} router
+ * @returns {Array<[Object, string]>}
+ */
+function allRoutes(router) {
+  return router.stack.flatMap((layer) => {
+    if (layer.route) return Object.keys(layer.route.methods).map((method) => [layer.route, method]);
+    if (layer.handle.stack) return allRoutes(layer.handle);
+    return [];
+  });
+}
+
+// Each operation with the route it reaches
+const routed = OPERATIONS.map((op) => ({
+  op,
+  found: findRoute(api, op.method, op.path.replace(/\{\w+\}/g, SAMPLE_ID)),
+}));
+
+describe('OpenAPI document', () => {
+  it('the document is valid OpenAPI', async () => {
+    // validate() resolves $refs in place, so it gets a copy
+    await SwaggerParser.validate(structuredClone(buildOpenApiDocument()));
+  });
+
+  it('operation ids are unique', () => {
+    const ids = OPERATIONS.map((op) => op.id);
+    assert.deepEqual(ids.filter((id, i) => ids.indexOf(id) !== i), []);
+  });
+
+  it('every operation in the document is a route', () => {
+    const missing = routed.filter(({ found }) => !found).map(({ op }) => `${op.method.toUpperCase()} ${op.path}`);
+    assert.deepEqual(missing, []);
+  });
+
+  it('every route is in the document', () => {
+    // Route -> the methods some operation reaches it with
+    const documented = new Map();
+    for (const { op, found } of routed) {
+      if (!found) continue;
+      if (!documented.has(found.route)) documented.set(found.route, new Set());
+      documented.get(found.route).add(op.method);
+    }
+
+    const undocumented = allRoutes(api)
+      .filter(([route, method]) => !documented.get(route)?.has(method))
+      .map(([route, method]) => `${method.toUpperCase()} ${route.path}`);
+    assert.deepEqual(undocumented, []);
+  });
+
+  for (const { op, found } of routed) {
+    if (!found) continue;
+
+    it(`${op.method.toUpperCase()} ${op.path} is described by the rules it validates with`, () => {
+      const validates = found.chain.map((fn) => fn.validates).filter(Boolean);
+      const body = validates.find((v) => v.in === 'body');
+      const query = validates.find((v) => v.in === 'query');
+      const ids = validates.filter((v) => v.in === 'path').map((v) => v.name);
+
+      assert.equal(found.chain.includes(requireAuth), !op.public, 'needs a login unless public');
+
+      if (body) {
+        assert.equal(op.body, body.rules, 'documents the body rules the route validates with');
+        assert.equal(Boolean(op.partial), body.partial, 'partial matches');
+      } else {
+        assert.equal(op.body, undefined, 'the route takes no JSON body');
+      }
+
+      if (query) {
+        assert.equal(op.query, query.rules, 'documents the query rules the route validates with');
+      } else {
+        assert.equal(op.query, undefined, 'the route takes no query');
+      }
+
+      // Every id the route checks is an ObjectId path parameter in the document
+      const operation = buildOpenApiDocument().paths[op.path][op.method];
+      const parameters = operation.parameters || [];
+      for (const name of ids) {
+        const parameter = parameters.find((p) => p.in === 'path' && p.name === name);
+        assert.ok(parameter, `documents the :${name} parameter`);
+        assert.deepEqual(parameter.schema, OBJECT_ID_SCHEMA);
+      }
+
+      // And what the document says is what the rules say
+      if (body) {
+        assert.deepEqual(
+          operation.requestBody.content['application/json'].schema,
+          rulesToSchema(body.rules, { partial: body.partial })
+        );
+      }
+      assert.deepEqual(
+        parameters.filter((p) => p.in === 'query'),
+        query ? rulesToParameters(query.rules) : []
+      );
+    });
+  }
+
+  it('GET /api/openapi.json serves the document', async () => {
+    const res = await request(app).get('/api/openapi.json').expect(200);
+    assert.deepEqual(res.body, JSON.parse(JSON.stringify(buildOpenApiDocument())));
+  });
+
+  it('the unversioned /api address still works, marked deprecated', async () => {
+    const old = await request(app).get('/api/auth/me').expect(401);
+    assert.equal(old.headers.deprecation, 'true');
+    assert.equal(old.headers.link, '</api/v1/auth/me>; rel="successor-version"');
+
+    const current = await request(app).get('/api/v1/auth/me').expect(401);
+    assert.equal(current.headers.deprecation, undefined);
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * CONDITIONAL REQUESTS (ETag / Last-Modified)
+ * Single todos are sent with an ETag and a Last-Modified header, so clients can:
+ * - ask "has it changed?" (If-None-Match: <etag>) and get 304 Not Modified if it hasn't
+ * - write only if nobody else did meanwhile (If-Match: <etag>) and get 412 if someone did
+ *
+ * A todo's ETag is its updatedAt, quoted: "2024-01-15T10:00:00.000Z". Every change to a todo
+ * moves updatedAt, so the same ETag means the same todo - and a client that only got the todo
+ * in a list (which has no per-todo headers) can still make one from the todo's updatedAt.
+ *
+ * Once its reminder fired, when that happened is added:
+ *   "2024-01-15T10:00:00.000Z;reminder=1705316400000" (fired at 11:00)
+ * The reminder scheduler (services/reminderScheduler.js) leaves updatedAt alone - nobody changed
+ * the todo, so a write based on the version from before must not get a 412 - but a client asking
+ * "has it changed?" must still get the todo with reminderFiredAt set instead of a 304.
+ * So If-None-Match compares the whole ETag and If-Match only the updatedAt part.
+ *
+ * Express answers 304 by itself: res.json() compares If-None-Match / If-Modified-Since on
+ * GET requests with the headers set here. If-Match is up to the route (see checkIfMatch()).
+ */
+
+const { ApiError } = require('./errors');
+
+/**
+ * @param {Object} todo - A todo document
+ * @returns {string} Its ETag, quotes included
+ */
+function todoETag(todo) {
+  const reminder = todo.reminderFiredAt ? `;reminder=${todo.reminderFiredAt.getTime()}` : '';
+  return `"${todo.updatedAt.toISOString()}${reminder}"`;
+}
+
+/**
+ * @param {string} etag - An ETag as a client sent it, quotes included
+ * @returns {string} Just its updatedAt part, e.g. "2024-01-15T10:00:00.000Z"
+ */
+function versionOf(etag) {
+  return etag.replace(/;reminder=\d+"$/, '"');
+}
+
+/**
+ * Sets a todo's ETag and Last-Modified on a response
+ * no-cache = the browser may keep it, but must ask (with If-None-Match) before using it again
+ * @param {Object} res - Express response
+ * @param {Object} todo - The todo being sent
+ */
+function setTodoValidators(res, todo) {
+  const modified = Math.max(todo.updatedAt.getTime(), todo.reminderFiredAt?.getTime() ?? 0);
+  res.set({
+    ETag: todoETag(todo),
+    'Last-Modified': new Date(modified).toUTCString(),
+    'Cache-Control': 'private, no-cache',
+  });
+}
+
+/**
+ * Refuses a write whose If-Match header doesn't name the todo's current version (its updatedAt -
+ * the reminder part of the ETag doesn't matter, see above)
+ * Without the header (or with If-Match: *) the write goes ahead. Weak ETags (W/"...") never match.
+ * @param {Object} req - Express request
+ * @param {Object} todo - The todo as it is now
+ * @throws {ApiError} 412 PRECONDITION_FAILED with the current todo in details.current,
+ *   so the client can merge instead of overwriting the other change
+ */
+function checkIfMatch(req, todo) {
+  const header = req.get('If-Match');
+  if (!header || header.trim() === '*') return;
+
+  const version = `"${todo.updatedAt.toISOString()}"`;
+  const etags = header.split(',').map((etag) => versionOf(etag.trim()));
+  if (!etags.includes(version)) {
+    throw new ApiError(412, 'PRECONDITION_FAILED', 'This todo was changed somewhere else', { current: todo });
+  }
+}
+
+module.exports = { todoETag, setTodoValidators, checkIfMatch };
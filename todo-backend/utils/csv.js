@@ -0,0 +1,91 @@
+/**
+ * CSV HELPERS (RFC 4180)
+ * Fields are separated by commas; a field containing a comma, quote or line break is wrapped
+ * in double quotes, with quotes inside doubled ("say ""hi""").
+ */
+
+// Spreadsheet apps run cells starting with these as formulas - see escapeFormula()
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Makes a cell that a spreadsheet would run as a formula harmless by prefixing a quote
+ * (e.g. a todo titled "=HYPERLINK(...)"); parseCsv() takes the quote off again
+ * @param {string} text - Cell text
+ * @returns {string}
+ */
+function escapeFormula(text) {
+  return FORMULA_START.test(text) ? `'${text}` : text;
+}
+
+/**
+ * Turns one row of values into a CSV line (with the line break)
+ * @param {Array} values - Cell values; null/undefined become empty cells
+ * @returns {string}
+ */
+function toCsvLine(values) {
+  const cells = values.map((value) => {
+    const text = escapeFormula(value === null || value === undefined ? '' : String(value));
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  });
+  return `${cells.join(',')}\r\n`;
+}
+
+/**
+ * Parses CSV text into records
+ * @param {string} text - The whole file
+ * @returns {{ cells: string[], line: number }[]} Every record with the line it starts on (1-based);
+ *   empty lines (and rows of empty cells) are skipped
+ * @throws {Error} If a quoted field is never closed
+ */
+function parseCsv(text) {
+  const records = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false; // Inside "..."
+  let line = 1;
+  let recordLine = 1;
+
+  const endCell = () => {
+    // Undo escapeFormula()
+    cells.push(/^'[=+\-@\t\r]/.test(cell) ? cell.slice(1) : cell);
+    cell = '';
+  };
+  const endRecord = () => {
+    endCell();
+    if (cells.some((c) => c !== '')) records.push({ cells, line: recordLine });
+    cells = [];
+  };
+
+  // Skip the byte order mark Excel puts at the start
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line += 1;
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endCell();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      endRecord();
+      line += 1;
+      recordLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) throw new Error(`Unclosed quote in the record starting on line ${recordLine}`);
+  endRecord();
+  return records;
+}
+
+module.exports = { toCsvLine, parseCsv };
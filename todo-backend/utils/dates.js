@@ -0,0 +1,134 @@
+/**
+ * DATE HELPERS (TIME ZONE AWARE)
+ * "Today" depends on where the user is: 11pm Monday in New York is already Tuesday in UTC.
+ * The server runs in one zone, so anything that talks about calendar days takes the
+ * caller's IANA time zone (e.g. "Europe/Berlin") and works it out with the built-in Intl API.
+ */
+
+const { ApiError } = require('./errors');
+
+// Weekday names as Intl prints them, in JavaScript order (Sunday = 0)
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Creating a DateTimeFormat is slow, so keep one per time zone
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric',
+      weekday: 'short',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * @param {string} timeZone - Something like "America/New_York"
+ * @returns {boolean} true if the runtime knows this time zone
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Returns the time zone to use, or throws 400 if the client sent an unknown one
+ * @param {string} [timeZone] - Time zone from the request (defaults to UTC)
+ * @returns {string}
+ */
+function resolveTimeZone(timeZone) {
+  if (timeZone === undefined || timeZone === '') return 'UTC';
+  if (!isValidTimeZone(timeZone)) {
+    throw ApiError.badRequest('Invalid time zone', [{ field: 'tz', message: `unknown time zone "${timeZone}"` }]);
+  }
+  return timeZone;
+}
+
+/**
+ * Splits a moment in time into calendar parts as seen in a time zone
+ * @param {Date} date - The moment
+ * @param {string} timeZone - IANA time zone
+ * @returns {{ year, month, day, hour, minute, second, weekday }} month is 1-12, weekday is 0 (Sun) - 6 (Sat)
+ */
+function zonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+  };
+}
+
+/**
+ * How far a time zone is ahead of UTC at a given moment, in milliseconds
+ * (changes over the year with daylight saving time)
+ */
+function zoneOffset(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Converts a wall-clock time in a time zone to a real Date
+ * e.g. (2024, 3, 10, 9, 0, "America/New_York") -> 2024-03-10T13:00:00Z
+ * Out-of-range values roll over like Date.UTC does (day 32 = first of next month)
+ * @returns {Date}
+ */
+function zonedTimeToDate(year, month, day, hour = 0, minute = 0, timeZone = 'UTC') {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  // Apply the offset, then re-check it in case we crossed a daylight saving change
+  const first = guess - zoneOffset(new Date(guess), timeZone);
+  const second = guess - zoneOffset(new Date(first), timeZone);
+  return new Date(second);
+}
+
+/**
+ * Midnight at the start of the calendar day containing `date`, in the time zone
+ * @param {Date} date - Any moment during that day
+ * @param {string} timeZone - IANA time zone
+ * @param {number} [addDays=0] - Move this many calendar days forward (or back if negative)
+ * @returns {Date}
+ */
+function startOfDay(date, timeZone, addDays = 0) {
+  const p = zonedParts(date, timeZone);
+  return zonedTimeToDate(p.year, p.month, p.day + addDays, 0, 0, timeZone);
+}
+
+/**
+ * Midnight at the start of next week (the coming Monday) in the time zone
+ * @param {Date} date - Any moment this week
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date}
+ */
+function startOfNextWeek(date, timeZone) {
+  const { weekday } = zonedParts(date, timeZone);
+  // Monday = 1 ... Sunday = 0 -> days until next Monday
+  const daysUntilMonday = ((8 - weekday) % 7) || 7;
+  return startOfDay(date, timeZone, daysUntilMonday);
+}
+
+module.exports = {
+  isValidTimeZone,
+  resolveTimeZone,
+  zonedParts,
+  zonedTimeToDate,
+  startOfDay,
+  startOfNextWeek,
+};
@@ -0,0 +1,54 @@
+/**
+ * API ERRORS
+ * Routes and middleware throw an ApiError when a request can't be served.
+ * The error handler in middleware/errorHandler.js turns it into a JSON response shaped like:
+ *
+ * {
+ *   error: {
+ *     code: "NOT_FOUND",           // Machine-readable, stable - safe for the frontend to switch on
+ *     message: "Todo not found",   // Human-readable, can be shown to the user
+ *     details: null,               // Extra info, e.g. [{ field: "title", message: "..." }]
+ *     requestId: "1b9d6bcd-..."    // The request's id in the server logs (see middleware/requestLog.js)
+ *   }
+ * }
+ */
+
+class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status code (400, 404, ...)
+   * @param {string} code - Machine-readable error code (VALIDATION_ERROR, NOT_FOUND, ...)
+   * @param {string} message - Human-readable description
+   * @param {*} [details] - Optional extra information (e.g. per-field validation problems)
+   */
+  constructor(status, code, message, details = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+
+  // Shortcuts for the errors we throw most often
+
+  static badRequest(message, details) {
+    return new ApiError(400, 'VALIDATION_ERROR', message, details);
+  }
+
+  static unauthorized(message = 'Authentication required') {
+    return new ApiError(401, 'UNAUTHORIZED', message);
+  }
+
+  static forbidden(message = "You don't have permission to do that") {
+    return new ApiError(403, 'FORBIDDEN', message);
+  }
+
+  static notFound(message = 'Resource not found') {
+    return new ApiError(404, 'NOT_FOUND', message);
+  }
+
+  static conflict(message, details) {
+    return new ApiError(409, 'CONFLICT', message, details);
+  }
+}
+
+module.exports = { ApiError };
@@ -0,0 +1,200 @@
+/**
+ * FRACTIONAL INDEXING (ORDER KEYS)
+ * Manual ordering stores a string key on every todo and sorts by it. To move a todo
+ * between two others we make up a new key that sorts between their keys - nothing
+ * else is rewritten, no matter how long the list is.
+ *
+ * Keys compare as plain strings ("a0" < "a1" < "a1V" < "a2"), which is also how
+ * MongoDB compares them, so { position: 1 } sorts them correctly.
+ *
+ * A key is an "integer part" followed by an optional "fraction part":
+ * - The first character of the integer part says how long it is: "a" = 1 more digit,
+ *   "b" = 2 more digits ... and "Z", "Y", ... for the keys before "a0".
+ *   This keeps keys short when items are added again and again at the top or bottom.
+ * - The fraction part is only needed when squeezing a key in between two close keys.
+ *
+ * This is the well-known algorithm from https://observablehq.com/@dgreensp/implementing-fractional-indexing
+ */
+
+// Base-62 digits, in ASCII (= sort) order
+const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+// The key for a list that was empty so far
+const INTEGER_ZERO = 'a0';
+
+// The lowest possible integer part - no key can be made before it
+const SMALLEST_INTEGER = 'A' + DIGITS[0].repeat(26);
+
+/**
+ * How many characters the integer part has, from its first character
+ */
+function integerLength(head) {
+  if (head >= 'a' && head <= 'z') return head.charCodeAt(0) - 'a'.charCodeAt(0) + 2;
+  if (head >= 'A' && head <= 'Z') return 'Z'.charCodeAt(0) - head.charCodeAt(0) + 2;
+  throw new Error(`Invalid order key head "${head}"`);
+}
+
+/**
+ * The integer part of a key
+ */
+function integerPart(key) {
+  const length = integerLength(key[0]);
+  if (length > key.length) throw new Error(`Invalid order key "${key}"`);
+  return key.slice(0, length);
+}
+
+/**
+ * Throws if a key wasn't made by this module
+ */
+function validateKey(key) {
+  if (key === SMALLEST_INTEGER) throw new Error(`Invalid order key "${key}"`);
+  const fraction = key.slice(integerPart(key).length);
+  // A trailing 0 would make two different keys mean the same place
+  if (fraction.endsWith(DIGITS[0])) throw new Error(`Invalid order key "${key}"`);
+}
+
+/**
+ * The next integer part ("a0" -> "a1", "az" -> "b00"), or null if there is none
+ */
+function incrementInteger(integer) {
+  const [head, ...digits] = integer.split('');
+  let carry = true;
+  for (let i = digits.length - 1; carry && i >= 0; i--) {
+    const d = DIGITS.indexOf(digits[i]) + 1;
+    if (d === DIGITS.length) {
+      digits[i] = DIGITS[0];
+    } else {
+      digits[i] = DIGITS[d];
+      carry = false;
+    }
+  }
+  if (!carry) return head + digits.join('');
+
+  // Every digit rolled over: the integer part gets one digit longer (or shorter below "a")
+  if (head === 'Z') return INTEGER_ZERO;
+  if (head === 'z') return null;
+  const nextHead = String.fromCharCode(head.charCodeAt(0) + 1);
+  if (nextHead > 'a') digits.push(DIGITS[0]);
+  else digits.pop();
+  return nextHead + digits.join('');
+}
+
+/**
+ * The previous integer part ("a1" -> "a0", "a0" -> "Zz"), or null if there is none
+ */
+function decrementInteger(integer) {
+  const [head, ...digits] = integer.split('');
+  const lastDigit = DIGITS[DIGITS.length - 1];
+  let borrow = true;
+  for (let i = digits.length - 1; borrow && i >= 0; i--) {
+    const d = DIGITS.indexOf(digits[i]) - 1;
+    if (d === -1) {
+      digits[i] = lastDigit;
+    } else {
+      digits[i] = DIGITS[d];
+      borrow = false;
+    }
+  }
+  if (!borrow) return head + digits.join('');
+
+  if (head === 'a') return 'Z' + lastDigit;
+  if (head === 'A') return null;
+  const prevHead = String.fromCharCode(head.charCodeAt(0) - 1);
+  if (prevHead < 'Z') digits.push(lastDigit);
+  else digits.pop();
+  return prevHead + digits.join('');
+}
+
+/**
+ * A fraction part that sorts between two fraction parts
+ * @param {string} a - Lower fraction ("" = 0)
+ * @param {string|null} b - Upper fraction (null = 1)
+ */
+function midpoint(a, b) {
+  if (b !== null) {
+    // Skip the digits both have in common ("a" is padded with zeros)
+    let n = 0;
+    while ((a[n] || DIGITS[0]) === b[n]) n++;
+    if (n > 0) return b.slice(0, n) + midpoint(a.slice(n), b.slice(n));
+  }
+
+  const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+  const digitB = b !== null ? DIGITS.indexOf(b[0]) : DIGITS.length;
+  if (digitB - digitA > 1) {
+    // There is a digit between them
+    return DIGITS[Math.round((digitA + digitB) / 2)];
+  }
+  // Neighbouring digits: keep a's digit and go one level deeper
+  if (b !== null && b.length > 1) return b.slice(0, 1);
+  return DIGITS[digitA] + midpoint(a.slice(1), null);
+}
+
+/**
+ * Makes a key that sorts between two keys
+ * @param {string|null} a - Key of the item before (null = insert at the very start)
+ * @param {string|null} b - Key of the item after (null = insert at the very end)
+ * @returns {string} New key, with a < key < b
+ * @throws {Error} If a >= b or a key is malformed
+ */
+function keyBetween(a, b) {
+  if (a !== null) validateKey(a);
+  if (b !== null) validateKey(b);
+  if (a !== null && b !== null && a >= b) throw new Error(`Order key "${a}" is not before "${b}"`);
+
+  if (a === null) {
+    if (b === null) return INTEGER_ZERO;
+    const intB = integerPart(b);
+    const fracB = b.slice(intB.length);
+    if (intB === SMALLEST_INTEGER) return intB + midpoint('', fracB);
+    if (intB < b) return intB;
+    const previous = decrementInteger(intB);
+    if (previous === null) throw new Error('Cannot make an order key before the first one');
+    return previous;
+  }
+
+  const intA = integerPart(a);
+  const fracA = a.slice(intA.length);
+
+  if (b === null) {
+    const next = incrementInteger(intA);
+    return next === null ? intA + midpoint(fracA, null) : next;
+  }
+
+  const intB = integerPart(b);
+  const fracB = b.slice(intB.length);
+  if (intA === intB) return intA + midpoint(fracA, fracB);
+  const next = incrementInteger(intA);
+  if (next === null) throw new Error('Cannot make an order key after the last one');
+  return next < b ? next : intA + midpoint(fracA, null);
+}
+
+/**
+ * Makes n keys in order between two keys, spread out so they stay short
+ * @param {string|null} a - Key before (null = start)
+ * @param {string|null} b - Key after (null = end)
+ * @param {number} n - How many keys
+ * @returns {string[]}
+ */
+function keysBetween(a, b, n) {
+  if (n <= 0) return [];
+  if (n === 1) return [keyBetween(a, b)];
+
+  // Open-ended: keep stepping away from the fixed end
+  if (b === null) {
+    const keys = [keyBetween(a, null)];
+    while (keys.length < n) keys.push(keyBetween(keys[keys.length - 1], null));
+    return keys;
+  }
+  if (a === null) {
+    const keys = [keyBetween(null, b)];
+    while (keys.length < n) keys.push(keyBetween(null, keys[keys.length - 1]));
+    return keys.reverse();
+  }
+
+  // Between two keys: split in the middle and fill both halves
+  const half = Math.floor(n / 2);
+  const middle = keyBetween(a, b);
+  return [...keysBetween(a, middle, half), middle, ...keysBetween(middle, b, n - half - 1)];
+}
+
+module.exports = { keyBetween, keysBetween };
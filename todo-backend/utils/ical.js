@@ -0,0 +1,176 @@
+/**
+ * ICALENDAR HELPERS (RFC 5545)
+ * Just enough of the format for to-dos: writing and reading content lines
+ * (NAME;PARAM=value:value), folding long lines, escaping text and date-time values.
+ */
+
+const { zonedTimeToDate, isValidTimeZone } = require('./dates');
+
+// Lines longer than this (in bytes) are folded onto continuation lines starting with a space
+const MAX_LINE_BYTES = 75;
+
+/**
+ * Escapes a TEXT value (backslash, semicolon, comma and line breaks)
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeText(text) {
+  return text.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Undoes escapeText()
+ * @param {string} text
+ * @returns {string}
+ */
+function unescapeText(text) {
+  return text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Builds one content line, folded to 75 bytes per line, with the CRLF at the end
+ * @param {string} name - Property name, with any parameters: "DUE" or "TRIGGER;VALUE=DATE-TIME"
+ * @param {string} value - The (already escaped) value
+ * @returns {string}
+ */
+function contentLine(name, value) {
+  const line = `${name}:${value}`;
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+  // Fold between characters, never inside one (multi-byte characters stay whole)
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? MAX_LINE_BYTES : MAX_LINE_BYTES - 1; // Continuations start with a space
+    if (bytes + size > limit) {
+      parts.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+  return `${parts.join('\r\n ')}\r\n`;
+}
+
+/**
+ * A UTC date-time value like 20240116T170000Z
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Reads a DATE or DATE-TIME value
+ * - 20240116T170000Z: UTC
+ * - 20240116T170000: local time in params.TZID, or else in defaultTimeZone
+ * - 20240116 (VALUE=DATE): the end of that day, as a due date without a time
+ * @param {string} value - The property value
+ * @param {Object} params - The property's parameters (TZID, VALUE)
+ * @param {string} defaultTimeZone - Zone for "floating" times without a TZID
+ * @returns {Date|null} null if the value isn't a date
+ */
+function parseDateTime(value, params, defaultTimeZone) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second, utc] = match.map((part) => (part && part !== 'Z' ? Number(part) : part));
+  if (utc) return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+
+  const timeZone = params.TZID && isValidTimeZone(params.TZID) ? params.TZID : defaultTimeZone;
+  if (hour === undefined) return zonedTimeToDate(year, month, day, 23, 59, timeZone);
+  return new Date(zonedTimeToDate(year, month, day, hour, minute, timeZone).getTime() + second * 1000);
+}
+
+/**
+ * Reads a DURATION value like -PT15M or P1DT2H
+ * @param {string} value
+ * @returns {number|null} Milliseconds (negative = before), null if it isn't a duration
+ */
+function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) return null;
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const ms = ((((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+  return sign === '-' ? -ms : ms;
+}
+
+/**
+ * Splits one unfolded content line into its name, parameters and value
+ * @param {string} line - e.g. 'DUE;TZID=Europe/Berlin:20240116T170000'
+ * @returns {{ name: string, params: Object, value: string }|null} null for lines that aren't properties
+ */
+function parseContentLine(line) {
+  // The value starts at the first colon that isn't inside a quoted parameter value
+  let quoted = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i += 1) {
+    if (line[i] === '"') quoted = !quoted;
+    else if (line[i] === ':' && !quoted) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon <= 0) return null;
+
+  const [name, ...paramParts] = line.slice(0, colon).split(';');
+  const params = {};
+  for (const part of paramParts) {
+    const [key, ...rest] = part.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * Parses iCalendar text into its components
+ * @param {string} text - The whole file
+ * @returns {Object[]} Top-level components:
+ *   { type: "VCALENDAR", line, properties: [{ name, params, value }], components: [...] }
+ *   line is where the component's BEGIN is (1-based)
+ * @throws {Error} If BEGIN/END don't match up
+ */
+function parseCalendar(text) {
+  // Unfold: a line starting with a space or tab continues the previous one
+  const lines = [];
+  text.split(/\r?\n/).forEach((raw, index) => {
+    if (/^[ \t]/.test(raw) && lines.length > 0) lines[lines.length - 1].text += raw.slice(1);
+    else lines.push({ text: raw, line: index + 1 });
+  });
+
+  const root = { components: [] };
+  const stack = [root];
+  for (const { text: raw, line } of lines) {
+    if (!raw.trim()) continue;
+    const property = parseContentLine(raw);
+    if (!property) throw new Error(`Line ${line} is not a valid iCalendar line`);
+    const current = stack[stack.length - 1];
+
+    if (property.name === 'BEGIN') {
+      const component = { type: property.value.trim().toUpperCase(), line, properties: [], components: [] };
+      current.components.push(component);
+      stack.push(component);
+    } else if (property.name === 'END') {
+      if (stack.length === 1 || current.type !== property.value.trim().toUpperCase()) {
+        throw new Error(`Unexpected END:${property.value} on line ${line}`);
+      }
+      stack.pop();
+    } else if (stack.length > 1) {
+      current.properties.push(property);
+    }
+  }
+  if (stack.length > 1) throw new Error(`BEGIN:${stack[stack.length - 1].type} on line ${stack[stack.length - 1].line} is never closed`);
+  return root.components;
+}
+
+module.exports = {
+  escapeText,
+  unescapeText,
+  contentLine,
+  formatDateTime,
+  parseDateTime,
+  parseDuration,
+  parseCalendar,
+};
@@ -0,0 +1,50 @@
+/**
+ * STRUCTURED LOGGER
+ * Writes one JSON object per line to stdout (stderr for warnings and errors), so log
+ * collectors can search and filter the fields instead of parsing text:
+ *
+ *   logger.info('request', { requestId: '1b9d...', method: 'GET', status: 200 })
+ *   -> {"time":"2024-01-15T10:00:00.000Z","level":"info","msg":"request","requestId":"1b9d...","method":"GET","status":200}
+ *
+ * LOG_LEVEL in .env picks the least important level written: debug, info (default), warn,
+ * error - or silent for none (the tests use that)
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const minimum = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+
+/**
+ * Makes an Error loggable - JSON.stringify() would turn it into {}
+ * @param {Error} err
+ * @returns {Object} { name, message, stack }, plus the code if it has one
+ */
+function serializeError(err) {
+  return { name: err.name, message: err.message, code: err.code, stack: err.stack };
+}
+
+/**
+ * Writes one log line
+ * @param {string} level - debug, info, warn or error
+ * @param {string} msg - What happened, short and fixed (put the variable parts in fields)
+ * @param {Object} [fields] - Anything else to log; an `err` field may be an Error
+ */
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < minimum) return;
+
+  const { err, ...rest } = fields;
+  const entry = { time: new Date().toISOString(), level, msg, ...rest };
+  if (err) entry.err = err instanceof Error ? serializeError(err) : err;
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(JSON.stringify(entry) + '\n');
+}
+
+const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+};
+
+module.exports = { logger };
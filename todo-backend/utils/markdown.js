@@ -0,0 +1,117 @@
+/**
+ * MARKDOWN NOTES
+ * Todo notes are Markdown text. The frontend renders them itself (never as raw HTML), but the
+ * notes also leave the app in exports and reach other clients, so they are cleaned on the way in:
+ * - line endings become \n, and control characters other than tabs and newlines are removed
+ * - raw HTML tags and comments are removed (their text stays), outside code
+ * - links to anything but http(s), mailto and tel keep their text but lose the link, outside code
+ *
+ * Code (`inline` or in ``` fences) is left exactly as typed, since it's only ever shown as text.
+ */
+
+// Link schemes a note may point at (relative links and #anchors have no scheme and are fine)
+const SAFE_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+
+// Start and end of a fenced code block: ``` or ~~~, at least three
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})/;
+
+// An HTML comment, or something that looks like an opening/closing HTML tag
+const HTML_PATTERN = /<!--[\s\S]*?-->|<\/?[A-Za-z][A-Za-z0-9-]*(?:\s[^<>]*)?\/?>/g;
+
+// A reference link definition: [label]: destination "title"
+const DEFINITION_PATTERN = /^ {0,3}\[[^\]]+\]:\s*(\S+)/;
+
+// <scheme:...> autolinks
+const AUTOLINK_PATTERN = /<([A-Za-z][A-Za-z0-9+.-]*:[^<>\s]*)>/g;
+
+/**
+ * Whether a link destination is safe to follow
+ * @param {string} destination - The URL from the Markdown
+ * @returns {boolean}
+ */
+function isSafeUrl(destination) {
+  // Browsers ignore whitespace and control characters inside "java\tscript:", so we do too
+  const compact = destination.replace(/[\u0000- \u007f]/g, '').toLowerCase();
+  const scheme = /^([a-z][a-z0-9+.-]*):/.exec(compact);
+  return !scheme || SAFE_SCHEMES.includes(scheme[1]);
+}
+
+/**
+ * Removes the (destination) of inline links that aren't safe, leaving "[text]" as plain text
+ * Destinations can contain balanced parentheses ("javascript:alert(1)"), so they're scanned, not matched
+ * @param {string} text
+ * @returns {string}
+ */
+function cleanInlineLinks(text) {
+  let out = '';
+  let from = 0;
+  for (let start = text.indexOf('](', from); start !== -1; start = text.indexOf('](', from)) {
+    // Find the parenthesis that closes the destination
+    let depth = 0;
+    let end = start + 1;
+    for (; end < text.length; end++) {
+      if (text[end] === '(') depth++;
+      else if (text[end] === ')' && --depth === 0) break;
+    }
+    const destination = text.slice(start + 2, end).replace(/^\s*<|>\s*$/g, '');
+    out += text.slice(from, start + 1) + (isSafeUrl(destination) ? text.slice(start + 1, end + 1) : '');
+    from = end + 1;
+  }
+  return out + text.slice(from);
+}
+
+/**
+ * Cleans a piece of Markdown that isn't code
+ * @param {string} text
+ * @returns {string}
+ */
+function cleanProse(text) {
+  return cleanInlineLinks(
+    text
+      .replace(AUTOLINK_PATTERN, (match, url) => (isSafeUrl(url) ? match : ''))
+      .replace(HTML_PATTERN, '')
+  );
+}
+
+/**
+ * Cleans one line outside code fences, leaving `inline code` alone
+ * @param {string} line
+ * @returns {string}
+ */
+function cleanLine(line) {
+  const definition = DEFINITION_PATTERN.exec(line);
+  if (definition && !isSafeUrl(definition[1].replace(/^<|>$/g, ''))) return '';
+
+  // Split into prose and `code` spans - the odd parts are the code
+  const parts = line.split(/(`+[^`]*?`+)/);
+  return parts.map((part, i) => (i % 2 === 1 ? part : cleanProse(part))).join('');
+}
+
+/**
+ * Cleans Markdown notes (see above for what is removed)
+ * @param {string} text - Notes as sent by the client
+ * @returns {string} The clean notes, without trailing whitespace
+ */
+function sanitizeMarkdown(text) {
+  const lines = text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[\u0000-\u0008\u000b-\u001f\u007f]/g, '')
+    .split('\n');
+
+  let fence = null; // The fence that opened the code block we're in, if any
+  const clean = lines.map((line) => {
+    const match = FENCE_PATTERN.exec(line);
+    if (fence) {
+      if (match && match[1][0] === fence[0] && match[1].length >= fence.length) fence = null;
+      return line;
+    }
+    if (match) {
+      fence = match[1];
+      return line;
+    }
+    return cleanLine(line);
+  });
+  return clean.join('\n').trimEnd();
+}
+
+module.exports = { sanitizeMarkdown, isSafeUrl, SAFE_SCHEMES };
@@ -0,0 +1,41 @@
+/**
+ * JSON MERGE PATCH (RFC 7396)
+ * The format PATCH /api/todos/:id takes: a patch looks like the document, but only holds
+ * what changes.
+ *
+ *   applyMergePatch({ title: 'a', dueAt: '2024-01-15', recurrence: { freq: 'daily', interval: 1 } },
+ *                   { dueAt: null, recurrence: { interval: 2 } })
+ *   -> { title: 'a', recurrence: { freq: 'daily', interval: 2 } }
+ *
+ * - a field set to null is removed
+ * - objects are merged field by field, the same way
+ * - anything else (strings, numbers, arrays) replaces the old value whole
+ */
+
+/**
+ * @param {*} value
+ * @returns {boolean} true for a JSON object (not an array or null)
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Applies a merge patch to a document
+ * @param {*} target - The document (not changed)
+ * @param {*} patch - The patch
+ * @returns {*} The patched document
+ */
+function applyMergePatch(target, patch) {
+  if (!isObject(patch)) return patch;
+
+  // A Map and Object.fromEntries() keep a "__proto__" key an ordinary field
+  const result = new Map(Object.entries(isObject(target) ? target : {}));
+  for (const [field, value] of Object.entries(patch)) {
+    if (value === null) result.delete(field);
+    else result.set(field, applyMergePatch(result.get(field), value));
+  }
+  return Object.fromEntries(result);
+}
+
+module.exports = { applyMergePatch };
@@ -0,0 +1,122 @@
+/**
+ * CURSOR PAGINATION HELPERS
+ * Instead of "page 3" (which skips over every earlier document and shifts when items are added),
+ * each page ends with a cursor that remembers the LAST item we sent: its sort value and its _id.
+ * The next page asks for "everything after that item" which an index can answer directly.
+ *
+ * A cursor is an opaque base64url string - the frontend just passes back what it was given.
+ */
+
+const mongoose = require('mongoose');
+const { ApiError } = require('./errors');
+
+/**
+ * Parses a sort parameter like "-createdAt" (newest first) or "title" (A to Z)
+ * @param {string} sort - Field name, optionally prefixed with "-" for descending
+ * @returns {{ field: string, direction: 1|-1 }}
+ */
+function parseSort(sort) {
+  return sort.startsWith('-')
+    ? { field: sort.slice(1), direction: -1 }
+    : { field: sort, direction: 1 };
+}
+
+/**
+ * Builds the cursor for the item a page ends on
+ * @param {Object} doc - The last document on the page
+ * @param {string} sort - The sort parameter the page was fetched with
+ * @returns {string} Opaque cursor string
+ */
+function encodeCursor(doc, sort) {
+  const { field } = parseSort(sort);
+  const raw = doc[field] ?? null;
+  const value = raw instanceof Date ? { $date: raw.toISOString() } : raw;
+  const payload = { s: sort, v: value, id: doc._id.toString() };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Reads a cursor back
+ * @param {string} cursor - Cursor from a previous response
+ * @param {string} sort - The sort parameter of the current request (must match the cursor's)
+ * @returns {{ value: *, id: mongoose.Types.ObjectId }}
+ * @throws {ApiError} 400 INVALID_CURSOR if the cursor is garbage or belongs to another sort order
+ */
+function decodeCursor(cursor, sort) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    payload = null;
+  }
+  if (!payload || payload.s !== sort || !mongoose.isValidObjectId(payload.id)) {
+    throw new ApiError(400, 'INVALID_CURSOR', 'Invalid or expired cursor');
+  }
+
+  // Dates are stored as { $date: "..." } so they compare as dates, not strings
+  const value = payload.v && payload.v.$date ? new Date(payload.v.$date) : payload.v;
+  return { value, id: new mongoose.Types.ObjectId(payload.id) };
+}
+
+/**
+ * Builds the MongoDB filter for "items after the cursor" in the given sort order
+ * e.g. newest first: createdAt < last.createdAt, or same createdAt and _id < last._id
+ * @param {string} cursor - Cursor from a previous response
+ * @param {string} sort - Sort parameter
+ * @returns {Object} Filter to merge into the query
+ */
+function cursorFilter(cursor, sort) {
+  const { field, direction } = parseSort(sort);
+  const { value, id } = decodeCursor(cursor, sort);
+  const op = direction === 1 ? '$gt' : '$lt';
+  const sameValueLaterId = { [field]: value, _id: { [op]: id } };
+
+  // Optional fields (like dueAt) can be null. MongoDB sorts null before every date,
+  // but { $gt: null } / { $lt: date } never match across types, so handle it explicitly
+  if (value === null || value === undefined) {
+    // Ascending: nulls came first, so everything non-null is still to come
+    // Descending: nulls come last, so only the remaining nulls are left
+    return direction === 1
+      ? { $or: [{ [field]: { $ne: null } }, { [field]: null, _id: { [op]: id } }] }
+      : { [field]: null, _id: { [op]: id } };
+  }
+
+  const laterValue = [{ [field]: { [op]: value } }];
+  // Descending: after the last real value come the nulls
+  if (direction === -1) laterValue.push({ [field]: null });
+
+  return { $or: [...laterValue, sameValueLaterId] };
+}
+
+/**
+ * MongoDB sort object for a sort parameter, with _id as tie-breaker
+ * @param {string} sort - Sort parameter
+ * @returns {Object} e.g. { createdAt: -1, _id: -1 }
+ */
+function sortSpec(sort) {
+  const { field, direction } = parseSort(sort);
+  return { [field]: direction, _id: direction };
+}
+
+/**
+ * Runs a paginated query
+ * Fetches one extra item to find out whether another page exists
+ * @param {mongoose.Model} Model - Model to query
+ * @param {Object} filter - Base filter (owner, status, search, ...)
+ * @param {Object} options
+ * @param {string} options.sort - Sort parameter
+ * @param {number} options.limit - Page size
+ * @param {string} [options.cursor] - Cursor from the previous page
+ * @returns {Promise<{ items: Object[], nextCursor: string|null }>}
+ */
+async function paginate(Model, filter, { sort, limit, cursor }) {
+  const query = cursor ? { $and: [filter, cursorFilter(cursor, sort)] } : filter;
+  const docs = await Model.find(query).sort(sortSpec(sort)).limit(limit + 1);
+
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+  const nextCursor = hasMore ? encodeCursor(items[items.length - 1], sort) : null;
+  return { items, nextCursor };
+}
+
+module.exports = { paginate, parseSort, sortSpec, encodeCursor, decodeCursor };
@@ -0,0 +1,93 @@
+/**
+ * RECURRENCE RULES
+ * Works out when the next occurrence of a repeating todo is due.
+ *
+ * A rule looks like (a small subset of iCalendar's RRULE):
+ *   { freq: 'daily',   interval: 3 }                       -> every 3 days
+ *   { freq: 'weekly',  interval: 1, weekdays: [1, 4] }     -> every Monday and Thursday
+ *   { freq: 'monthly', interval: 1, monthDay: 15 }         -> on the 15th of every month
+ *   ...plus optional until (last possible date) and timeZone (where the weekdays/days are counted)
+ *
+ * Weekdays use JavaScript numbering: 0 = Sunday ... 6 = Saturday.
+ */
+
+const { zonedParts, zonedTimeToDate } = require('./dates');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// Stop looking after this many steps (protects against rules that never match)
+const MAX_STEPS = 10000;
+
+/**
+ * @returns {number} Number of days in a month (month is 1-12)
+ */
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * The occurrence right after `from`, ignoring `until`
+ * Keeps the time of day of `from`
+ * @param {Object} rule - Recurrence rule
+ * @param {Date} from - Due date of the current occurrence
+ * @returns {Date}
+ */
+function stepOnce(rule, from) {
+  const timeZone = rule.timeZone || 'UTC';
+  const interval = rule.interval || 1;
+  const p = zonedParts(from, timeZone);
+  const at = (year, month, day) => zonedTimeToDate(year, month, day, p.hour, p.minute, timeZone);
+
+  switch (rule.freq) {
+    case 'daily':
+      return at(p.year, p.month, p.day + interval);
+
+    case 'weekly': {
+      const weekdays = rule.weekdays && rule.weekdays.length > 0 ? rule.weekdays : [p.weekday];
+      // Weeks start on Monday: how far into its week is `from`? (Mon = 0 ... Sun = 6)
+      const dayOfWeek = (p.weekday + 6) % 7;
+      for (let d = 1; d <= 7 * interval + 7; d++) {
+        const weekOffset = Math.floor((dayOfWeek + d) / 7);
+        const weekday = (p.weekday + d) % 7;
+        // Only every interval-th week counts ("every 2 weeks on Monday")
+        if (weekOffset % interval === 0 && weekdays.includes(weekday)) {
+          return at(p.year, p.month, p.day + d);
+        }
+      }
+      throw new Error('Weekly rule has no matching weekday');
+    }
+
+    case 'monthly': {
+      const monthDay = rule.monthDay || p.day;
+      // Month arithmetic: month 13 of 2024 is January 2025
+      const monthIndex = p.month - 1 + interval;
+      const year = p.year + Math.floor(monthIndex / 12);
+      const month = (monthIndex % 12) + 1;
+      // "The 31st" in a 30-day month falls on the 30th
+      return at(year, month, Math.min(monthDay, daysInMonth(year, month)));
+    }
+
+    default:
+      throw new Error(`Unknown recurrence frequency "${rule.freq}"`);
+  }
+}
+
+/**
+ * Works out the due date of the next occurrence
+ * Occurrences that are already in the past are skipped, so completing a daily
+ * chore three days late doesn't create an occurrence that is overdue right away
+ * @param {Object} rule - Recurrence rule
+ * @param {Date} from - Due date of the occurrence that was just completed
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Date|null} Next due date, or null if the series has ended (past `until`)
+ */
+function nextOccurrence(rule, from, now = new Date()) {
+  let next = stepOnce(rule, from);
+  for (let steps = 0; next <= now && steps < MAX_STEPS; steps++) {
+    next = stepOnce(rule, next);
+  }
+  if (rule.until && next > rule.until) return null;
+  return next;
+}
+
+module.exports = { FREQUENCIES, nextOccurrence, daysInMonth };
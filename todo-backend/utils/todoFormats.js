@@ -0,0 +1,566 @@
+/**
+ * TODO IMPORT / EXPORT FORMATS
+ * How todos are written to and read from JSON, CSV, Markdown checklists and iCalendar (VTODO).
+ * services/importExport.js does the database side; everything here is plain conversion.
+ *
+ * Exports are written a todo at a time, so they can be streamed:
+ *   const format = FORMATS.csv;
+ *   const state = {};
+ *   res.write(format.header());
+ *   for (const todo of todos) res.write(format.row(plainTodo(todo, listName), state));
+ *   res.write(format.footer());
+ *
+ * Imports read a whole file into rows: { line, fields } for each todo found, where fields
+ * are in the shape importTodoRules (validators/todo.js) checks, or { line, error } when the
+ * row can't even be read. line is the line number (or the item number for JSON).
+ */
+
+const { toCsvLine, parseCsv } = require('./csv');
+const {
+  escapeText,
+  unescapeText,
+  contentLine,
+  formatDateTime,
+  parseDateTime,
+  parseDuration,
+  parseCalendar,
+} = require('./ical');
+const { zonedTimeToDate, zonedParts } = require('./dates');
+
+// Recurrence rule fields an import may set (see recurrenceRule in validators/todo.js)
+const RECURRENCE_FIELDS = ['freq', 'interval', 'weekdays', 'monthDay', 'until', 'timeZone'];
+
+// iCalendar weekday codes, in JavaScript order (Sunday = 0)
+const ICAL_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// iCalendar PRIORITY (1 = highest ... 9 = lowest, 0 = undefined) for each of our priorities
+const ICAL_PRIORITIES = { none: 0, low: 9, medium: 5, high: 3, urgent: 1 };
+
+// Domain part of the UIDs in iCalendar exports ("<todo id>@todo-app")
+const UID_DOMAIN = 'todo-app';
+
+/**
+ * A todo as plain JSON (dates as ISO strings), with its list's name instead of the owner
+ * @param {Object} todo - Todo document
+ * @param {string|null} listName - Name of its list (null = Inbox)
+ * @returns {Object}
+ */
+function plainTodo(todo, listName) {
+  const { owner, __v, ...json } = JSON.parse(JSON.stringify(todo));
+  return { ...json, list: listName };
+}
+
+/**
+ * Picks the recurrence fields we understand from an imported rule
+ * @param {*} rule - Whatever the file had
+ * @returns {*} A clean rule, or the input unchanged if it isn't an object (validation reports it)
+ */
+function pickRecurrence(rule) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return rule;
+  const clean = {};
+  for (const field of RECURRENCE_FIELDS) {
+    if (rule[field] !== undefined) clean[field] = rule[field];
+  }
+  return clean;
+}
+
+/**
+ * Reads a date from a CSV cell or Markdown token
+ * - "2024-01-16": the end of that day in the time zone (a due date without a time)
+ * - "2024-01-16 17:00" or "2024-01-16T17:00": that time in the time zone
+ * - anything with its own zone ("...Z", "+02:00"): as written
+ * @param {string} text - The date as written
+ * @param {string} timeZone - Zone for dates and times without one
+ * @returns {string|null} ISO string, null for an empty cell, or the text itself if it isn't
+ *   a date (so validation reports it)
+ */
+function parseDateText(text, timeZone) {
+  const value = text.trim();
+  if (!value) return null;
+
+  const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (dateOnly) {
+    const [, year, month, day] = dateOnly.map(Number);
+    return zonedTimeToDate(year, month, day, 23, 59, timeZone).toISOString();
+  }
+  const localTime = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?$/.exec(value);
+  if (localTime) {
+    const [, year, month, day, hour, minute] = localTime.map(Number);
+    return zonedTimeToDate(year, month, day, hour, minute, timeZone).toISOString();
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? value : date.toISOString();
+}
+
+/**
+ * Reads a yes/no cell
+ * @param {string} text
+ * @returns {boolean|string} The boolean, or the text itself if it isn't one (validation reports it)
+ */
+function parseBooleanText(text) {
+  const value = text.trim().toLowerCase();
+  if (['true', 'yes', 'y', '1', 'x', 'done', 'completed'].includes(value)) return true;
+  if (['false', 'no', 'n', '0', '', 'open', 'todo'].includes(value)) return false;
+  return text;
+}
+
+/**
+ * Reads a JSON cell (recurrence, subtasks)
+ * @param {string} text
+ * @returns {*} The parsed value, null for an empty cell, or the text itself if it isn't JSON
+ */
+function parseJsonText(text) {
+  if (!text.trim()) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Keeps just { title, completed } of imported subtasks
+ * @param {*} subtasks - Whatever the file had
+ * @returns {*} Clean subtasks, or the input unchanged if it isn't a list (validation reports it)
+ */
+function pickSubtasks(subtasks) {
+  if (!Array.isArray(subtasks)) return subtasks;
+  return subtasks.map((s) => (s && typeof s === 'object' ? { title: s.title, completed: Boolean(s.completed) } : s));
+}
+
+/* ------------------------------------------------------------------------------------------
+ * JSON - every field, as the API returns todos (plus "list" = the list's name)
+ * ---------------------------------------------------------------------------------------- */
+
+const json = {
+  contentType: 'application/json; charset=utf-8',
+  extension: 'json',
+  header: () => '[\n',
+  row: (todo, state) => {
+    const separator = state.count ? ',\n' : '';
+    state.count = (state.count || 0) + 1;
+    return separator + JSON.stringify(todo);
+  },
+  footer: () => '\n]\n',
+
+  /**
+   * @param {string} text - An array of todos (or { items: [...] }, as GET /api/todos answers)
+   */
+  parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error('The file is not valid JSON');
+    }
+    const items = Array.isArray(data) ? data : data && Array.isArray(data.items) ? data.items : null;
+    if (!items) throw new Error('Expected a list of todos');
+
+    return items.map((item, index) => {
+      const line = index + 1;
+      if (!item || typeof item !== 'object' || Array.isArray(item)) return { line, error: 'is not a todo object' };
+      const fields = {};
+      for (const field of ['title', 'notes', 'completed', 'dueAt', 'remindAt', 'tags', 'priority']) {
+        if (item[field] !== undefined) fields[field] = item[field];
+      }
+      if (item.recurrence !== undefined) fields.recurrence = pickRecurrence(item.recurrence);
+      if (item.subtasks !== undefined) fields.subtasks = pickSubtasks(item.subtasks);
+      const list = item.list !== undefined ? item.list : item.listName;
+      if (list !== undefined) fields.list = list;
+      return { line, fields };
+    });
+  },
+};
+
+/* ------------------------------------------------------------------------------------------
+ * CSV - one todo per row; tags comma-separated, recurrence and subtasks as JSON
+ * ---------------------------------------------------------------------------------------- */
+
+const CSV_COLUMNS = [
+  'id', 'title', 'notes', 'completed', 'dueAt', 'remindAt', 'list', 'tags', 'priority',
+  'recurrence', 'subtasks', 'seriesId', 'position', 'createdAt', 'updatedAt',
+];
+
+// Column names other tools use, lowercased without spaces/underscores -> our field
+const CSV_HEADER_ALIASES = {
+  title: 'title', name: 'title', task: 'title', summary: 'title',
+  notes: 'notes', note: 'notes', description: 'notes', details: 'notes',
+  completed: 'completed', done: 'completed', status: 'completed',
+  dueat: 'dueAt', due: 'dueAt', duedate: 'dueAt',
+  remindat: 'remindAt', reminder: 'remindAt',
+  list: 'list', listname: 'list', project: 'list',
+  tags: 'tags', labels: 'tags',
+  priority: 'priority', importance: 'priority',
+  recurrence: 'recurrence',
+  subtasks: 'subtasks', checklist: 'subtasks',
+};
+
+/**
+ * Reads a subtasks cell: JSON as exported, or one subtask per line ("[x] Buy milk" = done)
+ * @param {string} text
+ * @returns {*}
+ */
+function parseSubtasksText(text) {
+  if (!text.trim()) return [];
+  const value = parseJsonText(text);
+  if (typeof value !== 'string') return pickSubtasks(value);
+  return value.split(/\r?\n/).filter((l) => l.trim()).map((l) => {
+    const match = /^\s*\[([ xX])\]\s*(.*)$/.exec(l);
+    return match ? { title: match[2], completed: match[1] !== ' ' } : { title: l.trim(), completed: false };
+  });
+}
+
+const csv = {
+  contentType: 'text/csv; charset=utf-8',
+  extension: 'csv',
+  header: () => toCsvLine(CSV_COLUMNS),
+  row: (todo) => toCsvLine([
+    todo._id,
+    todo.title,
+    todo.notes,
+    todo.completed,
+    todo.dueAt,
+    todo.remindAt,
+    todo.list,
+    (todo.tags || []).join(','),
+    todo.priority,
+    todo.recurrence ? JSON.stringify(todo.recurrence) : '',
+    JSON.stringify((todo.subtasks || []).map(({ title, completed }) => ({ title, completed }))),
+    todo.seriesId,
+    todo.position,
+    todo.createdAt,
+    todo.updatedAt,
+  ]),
+  footer: () => '',
+
+  /**
+   * @param {string} text - A header row naming the columns (title is required), then one row per todo
+   * @param {Object} options - { timeZone } for dates without a zone
+   */
+  parse(text, { timeZone }) {
+    const records = parseCsv(text);
+    if (records.length === 0) return [];
+
+    const [header, ...rows] = records;
+    const columns = header.cells.map((name) => CSV_HEADER_ALIASES[name.toLowerCase().replace(/[\s_-]/g, '')] || null);
+    if (!columns.includes('title')) throw new Error('The first row must name the columns, including a "title" column');
+
+    return rows.map(({ cells, line }) => {
+      const fields = {};
+      columns.forEach((field, i) => {
+        const cell = cells[i];
+        if (!field || cell === undefined) return; // Columns we don't import (id, createdAt, ...)
+        if (field === 'title') fields.title = cell;
+        else if (field === 'notes') fields.notes = cell;
+        else if (field === 'completed') fields.completed = parseBooleanText(cell);
+        else if (field === 'dueAt' || field === 'remindAt') fields[field] = parseDateText(cell, timeZone);
+        else if (field === 'list') fields.list = cell.trim() || null;
+        else if (field === 'tags') fields.tags = cell.split(/[,;]/).map((t) => t.trim()).filter(Boolean);
+        else if (field === 'priority') fields.priority = cell.trim().toLowerCase() || 'none';
+        else if (field === 'recurrence') fields.recurrence = pickRecurrence(parseJsonText(cell));
+        else if (field === 'subtasks') fields.subtasks = parseSubtasksText(cell);
+      });
+      return { line, fields };
+    });
+  },
+};
+
+/* ------------------------------------------------------------------------------------------
+ * MARKDOWN - a checklist per list:
+ *   ## Groceries
+ *   - [ ] Buy milk 📅 2024-01-16T17:00:00.000Z ⏰ 2024-01-16T16:00:00.000Z ❗ high #errands
+ *     - [x] Check the fridge
+ * Carries title, done, due date, reminder, priority, tags, list and checklist (not repeats or notes)
+ * ---------------------------------------------------------------------------------------- */
+
+/**
+ * Markdown line for one todo (and its subtasks, indented below it)
+ */
+function markdownItem(todo) {
+  // \# so a "#" in the title doesn't come back as a tag
+  const parts = [`- [${todo.completed ? 'x' : ' '}] ${todo.title.replace(/#/g, '\\#').replace(/\r?\n/g, ' ')}`];
+  if (todo.dueAt) parts.push(`📅 ${todo.dueAt}`);
+  if (todo.remindAt) parts.push(`⏰ ${todo.remindAt}`);
+  if (todo.priority && todo.priority !== 'none') parts.push(`❗ ${todo.priority}`);
+  for (const tag of todo.tags || []) parts.push(`#${tag}`);
+  const lines = [parts.join(' ')];
+  for (const subtask of todo.subtasks || []) {
+    lines.push(`  - [${subtask.completed ? 'x' : ' '}] ${subtask.title.replace(/\r?\n/g, ' ')}`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Splits the tokens (due date, reminder, priority, tags) off the text of a checklist item
+ * @param {string} text - Everything after "- [ ] "
+ * @param {string} timeZone - Zone for dates without one
+ * @returns {Object} { title, dueAt?, remindAt?, priority?, tags? }
+ */
+function parseMarkdownItem(text, timeZone) {
+  const fields = {};
+  const tags = [];
+  let rest = text
+    .replace(/📅\s*(\S+)/gu, (match, date) => {
+      fields.dueAt = parseDateText(date, timeZone);
+      return '';
+    })
+    .replace(/⏰\s*(\S+)/gu, (match, date) => {
+      fields.remindAt = parseDateText(date, timeZone);
+      return '';
+    })
+    .replace(/❗\s*(\S+)/gu, (match, priority) => {
+      fields.priority = priority.toLowerCase();
+      return '';
+    })
+    .replace(/(^|\s)#([^\s#,]+)/g, (match, space, tag) => {
+      tags.push(tag);
+      return space;
+    });
+  rest = rest.replace(/\\#/g, '#').replace(/\s+/g, ' ').trim();
+  if (tags.length > 0) fields.tags = [...new Set(tags)];
+  return { title: rest, ...fields };
+}
+
+const markdown = {
+  contentType: 'text/markdown; charset=utf-8',
+  extension: 'md',
+  // Sorted by list so each list's todos come under one heading
+  sort: { listId: 1, position: 1, _id: 1 },
+  header: () => '',
+  row: (todo, state) => {
+    const list = todo.list || 'Inbox';
+    const heading = state.list === list ? '' : `${state.list === undefined ? '' : '\n'}## ${list}\n\n`;
+    state.list = list;
+    return heading + markdownItem(todo);
+  },
+  footer: () => '',
+
+  /**
+   * @param {string} text - Checklist lines ("- [ ] ..." / "- [x] ..."); a heading starts a list
+   *   ("Inbox" = no list); indented checklist lines are the subtasks of the item above.
+   *   Other lines are ignored
+   * @param {Object} options - { timeZone } for dates without a zone
+   */
+  parse(text, { timeZone }) {
+    const rows = [];
+    let list = null;
+    text.split(/\r?\n/).forEach((raw, index) => {
+      const heading = /^#{1,6}\s+(.+?)\s*#*\s*$/.exec(raw);
+      if (heading) {
+        list = heading[1].trim().toLowerCase() === 'inbox' ? null : heading[1].trim();
+        return;
+      }
+      const item = /^(\s*)[-*+]\s+\[([ xX])\]\s*(.*)$/.exec(raw);
+      if (!item) return;
+
+      const [, indent, mark, rest] = item;
+      const completed = mark !== ' ';
+      const parent = rows[rows.length - 1];
+      if (indent.length > 0 && parent && parent.fields) {
+        parent.fields.subtasks = [...(parent.fields.subtasks || []), { title: rest.trim(), completed }];
+        return;
+      }
+      rows.push({ line: index + 1, fields: { ...parseMarkdownItem(rest, timeZone), completed, list } });
+    });
+    return rows;
+  },
+};
+
+/* ------------------------------------------------------------------------------------------
+ * ICALENDAR - one VTODO per todo; subtasks are VTODOs with RELATED-TO pointing at their todo
+ * DUE, STATUS, PRIORITY, CATEGORIES (tags), RRULE (repeats), a VALARM (reminder) and X-TODO-LIST
+ * ---------------------------------------------------------------------------------------- */
+
+/**
+ * RRULE value for a recurrence rule: FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH
+ */
+function toRRule(rule) {
+  const parts = [`FREQ=${rule.freq.toUpperCase()}`, `INTERVAL=${rule.interval || 1}`];
+  if (rule.freq === 'weekly' && rule.weekdays) parts.push(`BYDAY=${rule.weekdays.map((d) => ICAL_WEEKDAYS[d]).join(',')}`);
+  if (rule.freq === 'monthly' && rule.monthDay) parts.push(`BYMONTHDAY=${rule.monthDay}`);
+  if (rule.until) parts.push(`UNTIL=${formatDateTime(new Date(rule.until))}`);
+  return parts.join(';');
+}
+
+/**
+ * Reads an RRULE into our recurrence rule (only the daily/weekly/monthly patterns we support)
+ * @param {string} value - e.g. "FREQ=WEEKLY;BYDAY=MO,TH"
+ * @param {Date|null} due - The todo's due date (the default weekday / day of the month)
+ * @param {string} timeZone - Zone the weekdays and days are counted in
+ * @returns {Object|string} The rule, or an error message
+ */
+function fromRRule(value, due, timeZone) {
+  const parts = Object.fromEntries(value.split(';').map((p) => {
+    const [key, ...rest] = p.split('=');
+    return [key.toUpperCase(), rest.join('=')];
+  }));
+  const freq = (parts.FREQ || '').toLowerCase();
+  if (!['daily', 'weekly', 'monthly'].includes(freq)) return `repeats ${freq || 'without a frequency'} (only daily, weekly and monthly are supported)`;
+
+  const rule = { freq, interval: Number(parts.INTERVAL) || 1, timeZone };
+  if (parts.UNTIL) {
+    const until = parseDateTime(parts.UNTIL, {}, timeZone);
+    if (until) rule.until = until.toISOString();
+  }
+  const dueParts = due ? zonedParts(due, timeZone) : null;
+  if (freq === 'weekly') {
+    const days = parts.BYDAY ? parts.BYDAY.split(',').map((d) => ICAL_WEEKDAYS.indexOf(d.trim().toUpperCase())) : [];
+    if (days.includes(-1)) return `repeats on "${parts.BYDAY}" (only plain weekdays like MO,TH are supported)`;
+    rule.weekdays = days.length > 0 ? days : dueParts ? [dueParts.weekday] : [];
+  }
+  if (freq === 'monthly') {
+    const day = parts.BYMONTHDAY ? Number(parts.BYMONTHDAY) : dueParts?.day;
+    if (!Number.isInteger(day) || day < 1) return `repeats on "${parts.BYMONTHDAY}" (only one day of the month is supported)`;
+    rule.monthDay = day;
+  }
+  return rule;
+}
+
+/**
+ * Lines of one VTODO (without the subtasks)
+ */
+function vtodoLines(todo, { uid, parentUid, now }) {
+  let out = contentLine('BEGIN', 'VTODO');
+  out += contentLine('UID', uid);
+  out += contentLine('DTSTAMP', formatDateTime(now));
+  if (parentUid) out += contentLine('RELATED-TO;RELTYPE=PARENT', parentUid);
+  out += contentLine('SUMMARY', escapeText(todo.title));
+  if (todo.notes) out += contentLine('DESCRIPTION', escapeText(todo.notes));
+  out += contentLine('STATUS', todo.completed ? 'COMPLETED' : 'NEEDS-ACTION');
+  if (todo.createdAt) out += contentLine('CREATED', formatDateTime(new Date(todo.createdAt)));
+  if (todo.updatedAt) out += contentLine('LAST-MODIFIED', formatDateTime(new Date(todo.updatedAt)));
+  if (todo.dueAt) out += contentLine('DUE', formatDateTime(new Date(todo.dueAt)));
+  if (todo.priority && todo.priority !== 'none') out += contentLine('PRIORITY', String(ICAL_PRIORITIES[todo.priority]));
+  if (todo.list) out += contentLine('X-TODO-LIST', escapeText(todo.list));
+  if (todo.tags && todo.tags.length > 0) out += contentLine('CATEGORIES', todo.tags.map(escapeText).join(','));
+  if (todo.recurrence) out += contentLine('RRULE', toRRule(todo.recurrence));
+  if (todo.remindAt) {
+    out += contentLine('BEGIN', 'VALARM');
+    out += contentLine('ACTION', 'DISPLAY');
+    out += contentLine('DESCRIPTION', escapeText(todo.title));
+    out += contentLine('TRIGGER;VALUE=DATE-TIME', formatDateTime(new Date(todo.remindAt)));
+    out += contentLine('END', 'VALARM');
+  }
+  out += contentLine('END', 'VTODO');
+  return out;
+}
+
+/**
+ * Reads one VTODO into our fields
+ * @param {Object} component - A parsed VTODO (see parseCalendar)
+ * @param {string} timeZone - Zone for floating times
+ * @returns {{ fields: Object, uid: string|null, parentUid: string|null, error?: string }}
+ */
+function readVtodo(component, timeZone) {
+  const props = (name) => component.properties.filter((p) => p.name === name);
+  const prop = (name) => props(name)[0];
+
+  const fields = { title: prop('SUMMARY') ? unescapeText(prop('SUMMARY').value) : '' };
+  if (prop('DESCRIPTION')) fields.notes = unescapeText(prop('DESCRIPTION').value);
+  const status = prop('STATUS')?.value.trim().toUpperCase();
+  fields.completed = status === 'COMPLETED' || Boolean(prop('COMPLETED'));
+
+  const dueProp = prop('DUE');
+  const due = dueProp ? parseDateTime(dueProp.value, dueProp.params, timeZone) : null;
+  if (dueProp && !due) return { fields, error: `DUE "${dueProp.value}" is not a date` };
+  if (due) fields.dueAt = due.toISOString();
+
+  // PRIORITY 1-9: 1-2 urgent, 3-4 high, 5 medium, 6-9 low (0 or missing = none)
+  const priority = Number(prop('PRIORITY')?.value.trim());
+  if (priority >= 1 && priority <= 9) {
+    fields.priority = priority <= 2 ? 'urgent' : priority <= 4 ? 'high' : priority === 5 ? 'medium' : 'low';
+  }
+
+  const list = prop('X-TODO-LIST');
+  if (list) fields.list = unescapeText(list.value);
+
+  const tags = props('CATEGORIES').flatMap((p) => p.value.split(/(?<!\\),/)).map((t) => unescapeText(t).trim()).filter(Boolean);
+  if (tags.length > 0) fields.tags = [...new Set(tags)];
+
+  const rrule = prop('RRULE');
+  if (rrule) {
+    const zone = dueProp?.params.TZID || timeZone;
+    const rule = fromRRule(rrule.value, due, zone);
+    if (typeof rule === 'string') return { fields, error: rule };
+    fields.recurrence = rule;
+  }
+
+  // First alarm = the reminder: an absolute time, or a time relative to the due date
+  const alarm = component.components.find((c) => c.type === 'VALARM');
+  const trigger = alarm?.properties.find((p) => p.name === 'TRIGGER');
+  if (trigger) {
+    if (trigger.params.VALUE === 'DATE-TIME') {
+      const at = parseDateTime(trigger.value, trigger.params, timeZone);
+      if (at) fields.remindAt = at.toISOString();
+    } else {
+      const offset = parseDuration(trigger.value);
+      if (offset !== null && due) fields.remindAt = new Date(due.getTime() + offset).toISOString();
+    }
+  }
+
+  const related = prop('RELATED-TO');
+  const parentUid = related && (!related.params.RELTYPE || related.params.RELTYPE.toUpperCase() === 'PARENT')
+    ? related.value.trim()
+    : null;
+  return { fields, uid: prop('UID')?.value.trim() || null, parentUid };
+}
+
+const ical = {
+  contentType: 'text/calendar; charset=utf-8',
+  extension: 'ics',
+  header: () => contentLine('BEGIN', 'VCALENDAR')
+    + contentLine('VERSION', '2.0')
+    + contentLine('PRODID', '-//Todo App//Todo Export//EN'),
+  row: (todo, state) => {
+    state.now = state.now || new Date();
+    const uid = `${todo._id}@${UID_DOMAIN}`;
+    let out = vtodoLines(todo, { uid, now: state.now });
+    for (const subtask of todo.subtasks || []) {
+      out += vtodoLines(subtask, { uid: `${todo._id}-${subtask._id}@${UID_DOMAIN}`, parentUid: uid, now: state.now });
+    }
+    return out;
+  },
+  footer: () => contentLine('END', 'VCALENDAR'),
+
+  /**
+   * @param {string} text - A VCALENDAR with VTODOs (VEVENTs and the rest are ignored).
+   *   A VTODO whose RELATED-TO points at another VTODO in the file becomes its subtask
+   * @param {Object} options - { timeZone } for floating times and all-day dates
+   */
+  parse(text, { timeZone }) {
+    const calendars = parseCalendar(text);
+    if (!calendars.some((c) => c.type === 'VCALENDAR')) throw new Error('The file has no BEGIN:VCALENDAR');
+
+    const vtodos = calendars.filter((c) => c.type === 'VCALENDAR')
+      .flatMap((c) => c.components.filter((child) => child.type === 'VTODO'))
+      .map((component) => ({ line: component.line, ...readVtodo(component, timeZone) }));
+
+    // Subtasks hang under the top-most todo they belong to
+    const byUid = new Map(vtodos.filter((t) => t.uid).map((t) => [t.uid, t]));
+    const rootOf = (todo) => {
+      const seen = new Set();
+      let current = todo;
+      while (current.parentUid && byUid.has(current.parentUid) && !seen.has(current.parentUid)) {
+        seen.add(current.parentUid);
+        current = byUid.get(current.parentUid);
+      }
+      return current;
+    };
+
+    const rows = [];
+    for (const todo of vtodos) {
+      const root = rootOf(todo);
+      if (root !== todo) {
+        root.fields.subtasks = [...(root.fields.subtasks || []), { title: todo.fields.title, completed: todo.fields.completed }];
+      } else {
+        rows.push(todo);
+      }
+    }
+    return rows.map(({ line, fields, error }) => (error ? { line, error } : { line, fields }));
+  },
+};
+
+// Every format, by the name used in ?format=
+const FORMATS = { json, csv, md: markdown, ics: ical };
+
+module.exports = { FORMATS, plainTodo, parseDateText };
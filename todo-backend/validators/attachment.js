@@ -0,0 +1,101 @@
+/**
+ * ATTACHMENT LIMITS
+ * What POST /api/todos/:id/attachments accepts (see routes/attachments.js).
+ * Uploads are multipart/form-data, so there are no body rules here - just the limits,
+ * and the file types we take along with how to recognise them from their first bytes
+ * (and the query of the download).
+ */
+
+const path = require('path');
+
+// Biggest file one upload may be (bytes) - 10 MB unless set in .env
+const MAX_ATTACHMENT_SIZE = Number(process.env.MAX_ATTACHMENT_SIZE) || 10 * 1024 * 1024;
+
+// Most attachments one todo can have
+const MAX_ATTACHMENTS = 20;
+
+// Longest file name we keep (longer ones are shortened, keeping the extension)
+const ATTACHMENT_NAME_MAX_LENGTH = 200;
+
+/**
+ * Content check: the file starts with some text (compared byte for byte)
+ * @param {string} text - The expected bytes, as latin1 text
+ * @param {number} [offset=0] - Where in the file they are
+ * @returns {Function} (buffer) => boolean
+ */
+const startsWith = (text, offset = 0) => (buffer) =>
+  buffer.toString('latin1', offset, offset + text.length) === text;
+
+/**
+ * Content check for text files: no NUL bytes near the start (binary files almost always have some)
+ * @param {Buffer} buffer - The file
+ * @returns {boolean}
+ */
+const isText = (buffer) => !buffer.subarray(0, 4096).includes(0);
+
+// Every file type an attachment may be -> { extensions, image, looksRight(buffer) }
+// Images are shown inline as thumbnails; everything else is always downloaded.
+// No HTML or SVG: they could run scripts when opened from our origin
+const ATTACHMENT_TYPES = {
+  'image/png': { extensions: ['.png'], image: true, looksRight: startsWith('\x89PNG') },
+  'image/jpeg': { extensions: ['.jpg', '.jpeg'], image: true, looksRight: startsWith('\xff\xd8\xff') },
+  'image/gif': { extensions: ['.gif'], image: true, looksRight: startsWith('GIF8') },
+  'image/webp': {
+    extensions: ['.webp'],
+    image: true,
+    looksRight: (buffer) => startsWith('RIFF')(buffer) && startsWith('WEBP', 8)(buffer),
+  },
+  'application/pdf': { extensions: ['.pdf'], image: false, looksRight: startsWith('%PDF-') },
+  'application/zip': { extensions: ['.zip'], image: false, looksRight: startsWith('PK\x03\x04') },
+  'text/plain': { extensions: ['.txt', '.log'], image: false, looksRight: isText },
+  'text/csv': { extensions: ['.csv'], image: false, looksRight: isText },
+  'text/markdown': { extensions: ['.md', '.markdown'], image: false, looksRight: isText },
+};
+
+// Types browsers send when they don't know better - the extension decides then
+const GENERIC_TYPES = ['', 'application/octet-stream', 'application/vnd.ms-excel'];
+
+/**
+ * The attachment type of an uploaded file: the type the browser sent if we accept it,
+ * else (for generic types) the one its extension stands for
+ * @param {string} mimeType - Type from the upload
+ * @param {string} fileName - Name from the upload
+ * @returns {string|null} A key of ATTACHMENT_TYPES, or null if we don't accept the file
+ */
+function attachmentType(mimeType, fileName) {
+  const declared = (mimeType || '').toLowerCase();
+  if (ATTACHMENT_TYPES[declared]) return declared;
+  if (!GENERIC_TYPES.includes(declared)) return null;
+  const extension = path.extname(fileName || '').toLowerCase();
+  return Object.keys(ATTACHMENT_TYPES).find((type) => ATTACHMENT_TYPES[type].extensions.includes(extension)) || null;
+}
+
+/**
+ * A file name that's safe to store and send back: no folders, no control characters, not too long
+ * @param {string} fileName - Name from the upload
+ * @returns {string}
+ */
+function cleanAttachmentName(fileName) {
+  const base = path.basename(String(fileName || '').replace(/\\/g, '/'))
+    .replace(/[\u0000-\u001f\u007f"]/g, '')
+    .trim();
+  if (!base) return 'file';
+  if (base.length <= ATTACHMENT_NAME_MAX_LENGTH) return base;
+  const extension = path.extname(base).slice(0, 20);
+  return base.slice(0, ATTACHMENT_NAME_MAX_LENGTH - extension.length) + extension;
+}
+
+// GET /api/todos/:id/attachments/:attachmentId?download=true - save images instead of showing them
+const downloadAttachmentQueryRules = {
+  download: { type: 'boolean', default: false },
+};
+
+module.exports = {
+  MAX_ATTACHMENT_SIZE,
+  MAX_ATTACHMENTS,
+  ATTACHMENT_NAME_MAX_LENGTH,
+  ATTACHMENT_TYPES,
+  attachmentType,
+  cleanAttachmentName,
+  downloadAttachmentQueryRules,
+};
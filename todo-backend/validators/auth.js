@@ -0,0 +1,21 @@
+/**
+ * AUTH VALIDATION RULES
+ * Shape of the register and login request bodies (see routes/auth.js)
+ */
+
+// Shortest password we accept at registration
+const MIN_PASSWORD_LENGTH = 8;
+
+// POST /api/auth/register
+const registerRules = {
+  username: { type: 'string', required: true, trim: true, minLength: 3, maxLength: 32 },
+  password: { type: 'string', required: true, minLength: MIN_PASSWORD_LENGTH, maxLength: 128 },
+};
+
+// POST /api/auth/login - no length checks, a wrong password is just "invalid credentials"
+const loginRules = {
+  username: { type: 'string', required: true, trim: true, minLength: 1 },
+  password: { type: 'string', required: true, minLength: 1 },
+};
+
+module.exports = { registerRules, loginRules };
@@ -0,0 +1,24 @@
+/**
+ * HISTORY VALIDATION RULES
+ * Query parameters of GET /api/todos/:id/history and GET /api/activity
+ */
+
+// What can happen to a todo (keep in sync with the type enum in models/todoEvent.js)
+const EVENT_TYPES = ['created', 'updated', 'completed', 'deleted', 'restored'];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// GET /api/todos/:id/history?limit=20&cursor=...
+const historyQueryRules = {
+  limit: { type: 'number', integer: true, min: 1, max: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE },
+  cursor: { type: 'string', maxLength: 1000 },
+};
+
+// GET /api/activity?type=completed&limit=20&cursor=... - type narrows the feed to one kind of event
+const activityQueryRules = {
+  ...historyQueryRules,
+  type: { type: 'enum', values: EVENT_TYPES },
+};
+
+module.exports = { EVENT_TYPES, historyQueryRules, activityQueryRules };
@@ -0,0 +1,70 @@
+/**
+ * LIST VALIDATION RULES
+ * Which fields clients may send when creating or updating a list (see routes/lists.js)
+ */
+
+// Longest list name we accept (keep in sync with maxlength in models/list.js)
+const LIST_NAME_MAX_LENGTH = 100;
+
+// Fields a client may set on a list
+const listFields = {
+  name: { type: 'string', trim: true, minLength: 1, maxLength: LIST_NAME_MAX_LENGTH },
+  color: {
+    type: 'string',
+    trim: true,
+    check: (color) => (/^#[0-9a-f]{6}$/i.test(color) ? null : 'must be a hex color like #4CAF50'),
+  },
+  position: { type: 'number' },
+};
+
+// POST /api/lists - name is required
+const createListRules = {
+  ...listFields,
+  name: { ...listFields.name, required: true },
+};
+
+// PUT /api/lists/:id - any subset of the fields (validated with { partial: true })
+const updateListRules = listFields;
+
+// DELETE /api/lists/:id?todos=inbox|delete - what happens to the list's todos
+const deleteListQueryRules = {
+  todos: { type: 'enum', values: ['inbox', 'delete'], default: 'inbox' },
+};
+
+// What a member of a shared list may do, least first (keep in sync with models/listMember.js)
+const MEMBER_ROLES = ['viewer', 'editor', 'owner'];
+
+// Roles an invite link can give - owners are only ever made by name
+const INVITE_ROLES = ['viewer', 'editor'];
+
+// How long an invite link works (in days)
+const DEFAULT_INVITE_DAYS = 7;
+const MAX_INVITE_DAYS = 30;
+
+// POST /api/lists/:id/members - share the list with someone by their username
+const addMemberRules = {
+  username: { type: 'string', required: true, trim: true, minLength: 1, maxLength: 32 },
+  role: { type: 'enum', values: MEMBER_ROLES, default: 'editor' },
+};
+
+// PATCH /api/lists/:id/members/:userId - give a member another role
+const updateMemberRules = {
+  role: { type: 'enum', values: MEMBER_ROLES, required: true },
+};
+
+// POST /api/lists/:id/invites - make an invite link
+const createInviteRules = {
+  role: { type: 'enum', values: INVITE_ROLES, default: 'viewer' },
+  expiresInDays: { type: 'number', integer: true, min: 1, max: MAX_INVITE_DAYS, default: DEFAULT_INVITE_DAYS },
+};
+
+module.exports = {
+  LIST_NAME_MAX_LENGTH,
+  MEMBER_ROLES,
+  createListRules,
+  updateListRules,
+  deleteListQueryRules,
+  addMemberRules,
+  updateMemberRules,
+  createInviteRules,
+};
@@ -0,0 +1,23 @@
+/**
+ * STATS VALIDATION RULES
+ * Query parameters of GET /api/stats
+ */
+
+// A calendar day, as <input type="date"> sends it
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// How many days one request may cover at most (a year, leap years included)
+const MAX_STATS_DAYS = 366;
+
+// How many days the stats cover when the client doesn't say
+const DEFAULT_STATS_DAYS = 30;
+
+// GET /api/stats?from=2024-01-01&to=2024-01-31&tz=Europe/Berlin - both days included
+// (from defaults to 30 days before to, to defaults to today in tz)
+const statsQueryRules = {
+  from: { type: 'string', trim: true, pattern: DAY_PATTERN, example: '2024-01-01' },
+  to: { type: 'string', trim: true, pattern: DAY_PATTERN, example: '2024-01-31' },
+  tz: { type: 'string', trim: true, maxLength: 64 },
+};
+
+module.exports = { statsQueryRules, MAX_STATS_DAYS, DEFAULT_STATS_DAYS };
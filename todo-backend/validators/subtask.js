@@ -0,0 +1,37 @@
+/**
+ * SUBTASK VALIDATION RULES
+ * Request bodies for the checklist endpoints in routes/subtasks.js
+ */
+
+// Longest subtask title we accept (keep in sync with maxlength in models/todo.js)
+const SUBTASK_TITLE_MAX_LENGTH = 200;
+
+// Most subtasks one todo can have
+const MAX_SUBTASKS = 100;
+
+const titleRule = { type: 'string', trim: true, minLength: 1, maxLength: SUBTASK_TITLE_MAX_LENGTH };
+
+// POST /api/todos/:id/subtasks - { title, position? } (position = index to insert at, default: end)
+const createSubtaskRules = {
+  title: { ...titleRule, required: true },
+  position: { type: 'number', integer: true, min: 0 },
+};
+
+// PATCH /api/todos/:id/subtasks/:subtaskId - rename and/or tick
+const updateSubtaskRules = {
+  title: titleRule,
+  completed: { type: 'boolean' },
+};
+
+// PUT /api/todos/:id/subtasks/order - every subtask id, in the new order
+const reorderSubtasksRules = {
+  ids: { type: 'array', items: { type: 'objectId' }, maxItems: MAX_SUBTASKS, required: true },
+};
+
+module.exports = {
+  SUBTASK_TITLE_MAX_LENGTH,
+  MAX_SUBTASKS,
+  createSubtaskRules,
+  updateSubtaskRules,
+  reorderSubtasksRules,
+};
@@ -0,0 +1,71 @@
+/**
+ * TAG VALIDATION RULES
+ * Which fields clients may send when creating or updating a tag (see routes/tags.js),
+ * plus the rule for a single tag name, which todos use too (see validators/todo.js)
+ */
+
+// Longest tag name we accept (keep in sync with maxlength in models/tag.js)
+const TAG_MAX_LENGTH = 30;
+
+// Most tags one ?tags= filter may name
+const MAX_FILTER_TAGS = 20;
+
+// A tag name: no commas, because ?tags=a,b separates names with them
+const tagNameRule = {
+  type: 'string',
+  trim: true,
+  minLength: 1,
+  maxLength: TAG_MAX_LENGTH,
+  check: (name) => (name.includes(',') ? 'must not contain commas' : null),
+};
+
+/**
+ * Splits a ?tags=a,b query value into names
+ * @param {string} value - Comma-separated tag names
+ * @returns {string[]} Trimmed names, without empty ones and repeats
+ */
+function splitTagList(value) {
+  return [...new Set(value.split(',').map((name) => name.trim()).filter(Boolean))];
+}
+
+// ?tags=work,urgent - at least one name, each no longer than a tag name can be
+const tagListQueryRule = {
+  type: 'string',
+  check: (value) => {
+    const names = splitTagList(value);
+    if (names.length === 0) return 'must name at least one tag';
+    if (names.length > MAX_FILTER_TAGS) return `must name at most ${MAX_FILTER_TAGS} tags`;
+    if (names.some((name) => name.length > TAG_MAX_LENGTH)) {
+      return `tag names must be at most ${TAG_MAX_LENGTH} characters`;
+    }
+    return null;
+  },
+};
+
+// Fields a client may set on a tag
+const tagFields = {
+  name: tagNameRule,
+  color: {
+    type: 'string',
+    trim: true,
+    check: (color) => (/^#[0-9a-f]{6}$/i.test(color) ? null : 'must be a hex color like #4CAF50'),
+  },
+};
+
+// POST /api/tags - name is required
+const createTagRules = {
+  ...tagFields,
+  name: { ...tagFields.name, required: true },
+};
+
+// PUT /api/tags/:id - rename and/or recolor (validated with { partial: true })
+const updateTagRules = tagFields;
+
+module.exports = {
+  TAG_MAX_LENGTH,
+  tagNameRule,
+  tagListQueryRule,
+  splitTagList,
+  createTagRules,
+  updateTagRules,
+};
@@ -0,0 +1,258 @@
+/**
+ * TODO VALIDATION RULES
+ * Which fields clients may send when creating or updating a todo, and what they must look like
+ * Used together with validateBody() from middleware/validate.js
+ */
+
+const { FREQUENCIES } = require('../utils/recurrence');
+const { isValidTimeZone } = require('../utils/dates');
+const { isObjectId } = require('../middleware/validate');
+const { tagNameRule, tagListQueryRule } = require('./tag');
+const { LIST_NAME_MAX_LENGTH } = require('./list');
+const { MAX_SUBTASKS, createSubtaskRules } = require('./subtask');
+const { sanitizeMarkdown } = require('../utils/markdown');
+
+// Longest title we accept (keep in sync with maxlength in models/todo.js)
+const TITLE_MAX_LENGTH = 500;
+
+// Longest notes we accept, after cleaning (keep in sync with maxlength in models/todo.js)
+const NOTES_MAX_LENGTH = 20000;
+
+// Most tags one todo can have
+const MAX_TAGS_PER_TODO = 20;
+
+// How much a todo matters, least first (keep in sync with the enum in models/todo.js)
+const PRIORITIES = ['none', 'low', 'medium', 'high', 'urgent'];
+
+// How a todo repeats (see utils/recurrence.js), or null for "doesn't repeat"
+const recurrenceRule = {
+  type: 'object',
+  nullable: true,
+  fields: {
+    freq: { type: 'enum', values: FREQUENCIES, required: true },
+    interval: { type: 'number', integer: true, min: 1, max: 365, default: 1 },
+    weekdays: {
+      type: 'array',
+      items: { type: 'number', integer: true, min: 0, max: 6 },
+      maxItems: 7,
+      unique: true,
+    },
+    monthDay: { type: 'number', integer: true, min: 1, max: 31 },
+    until: { type: 'date', nullable: true },
+    timeZone: { type: 'string', trim: true, maxLength: 64 },
+  },
+  // Checks that need more than one field of the rule
+  check: (rule) => {
+    if (rule.freq === 'weekly' && !(rule.weekdays && rule.weekdays.length > 0)) {
+      return 'weekly repeats need at least one weekday';
+    }
+    if (rule.freq === 'monthly' && !rule.monthDay) {
+      return 'monthly repeats need a monthDay';
+    }
+    if (rule.timeZone && !isValidTimeZone(rule.timeZone)) {
+      return `unknown time zone "${rule.timeZone}"`;
+    }
+    return null;
+  },
+};
+
+// Fields a client may set on a todo
+// (owner, _id and the timestamps are managed by the server and can never be sent)
+const todoFields = {
+  title: { type: 'string', trim: true, minLength: 1, maxLength: TITLE_MAX_LENGTH },
+  notes: { type: 'string', maxLength: NOTES_MAX_LENGTH, sanitize: sanitizeMarkdown }, // Markdown, "" = none
+  completed: { type: 'boolean' },
+  dueAt: { type: 'date', nullable: true },    // null clears the due date
+  remindAt: { type: 'date', nullable: true }, // null turns the reminder off
+  recurrence: recurrenceRule,                 // null stops the todo repeating
+  listId: { type: 'objectId', nullable: true }, // null moves the todo to the Inbox
+  tags: { type: 'array', items: tagNameRule, maxItems: MAX_TAGS_PER_TODO, unique: true }, // Tag names
+  priority: { type: 'enum', values: PRIORITIES },
+  assignee: { type: 'objectId', nullable: true }, // User id of a list member, null = nobody
+};
+
+// POST /api/todos - title is required, everything else optional
+const createTodoRules = {
+  ...todoFields,
+  title: { ...todoFields.title, required: true },
+};
+
+// POST /api/todos?parse=true&tz=Europe/Berlin - parse=true reads "tomorrow 5pm", "every monday",
+// "#tag", "@list"... out of the title (see shared/quickAdd.js); tz is the zone they're meant in
+const createTodoQueryRules = {
+  parse: { type: 'boolean', default: false },
+  tz: { type: 'string', trim: true, maxLength: 64 },
+};
+
+// PUT /api/todos/:id - the whole todo: title is required, and fields left out go back to what
+// a new todo has (see models/todo.js). PATCH /api/todos/:id checks the patched todo with these too
+const replaceTodoRules = {
+  ...createTodoRules,
+  notes: { ...todoFields.notes, default: '' },
+  completed: { ...todoFields.completed, default: false },
+  dueAt: { ...todoFields.dueAt, default: null },
+  remindAt: { ...todoFields.remindAt, default: null },
+  recurrence: { ...todoFields.recurrence, default: null },
+  listId: { ...todoFields.listId, default: null },
+  tags: { ...todoFields.tags, default: [] },
+  priority: { ...todoFields.priority, default: 'none' },
+  assignee: { ...todoFields.assignee, default: null },
+};
+
+// Fields GET /api/todos can sort on - each one has a matching index in models/todo.js
+// Prefix with "-" for descending order (e.g. "-createdAt" = newest first)
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'title', 'dueAt'];
+
+// Page size limits for GET /api/todos
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// GET /api/todos?listId=...&status=active&q=milk&sort=-createdAt&limit=20&cursor=...
+const listTodosQueryRules = {
+  // One list's todos, "inbox" for todos without a list, or leave out for every todo
+  listId: {
+    type: 'string',
+    check: (id) => (id === 'inbox' || isObjectId(id) ? null : 'must be a list id or "inbox"'),
+  },
+  status: { type: 'enum', values: ['all', 'active', 'completed'], default: 'all' },
+  q: { type: 'string', trim: true, maxLength: 200 },
+  // Only todos with these tags: ?tags=work,urgent - tagMode=any (default) wants at least one
+  // of them, tagMode=all wants every one
+  tags: tagListQueryRule,
+  tagMode: { type: 'enum', values: ['any', 'all'], default: 'any' },
+  // "manual" = the order the user dragged the todos into,
+  // "smart" = most pressing first (priority, due date and age - see services/smartOrder.js)
+  sort: {
+    type: 'enum',
+    values: [...SORT_FIELDS.flatMap((field) => [field, `-${field}`]), 'manual', 'smart'],
+    default: '-createdAt',
+  },
+  limit: { type: 'number', integer: true, min: 1, max: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE },
+  cursor: { type: 'string', maxLength: 1000 },
+};
+
+// GET /api/todos/upcoming?tz=Europe/Berlin - tz decides where "today" starts and ends
+const upcomingQueryRules = {
+  tz: { type: 'string', trim: true, maxLength: 64 },
+  limit: { type: 'number', integer: true, min: 1, max: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE },
+};
+
+// GET /api/todos/today?tz=Europe/Berlin - the focus list is kept short on purpose
+const DEFAULT_TODAY_SIZE = 10;
+const MAX_TODAY_SIZE = 25;
+const todayQueryRules = {
+  tz: { type: 'string', trim: true, maxLength: 64 },
+  limit: { type: 'number', integer: true, min: 1, max: MAX_TODAY_SIZE, default: DEFAULT_TODAY_SIZE },
+};
+
+// PATCH /api/todos/:id/move - the todos it should end up between (send one or both)
+// after = the todo right above it, before = the todo right below it
+const moveTodoRules = {
+  after: { type: 'objectId' },
+  before: { type: 'objectId' },
+};
+
+// POST /api/todos/bulk - one operation on many todos at once
+// Pick the todos with ids (up to MAX_BULK_ITEMS) or with a filter like the one GET /api/todos takes;
+// listId / tag / dueAt carry the operation's value (setList / addTag, removeTag / setDueDate)
+const MAX_BULK_ITEMS = 500;
+const BULK_OPERATIONS = ['complete', 'uncomplete', 'delete', 'setList', 'addTag', 'removeTag', 'setDueDate'];
+const bulkTodoRules = {
+  ids: { type: 'array', items: { type: 'objectId' }, maxItems: MAX_BULK_ITEMS, unique: true },
+  filter: {
+    type: 'object',
+    fields: {
+      listId: listTodosQueryRules.listId,
+      status: { type: 'enum', values: ['all', 'active', 'completed'], default: 'all' },
+      q: listTodosQueryRules.q,
+      tags: listTodosQueryRules.tags,
+      tagMode: listTodosQueryRules.tagMode,
+    },
+  },
+  operation: { type: 'enum', values: BULK_OPERATIONS, required: true },
+  listId: { type: 'objectId', nullable: true },
+  tag: tagNameRule,
+  dueAt: { type: 'date', nullable: true },
+};
+
+// GET /api/todos/trash?limit=20&cursor=... - deleted todos, most recently deleted first
+const trashQueryRules = {
+  limit: { type: 'number', integer: true, min: 1, max: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE },
+  cursor: { type: 'string', maxLength: 1000 },
+};
+
+// DELETE /api/todos/:id?scope=series - "this" deletes one occurrence, "series" every open one
+const deleteTodoQueryRules = {
+  scope: { type: 'enum', values: ['this', 'series'], default: 'this' },
+};
+
+// GET /api/todos/reminders?since=2024-01-15T10:00:00Z - reminders fired after "since"
+const remindersQueryRules = {
+  since: { type: 'date', required: true },
+};
+
+// File formats for export and import (keep in sync with FORMATS in utils/todoFormats.js)
+const TRANSFER_FORMATS = ['json', 'csv', 'md', 'ics'];
+
+// Most todos one import can bring in
+const MAX_IMPORT_ROWS = 5000;
+
+// GET /api/todos/export?format=csv
+const exportQueryRules = {
+  format: { type: 'enum', values: TRANSFER_FORMATS, default: 'json' },
+};
+
+// POST /api/todos/import?format=csv&dryRun=true&tz=Europe/Berlin&duplicates=skip
+// dryRun = only check the file and report what would happen; tz = the zone for dates in the
+// file that don't have one; duplicates = what to do with todos the user already has
+// (same title and due date): "skip" them or "import" them anyway
+const importQueryRules = {
+  format: { type: 'enum', values: TRANSFER_FORMATS, required: true },
+  dryRun: { type: 'boolean', default: false },
+  tz: { type: 'string', trim: true, maxLength: 64 },
+  duplicates: { type: 'enum', values: ['skip', 'import'], default: 'skip' },
+};
+
+// One todo read from an import file: what POST /api/todos takes, except that the list is
+// given by name (lists that don't exist yet are created), the checklist comes along
+// and nobody is assigned (imports only go into the importer's own lists)
+const { listId, assignee, ...importableFields } = createTodoRules;
+const importTodoRules = {
+  ...importableFields,
+  list: { type: 'string', trim: true, minLength: 1, maxLength: LIST_NAME_MAX_LENGTH, nullable: true },
+  subtasks: {
+    type: 'array',
+    maxItems: MAX_SUBTASKS,
+    items: {
+      type: 'object',
+      fields: {
+        title: createSubtaskRules.title,
+        completed: { type: 'boolean', default: false },
+      },
+    },
+  },
+};
+
+module.exports = {
+  TITLE_MAX_LENGTH,
+  NOTES_MAX_LENGTH,
+  MAX_TAGS_PER_TODO,
+  PRIORITIES,
+  MAX_BULK_ITEMS,
+  MAX_IMPORT_ROWS,
+  SORT_FIELDS,
+  createTodoRules,
+  createTodoQueryRules,
+  replaceTodoRules,
+  listTodosQueryRules,
+  upcomingQueryRules,
+  todayQueryRules,
+  remindersQueryRules,
+  deleteTodoQueryRules,
+  trashQueryRules,
+  moveTodoRules,
+  bulkTodoRules,
+  exportQueryRules,
+  importQueryRules,
+  importTodoRules,
+};
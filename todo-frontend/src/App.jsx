@@ -1,15 +1,113 @@
 // Import React and its hooks for managing component state and lifecycle
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef, useCallback, useMemo } from "react";
 // Import our custom API functions that communicate with the backend server
 import {
   apiGetTodos,    // Function to fetch all todos from server
-  apiCreateTodo,  // Function to create a new todo on server
-  apiUpdateTodo,  // Function to update an existing todo on server
-  apiDeleteTodo,  // Function to delete a todo from server
+  apiMoveTodo,    // Function to move a todo in the manual order (drag-and-drop)
+  apiBulkTodos,   // Function to change many todos at once (multi-select, "Clear completed")
+  apiGetReminders, // Function to fetch reminders that fired since the last check
+  apiGetLists,    // Functions to load and manage lists (projects)
+  apiCreateList,
+  apiUpdateList,
+  apiDeleteList,
+  apiGetTags,     // Functions to load and manage tags (colored labels)
+  apiCreateTag,
+  apiUpdateTag,
+  apiDeleteTag,
+  apiRestoreTodo,
+  apiGetInvite,   // Functions for invite links to shared lists (?invite=...)
+  apiAcceptInvite,
+  apiLogout,      // Function to log out on the server
+  subscribeToEvents, // Listens for changes made in other tabs and on other devices
+  loadSession,    // Reads the saved login session from the browser
+  saveSession,    // Saves/clears the login session in the browser
+  onUnauthorized, // Lets us react when the server rejects our session
+  getErrorMessage, // Turns a failed request into a user-friendly message
 } from "./api";
+// Login / signup screen shown when nobody is logged in
+import AuthForm from "./components/AuthForm";
+// Status tabs and search box above the list
+import FilterBar from "./components/FilterBar";
+// One row of the todo list (with its edit form)
+import TodoItem from "./components/TodoItem";
+// Todos grouped into overdue / today / this week / later
+import UpcomingView from "./components/UpcomingView";
+import TodayView from "./components/TodayView";
+// Streak, completion counts and charts
+import StatsDashboard from "./components/StatsDashboard";
+// Sidebar for switching between lists
+import Sidebar from "./components/Sidebar";
+// Side pane with a todo's Markdown notes
+import TodoDetail from "./components/TodoDetail";
+// Who's in a shared list, their roles and invite links
+import ShareDialog from "./components/ShareDialog";
+// Buttons for changing every selected todo at once
+import BulkActionBar from "./components/BulkActionBar";
+// The tags section of the sidebar
+import TagPanel from "./components/TagPanel";
+// Import the trash view and the "Undo" toast shown after deleting
+import TrashView from "./components/TrashView";
+import UndoToast from "./components/UndoToast";
+// Export / import of every todo as a file (sidebar section)
+import ImportExport from "./components/ImportExport";
+// Highlights "tomorrow 5pm", "#tag", "@list"... in the add form as they're typed
+import QuickAddPreview from "./components/QuickAddPreview";
+// Quick-add parser, shared with the backend
+import { parseQuickAdd } from "../../shared/quickAdd.js";
+// Helpers for date inputs and browser notifications
+import { fromDateTimeInputValue, LOCAL_TIME_ZONE } from "./utils/dates";
+// Helpers for drag-and-drop reordering
+import { moveItem, sameOrder, neighboursOf } from "./utils/reorder";
+// Helpers for merging live changes from other tabs/devices into the list
+import { mergeTodo, matchesView, matchesSearch, compareTodos } from "./utils/sync";
+// Roles in shared lists: what the user may change
+import { hasRole, canEditTodo, ROLE_LABELS } from "./utils/sharing";
+// Tells files dragged in from the computer apart from todo rows being reordered
+import { isFileDrag } from "./utils/files";
+// Offline support: the IndexedDB cache and the outbox of changes not yet sent
+// (creating, editing, ticking and deleting todos goes through the outbox, see utils/outbox.js)
+import {
+  selectOfflineUser,
+  getCachedTodos,
+  cacheTodos,
+  uncacheTodos,
+  getOutbox,
+  clearOfflineData,
+} from "./utils/offlineStore";
+import {
+  enqueueChange,
+  cancelDelete,
+  replayOutbox,
+  resolveConflict,
+  applyOutbox,
+  withPendingChanges,
+  localTodo,
+  newLocalId,
+  isLocalId,
+  createFields,
+  isNetworkError,
+} from "./utils/outbox";
+import {
+  notificationPermission,
+  requestNotificationPermission,
+  showNotification,
+} from "./utils/notifications";
 // Import our custom CSS styles for the todo app
 import "./App.css";
 
+// How many todos to load per page (more are loaded as the user scrolls down)
+const PAGE_SIZE = 30;
+
+// How long to wait after the last keystroke before searching (milliseconds)
+const SEARCH_DELAY_MS = 300;
+
+// How often to ask the server for reminders that have fired (milliseconds)
+const REMINDER_POLL_MS = 30 * 1000;
+
+// How long to wait after the server confirmed a change before reloading the sidebar counts
+// and the open view (milliseconds) - a burst of changes then costs one reload, not one each
+const REFRESH_DELAY_MS = 500;
+
 /**
  * Main Todo App Component
  * This is the main component that renders the entire todo application
@@ -17,6 +115,10 @@ import "./App.css";
  */
 export default function App() {
   // STATE VARIABLES (these store data that can change over time)
+
+  // The logged-in session ({ token, user }), or null when logged out
+  // We start from whatever was saved in the browser so a refresh keeps you logged in
+  const [session, setSession] = useState(loadSession);
   
   // Array to store all todo items fetched from the database
   const [todos, setTodos] = useState([]);
@@ -24,43 +126,732 @@ export default function App() {
   // String to store what the user types in the "add new todo" input field
   const [title, setTitle] = useState("");
 
+  // Optional due date for the new todo, as typed in the date picker ("" = none)
+  const [newDueAt, setNewDueAt] = useState("");
+
   // Boolean to show/hide loading message while we fetch data from server
   const [loading, setLoading] = useState(true);
 
   // Stores the ID of the todo that user is currently editing (null = no editing)
   const [editingId, setEditingId] = useState(null);
 
-  // Stores the new text when user is editing a todo
-  const [editedTitle, setEditedTitle] = useState("");
+  // ID of the todo whose detail pane (with its notes) is open (null = closed)
+  const [detailId, setDetailId] = useState(null);
+
+  // Error message shown above the list when a request fails (empty = no error)
+  const [error, setError] = useState("");
+
+  // The user's lists (each with active/completed counts) and the Inbox counts
+  const [lists, setLists] = useState([]);
+  const [inboxCounts, setInboxCounts] = useState({ active: 0, completed: 0 });
+
+  // Which list is open: "all", "inbox" (todos without a list) or a list ID
+  const [selectedList, setSelectedList] = useState("all");
+
+  // The lists new todos can go into (shared lists the user can only view are left out)
+  const writableLists = useMemo(() => lists.filter((list) => hasRole(list.role, "editor")), [lists]);
+
+  // Which list's share dialog is open (null = none)
+  const [sharingListId, setSharingListId] = useState(null);
+
+  // An invite link the user opened (?invite=...): { token, list, role, invitedBy, currentRole }
+  const [invite, setInvite] = useState(null);
+
+  // The user's tags ({ _id, name, color, count }), for chip colors and autocomplete
+  const [tags, setTags] = useState([]);
+
+  // Tag filter: only todos with these tags - "any" of them or "all" of them
+  const [filterTags, setFilterTags] = useState([]);
+  const [tagMode, setTagMode] = useState("any");
+
+  // Which view is shown: "list" (all todos), "today" (what to focus on),
+  // "upcoming" (grouped by due date), "stats" (the dashboard) or "trash"
+  const [view, setView] = useState("list");
+
+  // Reminders that fired while system notifications are off - shown inside the app instead
+  const [reminders, setReminders] = useState([]);
+
+  // Whether the browser lets us show notifications ("granted", "denied", "default", "unsupported")
+  const [notifyPermission, setNotifyPermission] = useState(notificationPermission);
+
+  // Which status tab is selected: "all", "active" or "completed"
+  const [statusFilter, setStatusFilter] = useState("all");
+
+  // What the user typed in the search box, and the same text once they stop typing
+  // (we only ask the server when typing pauses, not on every keystroke)
+  const [search, setSearch] = useState("");
+  const [debouncedSearch, setDebouncedSearch] = useState("");
+
+  // Sort order for the list ("manual" = the order the user dragged todos into)
+  const [sort, setSort] = useState("-createdAt");
+
+  // Drag-and-drop: the todo being dragged with the mouse, or picked up with the keyboard
+  const [draggingId, setDraggingId] = useState(null);
+  const [grabbedId, setGrabbedId] = useState(null);
+
+  // The list as it was before the current drag started (to undo a cancelled or failed move)
+  const reorderSnapshotRef = useRef(null);
+
+  // Read out by screen readers while reordering with the keyboard
+  const [announcement, setAnnouncement] = useState("");
+
+  // IDs of the todos selected for a bulk change, and the last one clicked
+  // (shift-click selects everything between that one and the clicked one)
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const selectionAnchorRef = useRef(null);
+
+  // True while a bulk change is being sent
+  const [bulkBusy, setBulkBusy] = useState(false);
+
+  // Live updates connection: "connecting", "connected" or "reconnecting"
+  const [liveStatus, setLiveStatus] = useState("connecting");
+
+  // Always the latest handleServerEvent (it reads the current filters), so the
+  // live connection doesn't have to be reopened whenever a filter changes
+  const serverEventRef = useRef(null);
+
+  // Changes made on this device that the server hasn't confirmed yet (see utils/outbox.js)
+  const [outbox, setOutbox] = useState([]);
+
+  // True when the server couldn't be reached - we show todos from the browser's cache
+  const [offline, setOffline] = useState(false);
+
+  // Always the latest syncOutbox, for event listeners set up once
+  const syncRef = useRef(null);
+
+  // Cursor for the next page from the server (null = no more pages)
+  const [nextCursor, setNextCursor] = useState(null);
+
+  // True while the next page is loading (shows "Loading more..." at the bottom)
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  // Counts requests so answers for old filters can be ignored if the user changed them meanwhile
+  const requestIdRef = useRef(0);
+
+  // Invisible element at the bottom of the list - when it scrolls into view we load more
+  const sentinelRef = useRef(null);
+
+  // The todo just deleted, while its "Undo" toast is showing: { todo, scope }
+  const [undoDelete, setUndoDelete] = useState(null);
+  const dismissUndo = useCallback(() => setUndoDelete(null), []);
+
+  // Ids the server last reported deleted, for undoing a whole series: { todoId, ids }
+  const lastDeletedRef = useRef(null);
+
+  // Goes up (once per burst, see noteServerChange) when todos changed on the server -
+  // the sidebar counts and the Today / Upcoming / Stats / Trash views reload then
+  const [dataVersion, setDataVersion] = useState(0);
+  const refreshTimerRef = useRef(null);
+
+  /**
+   * Schedules reloading the counts and views after a change the server confirmed
+   * (local-only changes like an optimistic toggle or a drag preview don't count)
+   */
+  const noteServerChange = useCallback(() => {
+    clearTimeout(refreshTimerRef.current);
+    refreshTimerRef.current = setTimeout(() => setDataVersion((version) => version + 1), REFRESH_DELAY_MS);
+  }, []);
+  useEffect(() => () => clearTimeout(refreshTimerRef.current), []);
 
   // COMPONENT LIFECYCLE
+  // If any request comes back 401 (token expired or logged out elsewhere),
+  // the api.js interceptor clears the token and we fall back to the login screen
+  useEffect(() => {
+    onUnauthorized(() => setSession(null));
+    return () => onUnauthorized(null);
+  }, []);
+
+  // INVITE LINKS
+  // Someone opened an invite link to a shared list: once logged in, show what it's for
+  // (the token stays in the address until they join or say no, so logging in first still works)
+  useEffect(() => {
+    if (!session) return;
+    const token = new URLSearchParams(window.location.search).get("invite");
+    if (!token) return;
+    apiGetInvite(token)
+      .then((response) => setInvite({ token, ...response.data }))
+      .catch((error) => {
+        setError(getErrorMessage(error, "This invite link doesn't work"));
+        forgetInviteToken();
+      });
+  }, [session]);
+
+  // Wait until the user stops typing for a moment before searching
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(search.trim()), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer); // Typing again cancels the previous timer
+  }, [search]);
+
+  /**
+   * Fetches a page of todos from the backend server, using the current filters
+   * useCallback keeps the same function between renders until the filters change
+   * @param {string|null} cursor - null for the first page, nextCursor for the following ones
+   */
+  const fetchTodos = useCallback(async (cursor = null) => {
+    const requestId = ++requestIdRef.current;
+    if (cursor) setLoadingMore(true);
+
+    try {
+      // Call our API function to get one page of todos from server
+      const response = await apiGetTodos({
+        listId: selectedList === "all" ? undefined : selectedList,
+        status: statusFilter,
+        q: debouncedSearch || undefined,
+        tags: filterTags.length > 0 ? filterTags.join(",") : undefined,
+        tagMode,
+        sort,
+        limit: PAGE_SIZE,
+        cursor: cursor || undefined,
+      });
+      // The filters changed while we were waiting - a newer request will fill the list
+      if (requestId !== requestIdRef.current) return;
+
+      const { items, nextCursor: newCursor } = response.data;
+
+      // Keep a copy for offline use, and show our unsent changes on top of the server's data
+      cacheTodos(items).catch(() => {});
+      const pending = await getOutbox().catch(() => []);
+      if (requestId !== requestIdRef.current) return;
+      const matches = (todo) => matchesView(todo, selectedList, statusFilter, { tags: filterTags, mode: tagMode });
+      const shown = cursor
+        ? items.map((todo) => withPendingChanges(todo, pending)).filter(Boolean)
+        : applyOutbox(items, pending, matches);
+
+      // First page replaces the list, later pages are added to the end
+      // (skipping anything we already have, e.g. a todo added while scrolling)
+      setTodos((prev) => {
+        if (!cursor) return shown;
+        const known = new Set(prev.map((t) => t._id));
+        return [...prev, ...shown.filter((t) => !known.has(t._id))];
+      });
+      setNextCursor(newCursor);
+      setOffline(false);
+      setError("");
+    } catch (error) {
+      if (requestId !== requestIdRef.current) return;
+
+      // Server unreachable: show what we have in the browser's cache instead
+      if (isNetworkError(error) && !cursor) {
+        const [cached, pending] = await Promise.all([getCachedTodos(), getOutbox()]).catch(() => [[], []]);
+        if (requestId !== requestIdRef.current) return;
+        const matches = (todo) =>
+          matchesView(todo, selectedList, statusFilter, { tags: filterTags, mode: tagMode }) &&
+          matchesSearch(todo, debouncedSearch);
+        cached.sort((a, b) => compareTodos(a, b, sort));
+        setTodos(applyOutbox(cached, pending, matches));
+        setNextCursor(null);
+        setOffline(true);
+        setError("");
+        return;
+      }
+
+      // If something goes wrong, show the server's message on screen
+      setError(getErrorMessage(error, "Failed to load todos"));
+    } finally {
+      // Whether success or error, stop showing the loading messages
+      if (requestId === requestIdRef.current) {
+        setLoading(false);
+        setLoadingMore(false);
+      }
+    }
+  }, [selectedList, statusFilter, debouncedSearch, filterTags, tagMode, sort]);
+
+  // A different list, tab or search shows different todos - start a fresh selection
+  useEffect(() => {
+    setSelectedIds(new Set());
+    selectionAnchorRef.current = null;
+  }, [selectedList, statusFilter, debouncedSearch, filterTags, tagMode]);
+
+  // Keep the refs pointing at this render's handlers (they read the current filters and state)
+  // Declared before the effects below so those already see the handlers on the first render
+  useEffect(() => {
+    serverEventRef.current = handleServerEvent;
+    syncRef.current = syncOutbox;
+  });
+
+  // Offline storage is per user: pick this user's database, load their unsent changes
+  // and try to send them. Must run before the effect below loads the todos
+  useEffect(() => {
+    selectOfflineUser(session ? session.user.username : null);
+    if (!session) {
+      setOutbox([]);
+      return;
+    }
+    getOutbox().then(setOutbox).catch(() => {});
+    syncRef.current();
+  }, [session]);
+
   // useEffect runs when component first loads (mounts) - like a "start up" function
-  // The empty array [] means "only run this once when component starts"
+  // It runs again whenever the logged-in user or the filters change,
+  // starting over from the first page
   useEffect(() => {
-    fetchTodos(); // Get all todos from database when app starts
+    if (!session) {
+      setTodos([]);
+      setNextCursor(null);
+      return;
+    }
+    setLoading(true);
+    fetchTodos(); // Get the first page of this user's todos from database
+  }, [session, fetchTodos]);
+
+  /**
+   * Loads the lists for the sidebar (with fresh counts)
+   */
+  const fetchLists = useCallback(async () => {
+    try {
+      const response = await apiGetLists();
+      setLists(response.data.lists);
+      setInboxCounts(response.data.inbox.counts);
+    } catch (error) {
+      setError(getErrorMessage(error, "Failed to load lists"));
+    }
   }, []);
 
+  /**
+   * Loads the tags (with fresh counts)
+   */
+  const fetchTags = useCallback(async () => {
+    try {
+      const response = await apiGetTags();
+      setTags(response.data);
+    } catch (error) {
+      setError(getErrorMessage(error, "Failed to load tags"));
+    }
+  }, []);
+
+  // Reload the sidebar after the server confirmed changes, so the counts stay right
+  // (and a tag typed into a todo for the first time shows up)
+  useEffect(() => {
+    if (!session) return;
+    fetchLists();
+    fetchTags();
+  }, [session, dataVersion, fetchLists, fetchTags]);
+
+  // INFINITE SCROLL
+  // Watch the sentinel at the bottom of the list; when it becomes visible, load the next page
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !nextCursor || loadingMore) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) fetchTodos(nextCursor);
+      },
+      { rootMargin: "200px" } // Start loading a little before the user reaches the bottom
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [nextCursor, loadingMore, fetchTodos]);
+
+  // LIVE UPDATES
+  // Changes made in other tabs or on other devices are pushed by the server
+  // (see subscribeToEvents in api.js) and merged into the list as they arrive
+  useEffect(() => {
+    if (!session) return;
+    return subscribeToEvents(
+      (type, data) => serverEventRef.current(type, data),
+      (status, reconnected) => {
+        setLiveStatus(status);
+        // Connected = the server is reachable again: send anything made offline
+        if (status === "connected") {
+          setOffline(false);
+          syncRef.current();
+        }
+        // Whatever changed while we were disconnected was missed, so reload
+        if (reconnected) {
+          serverEventRef.current("todos.changed", {});
+          serverEventRef.current("lists.changed", {});
+        }
+      }
+    );
+  }, [session]);
+
+  // A file dropped anywhere but an attachment drop zone would make the browser leave the app
+  // to open it, so those drops are swallowed (see components/Attachments.jsx for the real ones)
+  useEffect(() => {
+    const swallowFileDrop = (e) => {
+      if (isFileDrag(e)) e.preventDefault();
+    };
+    window.addEventListener("dragover", swallowFileDrop);
+    window.addEventListener("drop", swallowFileDrop);
+    return () => {
+      window.removeEventListener("dragover", swallowFileDrop);
+      window.removeEventListener("drop", swallowFileDrop);
+    };
+  }, []);
+
+  // The browser noticed the network is back - don't wait for the live connection to retry
+  useEffect(() => {
+    if (!session) return;
+    const handleOnline = () => syncRef.current();
+    window.addEventListener("online", handleOnline);
+    return () => window.removeEventListener("online", handleOnline);
+  }, [session]);
+
+  // REMINDERS
+  // Every REMINDER_POLL_MS ask the server which reminders fired since our last check,
+  // then show a system notification (or an in-app banner if notifications are off)
+  useEffect(() => {
+    if (!session) return;
+    let since = new Date().toISOString();
+
+    const timer = setInterval(async () => {
+      try {
+        const response = await apiGetReminders(since);
+        since = response.data.checkedAt;
+        for (const todo of response.data.reminders) {
+          const shown = showNotification("⏰ Reminder", { body: todo.title, tag: todo._id });
+          if (!shown) setReminders((prev) => [...prev, todo]);
+        }
+      } catch {
+        // Offline or server hiccup - the next check covers the same time range again
+      }
+    }, REMINDER_POLL_MS);
+
+    return () => clearInterval(timer);
+  }, [session]);
+
   // FUNCTIONS (these handle user actions and server communication)
-  
+
   /**
-   * Fetches all todos from the backend server
-   * This is an async function because it waits for server response
+   * Asks the browser for permission to show reminder notifications
+   * Has to run from a click - browsers ignore permission requests made without one
    */
-  const fetchTodos = async () => {
+  async function enableNotifications() {
+    setNotifyPermission(await requestNotificationPermission());
+  }
+
+  /**
+   * Checks whether a todo belongs in the open list and the selected status tab
+   * Used after local changes (add, toggle, edit) so the list stays consistent with the filters
+   * @param {Object} todo - The todo to check
+   * @returns {boolean} true if the todo should be visible
+   */
+  function matchesFilters(todo) {
+    return matchesView(todo, selectedList, statusFilter, { tags: filterTags, mode: tagMode });
+  }
+
+  // OFFLINE OUTBOX
+  // Changes to todos are shown right away, stored in the outbox, then sent to the server.
+  // If the server can't be reached they wait in the outbox (which survives reloads)
+  // until the connection is back.
+
+  /**
+   * Stores a change in the outbox and tries to send it straight away
+   * @param {Object} change - { op: "create" | "update" | "delete", todoId, fields?, base?, scope? }
+   */
+  async function recordChange(change) {
     try {
-      // Call our API function to get todos from server
-      const response = await apiGetTodos();
-      // Update our local state with the todos from server
-      setTodos(response.data);
+      await enqueueChange(change);
+    } catch {
+      setError("Couldn't save your change on this device");
+      return;
+    }
+    setOutbox(await getOutbox());
+    syncOutbox();
+  }
+
+  /**
+   * Sends the outbox to the server (see replayOutbox in utils/outbox.js)
+   */
+  async function syncOutbox() {
+    try {
+      const result = await replayOutbox({
+        onSynced: handleSynced,
+        onConflict: () => {}, // Shown from the outbox state below
+        onRejected: handleRejected,
+      });
+      if (result.offline) setOffline(true);
+      else if (result.sent > 0) setOffline(false);
+      // Sending too fast - the server said when to try again
+      if (result.retryAfter) setTimeout(() => syncRef.current(), result.retryAfter * 1000);
+      setOutbox(await getOutbox());
+    } catch {
+      // IndexedDB unavailable (e.g. some private browsing modes) - nothing we can do
+    }
+  }
+
+  /**
+   * The server confirmed a change from the outbox - show its version of the todo
+   * @param {Object} entry - The outbox entry that was sent
+   * @param {Object} result - The server's answer
+   */
+  async function handleSynced(entry, result) {
+    noteServerChange();
+    if (entry.op === "delete") {
+      lastDeletedRef.current = { todoId: entry.todoId, ids: result.deletedIds };
+      const deleted = new Set(result.deletedIds);
+      setTodos((prev) => prev.filter((t) => !deleted.has(t._id)));
+      uncacheTodos([...deleted]).catch(() => {});
+      return;
+    }
+
+    // Later changes to the same todo may still be waiting - keep showing those
+    const pending = await getOutbox().catch(() => []);
+    const { nextOccurrence, ...saved } = result;
+    const shown = withPendingChanges(saved, pending) || saved;
+
+    if (entry.op === "create") {
+      // The temporary local id becomes the server's id
+      uncacheTodos([entry.todoId]).catch(() => {});
+      setTodos((prev) => prev.map((t) => (t._id === entry.todoId ? shown : t)));
+      cacheTodos([saved]).catch(() => {});
+    } else {
+      applyTodoUpdate({ ...shown, nextOccurrence });
+    }
+  }
+
+  /**
+   * The server refused a change from the outbox (e.g. invalid, or the todo was deleted
+   * elsewhere) - tell the user and reload, so the list shows what's really saved
+   * @param {Object} entry - The outbox entry that was refused
+   * @param {Error} error - The server's answer
+   */
+  function handleRejected(entry, error) {
+    if (entry.op === "create") uncacheTodos([entry.todoId]).catch(() => {});
+    setError(getErrorMessage(error, "A change couldn't be saved"));
+    fetchTodos();
+    noteServerChange();
+  }
+
+  /**
+   * The user picked a version for a todo that was edited here and somewhere else
+   * @param {Object} entry - The outbox entry waiting on the conflict
+   * @param {"mine"|"theirs"} choice - Keep this device's values, or take the other version
+   */
+  async function handleResolveConflict(entry, choice) {
+    await resolveConflict(entry, choice);
+    if (choice === "theirs") applyTodoUpdate(entry.conflict);
+    setOutbox(await getOutbox());
+    syncOutbox();
+  }
+
+  /**
+   * Applies one live event from the server (a change made in another tab or on another device)
+   * @param {string} type - "todo.created", "todo.updated", "todo.deleted", "todos.changed" or "lists.changed"
+   * @param {Object} data - { todo } or { ids }, depending on the type
+   */
+  function handleServerEvent(type, data) {
+    if (type.startsWith("todo")) noteServerChange(); // todo.* and todos.changed
+    if (type === "todo.created" || type === "todo.updated") {
+      cacheTodos([data.todo]).catch(() => {});
+      // Our own unsent changes still win on this device
+      const shown = withPendingChanges(data.todo, outbox);
+      if (!shown) return;
+      setTodos((prev) =>
+        mergeTodo(prev, shown, {
+          matches: matchesFilters,
+          sort,
+          searching: Boolean(debouncedSearch),
+          hasMore: Boolean(nextCursor),
+        })
+      );
+    } else if (type === "todo.deleted") {
+      const deleted = new Set(data.ids);
+      setTodos((prev) => prev.filter((t) => !deleted.has(t._id)));
+      uncacheTodos(data.ids).catch(() => {});
+    } else if (type === "todos.changed") {
+      fetchTodos(); // Too many changes to merge one by one - reload the first page
+    } else if (type === "lists.changed") {
+      fetchLists();
+    } else if (type === "tags.changed") {
+      fetchTags();
+    }
+  }
+
+  /**
+   * Creates a list from the sidebar form and opens it
+   * @param {Object} fields - { name, color }
+   */
+  async function handleCreateList(fields) {
+    try {
+      const response = await apiCreateList(fields);
+      setLists((prev) => [...prev, response.data]);
+      setSelectedList(response.data._id);
     } catch (error) {
-      // If something goes wrong, log the error to console
-      console.error("Failed to load todos:", error);
-    } finally {
-      // Whether success or error, stop showing "Loading..." message
-      setLoading(false);
+      setError(getErrorMessage(error, "Failed to create list"));
+    }
+  }
+
+  /**
+   * Renames a list
+   * @param {string} id - The list's ID
+   * @param {string} name - The new name
+   */
+  async function handleRenameList(id, name) {
+    try {
+      const response = await apiUpdateList(id, { name });
+      // Keep the counts we already have - the update response doesn't include them
+      setLists((prev) => prev.map((l) => (l._id === id ? { ...l, ...response.data } : l)));
+    } catch (error) {
+      setError(getErrorMessage(error, "Failed to rename list"));
+    }
+  }
+
+  /**
+   * Deletes a list
+   * @param {string} id - The list's ID
+   * @param {string} todosMode - "inbox" moves its todos to the Inbox, "delete" deletes them
+   */
+  async function handleDeleteList(id, todosMode) {
+    try {
+      await apiDeleteList(id, todosMode);
+      setLists((prev) => prev.filter((l) => l._id !== id));
+      if (selectedList === id) {
+        // The open list is gone - go back to everything (this reloads the todos too)
+        setSelectedList("all");
+      } else {
+        // Todos moved or disappeared - reload what we're showing
+        fetchTodos();
+      }
+    } catch (error) {
+      setError(getErrorMessage(error, "Failed to delete list"));
+    }
+  }
+
+  /**
+   * Closes the share dialog after the user left that list
+   */
+  function handleLeftList() {
+    const id = sharingListId;
+    setSharingListId(null);
+    setLists((prev) => prev.filter((l) => l._id !== id));
+    if (selectedList === id) setSelectedList("all");
+    else fetchTodos();
+  }
+
+  /**
+   * Takes ?invite=... out of the address, so reloading doesn't ask again
+   */
+  function forgetInviteToken() {
+    const url = new URL(window.location.href);
+    url.searchParams.delete("invite");
+    window.history.replaceState(null, "", url);
+  }
+
+  /**
+   * Joins the list of the open invite link and opens it
+   */
+  async function handleAcceptInvite() {
+    try {
+      const response = await apiAcceptInvite(invite.token);
+      setInvite(null);
+      forgetInviteToken();
+      await fetchLists();
+      setSelectedList(response.data.listId);
+      setView("list");
+    } catch (error) {
+      setError(getErrorMessage(error, "Failed to join the list"));
+    }
+  }
+
+  /**
+   * "No thanks" on an invite link
+   */
+  function handleDismissInvite() {
+    setInvite(null);
+    forgetInviteToken();
+  }
+
+  /**
+   * Adds a tag to the filter, or takes it out if it's already there (clicking a chip)
+   * @param {string} name - The tag's name
+   */
+  function toggleTagFilter(name) {
+    setFilterTags((prev) => (prev.includes(name) ? prev.filter((n) => n !== name) : [...prev, name]));
+    setView("list");
+  }
+
+  /**
+   * Reloads everything an import can have added to: todos, lists and tags
+   */
+  function handleImported() {
+    fetchTodos();
+    noteServerChange();
+  }
+
+  /**
+   * Creates a tag from the sidebar form
+   * @param {Object} fields - { name, color }
+   */
+  async function handleCreateTag(fields) {
+    try {
+      await apiCreateTag(fields);
+      fetchTags();
+    } catch (error) {
+      setError(getErrorMessage(error, "Failed to create tag"));
+    }
+  }
+
+  /**
+   * Renames or recolors a tag
+   * A rename changes the name on every todo too, so those are reloaded
+   * @param {string} id - The tag's ID
+   * @param {Object} updates - { name } or { color }
+   */
+  async function handleUpdateTag(id, updates) {
+    const oldName = tags.find((t) => t._id === id)?.name;
+    try {
+      const response = await apiUpdateTag(id, updates);
+      setTags((prev) => prev.map((t) => (t._id === id ? response.data : t)));
+      if (updates.name && oldName !== response.data.name) {
+        // Keep filtering by the tag under its new name
+        setFilterTags((prev) => prev.map((n) => (n === oldName ? response.data.name : n)));
+        fetchTodos();
+        noteServerChange();
+      }
+    } catch (error) {
+      setError(getErrorMessage(error, "Failed to update tag"));
     }
   }
 
+  /**
+   * Deletes a tag (it comes off every todo that had it)
+   * @param {Object} tag - The tag to delete
+   */
+  async function handleDeleteTag(tag) {
+    try {
+      await apiDeleteTag(tag._id);
+      setTags((prev) => prev.filter((t) => t._id !== tag._id));
+      setFilterTags((prev) => prev.filter((n) => n !== tag.name));
+      fetchTodos();
+      noteServerChange();
+    } catch (error) {
+      setError(getErrorMessage(error, "Failed to delete tag"));
+    }
+  }
+
+  /**
+   * Stores the session after a successful login or signup
+   * @param {Object} newSession - { token, user } from the server
+   */
+  function handleAuth(newSession) {
+    saveSession(newSession);
+    setSession(newSession);
+  }
+
+  /**
+   * Logs out on the server (so the token can't be reused) and locally
+   */
+  async function handleLogout() {
+    // Logging out forgets this device's copy, including changes that were never sent
+    if (
+      outbox.length > 0 &&
+      !window.confirm(`${outbox.length} change(s) haven't reached the server yet. Log out and lose them?`)
+    ) {
+      return;
+    }
+
+    try {
+      await apiLogout();
+    } catch {
+      // Even if the server call fails we still forget the session locally
+    }
+    await clearOfflineData().catch(() => {});
+    saveSession(null);
+    setSession(null);
+  }
+
   /**
    * Handles adding a new todo when user submits the form
    * @param {Event} e - The form submit event
@@ -72,70 +863,419 @@ export default function App() {
     // Check if input is empty or just spaces - if so, do nothing
     if (!title.trim()) return;
 
-    try {
-      // Send the new todo to our backend server
-      const response = await apiCreateTodo(title.trim());
-      
-      // Add the new todo to the TOP of our list using spread operator
-      // [response.data, ...todos] means "new todo first, then all existing todos"
-      setTodos([response.data, ...todos]);
-      
-      // Clear the input field so user can type a new todo
-      setTitle("");
-    } catch (error) {
-      // If server request fails, show error in console
-      console.error("Failed to add todo:", error);
+    // The new todo's fields: what the quick-add parser found in the text ("tomorrow 5pm",
+    // "every monday", "#work", "@Groceries"), then the due date picker, if one was picked
+    // New todos go into the open list (or the Inbox when viewing "All" or "Inbox") unless
+    // the text names a list
+    const { title: parsedTitle, fields: parsed } = parseQuickAdd(title, { timeZone: LOCAL_TIME_ZONE, lists: writableLists });
+    const fields = { title: parsedTitle };
+    if (parsed.dueAt) fields.dueAt = parsed.dueAt;
+    if (parsed.recurrence) fields.recurrence = parsed.recurrence;
+    if (parsed.tags) fields.tags = parsed.tags;
+    if (parsed.priority) fields.priority = parsed.priority;
+    const dueAt = fromDateTimeInputValue(newDueAt);
+    if (dueAt) fields.dueAt = dueAt;
+    if (parsed.listId) fields.listId = parsed.listId;
+    else if (selectedList !== "all" && selectedList !== "inbox") fields.listId = selectedList;
+
+    // Show it straight away with a temporary id - the outbox sends it to the server
+    const change = { op: "create", todoId: newLocalId(), fields };
+    const todo = localTodo({ ...change, createdAt: new Date().toISOString() });
+
+    // Add the new todo to the TOP of our list using spread operator
+    // [todo, ...todos] means "new todo first, then all existing todos"
+    // (unless it doesn't match the current tab or search - then it's just saved)
+    if (matchesFilters(todo) && !debouncedSearch) {
+      setTodos([todo, ...todos]);
     }
+    cacheTodos([todo]).catch(() => {});
+
+    // Clear the input fields so user can type a new todo
+    setTitle("");
+    setNewDueAt("");
+    setError("");
+
+    await recordChange(change);
   }
 
+  // What the add form's text will turn into, for the live preview under it
+  const quickAdd = useMemo(
+    () => parseQuickAdd(title, { timeZone: LOCAL_TIME_ZONE, lists: writableLists }),
+    [title, writableLists]
+  );
+
   /**
    * Toggles a todo between completed and not completed
    * @param {Object} todo - The todo object to toggle
    */
   async function handleToggle(todo) {
+    // Flip the completed status: if todo.completed is true, make it false (and vice versa)
+    const updates = { completed: !todo.completed };
+
+    // Show it right away; the server's answer (e.g. the next occurrence of a
+    // repeating todo) is merged in once the outbox has sent it
+    applyTodoUpdate({ ...todo, ...updates });
+    await recordChange({ op: "update", todoId: todo._id, fields: updates, base: todo });
+  }
+
+  /**
+   * Gives a todo another priority (the number keys on a focused row)
+   * @param {Object} todo - The todo to change
+   * @param {string} priority - "none", "low", "medium", "high" or "urgent"
+   */
+  async function handlePriorityChange(todo, priority) {
+    const updates = { priority };
+    applyTodoUpdate({ ...todo, ...updates });
+    await recordChange({ op: "update", todoId: todo._id, fields: updates, base: todo });
+  }
+
+  /**
+   * Puts a todo the server sent back into our local list
+   * Used after toggling and after checklist changes (ticking the last subtask completes the todo)
+   * @param {Object} data - Updated todo, plus nextOccurrence if completing it repeated it
+   */
+  function applyTodoUpdate(data) {
+    // Completing a repeating todo also returns the next occurrence the server created
+    const { nextOccurrence, ...updated } = data;
+
+    // Remember the latest version for offline use
+    cacheTodos(nextOccurrence ? [updated, nextOccurrence] : [updated]).catch(() => {});
+
+    // Update our local todo list with the updated todo from server
+    // map() goes through each todo and replaces the one that matches the ID
+    // If it no longer fits the selected tab (e.g. completed while on "Active"), drop it
+    setTodos((prev) => {
+      const next = prev
+        .map((t) => (t._id === updated._id ? updated : t))
+        .filter((t) => t._id !== updated._id || matchesFilters(t));
+      // Show the next occurrence at the top, like a newly added todo
+      return nextOccurrence && matchesFilters(nextOccurrence) && !debouncedSearch
+        ? [nextOccurrence, ...next]
+        : next;
+    });
+  }
+
+  /**
+   * Same, for a todo a child component already saved (checklist, attachments)
+   * @param {Object} data - The todo from the server's answer
+   */
+  function applyServerTodo(data) {
+    applyTodoUpdate(data);
+    noteServerChange();
+  }
+
+  /**
+   * Moves a todo to the trash (an "Undo" toast offers to bring it straight back)
+   * @param {string} id - The unique ID of the todo to delete
+   * @param {string} [scope="this"] - For repeating todos: "this" occurrence or the whole "series"
+   */
+  async function handleDelete(id, scope = "this") {
+    const todo = todos.find((t) => t._id === id);
+    if (todo) setUndoDelete({ todo, scope });
+
+    // Remove it from our local list right away
+    // filter() keeps all todos EXCEPT the deleted one
+    // (for a whole series, the other occurrences go once the server says which they were)
+    setTodos((prev) => prev.filter((t) => t._id !== id));
+    uncacheTodos([id]).catch(() => {});
+
+    // Tell the server to delete this todo (or its whole series) through the outbox
+    await recordChange({ op: "delete", todoId: id, scope });
+  }
+
+  /**
+   * Puts a todo back in the list (after undoing its delete, or restoring it from the trash)
+   * @param {Object} todo - The todo as it should be shown
+   */
+  function showRestored(todo) {
+    noteServerChange();
+    cacheTodos([todo]).catch(() => {});
+    setTodos((prev) =>
+      mergeTodo(prev, todo, {
+        matches: matchesFilters,
+        sort,
+        searching: Boolean(debouncedSearch),
+        hasMore: Boolean(nextCursor),
+      })
+    );
+  }
+
+  /**
+   * "Undo" on the toast - brings back the todo that was just deleted
+   */
+  async function handleUndoDelete() {
+    const { todo, scope } = undoDelete;
+    setUndoDelete(null);
+
+    // Still waiting in the outbox: just don't send the delete
+    if (await cancelDelete(todo._id).catch(() => false)) {
+      showRestored(todo);
+      setOutbox(await getOutbox());
+      return;
+    }
+
+    // Created and deleted before the server ever saw it: create it again
+    if (isLocalId(todo._id)) {
+      showRestored(todo);
+      await recordChange({ op: "create", todoId: todo._id, fields: createFields(todo) });
+      return;
+    }
+
+    // Already sent: let it finish, then take it (or its whole series) back out of the trash
+    await syncOutbox();
+    const last = lastDeletedRef.current;
+    const ids = scope === "series" && last?.todoId === todo._id ? last.ids : [todo._id];
     try {
-      // Send update to server - flip the completed status
-      // If todo.completed is true, make it false (and vice versa)
-      const response = await apiUpdateTodo(todo._id, {
-        completed: !todo.completed,
-      });
-      
-      // Update our local todo list with the updated todo from server
-      // map() goes through each todo and replaces the one that matches the ID
-      setTodos((prev) =>
-        prev.map((t) => (t._id === response.data._id ? response.data : t))
-      );
+      const responses = await Promise.all(ids.map((id) => apiRestoreTodo(id)));
+      for (const response of responses) showRestored(response.data);
     } catch (error) {
-      console.error("Failed to update todo:", error);
+      setError(getErrorMessage(error, "Failed to restore todo"));
     }
   }
 
+  // BULK CHANGES
+  // Todos are selected with the box at the start of each row; the bulk bar then changes
+  // all of them with one request. Unlike single changes these need a connection -
+  // the server applies them as one batch and says what happened to each todo.
+
   /**
-   * Deletes a todo permanently
-   * @param {string} id - The unique ID of the todo to delete
+   * Selects or deselects a todo (with Shift, every todo between it and the last one clicked)
+   * @param {Object} todo - The clicked todo
+   * @param {MouseEvent} e - The click, to check for the Shift key
    */
-  async function handleDelete(id) {
+  function handleSelect(todo, e) {
+    const anchorIndex = todos.findIndex((t) => t._id === selectionAnchorRef.current);
+    const index = todos.findIndex((t) => t._id === todo._id);
+    const select = !selectedIds.has(todo._id);
+
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      // The range gets the clicked row's new state (select all of it, or deselect all of it)
+      const range = e.shiftKey && anchorIndex !== -1
+        ? todos.slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1)
+        : [todo];
+      for (const t of range) {
+        if (isLocalId(t._id)) continue; // Not on the server yet
+        if (select) next.add(t._id);
+        else next.delete(t._id);
+      }
+      return next;
+    });
+    selectionAnchorRef.current = todo._id;
+  }
+
+  /**
+   * Selects every todo shown (that the server already has and the user may change), or nothing if they all are
+   */
+  function toggleSelectAll() {
+    const selectable = todos.filter((t) => !isLocalId(t._id) && canEditTodo(t, lists));
+    const allSelected = selectable.length > 0 && selectable.every((t) => selectedIds.has(t._id));
+    setSelectedIds(allSelected ? new Set() : new Set(selectable.map((t) => t._id)));
+  }
+
+  /**
+   * Sends a bulk change and puts the server's answer into the list
+   * A filter can match more todos than the server changes in one go (hasMore) - then it's sent again
+   * @param {string} operation - See apiBulkTodos in api.js
+   * @param {Object} target - { ids } or { filter }
+   * @param {Object} [value] - The operation's value ({ listId }, { tag } or { dueAt })
+   */
+  async function runBulk(operation, target, value) {
+    setBulkBusy(true);
     try {
-      // Tell the server to delete this todo
-      await apiDeleteTodo(id);
-      
-      // Remove the todo from our local list
-      // filter() keeps all todos EXCEPT the one with matching ID
-      setTodos((prev) => prev.filter((t) => t._id !== id));
+      // The server only says hasMore when a batch changed something, so this always ends
+      let data;
+      const failed = [];
+      do {
+        data = (await apiBulkTodos(operation, target, value)).data;
+        applyBulkResult(data);
+        failed.push(...data.results.filter((r) => r.status === "failed"));
+      } while (data.hasMore);
+
+      // Some todos couldn't take the change (e.g. too many tags) - say which problem it was
+      setError(failed.length > 0 ? `${failed.length} todo(s) weren't changed: ${failed[0].error}` : "");
+      setSelectedIds(new Set());
     } catch (error) {
-      console.error("Failed to delete todo:", error);
+      setError(
+        isNetworkError(error)
+          ? "You're offline - changing several todos at once needs a connection"
+          : getErrorMessage(error, "Failed to change the selected todos")
+      );
+    } finally {
+      setBulkBusy(false);
     }
   }
 
   /**
-   * Puts a todo into "edit mode" - shows input field instead of text
+   * Puts one bulk answer into the list and the offline cache
+   * @param {Object} data - { todos, createdTodos, deletedIds } from the server
+   */
+  function applyBulkResult({ todos: updated, createdTodos, deletedIds }) {
+    noteServerChange();
+    const deleted = new Set(deletedIds);
+    if (deletedIds.length > 0) uncacheTodos(deletedIds).catch(() => {});
+    cacheTodos([...updated, ...createdTodos]).catch(() => {});
+
+    setTodos((prev) => {
+      let next = prev.filter((t) => !deleted.has(t._id));
+      for (const todo of [...updated, ...createdTodos]) {
+        // Our own unsent changes still win on this device
+        const shown = withPendingChanges(todo, outbox);
+        if (!shown) continue;
+        next = mergeTodo(next, shown, {
+          matches: matchesFilters,
+          sort,
+          searching: Boolean(debouncedSearch),
+          hasMore: Boolean(nextCursor),
+        });
+      }
+      return next;
+    });
+  }
+
+  /**
+   * Runs a bar button's operation on the selected todos
+   * @param {string} operation - See apiBulkTodos in api.js
+   * @param {Object} [value] - The operation's value
+   */
+  function handleBulkAction(operation, value) {
+    const ids = todos.filter((t) => selectedIds.has(t._id)).map((t) => t._id);
+    if (ids.length > 0) runBulk(operation, { ids }, value);
+  }
+
+  /**
+   * Deletes every completed todo in the open list (not just the ones loaded so far)
+   */
+  function handleClearCompleted() {
+    if (!window.confirm(`Delete ${completedInView} completed todo(s)?`)) return;
+    runBulk("delete", {
+      filter: { listId: selectedList === "all" ? undefined : selectedList, status: "completed" },
+    });
+  }
+
+  // DRAG-AND-DROP REORDERING (only in "My order")
+  // While dragging, the list is reordered locally so the user sees where the todo will land.
+  // On drop we tell the server the todo's new neighbours; if that fails we put the list back.
+
+  /**
+   * Remembers the current order before a drag starts
+   */
+  function startReorder() {
+    reorderSnapshotRef.current = todos;
+  }
+
+  /**
+   * Moves a todo in the local list while it's being dragged (nothing is saved yet)
+   * @param {string} id - The todo being dragged
+   * @param {number} toIndex - Where it should appear now
+   * @returns {number} The index it ended up at
+   */
+  function previewMove(id, toIndex) {
+    const from = todos.findIndex((t) => t._id === id);
+    const to = Math.max(0, Math.min(todos.length - 1, toIndex));
+    if (from !== to) setTodos(moveItem(todos, from, to));
+    return to;
+  }
+
+  /**
+   * Puts the list back the way it was before the drag started
+   */
+  function cancelReorder() {
+    if (reorderSnapshotRef.current) setTodos(reorderSnapshotRef.current);
+    reorderSnapshotRef.current = null;
+  }
+
+  /**
+   * Saves where a dragged todo was dropped
+   * The list already shows the new order (optimistic update) - it is rolled back if the server says no
+   * @param {string} id - The todo that was dropped
+   */
+  async function commitReorder(id) {
+    const previous = reorderSnapshotRef.current;
+    reorderSnapshotRef.current = null;
+    if (!previous || sameOrder(previous, todos)) return; // Dropped where it started
+
+    try {
+      // Todos the server doesn't know yet can't be neighbours
+      const response = await apiMoveTodo(id, neighboursOf(todos, id, (t) => !isLocalId(t._id)));
+      setTodos((prev) => prev.map((t) => (t._id === id ? response.data : t)));
+      setError("");
+    } catch (error) {
+      setTodos(previous);
+      setError(getErrorMessage(error, "Failed to move todo"));
+    }
+  }
+
+  /**
+   * Keyboard reordering on a todo's drag handle:
+   * Space/Enter picks the todo up, arrow keys move it, Space/Enter drops it, Escape cancels
+   * @param {KeyboardEvent} e - The key press
+   * @param {Object} todo - The todo whose handle has focus
+   */
+  function handleReorderKey(e, todo) {
+    const grabbed = grabbedId === todo._id;
+
+    if (e.key === " " || e.key === "Enter") {
+      e.preventDefault();
+      if (grabbed) {
+        setGrabbedId(null);
+        setAnnouncement(`${todo.title} dropped.`);
+        commitReorder(todo._id);
+      } else {
+        startReorder();
+        setGrabbedId(todo._id);
+        setAnnouncement(`${todo.title} picked up. Use the arrow keys to move it, Space to drop, Escape to cancel.`);
+      }
+    } else if (grabbed && (e.key === "ArrowUp" || e.key === "ArrowDown")) {
+      e.preventDefault();
+      const index = todos.findIndex((t) => t._id === todo._id);
+      const to = previewMove(todo._id, index + (e.key === "ArrowUp" ? -1 : 1));
+      setAnnouncement(`Position ${to + 1} of ${todos.length}.`);
+    } else if (grabbed && e.key === "Escape") {
+      cancelReorder();
+      setGrabbedId(null);
+      setAnnouncement(`Move cancelled, ${todo.title} is back where it was.`);
+    }
+  }
+
+  /**
+   * Mouse drag-and-drop handlers for one todo row (HTML5 drag events)
+   * @param {Object} todo - The todo in that row
+   * @param {number} index - Its index in the list
+   */
+  function dragHandlers(todo, index) {
+    return {
+      onDragStart(e) {
+        e.dataTransfer.effectAllowed = "move";
+        e.dataTransfer.setData("text/plain", todo.title); // Firefox won't drag without data
+        startReorder();
+        setDraggingId(todo._id);
+      },
+      onDragOver(e) {
+        if (!draggingId) return;
+        e.preventDefault(); // Allows dropping here
+        if (draggingId !== todo._id) previewMove(draggingId, index);
+      },
+      onDrop(e) {
+        e.preventDefault();
+      },
+      onDragEnd(e) {
+        setDraggingId(null);
+        // Dropped outside the list (or Escape pressed) - undo the preview
+        if (e.dataTransfer.dropEffect === "none") cancelReorder();
+        else commitReorder(todo._id);
+      },
+    };
+  }
+
+  /**
+   * Puts a todo into "edit mode" - shows the edit form instead of text
    * @param {Object} todo - The todo object to start editing
    */
   function startEditing(todo) {
     // Remember which todo we're editing by storing its ID
+    // (the edit form pre-fills itself from the todo)
     setEditingId(todo._id);
-    // Pre-fill the edit input with the current todo text
-    setEditedTitle(todo.title);
   }
 
   /**
@@ -144,142 +1284,409 @@ export default function App() {
   function cancelEditing() {
     // Clear the editing state - no todo is being edited
     setEditingId(null);
-    // Clear the edit input field
-    setEditedTitle("");
   }
 
   /**
-   * Saves the edited todo text to the server
+   * Closes the detail pane
+   * (a stable function, since the pane listens for Escape with it)
+   */
+  const closeDetails = useCallback(() => setDetailId(null), []);
+
+  /**
+   * Saves the edited todo
+   * Shown right away and sent through the outbox; if the server refuses the change
+   * later, the error banner says why and the list is reloaded
    * @param {string} id - The ID of the todo being edited
+   * @param {Object} updates - Changed fields, e.g. { title, dueAt, remindAt }
    */
-  async function saveEditedTodo(id) {
-    // Don't save if the input is empty or just spaces
-    if (!editedTitle.trim()) return;
+  async function saveEditedTodo(id, updates) {
+    const todo = todos.find((t) => t._id === id);
 
-    try {
-      // Send the updated title to the server
-      const response = await apiUpdateTodo(id, {
-        title: editedTitle.trim(),
-      });
-      
-      // Update our local todo list with the new title
-      setTodos((prev) =>
-        prev.map((t) => (t._id === id ? response.data : t))
-      );
-      
-      // Exit edit mode and clear edit input
-      cancelEditing();
-    } catch (error) {
-      console.error("Failed to edit todo:", error);
-    }
+    // Update our local todo list with the new version
+    // (dropping it if it was moved to another list)
+    applyTodoUpdate({ ...todo, ...updates });
+
+    // Exit edit mode
+    cancelEditing();
+
+    await recordChange({ op: "update", todoId: id, fields: updates, base: todo });
   }
 
   // RENDER (what the user sees on screen)
+
+  // Unsent change (outbox entry) for each todo that has one
+  const pendingById = new Map(outbox.map((entry) => [entry.todoId, entry]));
+
+  // Selected todos that are still shown (others may have been deleted or moved meanwhile)
+  const selectedCount = todos.filter((t) => selectedIds.has(t._id)).length;
+
+  // Completed todos in the open list, from the sidebar counts ("Clear completed" deletes them)
+  const completedInView =
+    selectedList === "all"
+      ? lists.reduce((sum, list) => sum + list.counts.completed, inboxCounts.completed)
+      : selectedList === "inbox"
+        ? inboxCounts.completed
+        : lists.find((list) => list._id === selectedList)?.counts.completed ?? 0;
+
+  // Nobody logged in? Show the login / signup screen instead of the todos
+  if (!session) {
+    return <AuthForm onAuth={handleAuth} />;
+  }
+  const me = session.user;
+  const sharingList = sharingListId && lists.find((list) => list._id === sharingListId);
+  // The pane closes by itself if its todo leaves the list (deleted, moved, filtered out)
+  const detailTodo = detailId && todos.find((t) => t._id === detailId);
+
   return (
-    <div className="todo-container">
+    <div className="todo-container with-sidebar">
       {/* App title with emoji */}
       <h1 className="app-title">📝 Bala's Todo App</h1>
 
-      {/* Form to add new todo - onSubmit runs when user presses Enter or clicks Add */}
-      <form onSubmit={handleAddTodo} className="add-todo-form">
-        <input
-          className="todo-input"
-          value={title}
-          onChange={(e) => setTitle(e.target.value)} // Update state when user types
-          placeholder="What needs to be done?"
-        />
-        <button type="submit" className="add-btn">Add Todo</button>
-      </form>
-
-      {/* CONDITIONAL RENDERING - show different content based on app state */}
-      {loading ? (
-        // Show this while we're fetching todos from server
-        <div className="message">Loading todos...</div>
-      ) : todos.length === 0 ? (
-        // Show this if we have no todos yet
-        <div className="message">No todos yet. Add one above! 🚀</div>
-      ) : (
-        // Show the actual todo list if we have todos
-        <ul className="todo-list">
-          {/* 
-            map() creates a new <li> element for each todo in our array
-            Each todo needs a unique 'key' prop for React to track changes efficiently
-          */}
-          {todos.map((todo) => (
-            <li key={todo._id} className="todo-item">
-              {/* Left side: checkbox and todo text/edit input */}
-              <div className="todo-content">
-                {/* Checkbox to mark todo as complete/incomplete */}
-                <input
-                  type="checkbox"
-                  className="todo-checkbox"
-                  checked={todo.completed}
-                  onChange={() => handleToggle(todo)} // Toggle when clicked
-                />
+      {/* Who is logged in, plus a logout button */}
+      <div className="session-bar">
+        <span>
+          Signed in as <strong>{session.user.username}</strong>
+          {/* Changes from other tabs/devices won't show up until this goes away */}
+          {liveStatus === "reconnecting" && (
+            <span className="live-status" role="status"> · Reconnecting…</span>
+          )}
+        </span>
+        <div className="session-actions">
+          {/* Only offer this while the browser hasn't been asked yet */}
+          {notifyPermission === "default" && (
+            <button className="btn edit-btn" onClick={enableNotifications}>🔔 Enable reminders</button>
+          )}
+          <button className="btn cancel-btn" onClick={handleLogout}>Log out</button>
+        </div>
+      </div>
 
-                {/* 
-                  CONDITIONAL RENDERING: Show either edit input OR todo text
-                  If this todo's ID matches editingId, show input field
-                  Otherwise, show the todo text
-                */}
-                {editingId === todo._id ? (
-                  // EDIT MODE: Show input field for editing
-                  <input
-                    className="edit-input"
-                    value={editedTitle}
-                    onChange={(e) => setEditedTitle(e.target.value)}
-                    placeholder="Edit your todo..."
-                    autoFocus // Automatically focus when editing starts
-                  />
-                ) : (
-                  // NORMAL MODE: Show todo text
-                  <span
-                    className={`todo-text ${todo.completed ? 'completed' : ''}`}
+      <div className="app-layout">
+        {/* Left: Inbox and the user's lists */}
+        <Sidebar
+          lists={lists}
+          userId={me._id}
+          inboxCounts={inboxCounts}
+          selected={selectedList}
+          onSelect={setSelectedList}
+          onCreate={handleCreateList}
+          onRename={handleRenameList}
+          onDelete={handleDeleteList}
+          onShare={setSharingListId}
+        >
+          <TagPanel
+            tags={tags}
+            activeTags={filterTags}
+            onToggleFilter={toggleTagFilter}
+            onCreate={handleCreateTag}
+            onUpdate={handleUpdateTag}
+            onDelete={handleDeleteTag}
+          />
+          <ImportExport onImported={handleImported} />
+        </Sidebar>
+
+        {/* Right: the open list */}
+        <main className="app-main">
+          {/* Reminders that couldn't be shown as system notifications */}
+          {reminders.length > 0 && (
+            <div className="reminder-banner" role="status">
+              {reminders.map((todo) => (
+                <div key={todo._id} className="reminder">
+                  <span>⏰ Reminder: <strong>{todo.title}</strong></span>
+                  <button
+                    className="link-btn"
+                    onClick={() => setReminders((prev) => prev.filter((t) => t._id !== todo._id))}
+                    aria-label="Dismiss reminder"
                   >
-                    {todo.title}
-                  </span>
-                )}
+                    ✕
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* An invite link was opened: join the list? */}
+          {invite && (
+            <div className="invite-banner" role="status">
+              {invite.currentRole ? (
+                <span>You're already in <strong>{invite.list.name}</strong>.</span>
+              ) : (
+                <span>
+                  {invite.invitedBy || "Someone"} invited you to <strong>{invite.list.name}</strong> (
+                  {ROLE_LABELS[invite.role].toLowerCase()}).
+                </span>
+              )}
+              {(!invite.currentRole || !hasRole(invite.currentRole, invite.role)) && (
+                <button className="btn save-btn" onClick={handleAcceptInvite}>
+                  {invite.currentRole ? `Upgrade to "${ROLE_LABELS[invite.role]}"` : "Join list"}
+                </button>
+              )}
+              <button className="btn cancel-btn" onClick={handleDismissInvite}>
+                {invite.currentRole ? "OK" : "No thanks"}
+              </button>
+            </div>
+          )}
+
+          {/* Switch between the full list, the focus list and the due-date view */}
+          <div className="view-tabs" role="tablist" aria-label="View">
+            <button
+              role="tab"
+              aria-selected={view === "list"}
+              className={`filter-tab ${view === "list" ? "active" : ""}`}
+              onClick={() => setView("list")}
+            >
+              📋 List
+            </button>
+            <button
+              role="tab"
+              aria-selected={view === "today"}
+              className={`filter-tab ${view === "today" ? "active" : ""}`}
+              onClick={() => setView("today")}
+            >
+              🎯 Today
+            </button>
+            <button
+              role="tab"
+              aria-selected={view === "upcoming"}
+              className={`filter-tab ${view === "upcoming" ? "active" : ""}`}
+              onClick={() => setView("upcoming")}
+            >
+              📅 Upcoming
+            </button>
+            <button
+              role="tab"
+              aria-selected={view === "stats"}
+              className={`filter-tab ${view === "stats" ? "active" : ""}`}
+              onClick={() => setView("stats")}
+            >
+              📊 Stats
+            </button>
+            <button
+              role="tab"
+              aria-selected={view === "trash"}
+              className={`filter-tab ${view === "trash" ? "active" : ""}`}
+              onClick={() => setView("trash")}
+            >
+              🗑️ Trash
+            </button>
+          </div>
+
+          {/* Form to add new todo - onSubmit runs when user presses Enter or clicks Add */}
+          <form onSubmit={handleAddTodo} className="add-todo-form">
+            <input
+              className="todo-input"
+              value={title}
+              onChange={(e) => setTitle(e.target.value)} // Update state when user types
+              placeholder="What needs to be done? Try: Call mom tomorrow 5pm #family"
+              aria-label="New todo"
+            />
+            {/* Optional due date for the new todo */}
+            <input
+              type="datetime-local"
+              className="date-input"
+              value={newDueAt}
+              onChange={(e) => setNewDueAt(e.target.value)}
+              aria-label="Due date"
+              title="Due date (optional)"
+            />
+            <button type="submit" className="add-btn">Add Todo</button>
+            <QuickAddPreview text={title} parsed={quickAdd} lists={writableLists} />
+          </form>
+
+          {/* Status tabs and search box (only for the list view) */}
+          {view === "list" && (
+            <FilterBar
+              status={statusFilter}
+              onStatusChange={setStatusFilter}
+              search={search}
+              onSearchChange={setSearch}
+              sort={sort}
+              onSortChange={setSort}
+              activeTags={filterTags}
+              tagMode={tagMode}
+              onTagModeChange={setTagMode}
+              onRemoveTag={toggleTagFilter}
+              allTags={tags}
+            />
+          )}
+
+          {/* Select all / Clear completed, and the bulk bar while todos are selected */}
+          {view === "list" && (
+            <div className="list-toolbar">
+              <button className="link-btn" onClick={toggleSelectAll} disabled={todos.length === 0}>
+                {selectedCount > 0 && selectedCount === todos.filter((t) => !isLocalId(t._id) && canEditTodo(t, lists)).length
+                  ? "Select none"
+                  : "Select all"}
+              </button>
+              {completedInView > 0 && statusFilter !== "active" && (
+                <button className="btn cancel-btn" onClick={handleClearCompleted} disabled={bulkBusy}>
+                  🧹 Clear completed ({completedInView})
+                </button>
+              )}
+            </div>
+          )}
+          {view === "list" && selectedCount > 0 && (
+            <BulkActionBar
+              count={selectedCount}
+              lists={writableLists}
+              busy={bulkBusy}
+              onAction={handleBulkAction}
+              onClearSelection={() => setSelectedIds(new Set())}
+            />
+          )}
+
+          {/* Error banner - shown when the last request failed */}
+          {error && (
+            <div className="form-error error-banner" role="alert">
+              <span>{error}</span>
+              <button className="link-btn" onClick={() => setError("")} aria-label="Dismiss error">✕</button>
+            </div>
+          )}
+
+          {/* Offline banner - changes are kept on this device until the server is back */}
+          {offline && (
+            <div className="offline-banner" role="status">
+              📴 You're offline - showing todos saved on this device.
+              {outbox.length > 0 && ` ${outbox.length} change(s) will be sent when you're back online.`}
+            </div>
+          )}
+
+          {/* CONDITIONAL RENDERING - show different content based on app state */}
+          {view === "today" ? (
+            // Focus list - reloads whenever the todos change (e.g. one is completed)
+            <TodayView refreshKey={dataVersion} onToggle={handleToggle} />
+          ) : view === "upcoming" ? (
+            // Due-date view - reloads whenever the todos change (e.g. one is completed)
+            <UpcomingView refreshKey={dataVersion} onToggle={handleToggle} />
+          ) : view === "stats" ? (
+            // Dashboard - reloads whenever the todos change (e.g. one is completed)
+            <StatsDashboard refreshKey={dataVersion} />
+          ) : view === "trash" ? (
+            // Deleted todos - restoring one puts it back in the list
+            <TrashView refreshKey={dataVersion} onRestored={showRestored} />
+          ) : loading ? (
+            // Show this while we're fetching todos from server
+            <div className="message">Loading todos...</div>
+          ) : todos.length === 0 ? (
+            // Show this if we have no todos yet (or none match the filters)
+            <div className="message">
+              {statusFilter === "all" && !debouncedSearch && filterTags.length === 0
+                ? "No todos yet. Add one above! 🚀"
+                : "No todos match your filters."}
+            </div>
+          ) : (
+            // Show the actual todo list if we have todos
+            <>
+              {/* Screen reader help for the drag handles, and live updates while moving */}
+              <p id="reorder-help" className="sr-only">
+                Press Space to pick up a todo, the arrow keys to move it, Space to drop it, Escape to cancel.
+              </p>
+              <div className="sr-only" aria-live="assertive">
+                {announcement}
               </div>
+              <p id="priority-help" className="priority-help">
+                Tip: select a todo (click its row or Tab to it) and press 0-4 to set its priority -
+                0 none, 1 low, 2 medium, 3 high, 4 urgent.
+              </p>
 
-              {/* Right side: action buttons (Edit/Delete OR Save/Cancel) */}
-              <div className="todo-actions">
-                {editingId === todo._id ? (
-                  // EDIT MODE: Show Save and Cancel buttons
-                  <>
-                    <button 
-                      className="btn save-btn"
-                      onClick={() => saveEditedTodo(todo._id)}
-                    >
-                      ✓ Save
-                    </button>
-                    <button 
-                      className="btn cancel-btn"
-                      onClick={cancelEditing}
-                    >
-                      ✕ Cancel
-                    </button>
-                  </>
-                ) : (
-                  // NORMAL MODE: Show Edit and Delete buttons
-                  <>
-                    <button 
-                      className="btn edit-btn"
-                      onClick={() => startEditing(todo)}
-                    >
-                      ✏️ Edit
-                    </button>
-                    <button 
-                      className="btn delete-btn"
-                      onClick={() => handleDelete(todo._id)}
-                    >
-                      🗑️ Delete
+              <ul className="todo-list">
+                {/* 
+                  map() creates a new <li> element for each todo in our array
+                  Each todo needs a unique 'key' prop for React to track changes efficiently
+                */}
+                {todos.map((todo, index) => {
+                  // Todos in lists the user can only view can't be changed, moved or selected
+                  const readOnly = !canEditTodo(todo, lists);
+                  return (
+                    <TodoItem
+                      key={todo._id}
+                      todo={todo}
+                      isEditing={editingId === todo._id}
+                      onToggle={() => handleToggle(todo)}
+                      onDelete={(scope) => handleDelete(todo._id, scope)}
+                      onStartEdit={() => startEditing(todo)}
+                      onOpenDetails={() => setDetailId(todo._id)}
+                      onCancelEdit={cancelEditing}
+                      onSave={(updates) => saveEditedTodo(todo._id, updates)}
+                      onChange={applyServerTodo}
+                      onPriorityChange={(priority) => handlePriorityChange(todo, priority)}
+                      lists={lists}
+                      me={me}
+                      readOnly={readOnly}
+                      allTags={tags}
+                      activeTags={filterTags}
+                      onTagClick={toggleTagFilter}
+                      pending={pendingById.get(todo._id) || null}
+                      onResolveConflict={(choice) => handleResolveConflict(pendingById.get(todo._id), choice)}
+                      reorder={
+                        sort === "manual" && !isLocalId(todo._id) && !readOnly
+                          ? {
+                              dragging: draggingId === todo._id,
+                              grabbed: grabbedId === todo._id,
+                              dragHandlers: dragHandlers(todo, index),
+                              onHandleKeyDown: (e) => handleReorderKey(e, todo),
+                            }
+                          : null
+                      }
+                      selected={selectedIds.has(todo._id)}
+                      onSelect={isLocalId(todo._id) || readOnly ? null : (e) => handleSelect(todo, e)}
+                    />
+                  );
+                })}
+              </ul>
+
+              {/* Bottom of the list: scrolling this into view loads the next page */}
+              {nextCursor && (
+                <div ref={sentinelRef} className="load-more">
+                  {loadingMore ? (
+                    "Loading more..."
+                  ) : (
+                    // Button fallback for keyboard users and browsers without IntersectionObserver
+                    <button className="link-btn" onClick={() => fetchTodos(nextCursor)}>
+                      Load more
                     </button>
-                  </>
-                )}
-              </div>
-            </li>
-          ))}
-        </ul>
+                  )}
+                </div>
+              )}
+            </>
+          )}
+        </main>
+      </div>
+
+      {/* The open todo's notes */}
+      {detailTodo && (
+        <TodoDetail
+          key={detailTodo._id}
+          todo={detailTodo}
+          onSaveNotes={(notes) => saveEditedTodo(detailTodo._id, { notes })}
+          onClose={closeDetails}
+          readOnly={!canEditTodo(detailTodo, lists)}
+        />
+      )}
+
+      {/* Who's in a list, and invite links */}
+      {sharingList && (
+        <ShareDialog
+          key={sharingList._id}
+          list={sharingList}
+          me={me}
+          onClose={() => setSharingListId(null)}
+          onChanged={fetchLists}
+          onLeft={handleLeftList}
+        />
+      )}
+
+      {/* "Undo" for the last delete */}
+      {undoDelete && (
+        <UndoToast
+          key={undoDelete.todo._id}
+          message={
+            undoDelete.scope === "series"
+              ? `"${undoDelete.todo.title}" and its series moved to the trash`
+              : `"${undoDelete.todo.title}" moved to the trash`
+          }
+          onUndo={handleUndoDelete}
+          onDismiss={dismissUndo}
+        />
       )}
     </div>
   );
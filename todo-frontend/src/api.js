@@ -23,45 +23,750 @@ const axiosInstance = axios.create({
 });
 
 /**
- * GET REQUEST - Fetch all todos from the server
- * @returns {Promise} Promise that resolves to server response with todos array
+ * SESSION TOKEN HANDLING
+ * After login the backend gives us a signed token. We keep it in localStorage
+ * (so a page refresh doesn't log the user out) and attach it to every request
  */
-export const apiGetTodos = () => {
-  // Makes GET request to: http://localhost:5000/api/todos
-  return axiosInstance.get('/api/todos');
+const SESSION_KEY = 'todo-session';
+
+/**
+ * Reads the saved session ({ token, user }) from localStorage
+ * @returns {Object|null} The saved session, or null if nobody is logged in
+ */
+export const loadSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Saves (or clears, when passed null) the session in localStorage
+ * @param {Object|null} session - { token, user } from the login/register response
+ */
+export const saveSession = (session) => {
+  todoPageCache.clear(); // Pages kept for one user mustn't be shown to the next
+  if (session) {
+    localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  } else {
+    localStorage.removeItem(SESSION_KEY);
+  }
+};
+
+/**
+ * CLIENT ID
+ * A random id for this browser tab, sent as "X-Client-Id" with every request.
+ * The server puts it on the live events our requests cause, so we can skip our own echoes
+ */
+export const CLIENT_ID = globalThis.crypto?.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+// Before each request: add "Authorization: Bearer <token>" if we're logged in
+axiosInstance.interceptors.request.use((config) => {
+  const session = loadSession();
+  if (session?.token) {
+    config.headers.Authorization = `Bearer ${session.token}`;
+  }
+  config.headers['X-Client-Id'] = CLIENT_ID;
+  return config;
+});
+
+// Function to call when the server says our session is no longer valid (401)
+let unauthorizedHandler = null;
+
+/**
+ * Registers a callback that runs whenever the server answers 401 Unauthorized
+ * App.jsx uses this to drop the session and show the login screen again
+ * @param {Function|null} handler - Callback, or null to unregister
+ */
+export const onUnauthorized = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+// After each response: if the server rejected our token, clear it and tell the app
+axiosInstance.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    if (error.response?.status === 401 && unauthorizedHandler) {
+      saveSession(null);
+      unauthorizedHandler();
+    }
+    return Promise.reject(error);
+  }
+);
+
+/**
+ * Turns a failed request into a message we can show to the user
+ * The backend always answers errors with { error: { code, message, details } }
+ * @param {Error} error - The error thrown by axios
+ * @param {string} fallback - Message to use when the server didn't send one (e.g. network down)
+ * @returns {string} Human-readable error message
+ */
+export const getErrorMessage = (error, fallback = 'Something went wrong, please try again') => {
+  const apiError = error?.response?.data?.error;
+  if (!apiError?.message) {
+    return fallback;
+  }
+  // Per-field problems look like [{ field: "title", message: "must not be empty" }]
+  if (Array.isArray(apiError.details) && apiError.details.length > 0) {
+    const fields = apiError.details
+      .filter((d) => d.field)
+      .map((d) => `${d.field} ${d.message}`);
+    if (fields.length > 0) {
+      return `${apiError.message}: ${fields.join(', ')}`;
+    }
+  }
+  return apiError.message;
+};
+
+/**
+ * POST REQUEST - Create a new account
+ * @param {string} username - Desired username
+ * @param {string} password - Desired password (at least 8 characters)
+ * @returns {Promise} Promise that resolves to { token, user }
+ */
+export const apiRegister = (username, password) => {
+  return axiosInstance.post('/api/v1/auth/register', { username, password });
+};
+
+/**
+ * POST REQUEST - Log in to an existing account
+ * @param {string} username - Account username
+ * @param {string} password - Account password
+ * @returns {Promise} Promise that resolves to { token, user }
+ */
+export const apiLogin = (username, password) => {
+  return axiosInstance.post('/api/v1/auth/login', { username, password });
+};
+
+/**
+ * POST REQUEST - Log out (the server invalidates all of this user's tokens)
+ * @returns {Promise} Promise that resolves once the server has logged us out
+ */
+export const apiLogout = () => {
+  return axiosInstance.post('/api/v1/auth/logout');
+};
+
+/**
+ * TODO PAGE CACHE
+ * The last few pages of todos we fetched, with the ETag the server sent for each.
+ * Asking for the same page again sends "If-None-Match: <etag>"; if nothing changed the server
+ * answers 304 with no body and we reuse the copy we have
+ */
+const TODO_PAGE_CACHE_SIZE = 20;
+const todoPageCache = new Map(); // JSON of the params -> { etag, data }
+
+/**
+ * GET REQUEST - Fetch one page of todos from the server
+ * @param {Object} [params] - Optional filters (anything left undefined is not sent)
+ * @param {string} [params.listId] - One list's ID, or "inbox" for todos without a list
+ * @param {string} [params.status] - "all", "active" or "completed"
+ * @param {string} [params.q] - Search text (matches title and notes)
+ * @param {string} [params.tags] - Comma-separated tag names, e.g. "work,urgent"
+ * @param {string} [params.tagMode] - "any" (default) = at least one of the tags, "all" = every one
+ * @param {string} [params.sort] - Sort field, "-" prefix for newest/largest first (e.g. "-createdAt")
+ * @param {number} [params.limit] - How many todos per page
+ * @param {string} [params.cursor] - nextCursor from the previous page, to get the next one
+ * @returns {Promise} Promise that resolves to server response with { items, nextCursor }
+ */
+export const apiGetTodos = async (params = {}) => {
+  const key = JSON.stringify(params);
+  const cached = todoPageCache.get(key);
+
+  // Makes GET request to: http://localhost:5000/api/v1/todos?status=active&q=...
+  // If we have this page already, the server answers 304 Not Modified when nothing changed
+  const response = await axiosInstance.get('/api/v1/todos', {
+    params,
+    headers: cached ? { 'If-None-Match': cached.etag } : {},
+    validateStatus: (status) => (status >= 200 && status < 300) || (status === 304 && Boolean(cached)),
+  });
+  if (response.status === 304) {
+    return { ...response, status: 200, data: cached.data };
+  }
+
+  const etag = response.headers.etag;
+  todoPageCache.delete(key);
+  if (etag) {
+    todoPageCache.set(key, { etag, data: response.data });
+    // Map keeps insertion order, so the first key is the page used longest ago
+    if (todoPageCache.size > TODO_PAGE_CACHE_SIZE) {
+      todoPageCache.delete(todoPageCache.keys().next().value);
+    }
+  }
+  return response;
+};
+
+/**
+ * GET REQUEST - Fetch one todo
+ * @param {string} id - The todo's ID
+ * @returns {Promise} Promise that resolves to the todo (its ETag is in response.headers.etag)
+ */
+export const apiGetTodo = (id) => {
+  return axiosInstance.get(`/api/v1/todos/${id}`);
+};
+
+/**
+ * GET REQUEST - Fetch unfinished todos grouped by due date
+ * @param {string} timeZone - The user's time zone (decides where "today" ends)
+ * @returns {Promise} Promise that resolves to { overdue, today, thisWeek, later }
+ */
+export const apiGetUpcoming = (timeZone) => {
+  // Makes GET request to: http://localhost:5000/api/v1/todos/upcoming?tz=...
+  return axiosInstance.get('/api/v1/todos/upcoming', { params: { tz: timeZone } });
+};
+
+/**
+ * GET REQUEST - Fetch the short list of todos to focus on today (most pressing first)
+ * @param {string} timeZone - The user's time zone (decides where "today" ends)
+ * @returns {Promise} Promise that resolves to { timeZone, items, total }
+ */
+export const apiGetToday = (timeZone) => {
+  // Makes GET request to: http://localhost:5000/api/v1/todos/today?tz=...
+  return axiosInstance.get('/api/v1/todos/today', { params: { tz: timeZone } });
+};
+
+/**
+ * GET REQUEST - Fetch productivity stats for the dashboard: completions per day and week,
+ * the streak, average time to complete and how many todos were open / done each day
+ * @param {string} timeZone - The user's time zone (decides where days and weeks begin)
+ * @param {Object} [range] - { from, to } as "YYYY-MM-DD", both included (default: the last 30 days)
+ * @returns {Promise} Promise that resolves to { timeZone, from, to, totals, days, weeks, streak, averageCompletionMs }
+ */
+export const apiGetStats = (timeZone, { from, to } = {}) => {
+  // Makes GET request to: http://localhost:5000/api/v1/stats?tz=...&from=...&to=...
+  return axiosInstance.get('/api/v1/stats', { params: { tz: timeZone, from, to } });
+};
+
+/**
+ * GET REQUEST - Fetch reminders that fired since the last check
+ * @param {string} since - ISO date of the last check (use checkedAt from the previous response)
+ * @returns {Promise} Promise that resolves to { reminders, checkedAt }
+ */
+export const apiGetReminders = (since) => {
+  return axiosInstance.get('/api/v1/todos/reminders', { params: { since } });
 };
 
 /**
  * POST REQUEST - Create a new todo on the server
  * @param {string} title - The text content of the new todo
+ * @param {Object} [fields] - Optional extra fields, e.g. { dueAt: "2024-01-16T17:00:00.000Z" }
  * @returns {Promise} Promise that resolves to server response with created todo
  */
-export const apiCreateTodo = (title) => {
-  // Makes POST request to: http://localhost:5000/api/todos
-  // Sends: { title: "user's todo text" }
-  return axiosInstance.post('/api/todos', { title });
+export const apiCreateTodo = (title, fields = {}) => {
+  // Makes POST request to: http://localhost:5000/api/v1/todos
+  // Sends: { title: "user's todo text", ...fields }
+  return axiosInstance.post('/api/v1/todos', { title, ...fields });
 };
 
 /**
- * PUT REQUEST - Update an existing todo on the server
+ * Turns the fields to change into a JSON Merge Patch
+ * A merge patch merges objects field by field, so for an object value (e.g. recurrence) every
+ * field the todo had but the new value leaves out is sent as null - otherwise it would stay
+ * @param {Object} updates - Fields to change
+ * @param {Object} [base] - The todo the change was made to
+ * @returns {Object} The patch
+ */
+const toMergePatch = (updates, base) => {
+  const patch = { ...updates };
+  for (const [field, value] of Object.entries(updates)) {
+    const before = base?.[field];
+    if (!isPlainObject(value) || !isPlainObject(before)) continue;
+    const removed = Object.keys(before).filter((key) => !(key in value));
+    patch[field] = { ...Object.fromEntries(removed.map((key) => [key, null])), ...value };
+  }
+  return patch;
+};
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * PATCH REQUEST - Update an existing todo on the server
+ * Only the fields passed are changed. With base, the change is only made if the todo is still
+ * the way base has it: if someone changed it meanwhile the server answers 412 Precondition
+ * Failed with their version in error.details.current, instead of overwriting their change
  * @param {string} id - The unique ID of the todo to update
- * @param {Object} updates - Object containing fields to update (e.g., {completed: true})
+ * @param {Object} updates - Object containing fields to update (e.g., {completed: true} or {dueAt: null})
+ * @param {Object} [base] - The todo as we last saw it (its updatedAt is its ETag)
  * @returns {Promise} Promise that resolves to server response with updated todo
  */
-export const apiUpdateTodo = (id, updates) => {
-  // Makes PUT request to: http://localhost:5000/api/todos/[todo-id]
+export const apiUpdateTodo = (id, updates, base) => {
+  // Makes PATCH request to: http://localhost:5000/api/v1/todos/[todo-id]
   // Sends: updates object (like {completed: true} or {title: "new text"})
-  return axiosInstance.put(`/api/todos/${id}`, updates);
+  return axiosInstance.patch(`/api/v1/todos/${id}`, toMergePatch(updates, base), {
+    headers: {
+      'Content-Type': 'application/merge-patch+json',
+      ...(base?.updatedAt && { 'If-Match': `"${base.updatedAt}"` }),
+    },
+  });
+};
+
+/**
+ * PATCH REQUEST - Move a todo to a new spot in the manual order
+ * @param {string} id - The todo to move
+ * @param {Object} neighbours - { after, before }: IDs of the todos right above and below
+ *   its new spot (leave one out at the top or bottom of the list)
+ * @returns {Promise} Promise that resolves to the moved todo (with its new position)
+ */
+export const apiMoveTodo = (id, neighbours) => {
+  return axiosInstance.patch(`/api/v1/todos/${id}/move`, neighbours);
 };
 
 /**
- * DELETE REQUEST - Remove a todo from the server
+ * DELETE REQUEST - Move a todo to the trash (apiRestoreTodo brings it back)
  * @param {string} id - The unique ID of the todo to delete
- * @returns {Promise} Promise that resolves to server response confirming deletion
+ * @param {string} [scope="this"] - For repeating todos: "this" occurrence or the whole "series"
+ * @returns {Promise} Promise that resolves to { message, deletedIds }
+ */
+export const apiDeleteTodo = (id, scope = 'this') => {
+  // Makes DELETE request to: http://localhost:5000/api/v1/todos/[todo-id]?scope=this
+  return axiosInstance.delete(`/api/v1/todos/${id}`, { params: { scope } });
+};
+
+/**
+ * GET REQUEST - Fetch one page of the trash (deleted todos, most recently deleted first)
+ * @param {Object} [params] - { limit, cursor } (same paging as apiGetTodos)
+ * @returns {Promise} Promise that resolves to { items, nextCursor }
+ */
+export const apiGetTrash = (params = {}) => {
+  return axiosInstance.get('/api/v1/todos/trash', { params });
+};
+
+/**
+ * POST REQUEST - Take a deleted todo back out of the trash
+ * @param {string} id - The unique ID of the deleted todo
+ * @returns {Promise} Promise that resolves to the restored todo
+ */
+export const apiRestoreTodo = (id) => {
+  return axiosInstance.post(`/api/v1/todos/${id}/restore`);
+};
+
+/**
+ * DELETE REQUEST - Delete one todo in the trash for good
+ * @param {string} id - The unique ID of the deleted todo
+ * @returns {Promise} Promise that resolves to { message, purged }
+ */
+export const apiPurgeTodo = (id) => {
+  return axiosInstance.delete(`/api/v1/todos/trash/${id}`);
+};
+
+/**
+ * DELETE REQUEST - Empty the trash (every deleted todo goes for good)
+ * @returns {Promise} Promise that resolves to { message, purged }
+ */
+export const apiEmptyTrash = () => {
+  return axiosInstance.delete('/api/v1/todos/trash');
+};
+
+/**
+ * GET REQUEST - Fetch one page of a todo's history (newest first)
+ * @param {string} id - The todo's unique ID
+ * @param {Object} [params] - { limit, cursor }
+ * @returns {Promise} Promise that resolves to { items: [{ type, actorName, changes, createdAt, ... }], nextCursor }
+ */
+export const apiGetTodoHistory = (id, params = {}) => {
+  return axiosInstance.get(`/api/v1/todos/${id}/history`, { params });
+};
+
+/**
+ * GET REQUEST - Fetch one page of the activity feed (what happened to all of the user's todos)
+ * @param {Object} [params] - { type, limit, cursor } - type: "created", "updated", "completed", "deleted" or "restored"
+ * @returns {Promise} Promise that resolves to { items, nextCursor }
+ */
+export const apiGetActivity = (params = {}) => {
+  return axiosInstance.get('/api/v1/activity', { params });
+};
+
+/**
+ * POST REQUEST - Apply one change to many todos at once (multi-select, "Clear completed")
+ * @param {string} operation - "complete", "uncomplete", "delete", "setList", "addTag", "removeTag" or "setDueDate"
+ * @param {Object} target - Which todos: { ids: [...] } or { filter: { listId, status, q } }
+ * @param {Object} [value] - The operation's value: { listId }, { tag } or { dueAt } (null clears)
+ * @returns {Promise} Promise that resolves to { results, todos, createdTodos, deletedIds, hasMore }
+ */
+export const apiBulkTodos = (operation, target, value = {}) => {
+  return axiosInstance.post('/api/v1/todos/bulk', { ...target, operation, ...value });
+};
+
+/**
+ * GET REQUEST - Download every todo as a file
+ * @param {string} format - "json", "csv", "md" (Markdown checklist) or "ics" (iCalendar)
+ * @returns {Promise} Promise that resolves to the file as a Blob (response.data)
+ */
+export const apiExportTodos = (format) => {
+  return axiosInstance.get('/api/v1/todos/export', { params: { format }, responseType: 'blob' });
+};
+
+/**
+ * POST REQUEST - Import todos from a file (the file's text is the request body)
+ * @param {string} format - "json", "csv", "md" or "ics"
+ * @param {string} text - The file's contents
+ * @param {Object} [options] - { dryRun, tz, duplicates } - dryRun: true only reports what would happen,
+ *   tz: zone for dates without one, duplicates: "skip" (default) or "import"
+ * @returns {Promise} Promise that resolves to { dryRun, summary, newLists, rows }
+ */
+export const apiImportTodos = (format, text, options = {}) => {
+  return axiosInstance.post('/api/v1/todos/import', text, {
+    params: { format, ...options },
+    headers: { 'Content-Type': 'text/plain' },
+  });
+};
+
+/**
+ * POST REQUEST - Add a subtask (checklist item) to a todo
+ * @param {string} todoId - The todo's ID
+ * @param {string} title - The subtask's text
+ * @returns {Promise} Promise that resolves to the updated todo
  */
-export const apiDeleteTodo = (id) => {
-  // Makes DELETE request to: http://localhost:5000/api/todos/[todo-id]
-  return axiosInstance.delete(`/api/todos/${id}`);
+export const apiAddSubtask = (todoId, title) => {
+  return axiosInstance.post(`/api/v1/todos/${todoId}/subtasks`, { title });
+};
+
+/**
+ * PATCH REQUEST - Rename or tick a subtask
+ * @param {string} todoId - The todo's ID
+ * @param {string} subtaskId - The subtask's ID
+ * @param {Object} updates - Any of { title, completed }
+ * @returns {Promise} Promise that resolves to the updated todo (plus nextOccurrence if ticking
+ *   the last subtask completed a repeating todo)
+ */
+export const apiUpdateSubtask = (todoId, subtaskId, updates) => {
+  return axiosInstance.patch(`/api/v1/todos/${todoId}/subtasks/${subtaskId}`, updates);
+};
+
+/**
+ * PUT REQUEST - Put a todo's subtasks in a new order
+ * @param {string} todoId - The todo's ID
+ * @param {string[]} ids - Every subtask ID, in the new order
+ * @returns {Promise} Promise that resolves to the updated todo
+ */
+export const apiReorderSubtasks = (todoId, ids) => {
+  return axiosInstance.put(`/api/v1/todos/${todoId}/subtasks/order`, { ids });
+};
+
+/**
+ * DELETE REQUEST - Remove a subtask
+ * @param {string} todoId - The todo's ID
+ * @param {string} subtaskId - The subtask's ID
+ * @returns {Promise} Promise that resolves to the updated todo
+ */
+export const apiDeleteSubtask = (todoId, subtaskId) => {
+  return axiosInstance.delete(`/api/v1/todos/${todoId}/subtasks/${subtaskId}`);
+};
+
+/**
+ * POST REQUEST - Attach a file to a todo (sent as multipart/form-data)
+ * @param {string} todoId - The todo's ID
+ * @param {File} file - The file to upload
+ * @param {Function} [onProgress] - Called with how much is sent so far, from 0 to 1
+ * @returns {Promise} Promise that resolves to the updated todo
+ */
+export const apiUploadAttachment = (todoId, file, onProgress = () => {}) => {
+  const form = new FormData();
+  form.append('file', file);
+  return axiosInstance.post(`/api/v1/todos/${todoId}/attachments`, form, {
+    // Axios swaps this for the real multipart header, with its boundary
+    headers: { 'Content-Type': 'multipart/form-data' },
+    onUploadProgress: (event) => event.total && onProgress(event.loaded / event.total),
+  });
+};
+
+/**
+ * GET REQUEST - Fetch an attached file (the session token is needed, so no plain <img src>)
+ * @param {string} todoId - The todo's ID
+ * @param {string} attachmentId - The attachment's ID
+ * @returns {Promise} Promise that resolves to the file as a Blob (response.data)
+ */
+export const apiGetAttachment = (todoId, attachmentId) => {
+  return axiosInstance.get(`/api/v1/todos/${todoId}/attachments/${attachmentId}`, { responseType: 'blob' });
+};
+
+/**
+ * DELETE REQUEST - Remove an attachment (the file is deleted too)
+ * @param {string} todoId - The todo's ID
+ * @param {string} attachmentId - The attachment's ID
+ * @returns {Promise} Promise that resolves to the updated todo
+ */
+export const apiDeleteAttachment = (todoId, attachmentId) => {
+  return axiosInstance.delete(`/api/v1/todos/${todoId}/attachments/${attachmentId}`);
+};
+
+/**
+ * GET REQUEST - Fetch all lists (projects) with their active/completed counts
+ * @returns {Promise} Promise that resolves to { inbox: { counts }, lists: [...] }
+ */
+export const apiGetLists = () => {
+  return axiosInstance.get('/api/v1/lists');
+};
+
+/**
+ * POST REQUEST - Create a new list
+ * @param {Object} fields - { name, color }
+ * @returns {Promise} Promise that resolves to the created list
+ */
+export const apiCreateList = (fields) => {
+  return axiosInstance.post('/api/v1/lists', fields);
+};
+
+/**
+ * PUT REQUEST - Rename, recolor or reorder a list
+ * @param {string} id - The list's ID
+ * @param {Object} updates - Any of { name, color, position }
+ * @returns {Promise} Promise that resolves to the updated list
+ */
+export const apiUpdateList = (id, updates) => {
+  return axiosInstance.put(`/api/v1/lists/${id}`, updates);
+};
+
+/**
+ * DELETE REQUEST - Delete a list
+ * @param {string} id - The list's ID
+ * @param {string} [todos="inbox"] - "inbox" moves its todos to the Inbox, "delete" deletes them too
+ * @returns {Promise} Promise that resolves once the list is gone
+ */
+export const apiDeleteList = (id, todos = 'inbox') => {
+  return axiosInstance.delete(`/api/v1/lists/${id}`, { params: { todos } });
+};
+
+/**
+ * GET REQUEST - Who's in a list, with their roles
+ * @param {string} id - The list's ID
+ * @returns {Promise} Promise that resolves to { members: [{ user: { _id, username }, role, creator }] }
+ */
+export const apiGetListMembers = (id) => {
+  return axiosInstance.get(`/api/v1/lists/${id}/members`);
+};
+
+/**
+ * POST REQUEST - Share a list with someone (needs the owner role)
+ * @param {string} id - The list's ID
+ * @param {string} username - Who to share it with
+ * @param {string} role - "viewer", "editor" or "owner"
+ * @returns {Promise} Promise that resolves to { members }
+ */
+export const apiAddListMember = (id, username, role) => {
+  return axiosInstance.post(`/api/v1/lists/${id}/members`, { username, role });
+};
+
+/**
+ * PATCH REQUEST - Give a member of a list another role (needs the owner role)
+ * @param {string} id - The list's ID
+ * @param {string} userId - The member's user ID
+ * @param {string} role - "viewer", "editor" or "owner"
+ * @returns {Promise} Promise that resolves to { members }
+ */
+export const apiUpdateListMember = (id, userId, role) => {
+  return axiosInstance.patch(`/api/v1/lists/${id}/members/${userId}`, { role });
+};
+
+/**
+ * DELETE REQUEST - Take someone out of a list, or leave it (with your own user ID)
+ * @param {string} id - The list's ID
+ * @param {string} userId - The member's user ID
+ * @returns {Promise} Promise that resolves to { members }
+ */
+export const apiRemoveListMember = (id, userId) => {
+  return axiosInstance.delete(`/api/v1/lists/${id}/members/${userId}`);
+};
+
+/**
+ * GET REQUEST - A list's invite links that still work (needs the owner role)
+ * @param {string} id - The list's ID
+ * @returns {Promise} Promise that resolves to { invites: [{ _id, role, expiresAt, uses }] }
+ */
+export const apiGetListInvites = (id) => {
+  return axiosInstance.get(`/api/v1/lists/${id}/invites`);
+};
+
+/**
+ * POST REQUEST - Make an invite link to a list (needs the owner role)
+ * @param {string} id - The list's ID
+ * @param {Object} fields - { role: "viewer" | "editor", expiresInDays }
+ * @returns {Promise} Promise that resolves to { invite, token } - the token can't be fetched again
+ */
+export const apiCreateListInvite = (id, fields) => {
+  return axiosInstance.post(`/api/v1/lists/${id}/invites`, fields);
+};
+
+/**
+ * DELETE REQUEST - Revoke an invite link
+ * @param {string} id - The list's ID
+ * @param {string} inviteId - The invite's ID
+ * @returns {Promise} Promise that resolves once the link stops working
+ */
+export const apiDeleteListInvite = (id, inviteId) => {
+  return axiosInstance.delete(`/api/v1/lists/${id}/invites/${inviteId}`);
+};
+
+/**
+ * GET REQUEST - What an invite link is for
+ * @param {string} token - The token from the link (?invite=...)
+ * @returns {Promise} Promise that resolves to { list: { _id, name, color }, role, invitedBy, expiresAt, currentRole }
+ */
+export const apiGetInvite = (token) => {
+  return axiosInstance.get(`/api/v1/invites/${encodeURIComponent(token)}`);
+};
+
+/**
+ * POST REQUEST - Join a list through an invite link
+ * @param {string} token - The token from the link
+ * @returns {Promise} Promise that resolves to { listId, role }
+ */
+export const apiAcceptInvite = (token) => {
+  return axiosInstance.post(`/api/v1/invites/${encodeURIComponent(token)}/accept`);
+};
+
+/**
+ * GET REQUEST - Fetch the user's tags (alphabetically), each with how many todos have it
+ * @returns {Promise} Promise that resolves to [{ _id, name, color, count }]
+ */
+export const apiGetTags = () => {
+  return axiosInstance.get('/api/v1/tags');
+};
+
+/**
+ * POST REQUEST - Create a tag (todos can also just be given a new tag name)
+ * @param {Object} fields - { name, color }
+ * @returns {Promise} Promise that resolves to the created tag
+ */
+export const apiCreateTag = (fields) => {
+  return axiosInstance.post('/api/v1/tags', fields);
+};
+
+/**
+ * PUT REQUEST - Rename and/or recolor a tag (a rename changes it on every todo too)
+ * @param {string} id - The tag's ID
+ * @param {Object} updates - { name } and/or { color }
+ * @returns {Promise} Promise that resolves to the updated tag
+ */
+export const apiUpdateTag = (id, updates) => {
+  return axiosInstance.put(`/api/v1/tags/${id}`, updates);
+};
+
+/**
+ * DELETE REQUEST - Delete a tag (todos keep existing, they just lose the tag)
+ * @param {string} id - The tag's ID
+ * @returns {Promise} Promise that resolves to { message, affectedTodos }
+ */
+export const apiDeleteTag = (id) => {
+  return axiosInstance.delete(`/api/v1/tags/${id}`);
+};
+
+/**
+ * LIVE UPDATES
+ * GET /api/v1/events is a Server-Sent Events stream: the server keeps the response open and
+ * writes an event whenever one of our todos changes (in another tab or on another device).
+ * We read it with fetch() rather than EventSource because EventSource can't send our
+ * Authorization header, and so we control how quickly it reconnects.
+ */
+
+// Wait this long before the first reconnect attempt, doubling up to the maximum (milliseconds)
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 30 * 1000;
+
+/**
+ * Reads an SSE stream and calls onEvent(type, data) for every event in it
+ * Resolves when the server closes the stream
+ * @param {ReadableStream} body - The response body
+ * @param {Function} onEvent - Called with (type, parsed data)
+ */
+async function readEventStream(body, onEvent) {
+  const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffer += value;
+
+    // Events end with a blank line; keep the unfinished tail for the next chunk
+    const blocks = buffer.split('\n\n');
+    buffer = blocks.pop();
+
+    for (const block of blocks) {
+      let type = 'message';
+      const data = [];
+      for (const line of block.split('\n')) {
+        if (line.startsWith('event:')) type = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+        // Lines starting with ":" are keep-alive comments
+      }
+      if (data.length > 0) onEvent(type, JSON.parse(data.join('\n')));
+    }
+  }
+}
+
+/**
+ * Listens for live changes to our todos until the returned function is called
+ * Reconnects after network problems, waiting a little longer after each failed attempt
+ * (with some randomness so many tabs don't all reconnect at the same moment)
+ * @param {Function} onEvent - Called with (type, data) for every change made elsewhere,
+ *   e.g. ("todo.updated", { todo }) - see services/events.js on the backend for the list
+ * @param {Function} [onStatus] - Called with "connected" (plus true if it was a reconnect)
+ *   or "reconnecting"
+ * @returns {Function} Call it to stop listening
+ */
+export const subscribeToEvents = (onEvent, onStatus = () => {}) => {
+  let stopped = false;
+  let controller = null;
+  let retryTimer = null;
+  let attempt = 0;
+  let connectedBefore = false;
+
+  async function connect() {
+    retryTimer = null;
+    controller = new AbortController();
+    try {
+      const session = loadSession();
+      const response = await fetch(`${axiosInstance.defaults.baseURL}/api/v1/events`, {
+        headers: { Authorization: `Bearer ${session?.token}`, Accept: 'text/event-stream' },
+        signal: controller.signal,
+      });
+
+      // Logged out elsewhere: same as any other 401, and no point retrying
+      if (response.status === 401) {
+        saveSession(null);
+        unauthorizedHandler?.();
+        return;
+      }
+      if (!response.ok) throw new Error(`Event stream answered ${response.status}`);
+
+      await readEventStream(response.body, (type, data) => {
+        if (type === 'ready') {
+          attempt = 0;
+          onStatus('connected', connectedBefore);
+          connectedBefore = true;
+        } else if (data.origin !== CLIENT_ID) {
+          // Events with our own id are echoes of changes we already applied
+          onEvent(type, data);
+        }
+      });
+    } catch {
+      // Network error or server restart - handled below by reconnecting
+    }
+    if (stopped) return;
+
+    onStatus('reconnecting');
+    const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_MIN_MS * 2 ** attempt);
+    attempt += 1;
+    retryTimer = setTimeout(connect, delay / 2 + Math.random() * (delay / 2));
+  }
+
+  // Back online: don't wait for the timer
+  function reconnectNow() {
+    if (stopped || !retryTimer) return;
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    connect();
+  }
+  window.addEventListener('online', reconnectNow);
+
+  connect();
+  return () => {
+    stopped = true;
+    clearTimeout(retryTimer);
+    window.removeEventListener('online', reconnectNow);
+    controller?.abort();
+  };
 };
 
 /**
@@ -73,6 +778,6 @@ export const apiDeleteTodo = (id) => {
  * 4. If there's an error (network issue, server error), the Promise rejects
  * 
  * EXAMPLE USAGE:
- * const response = await apiGetTodos();
- * console.log(response.data); // Array of todos from server
+ * const response = await apiGetTodos({ status: 'active' });
+ * console.log(response.data.items); // Array of todos from server
  */
@@ -0,0 +1,212 @@
+// Import React hooks for uploads in progress, thumbnails and the drop zone highlight
+import { useState, useEffect, useRef } from "react";
+import { apiUploadAttachment, apiGetAttachment, apiDeleteAttachment, getErrorMessage } from "../api";
+import { saveFile, isFileDrag } from "../utils/files";
+
+// Types shown as thumbnails (the image types the server accepts)
+const IMAGE_TYPES = ["image/png", "image/jpeg", "image/gif", "image/webp"];
+
+/**
+ * A file size people can read, e.g. "48 KB"
+ * @param {number} bytes - The size
+ * @returns {string}
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Thumbnail Of An Attached Image
+ * The image needs the session token, so it's fetched as a blob rather than with <img src>;
+ * its object URL is freed again when the thumbnail goes away
+ * @param {string} todoId - The todo's ID
+ * @param {Object} attachment - The image attachment
+ */
+function Thumbnail({ todoId, attachment }) {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    let objectUrl = null;
+    apiGetAttachment(todoId, attachment._id)
+      .then((response) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(response.data);
+        setUrl(objectUrl);
+      })
+      .catch(() => {}); // No thumbnail then - the file is still listed by name
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [todoId, attachment._id]);
+
+  return url ? (
+    <img className="attachment-thumb" src={url} alt="" />
+  ) : (
+    <span className="attachment-icon" aria-hidden="true">🖼️</span>
+  );
+}
+
+/**
+ * Files Attached To A Todo
+ * Images show as thumbnails, other files as their name and size; clicking one downloads it.
+ * Files dropped on the drop zone (or picked with the button) are uploaded one after another,
+ * with a progress bar each. The server answers every change with the whole updated todo,
+ * which is handed to onChange.
+ * @param {Object} todo - The todo whose attachments to show
+ * @param {Function} onChange - Called with the updated todo from the server
+ * @param {boolean} [readOnly] - true to only show and download them (the user can only view the todo)
+ */
+export default function Attachments({ todo, onChange, readOnly = false }) {
+  const attachments = todo.attachments || [];
+
+  // Uploads still going: [{ key, name, progress (0-1) }]
+  const [uploads, setUploads] = useState([]);
+
+  // true while files are dragged over the drop zone
+  const [dragOver, setDragOver] = useState(false);
+
+  // Message shown under the files when something fails
+  const [error, setError] = useState("");
+
+  const fileInputRef = useRef(null);
+
+  /**
+   * Uploads files one after another, showing each one's progress
+   * @param {FileList|File[]} files - The files dropped or picked
+   */
+  async function uploadFiles(files) {
+    for (const file of Array.from(files)) {
+      const key = `${file.name}-${Date.now()}-${Math.random()}`;
+      setUploads((prev) => [...prev, { key, name: file.name, progress: 0 }]);
+      try {
+        const response = await apiUploadAttachment(todo._id, file, (progress) =>
+          setUploads((prev) => prev.map((u) => (u.key === key ? { ...u, progress } : u)))
+        );
+        onChange(response.data);
+        setError("");
+      } catch (err) {
+        setError(getErrorMessage(err, `Failed to upload ${file.name}`));
+      } finally {
+        setUploads((prev) => prev.filter((u) => u.key !== key));
+      }
+    }
+  }
+
+  /**
+   * Downloads an attachment, saved under its own name
+   * @param {Object} attachment - The attachment
+   */
+  async function handleDownload(attachment) {
+    try {
+      const response = await apiGetAttachment(todo._id, attachment._id);
+      saveFile(response.data, attachment.name);
+    } catch (err) {
+      setError(getErrorMessage(err, `Failed to download ${attachment.name}`));
+    }
+  }
+
+  /**
+   * Removes an attachment (after asking)
+   * @param {Object} attachment - The attachment
+   */
+  async function handleDelete(attachment) {
+    if (!window.confirm(`Remove “${attachment.name}”? The file is deleted for good.`)) return;
+    try {
+      const response = await apiDeleteAttachment(todo._id, attachment._id);
+      onChange(response.data);
+      setError("");
+    } catch (err) {
+      setError(getErrorMessage(err, "Failed to remove the attachment"));
+    }
+  }
+
+  /**
+   * Files dropped on the drop zone
+   * @param {DragEvent} e - The drop event
+   */
+  function handleDrop(e) {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    e.stopPropagation(); // Not a drop for the todo row's reordering
+    setDragOver(false);
+    uploadFiles(e.dataTransfer.files);
+  }
+
+  return (
+    <div className="attachments">
+      {attachments.length > 0 && (
+        <ul className="attachment-list">
+          {attachments.map((attachment) => (
+            <li key={attachment._id} className="attachment-item">
+              <button
+                className="attachment-open"
+                onClick={() => handleDownload(attachment)}
+                title={`Download ${attachment.name}`}
+              >
+                {IMAGE_TYPES.includes(attachment.mimeType) ? (
+                  <Thumbnail todoId={todo._id} attachment={attachment} />
+                ) : (
+                  <span className="attachment-icon" aria-hidden="true">📄</span>
+                )}
+                <span className="attachment-name">{attachment.name}</span>
+                <span className="attachment-size">{formatSize(attachment.size)}</span>
+              </button>
+              {!readOnly && (
+                <button
+                  className="icon-btn"
+                  onClick={() => handleDelete(attachment)}
+                  aria-label={`Remove ${attachment.name}`}
+                >
+                  ✕
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {uploads.map((upload) => (
+        <div key={upload.key} className="attachment-upload">
+          <span className="attachment-name">{upload.name}</span>
+          <progress value={upload.progress} max="1" aria-label={`Uploading ${upload.name}`} />
+        </div>
+      ))}
+
+      {!readOnly && (
+        <div
+          className={`drop-zone ${dragOver ? "drag-over" : ""}`}
+          onDragOver={(e) => {
+            if (!isFileDrag(e)) return;
+            e.preventDefault(); // Allows dropping here
+            e.dataTransfer.dropEffect = "copy";
+            setDragOver(true);
+          }}
+          onDragLeave={() => setDragOver(false)}
+          onDrop={handleDrop}
+        >
+          Drop files here or{" "}
+          <button className="link-btn" onClick={() => fileInputRef.current.click()}>
+            choose files
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            multiple
+            hidden
+            onChange={(e) => {
+              uploadFiles(e.target.files);
+              e.target.value = ""; // So picking the same file again still uploads it
+            }}
+          />
+        </div>
+      )}
+
+      {readOnly && attachments.length === 0 && <p className="attachment-empty">No files attached.</p>}
+      {error && <div className="field-error" role="alert">{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,89 @@
+// Import React hook for managing form state
+import { useState } from "react";
+// Import the API functions that talk to /api/auth on the backend
+import { apiLogin, apiRegister, getErrorMessage } from "../api";
+
+/**
+ * Login / Signup Screen
+ * Shown instead of the todo list when nobody is logged in
+ * @param {Function} onAuth - Called with { token, user } after a successful login or signup
+ */
+export default function AuthForm({ onAuth }) {
+  // "login" or "signup" - which version of the form we're showing
+  const [mode, setMode] = useState("login");
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  // Error message from the server (e.g. "Invalid username or password")
+  const [error, setError] = useState("");
+  // True while we wait for the server, so the button can't be double-clicked
+  const [submitting, setSubmitting] = useState(false);
+
+  const isLogin = mode === "login";
+
+  /**
+   * Sends the form to the login or register endpoint
+   * @param {Event} e - The form submit event
+   */
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setError("");
+    setSubmitting(true);
+
+    try {
+      const request = isLogin ? apiLogin : apiRegister;
+      const response = await request(username.trim(), password);
+      onAuth(response.data);
+    } catch (err) {
+      // Show the server's message if there is one, otherwise a generic one
+      setError(getErrorMessage(err));
+    } finally {
+      setSubmitting(false);
+    }
+  }
+
+  /**
+   * Switches between the login and signup versions of the form
+   */
+  function toggleMode() {
+    setMode(isLogin ? "signup" : "login");
+    setError("");
+  }
+
+  return (
+    <div className="todo-container">
+      <h1 className="app-title">📝 Bala's Todo App</h1>
+
+      <form onSubmit={handleSubmit} className="auth-form">
+        <h2 className="auth-title">{isLogin ? "Log in" : "Create an account"}</h2>
+
+        <input
+          className="todo-input"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          placeholder="Username"
+          autoComplete="username"
+          autoFocus
+        />
+        <input
+          className="todo-input"
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder={isLogin ? "Password" : "Password (at least 8 characters)"}
+          autoComplete={isLogin ? "current-password" : "new-password"}
+        />
+
+        {/* Server error message, if any */}
+        {error && <div className="form-error">{error}</div>}
+
+        <button type="submit" className="add-btn" disabled={submitting}>
+          {isLogin ? "Log in" : "Sign up"}
+        </button>
+
+        <button type="button" className="link-btn" onClick={toggleMode}>
+          {isLogin ? "No account yet? Sign up" : "Already have an account? Log in"}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+// Import React hook for the due date and tag inputs
+import { useState } from "react";
+import { fromDateTimeInputValue } from "../utils/dates";
+
+/**
+ * Bulk Action Bar
+ * Shown above the list while todos are selected; every button changes all of them at once
+ * @param {number} count - How many todos are selected
+ * @param {Array} lists - The user's lists, for "Move to"
+ * @param {boolean} busy - true while a bulk change is being sent (buttons are disabled)
+ * @param {Function} onAction - Called with (operation, value) - see apiBulkTodos in api.js
+ * @param {Function} onClearSelection - Called when the user deselects everything
+ */
+export default function BulkActionBar({ count, lists, busy, onAction, onClearSelection }) {
+  // Inputs for the operations that need a value
+  const [dueAt, setDueAt] = useState("");
+  const [tag, setTag] = useState("");
+
+  /**
+   * Sends a tag operation (if a tag was typed) and empties the tag box
+   * @param {"addTag"|"removeTag"} operation
+   */
+  function sendTag(operation) {
+    if (!tag.trim()) return;
+    onAction(operation, { tag: tag.trim() });
+    setTag("");
+  }
+
+  /**
+   * Deletes the selected todos after asking
+   */
+  function handleDelete() {
+    if (window.confirm(`Delete ${count} todo(s)?`)) onAction("delete");
+  }
+
+  return (
+    <div className="bulk-bar" role="toolbar" aria-label="Change selected todos">
+      <span className="bulk-count">{count} selected</span>
+
+      <button className="btn edit-btn" disabled={busy} onClick={() => onAction("complete")}>
+        ✓ Complete
+      </button>
+      <button className="btn edit-btn" disabled={busy} onClick={() => onAction("uncomplete")}>
+        ↺ Not done
+      </button>
+
+      {/* Picking a list moves them straight away ("" = Inbox) */}
+      <select
+        className="sort-select"
+        value="move"
+        disabled={busy}
+        onChange={(e) => onAction("setList", { listId: e.target.value || null })}
+        aria-label="Move selected todos to a list"
+      >
+        <option value="move" disabled>Move to…</option>
+        <option value="">📥 Inbox</option>
+        {lists.map((list) => (
+          <option key={list._id} value={list._id}>
+            {list.name}
+          </option>
+        ))}
+      </select>
+
+      <span className="bulk-group">
+        <input
+          type="datetime-local"
+          className="date-input"
+          value={dueAt}
+          onChange={(e) => setDueAt(e.target.value)}
+          aria-label="Due date for selected todos"
+        />
+        <button
+          className="btn edit-btn"
+          disabled={busy || !dueAt}
+          onClick={() => onAction("setDueDate", { dueAt: fromDateTimeInputValue(dueAt) })}
+        >
+          📅 Set due
+        </button>
+        <button className="btn cancel-btn" disabled={busy} onClick={() => onAction("setDueDate", { dueAt: null })}>
+          Clear due
+        </button>
+      </span>
+
+      <span className="bulk-group">
+        <input
+          className="tag-input"
+          value={tag}
+          onChange={(e) => setTag(e.target.value)}
+          placeholder="tag"
+          maxLength={30}
+          aria-label="Tag for selected todos"
+        />
+        <button className="btn edit-btn" disabled={busy || !tag.trim()} onClick={() => sendTag("addTag")}>
+          + Tag
+        </button>
+        <button className="btn cancel-btn" disabled={busy || !tag.trim()} onClick={() => sendTag("removeTag")}>
+          − Tag
+        </button>
+      </span>
+
+      <button className="btn delete-btn" disabled={busy} onClick={handleDelete}>
+        🗑️ Delete
+      </button>
+      <button className="link-btn" onClick={onClearSelection}>
+        Clear selection
+      </button>
+    </div>
+  );
+}
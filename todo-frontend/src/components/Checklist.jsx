@@ -0,0 +1,181 @@
+// Import React hook for the "add" and "rename" forms
+import { useState } from "react";
+import {
+  apiAddSubtask,
+  apiUpdateSubtask,
+  apiReorderSubtasks,
+  apiDeleteSubtask,
+  getErrorMessage,
+} from "../api";
+
+/**
+ * Checklist Inside A Todo
+ * Lists the todo's subtasks with a checkbox each; they can be added, renamed,
+ * moved up/down and removed. Every change goes straight to the server, which
+ * answers with the whole updated todo - that is handed to onChange.
+ * @param {Object} todo - The todo whose subtasks to show
+ * @param {Function} onChange - Called with the updated todo from the server
+ *   (plus nextOccurrence if ticking the last subtask completed a repeating todo)
+ * @param {boolean} [readOnly] - true to only show the subtasks (the user can only view the todo)
+ */
+export default function Checklist({ todo, onChange, readOnly = false }) {
+  // "Add subtask" input
+  const [newTitle, setNewTitle] = useState("");
+
+  // Which subtask is being renamed (and the text typed so far)
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameText, setRenameText] = useState("");
+
+  // Message shown under the checklist when a request fails
+  const [error, setError] = useState("");
+
+  const subtasks = todo.subtasks || [];
+
+  /**
+   * Runs one API call and passes the updated todo up, or shows why it failed
+   * @param {Function} request - Returns the API call's Promise
+   * @returns {Promise<boolean>} true if it worked
+   */
+  async function run(request) {
+    try {
+      const response = await request();
+      onChange(response.data);
+      setError("");
+      return true;
+    } catch (err) {
+      setError(getErrorMessage(err, "Failed to update checklist"));
+      return false;
+    }
+  }
+
+  /**
+   * Adds a subtask from the input at the bottom
+   * @param {Event} e - The form submit event
+   */
+  async function handleAdd(e) {
+    e.preventDefault();
+    if (!newTitle.trim()) return;
+    if (await run(() => apiAddSubtask(todo._id, newTitle.trim()))) {
+      setNewTitle("");
+    }
+  }
+
+  /**
+   * Saves the new title of the subtask being renamed
+   * @param {Event} e - The form submit event
+   */
+  async function handleRename(e) {
+    e.preventDefault();
+    if (renameText.trim()) {
+      await run(() => apiUpdateSubtask(todo._id, renamingId, { title: renameText.trim() }));
+    }
+    setRenamingId(null);
+  }
+
+  /**
+   * Swaps a subtask with its neighbour above (-1) or below (+1)
+   * @param {number} index - Position of the subtask to move
+   * @param {number} offset - -1 for up, +1 for down
+   */
+  function handleMove(index, offset) {
+    const ids = subtasks.map((s) => s._id);
+    [ids[index], ids[index + offset]] = [ids[index + offset], ids[index]];
+    run(() => apiReorderSubtasks(todo._id, ids));
+  }
+
+  return (
+    <div className="checklist">
+      <ul className="checklist-items">
+        {subtasks.map((subtask, index) => (
+          <li key={subtask._id} className="checklist-item">
+            <input
+              type="checkbox"
+              checked={subtask.completed}
+              onChange={() =>
+                run(() => apiUpdateSubtask(todo._id, subtask._id, { completed: !subtask.completed }))
+              }
+              aria-label={`Done: ${subtask.title}`}
+              disabled={readOnly}
+            />
+
+            {renamingId === subtask._id ? (
+              // Rename form - Enter saves, Escape cancels
+              <form className="checklist-rename" onSubmit={handleRename}>
+                <input
+                  type="text"
+                  value={renameText}
+                  onChange={(e) => setRenameText(e.target.value)}
+                  onKeyDown={(e) => e.key === "Escape" && setRenamingId(null)}
+                  onBlur={handleRename}
+                  autoFocus
+                  aria-label="Subtask title"
+                />
+              </form>
+            ) : (
+              // Double-click the text to rename it
+              <span
+                className={`checklist-title ${subtask.completed ? "completed" : ""}`}
+                onDoubleClick={() => {
+                  if (readOnly) return;
+                  setRenamingId(subtask._id);
+                  setRenameText(subtask.title);
+                }}
+                title={readOnly ? undefined : "Double-click to rename"}
+              >
+                {subtask.title}
+              </span>
+            )}
+
+            {/* Small buttons: move up, move down, remove */}
+            {!readOnly && (
+              <span className="checklist-actions">
+                <button
+                  className="icon-btn"
+                  onClick={() => handleMove(index, -1)}
+                  disabled={index === 0}
+                  aria-label="Move up"
+                >
+                  ↑
+                </button>
+                <button
+                  className="icon-btn"
+                  onClick={() => handleMove(index, 1)}
+                  disabled={index === subtasks.length - 1}
+                  aria-label="Move down"
+                >
+                  ↓
+                </button>
+                <button
+                  className="icon-btn"
+                  onClick={() => run(() => apiDeleteSubtask(todo._id, subtask._id))}
+                  aria-label={`Remove ${subtask.title}`}
+                >
+                  ✕
+                </button>
+              </span>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {/* Add a new subtask at the bottom */}
+      {!readOnly && (
+        <form className="checklist-add" onSubmit={handleAdd}>
+          <input
+            type="text"
+            value={newTitle}
+            onChange={(e) => setNewTitle(e.target.value)}
+            placeholder="Add a step..."
+            maxLength={200}
+            aria-label="New subtask"
+          />
+          <button type="submit" className="btn edit-btn">
+            Add
+          </button>
+        </form>
+      )}
+
+      {error && <p className="field-error">{error}</p>}
+    </div>
+  );
+}
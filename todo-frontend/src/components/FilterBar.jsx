@@ -0,0 +1,120 @@
+import TagChip from "./TagChip";
+
+/**
+ * Filter Bar
+ * Status tabs (All / Active / Completed), a search box and the sort order above the todo list,
+ * plus the tags the list is filtered by (if any)
+ * The parent owns the state - this component only displays it and reports changes
+ * @param {string} status - Currently selected tab: "all", "active" or "completed"
+ * @param {Function} onStatusChange - Called with the new status when a tab is clicked
+ * @param {string} search - Current text in the search box
+ * @param {Function} onSearchChange - Called with the new text as the user types
+ * @param {string} sort - Current sort order (a sort value the server understands)
+ * @param {Function} onSortChange - Called with the new sort order
+ * @param {string[]} activeTags - Tag names the list is filtered by
+ * @param {string} tagMode - "any" (todos with at least one of them) or "all" (todos with every one)
+ * @param {Function} onTagModeChange - Called with "any" or "all"
+ * @param {Function} onRemoveTag - Called with a tag name to stop filtering by it
+ * @param {Array} allTags - The user's tags (for the chip colors)
+ */
+
+// The tabs we show, in order
+const STATUS_TABS = [
+  { value: "all", label: "All" },
+  { value: "active", label: "Active" },
+  { value: "completed", label: "Completed" },
+];
+
+// Sort orders the user can pick ("manual" = drag todos into your own order,
+// "smart" = most pressing first: priority, due date and age)
+const SORT_OPTIONS = [
+  { value: "-createdAt", label: "Newest first" },
+  { value: "createdAt", label: "Oldest first" },
+  { value: "dueAt", label: "Due date" },
+  { value: "title", label: "Title (A-Z)" },
+  { value: "smart", label: "What matters" },
+  { value: "manual", label: "My order" },
+];
+
+export default function FilterBar({
+  status,
+  onStatusChange,
+  search,
+  onSearchChange,
+  sort,
+  onSortChange,
+  activeTags,
+  tagMode,
+  onTagModeChange,
+  onRemoveTag,
+  allTags,
+}) {
+  return (
+    <div className="filter-bar">
+      {/* Status tabs - role="tablist" lets screen readers announce them as tabs */}
+      <div className="filter-tabs" role="tablist" aria-label="Filter todos">
+        {STATUS_TABS.map((tab) => (
+          <button
+            key={tab.value}
+            role="tab"
+            aria-selected={status === tab.value}
+            className={`filter-tab ${status === tab.value ? "active" : ""}`}
+            onClick={() => onStatusChange(tab.value)}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {/* Search box - searches title and notes on the server */}
+      <input
+        type="search"
+        className="search-input"
+        value={search}
+        onChange={(e) => onSearchChange(e.target.value)}
+        placeholder="🔍 Search todos..."
+        aria-label="Search todos"
+      />
+
+      {/* Sort order - "My order" turns on drag-and-drop */}
+      <select
+        className="sort-select"
+        value={sort}
+        onChange={(e) => onSortChange(e.target.value)}
+        aria-label="Sort todos"
+      >
+        {SORT_OPTIONS.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+
+      {/* Tag filter - chips come from clicking a tag on a todo or in the sidebar */}
+      {activeTags.length > 0 && (
+        <div className="tag-filter" aria-label="Tag filter">
+          <span>Tagged</span>
+          {activeTags.map((name) => (
+            <TagChip
+              key={name}
+              name={name}
+              color={allTags.find((tag) => tag.name === name)?.color}
+              onRemove={() => onRemoveTag(name)}
+            />
+          ))}
+          {activeTags.length > 1 && (
+            <select
+              className="sort-select"
+              value={tagMode}
+              onChange={(e) => onTagModeChange(e.target.value)}
+              aria-label="Match any or all of the tags"
+            >
+              <option value="any">any of these</option>
+              <option value="all">all of these</option>
+            </select>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
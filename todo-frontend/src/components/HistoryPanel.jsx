@@ -0,0 +1,140 @@
+// Import React hooks for loading the history from the server
+import { useState, useEffect } from "react";
+import { apiGetTodoHistory, getErrorMessage } from "../api";
+import { describeRecurrence } from "../utils/recurrence";
+import { PRIORITY_INFO } from "../utils/priority";
+import { usernameOf } from "../utils/sharing";
+
+// What each event type reads like after the person's name
+const VERBS = {
+  created: "created this",
+  updated: "changed",
+  completed: "completed this",
+  deleted: "moved this to the trash",
+  restored: "restored this",
+};
+
+// How each field is called in the history
+const FIELD_LABELS = {
+  title: "Title",
+  completed: "Done",
+  dueAt: "Due",
+  remindAt: "Reminder",
+  recurrence: "Repeats",
+  listId: "List",
+  assignee: "Assignee",
+  tags: "Tags",
+  priority: "Priority",
+  subtasks: "Checklist",
+  attachments: "Attachments",
+  notes: "Notes",
+};
+
+// Notes longer than this are cut short in the history
+const NOTES_PREVIEW_LENGTH = 60;
+
+/**
+ * Turns a field's value from the history into readable text
+ * @param {string} field - The field's name
+ * @param {*} value - Its value, as the server stored it
+ * @param {Array} lists - The user's lists (to name listId, and members for assignee)
+ * @param {Object} me - The logged-in user
+ * @returns {string}
+ */
+function formatValue(field, value, lists, me) {
+  if (field === "listId") return value ? lists.find((l) => l._id === value)?.name || "a deleted list" : "Inbox";
+  if (value === null || value === undefined) return "none";
+  if (field === "assignee") return usernameOf(value, lists, me) || "someone who left";
+  if (field === "completed") return value ? "yes" : "no";
+  if (field === "dueAt" || field === "remindAt") return new Date(value).toLocaleString();
+  if (field === "recurrence") return describeRecurrence(value);
+  if (field === "priority") return PRIORITY_INFO[value]?.label ?? value;
+  if (field === "tags") return value.length > 0 ? value.map((name) => `#${name}`).join(" ") : "none";
+  if (field === "attachments") return value.length > 0 ? value.join(", ") : "none";
+  if (field === "notes") {
+    if (!value) return "none";
+    return value.length > NOTES_PREVIEW_LENGTH ? `"${value.slice(0, NOTES_PREVIEW_LENGTH)}…"` : `"${value}"`;
+  }
+  if (field === "subtasks") {
+    return `${value.filter((s) => s.completed).length}/${value.length} done`;
+  }
+  return `"${value}"`;
+}
+
+/**
+ * History Of One Todo
+ * Who created, changed, completed, deleted or restored it, and when - newest first.
+ * Changes list each field that changed, from what to what.
+ * @param {Object} todo - The todo (reloads whenever its updatedAt changes)
+ * @param {Array} lists - The user's lists (to show list names and usernames instead of ids)
+ * @param {Object} me - The logged-in user
+ */
+export default function HistoryPanel({ todo, lists, me }) {
+  // { items, nextCursor } from the server (items grow as pages are loaded)
+  const [history, setHistory] = useState(null);
+  const [error, setError] = useState("");
+
+  // Load the newest events when opened and after every change to the todo
+  useEffect(() => {
+    let cancelled = false; // Ignore the answer if we've been closed meanwhile
+    apiGetTodoHistory(todo._id)
+      .then((response) => {
+        if (cancelled) return;
+        setHistory(response.data);
+        setError("");
+      })
+      .catch((err) => {
+        if (!cancelled) setError(getErrorMessage(err, "Failed to load the history"));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [todo._id, todo.updatedAt]);
+
+  /**
+   * Loads older events below the ones already shown
+   */
+  async function loadMore() {
+    try {
+      const response = await apiGetTodoHistory(todo._id, { cursor: history.nextCursor });
+      setHistory((prev) => ({ ...response.data, items: [...prev.items, ...response.data.items] }));
+    } catch (err) {
+      setError(getErrorMessage(err, "Failed to load the history"));
+    }
+  }
+
+  if (error) return <div className="form-error" role="alert">{error}</div>;
+  if (!history) return <div className="history-panel">Loading history...</div>;
+
+  return (
+    <div className="history-panel">
+      {history.items.length === 0 && <p className="history-empty">No history yet.</p>}
+      <ol className="history-list">
+        {history.items.map((event) => (
+          <li key={event._id} className="history-event">
+            <div>
+              <strong>{event.actorName}</strong> {VERBS[event.type]}
+              <span className="history-time"> · {new Date(event.createdAt).toLocaleString()}</span>
+            </div>
+            {event.changes.length > 0 && (
+              <ul className="history-changes">
+                {event.changes.map((change) => (
+                  <li key={change.field}>
+                    {FIELD_LABELS[change.field] || change.field}: {formatValue(change.field, change.before, lists, me)}
+                    {" → "}
+                    {formatValue(change.field, change.after, lists, me)}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        ))}
+      </ol>
+      {history.nextCursor && (
+        <button className="checklist-toggle" onClick={loadMore}>
+          Show older
+        </button>
+      )}
+    </div>
+  );
+}
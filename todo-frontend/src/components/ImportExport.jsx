@@ -0,0 +1,215 @@
+// Import React hook for the import preview
+import { useState } from "react";
+import { apiExportTodos, apiImportTodos, getErrorMessage } from "../api";
+import { LOCAL_TIME_ZONE } from "../utils/dates";
+import { saveFile } from "../utils/files";
+
+// File formats the server reads and writes (see utils/todoFormats.js in the backend)
+const FORMATS = [
+  { format: "json", extension: "json", label: "JSON" },
+  { format: "csv", extension: "csv", label: "CSV" },
+  { format: "md", extension: "md", label: "Markdown" },
+  { format: "ics", extension: "ics", label: "iCal" },
+];
+
+// File extensions we can import, and the format each one is read as
+const IMPORT_EXTENSIONS = { json: "json", csv: "csv", md: "md", markdown: "md", txt: "md", ics: "ics" };
+
+// How each row status reads in the preview
+const STATUS_LABELS = {
+  ready: "will be imported",
+  created: "imported",
+  duplicate: "already there - skipped",
+  error: "can't be imported",
+};
+
+/**
+ * Import / Export Section Of The Sidebar
+ * Export downloads every todo in one of the formats. Import reads a file, shows a preview
+ * of what would happen (dry run) - which rows are new, already there or broken - and only
+ * imports once the user confirms.
+ * @param {Function} onImported - Called after todos were imported (to reload todos, lists and tags)
+ */
+export default function ImportExport({ onImported }) {
+  // The file being imported: { name, format, text }
+  const [file, setFile] = useState(null);
+  // Skip todos the user already has (same title and due date)
+  const [skipDuplicates, setSkipDuplicates] = useState(true);
+  // The server's answer to the dry run (or to the import itself): { dryRun, summary, newLists, rows }
+  const [result, setResult] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  /**
+   * Downloads every todo in one format
+   * @param {Object} option - One of FORMATS
+   */
+  async function handleExport({ format, extension }) {
+    setError("");
+    try {
+      const response = await apiExportTodos(format);
+      saveFile(response.data, `todos-${new Date().toISOString().slice(0, 10)}.${extension}`);
+    } catch (err) {
+      setError(getErrorMessage(err, "Failed to export your todos"));
+    }
+  }
+
+  /**
+   * Sends the file to the server
+   * @param {Object} target - { format, text } of the file
+   * @param {boolean} dryRun - true = only get the preview
+   * @param {boolean} skip - Skip duplicates
+   */
+  async function runImport({ format, text }, dryRun, skip) {
+    setBusy(true);
+    setError("");
+    try {
+      const response = await apiImportTodos(format, text, {
+        dryRun,
+        tz: LOCAL_TIME_ZONE,
+        duplicates: skip ? "skip" : "import",
+      });
+      setResult(response.data);
+      if (!dryRun) onImported();
+    } catch (err) {
+      setResult(null);
+      setError(getErrorMessage(err, "Failed to import the file"));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  /**
+   * Reads the chosen file and asks the server for a preview
+   * @param {Event} e - The file input's change event
+   */
+  async function handleFileChosen(e) {
+    const chosen = e.target.files[0];
+    e.target.value = ""; // So choosing the same file again fires another change
+    if (!chosen) return;
+
+    const extension = chosen.name.split(".").pop().toLowerCase();
+    const format = IMPORT_EXTENSIONS[extension];
+    if (!format) {
+      setError(`Can't import .${extension} files - use JSON, CSV, Markdown (.md) or iCalendar (.ics)`);
+      return;
+    }
+    const next = { name: chosen.name, format, text: await chosen.text() };
+    setFile(next);
+    runImport(next, true, skipDuplicates);
+  }
+
+  /**
+   * Turns duplicate skipping on or off (the preview changes with it)
+   * @param {boolean} skip
+   */
+  function handleSkipChange(skip) {
+    setSkipDuplicates(skip);
+    if (file) runImport(file, true, skip);
+  }
+
+  /**
+   * Closes the preview / result
+   */
+  function reset() {
+    setFile(null);
+    setResult(null);
+    setError("");
+  }
+
+  // Rows worth pointing out: the ones that won't be (or weren't) imported
+  const problems = result ? result.rows.filter((row) => row.status === "duplicate" || row.status === "error") : [];
+
+  return (
+    <>
+      <h2 className="sidebar-title">Import / Export</h2>
+      <div className="transfer-row">
+        <span>Export:</span>
+        {FORMATS.map((option) => (
+          <button key={option.format} className="link-btn" onClick={() => handleExport(option)}>
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      {!file && (
+        <label className="transfer-row transfer-file">
+          <span className="link-btn">Import a file...</span>
+          <input
+            type="file"
+            accept=".json,.csv,.md,.markdown,.txt,.ics"
+            onChange={handleFileChosen}
+            aria-label="Import todos from a file"
+          />
+        </label>
+      )}
+
+      {error && <div className="form-error" role="alert">{error}</div>}
+
+      {file && (
+        <div className="sidebar-confirm transfer-preview" aria-busy={busy}>
+          <strong className="transfer-name">{file.name}</strong>
+          {busy && <span>Reading the file...</span>}
+
+          {result && !busy && (
+            <>
+              <span>
+                {result.dryRun
+                  ? `${result.summary.imported} of ${result.summary.total} todo(s) will be imported`
+                  : `Imported ${result.summary.imported} of ${result.summary.total} todo(s)`}
+              </span>
+              {result.newLists.length > 0 && (
+                <span>
+                  {result.dryRun ? "New lists: " : "Created lists: "}
+                  {result.newLists.join(", ")}
+                </span>
+              )}
+              {problems.length > 0 && (
+                <ul className="transfer-problems">
+                  {problems.map((row) => (
+                    <li key={row.line}>
+                      <span className="transfer-line">Line {row.line}</span>{" "}
+                      {row.title ? `"${row.title}" ` : ""}
+                      {STATUS_LABELS[row.status]}
+                      {row.errors && `: ${row.errors.map((e) => (e.field ? `${e.field} ${e.message}` : e.message)).join(", ")}`}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </>
+          )}
+
+          {result?.dryRun && (
+            <>
+              <label className="transfer-option">
+                <input
+                  type="checkbox"
+                  checked={skipDuplicates}
+                  onChange={(e) => handleSkipChange(e.target.checked)}
+                  disabled={busy}
+                />
+                Skip todos I already have
+              </label>
+              <div className="transfer-row">
+                <button
+                  className="link-btn"
+                  onClick={() => runImport(file, false, skipDuplicates)}
+                  disabled={busy || result.summary.imported === 0}
+                >
+                  Import {result.summary.imported} todo(s)
+                </button>
+                <button className="link-btn" onClick={reset}>Cancel</button>
+              </div>
+            </>
+          )}
+          {result && !result.dryRun && (
+            <button className="link-btn" onClick={reset}>Done</button>
+          )}
+          {!result && !busy && (
+            <button className="link-btn" onClick={reset}>Close</button>
+          )}
+        </div>
+      )}
+    </>
+  );
+}
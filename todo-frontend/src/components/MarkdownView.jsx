@@ -0,0 +1,130 @@
+import { parseMarkdown, parseInline } from "../utils/markdown";
+
+/**
+ * Inline Markdown pieces as React elements
+ * Unsafe links (href null) are shown as their text only
+ * @param {Array} pieces - From parseInline
+ */
+function Inline({ pieces }) {
+  return pieces.map((piece, index) => {
+    switch (piece.type) {
+      case "code":
+        return <code key={index}>{piece.text}</code>;
+      case "break":
+        return <br key={index} />;
+      case "link":
+        return piece.href ? (
+          <a key={index} href={piece.href} target="_blank" rel="noopener noreferrer nofollow">
+            <Inline pieces={piece.children} />
+          </a>
+        ) : (
+          <Inline key={index} pieces={piece.children} />
+        );
+      case "strong":
+        return (
+          <strong key={index}>
+            <Inline pieces={piece.children} />
+          </strong>
+        );
+      case "em":
+        return (
+          <em key={index}>
+            <Inline pieces={piece.children} />
+          </em>
+        );
+      case "del":
+        return (
+          <del key={index}>
+            <Inline pieces={piece.children} />
+          </del>
+        );
+      default:
+        return piece.text;
+    }
+  });
+}
+
+/**
+ * Markdown blocks as React elements
+ * @param {Array} blocks - From parseMarkdown
+ * @param {Function|null} onToggleTask - Called with a task's line when its box is clicked; null = read-only
+ */
+function Blocks({ blocks, onToggleTask }) {
+  return blocks.map((block) => {
+    switch (block.type) {
+      case "heading": {
+        // Note headings sit under the todo's title, so # is shown as an <h3> and so on
+        const Heading = `h${Math.min(block.level + 2, 6)}`;
+        return (
+          <Heading key={block.line}>
+            <Inline pieces={parseInline(block.text)} />
+          </Heading>
+        );
+      }
+      case "code":
+        return (
+          <pre key={block.line}>
+            <code>{block.text}</code>
+          </pre>
+        );
+      case "rule":
+        return <hr key={block.line} />;
+      case "quote":
+        return (
+          <blockquote key={block.line}>
+            <Blocks blocks={block.blocks} onToggleTask={onToggleTask} />
+          </blockquote>
+        );
+      case "list": {
+        // Nested items are kept in one list and indented by their depth
+        const List = block.ordered ? "ol" : "ul";
+        return (
+          <List key={block.line} className="markdown-list">
+            {block.items.map((item) => (
+              <li
+                key={item.line}
+                className={item.task !== null ? "markdown-task" : undefined}
+                style={item.depth > 0 ? { marginLeft: `${item.depth * 1.25}em` } : undefined}
+              >
+                {item.task !== null && (
+                  <input
+                    type="checkbox"
+                    checked={item.task}
+                    onChange={() => onToggleTask(item.line)}
+                    disabled={!onToggleTask}
+                    aria-label={item.text}
+                  />
+                )}
+                <span className={item.task ? "completed" : undefined}>
+                  <Inline pieces={parseInline(item.text)} />
+                </span>
+              </li>
+            ))}
+          </List>
+        );
+      }
+      default:
+        return (
+          <p key={block.line}>
+            <Inline pieces={parseInline(block.text)} />
+          </p>
+        );
+    }
+  });
+}
+
+/**
+ * Rendered Markdown Notes
+ * Built from React elements only (see utils/markdown.js), so a note can't inject HTML;
+ * links open in a new tab, and only http(s), mailto and tel links are links at all
+ * @param {string} text - The Markdown
+ * @param {Function|null} [onToggleTask] - Called with a task's line when its checkbox is clicked;
+ *   without it the checkboxes are read-only
+ */
+export default function MarkdownView({ text, onToggleTask = null }) {
+  return (
+    <div className="markdown">
+      <Blocks blocks={parseMarkdown(text)} onToggleTask={onToggleTask} />
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+import { formatDue } from "../utils/dates";
+import { describeRecurrence } from "../utils/recurrence";
+
+// What each kind of phrase is called (for screen readers and the tooltip)
+const TOKEN_LABELS = {
+  date: "due date",
+  time: "due time",
+  moment: "due date",
+  recurrence: "repeats",
+  tag: "tag",
+  priority: "priority",
+  list: "list",
+};
+
+/**
+ * Live Preview Of The Add Form
+ * Shows what was typed with every phrase the quick-add parser recognized highlighted
+ * ("tomorrow 5pm", "#work", "@Groceries"...), followed by what the new todo will get.
+ * Nothing is shown until something is recognized.
+ * @param {string} text - What's in the add form's input
+ * @param {Object} parsed - parseQuickAdd() of that text: { title, fields, tokens }
+ * @param {Array} lists - The user's lists (to name the list the todo goes into)
+ */
+export default function QuickAddPreview({ text, parsed, lists }) {
+  const { title, fields, tokens } = parsed;
+  if (tokens.length === 0) return null;
+
+  // The text split into plain parts and highlighted phrases
+  const parts = [];
+  let last = 0;
+  tokens.forEach((token, i) => {
+    if (token.start > last) parts.push(text.slice(last, token.start));
+    parts.push(
+      <mark key={i} className={`quick-token quick-token-${token.type}`} title={TOKEN_LABELS[token.type]}>
+        {token.text}
+      </mark>
+    );
+    last = token.end;
+  });
+  parts.push(text.slice(last));
+
+  const list = fields.listId && lists.find((l) => l._id === fields.listId);
+
+  return (
+    <div className="quick-add-preview" aria-live="polite">
+      <div className="quick-add-text">{parts}</div>
+      <div className="quick-add-summary">
+        <span>Adds "{title}"</span>
+        {fields.dueAt && <span>📅 {formatDue(fields.dueAt)}</span>}
+        {fields.recurrence && <span>🔁 {describeRecurrence(fields.recurrence)}</span>}
+        {fields.tags && <span>{fields.tags.map((name) => `#${name}`).join(" ")}</span>}
+        {fields.priority && <span>❗ {fields.priority}</span>}
+        {list && <span>📂 {list.name}</span>}
+      </div>
+    </div>
+  );
+}
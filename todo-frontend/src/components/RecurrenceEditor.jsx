@@ -0,0 +1,128 @@
+import { WEEKDAY_LABELS, WEEKDAY_ORDER } from "../utils/recurrence";
+import { LOCAL_TIME_ZONE, toDateInputValue, endOfDayFromDateInput } from "../utils/dates";
+
+/**
+ * Recurrence Editor
+ * Lets the user pick how a todo repeats: never, every N days, weekly on some weekdays,
+ * or monthly on a given day - with an optional end date
+ * @param {Object|null} value - Current rule (null = doesn't repeat)
+ * @param {Function} onChange - Called with the new rule (or null)
+ * @param {string|null} dueAt - The todo's due date, used to pre-fill weekday/day of month
+ */
+export default function RecurrenceEditor({ value, onChange, dueAt }) {
+  // The date repeats are based on (due date if set, otherwise today)
+  const base = dueAt ? new Date(dueAt) : new Date();
+
+  /**
+   * Switches frequency, filling in sensible defaults for the new one
+   * @param {string} freq - "none", "daily", "weekly" or "monthly"
+   */
+  function changeFreq(freq) {
+    if (freq === "none") return onChange(null);
+    const weekdays = value?.weekdays?.length ? value.weekdays : [base.getDay()];
+    onChange({
+      freq,
+      interval: value?.interval || 1,
+      weekdays: freq === "weekly" ? weekdays : undefined,
+      monthDay: freq === "monthly" ? value?.monthDay || base.getDate() : undefined,
+      until: value?.until || null,
+      // Weekdays and days of the month are counted in the user's time zone
+      timeZone: LOCAL_TIME_ZONE,
+    });
+  }
+
+  /**
+   * Updates one field of the rule
+   */
+  function update(field, fieldValue) {
+    onChange({ ...value, [field]: fieldValue, timeZone: LOCAL_TIME_ZONE });
+  }
+
+  /**
+   * Adds or removes a weekday (at least one must stay selected)
+   * @param {number} day - 0 = Sunday ... 6 = Saturday
+   */
+  function toggleWeekday(day) {
+    const weekdays = value.weekdays || [];
+    const next = weekdays.includes(day) ? weekdays.filter((d) => d !== day) : [...weekdays, day];
+    if (next.length > 0) update("weekdays", next);
+  }
+
+  const freq = value?.freq || "none";
+  const unit = { daily: "day(s)", weekly: "week(s)", monthly: "month(s)" }[freq];
+
+  return (
+    <fieldset className="recurrence-editor">
+      <legend>🔁 Repeat</legend>
+
+      <div className="recurrence-row">
+        <select value={freq} onChange={(e) => changeFreq(e.target.value)} aria-label="Repeat">
+          <option value="none">Doesn't repeat</option>
+          <option value="daily">Daily</option>
+          <option value="weekly">Weekly</option>
+          <option value="monthly">Monthly</option>
+        </select>
+
+        {value && (
+          <label>
+            every
+            <input
+              type="number"
+              className="small-number"
+              min="1"
+              max="365"
+              value={value.interval || 1}
+              onChange={(e) => update("interval", Math.max(1, Number(e.target.value) || 1))}
+            />
+            {unit}
+          </label>
+        )}
+      </div>
+
+      {/* Weekly: which days of the week */}
+      {freq === "weekly" && (
+        <div className="weekday-picker" role="group" aria-label="Weekdays">
+          {WEEKDAY_ORDER.map((day) => (
+            <button
+              key={day}
+              type="button"
+              className={`weekday ${value.weekdays?.includes(day) ? "active" : ""}`}
+              aria-pressed={value.weekdays?.includes(day) || false}
+              onClick={() => toggleWeekday(day)}
+            >
+              {WEEKDAY_LABELS[day]}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Monthly: which day of the month */}
+      {freq === "monthly" && (
+        <label>
+          on day
+          <input
+            type="number"
+            className="small-number"
+            min="1"
+            max="31"
+            value={value.monthDay || 1}
+            onChange={(e) => update("monthDay", Math.min(31, Math.max(1, Number(e.target.value) || 1)))}
+          />
+        </label>
+      )}
+
+      {/* Optional end date */}
+      {value && (
+        <label>
+          until
+          <input
+            type="date"
+            className="date-input"
+            value={toDateInputValue(value.until)}
+            onChange={(e) => update("until", endOfDayFromDateInput(e.target.value))}
+          />
+        </label>
+      )}
+    </fieldset>
+  );
+}
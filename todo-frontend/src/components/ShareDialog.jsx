@@ -0,0 +1,262 @@
+// Import React hooks for the member list, invite links and forms
+import { useState, useEffect } from "react";
+import {
+  apiGetListMembers,
+  apiAddListMember,
+  apiUpdateListMember,
+  apiRemoveListMember,
+  apiGetListInvites,
+  apiCreateListInvite,
+  apiDeleteListInvite,
+  getErrorMessage,
+} from "../api";
+import { ROLES, ROLE_LABELS, hasRole } from "../utils/sharing";
+
+/**
+ * The address an invite link points at: the app itself, with the token in ?invite=
+ * @param {string} token - Token from POST /api/lists/:id/invites
+ * @returns {string}
+ */
+function inviteUrl(token) {
+  return `${window.location.origin}${window.location.pathname}?invite=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Share Dialog For One List
+ * Everyone in the list with their role. Owners can add people by username, change roles,
+ * remove people and make invite links; everyone else can see who's in it and leave.
+ * @param {Object} list - The list (with the user's role)
+ * @param {Object} me - The logged-in user ({ _id, username })
+ * @param {Function} onClose - Called when the dialog should close
+ * @param {Function} onChanged - Called after members changed (so the sidebar reloads)
+ * @param {Function} onLeft - Called after the user left the list
+ */
+export default function ShareDialog({ list, me, onClose, onChanged, onLeft }) {
+  const isOwner = hasRole(list.role, "owner");
+
+  // Everyone in the list, and (for owners) the invite links that still work
+  const [members, setMembers] = useState(list.members || []);
+  const [invites, setInvites] = useState([]);
+
+  // "Add by username" form
+  const [username, setUsername] = useState("");
+  const [role, setRole] = useState("editor");
+
+  // "Invite link" form, and the link just made (it can only be shown once)
+  const [inviteRole, setInviteRole] = useState("viewer");
+  const [newLink, setNewLink] = useState("");
+  const [copied, setCopied] = useState(false);
+
+  const [error, setError] = useState("");
+
+  // Load fresh members (and invite links) when the dialog opens
+  useEffect(() => {
+    apiGetListMembers(list._id)
+      .then((response) => setMembers(response.data.members))
+      .catch((err) => setError(getErrorMessage(err, "Failed to load members")));
+    if (isOwner) {
+      apiGetListInvites(list._id)
+        .then((response) => setInvites(response.data.invites))
+        .catch(() => {});
+    }
+  }, [list._id, isOwner]);
+
+  // Escape closes the dialog
+  useEffect(() => {
+    const handleKey = (e) => e.key === "Escape" && onClose();
+    window.addEventListener("keydown", handleKey);
+    return () => window.removeEventListener("keydown", handleKey);
+  }, [onClose]);
+
+  /**
+   * Runs one change to the members and shows the new member list, or why it failed
+   * @param {Function} request - Returns the API call's Promise (answering { members })
+   * @returns {Promise<boolean>} true if it worked
+   */
+  async function changeMembers(request) {
+    try {
+      const response = await request();
+      setMembers(response.data.members);
+      setError("");
+      onChanged();
+      return true;
+    } catch (err) {
+      setError(getErrorMessage(err, "Failed to update members"));
+      return false;
+    }
+  }
+
+  /**
+   * Adds someone by username
+   * @param {Event} e - The form submit event
+   */
+  async function handleAdd(e) {
+    e.preventDefault();
+    if (!username.trim()) return;
+    if (await changeMembers(() => apiAddListMember(list._id, username.trim(), role))) {
+      setUsername("");
+    }
+  }
+
+  /**
+   * Leaves the list (after asking)
+   */
+  async function handleLeave() {
+    if (!window.confirm(`Leave “${list.name}”? You won't see its todos any more.`)) return;
+    try {
+      await apiRemoveListMember(list._id, me._id);
+      onLeft();
+    } catch (err) {
+      setError(getErrorMessage(err, "Failed to leave the list"));
+    }
+  }
+
+  /**
+   * Makes a new invite link and shows it
+   */
+  async function handleCreateInvite() {
+    try {
+      const response = await apiCreateListInvite(list._id, { role: inviteRole });
+      setInvites((prev) => [response.data.invite, ...prev]);
+      setNewLink(inviteUrl(response.data.token));
+      setCopied(false);
+    } catch (err) {
+      setError(getErrorMessage(err, "Failed to make an invite link"));
+    }
+  }
+
+  /**
+   * Copies the new invite link to the clipboard
+   */
+  async function handleCopy() {
+    try {
+      await navigator.clipboard.writeText(newLink);
+      setCopied(true);
+    } catch {
+      // No clipboard access - the link is selectable in the input
+    }
+  }
+
+  /**
+   * Stops an invite link from working
+   * @param {string} inviteId - The invite's ID
+   */
+  async function handleRevoke(inviteId) {
+    try {
+      await apiDeleteListInvite(list._id, inviteId);
+      setInvites((prev) => prev.filter((invite) => invite._id !== inviteId));
+    } catch (err) {
+      setError(getErrorMessage(err, "Failed to revoke the link"));
+    }
+  }
+
+  return (
+    <div className="dialog-backdrop" onClick={(e) => e.target === e.currentTarget && onClose()}>
+      <div className="share-dialog" role="dialog" aria-modal="true" aria-labelledby="share-title">
+        <div className="share-header">
+          <h2 id="share-title">
+            <span className="list-dot" style={{ background: list.color }} /> Share “{list.name}”
+          </h2>
+          <button className="link-btn" onClick={onClose} aria-label="Close">✕</button>
+        </div>
+
+        {/* Everyone in the list */}
+        <ul className="member-list">
+          {members.map((member) => (
+            <li key={member.user?._id || "deleted"} className="member-row">
+              <span className="member-name">
+                👤 {member.user ? member.user.username : "Deleted account"}
+                {member.user?._id === me._id && " (you)"}
+              </span>
+              {isOwner && !member.creator && member.user ? (
+                <>
+                  <select
+                    value={member.role}
+                    onChange={(e) =>
+                      changeMembers(() => apiUpdateListMember(list._id, member.user._id, e.target.value))
+                    }
+                    aria-label={`Role of ${member.user.username}`}
+                  >
+                    {ROLES.map((value) => (
+                      <option key={value} value={value}>{ROLE_LABELS[value]}</option>
+                    ))}
+                  </select>
+                  <button
+                    className="icon-btn"
+                    onClick={() => changeMembers(() => apiRemoveListMember(list._id, member.user._id))}
+                    aria-label={`Remove ${member.user.username}`}
+                  >
+                    ✕
+                  </button>
+                </>
+              ) : (
+                <span className="member-role">{member.creator ? "Creator" : ROLE_LABELS[member.role]}</span>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        {isOwner ? (
+          <>
+            {/* Add someone by username */}
+            <form className="share-form" onSubmit={handleAdd}>
+              <input
+                className="sidebar-input"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                placeholder="Username"
+                aria-label="Username to share with"
+              />
+              <select value={role} onChange={(e) => setRole(e.target.value)} aria-label="Their role">
+                {ROLES.map((value) => (
+                  <option key={value} value={value}>{ROLE_LABELS[value]}</option>
+                ))}
+              </select>
+              <button type="submit" className="btn edit-btn">Add</button>
+            </form>
+
+            {/* Invite links */}
+            <h3 className="share-subtitle">Invite link</h3>
+            <div className="share-form">
+              <select value={inviteRole} onChange={(e) => setInviteRole(e.target.value)} aria-label="Role the link gives">
+                <option value="viewer">{ROLE_LABELS.viewer}</option>
+                <option value="editor">{ROLE_LABELS.editor}</option>
+              </select>
+              <button className="btn edit-btn" onClick={handleCreateInvite}>🔗 Make link</button>
+            </div>
+            {newLink && (
+              <div className="share-form">
+                <input className="sidebar-input" value={newLink} readOnly aria-label="Invite link" onFocus={(e) => e.target.select()} />
+                <button className="btn save-btn" onClick={handleCopy}>{copied ? "Copied" : "Copy"}</button>
+              </div>
+            )}
+            {invites.length > 0 && (
+              <ul className="member-list">
+                {invites.map((invite) => (
+                  <li key={invite._id} className="member-row">
+                    <span className="member-name">
+                      {ROLE_LABELS[invite.role]} · until {new Date(invite.expiresAt).toLocaleDateString()}
+                      {invite.uses > 0 && ` · used ${invite.uses}×`}
+                    </span>
+                    <button className="link-btn" onClick={() => handleRevoke(invite._id)}>Revoke</button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </>
+        ) : (
+          <p className="share-note">
+            {ROLE_LABELS[list.role]} - only the list's owners can change who's in it.
+          </p>
+        )}
+
+        {/* Anyone but the creator can leave */}
+        {!members.some((m) => m.creator && m.user?._id === me._id) && (
+          <button className="btn delete-btn" onClick={handleLeave}>Leave list</button>
+        )}
+
+        {error && <div className="field-error" role="alert">{error}</div>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,205 @@
+// Import React hook for the "new list" and "rename" forms
+import { useState } from "react";
+
+// Color a new list gets unless the user picks another one
+const DEFAULT_LIST_COLOR = "#667eea";
+
+/**
+ * One clickable sidebar entry: colored dot, name and counts
+ * @param {string} id - "all", "inbox" or a list ID
+ * @param {boolean} active - true when this entry is the selected one
+ * @param {boolean} [shared] - true for lists other people are in (shows a marker)
+ */
+function SidebarEntry({ id, name, color, counts, active, onSelect, shared = false }) {
+  return (
+    <button
+      className={`sidebar-entry ${active ? "active" : ""}`}
+      onClick={() => onSelect(id)}
+      aria-current={active ? "page" : undefined}
+    >
+      <span className="list-dot" style={{ background: color }} />
+      <span className="list-name">{name}</span>
+      {shared && <span className="shared-marker" title="Shared list" aria-label="shared">👥</span>}
+      <span className="list-counts" title={`${counts.active} open, ${counts.completed} done`}>
+        {counts.active}
+        {counts.completed > 0 && <span className="list-done"> / {counts.completed}✓</span>}
+      </span>
+    </button>
+  );
+}
+
+/**
+ * Sidebar With The User's Lists
+ * "All todos" and "Inbox" are always there; below them come the user's own lists,
+ * then the ones shared with them. Each entry shows how many todos are still open (and how many are done).
+ * Renaming a list is only offered to its owners, deleting it only to its creator.
+ * @param {Array} lists - The user's lists, each with counts: { active, completed } and the user's role
+ * @param {string} userId - The signed-in user's ID (a list's owner field is its creator)
+ * @param {Object} inboxCounts - { active, completed } for todos without a list
+ * @param {string} selected - "all", "inbox" or a list ID
+ * @param {Function} onSelect - Called with "all", "inbox" or a list ID
+ * @param {Function} onCreate - Called with { name, color }; returns a Promise
+ * @param {Function} onRename - Called with (id, name); returns a Promise
+ * @param {Function} onDelete - Called with (id, "inbox" | "delete"); returns a Promise
+ * @param {Function} onShare - Called with a list ID to open its share dialog
+ * @param {ReactNode} children - Extra sections shown under the lists (the tags)
+ */
+export default function Sidebar({
+  lists,
+  userId,
+  inboxCounts,
+  selected,
+  onSelect,
+  onCreate,
+  onRename,
+  onDelete,
+  onShare,
+  children,
+}) {
+  // "New list" form fields
+  const [newName, setNewName] = useState("");
+  const [newColor, setNewColor] = useState(DEFAULT_LIST_COLOR);
+
+  // Which list is being renamed (and the text typed so far)
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameText, setRenameText] = useState("");
+
+  // Which list is asking "what should happen to its todos?"
+  const [deletingId, setDeletingId] = useState(null);
+
+  // Totals for "All todos"
+  const allCounts = lists.reduce(
+    (sum, list) => ({
+      active: sum.active + list.counts.active,
+      completed: sum.completed + list.counts.completed,
+    }),
+    inboxCounts
+  );
+
+  /**
+   * Creates a list from the "new list" form
+   * @param {Event} e - The form submit event
+   */
+  async function handleCreate(e) {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    await onCreate({ name: newName.trim(), color: newColor });
+    setNewName("");
+  }
+
+  /**
+   * Saves the new name of the list being renamed
+   * @param {Event} e - The form submit event
+   */
+  async function handleRename(e) {
+    e.preventDefault();
+    if (renameText.trim()) {
+      await onRename(renamingId, renameText.trim());
+    }
+    setRenamingId(null);
+  }
+
+  return (
+    <nav className="sidebar" aria-label="Lists">
+      <SidebarEntry
+        id="all" name="All todos" color="white" counts={allCounts}
+        active={selected === "all"} onSelect={onSelect}
+      />
+      <SidebarEntry
+        id="inbox" name="📥 Inbox" color="#bbb" counts={inboxCounts}
+        active={selected === "inbox"} onSelect={onSelect}
+      />
+
+      <h2 className="sidebar-title">Lists</h2>
+      <ul className="sidebar-lists">
+        {lists.map((list) => (
+          <li key={list._id}>
+            {renamingId === list._id ? (
+              // Rename form in place of the entry
+              <form onSubmit={handleRename} className="sidebar-form">
+                <input
+                  className="sidebar-input"
+                  value={renameText}
+                  onChange={(e) => setRenameText(e.target.value)}
+                  onBlur={handleRename}
+                  onKeyDown={(e) => e.key === "Escape" && setRenamingId(null)}
+                  aria-label="List name"
+                  autoFocus
+                />
+              </form>
+            ) : deletingId === list._id ? (
+              // "What should happen to its todos?"
+              <div className="sidebar-confirm" role="group" aria-label={`Delete ${list.name}`}>
+                <span>Delete “{list.name}”?</span>
+                <button className="link-btn" onClick={() => onDelete(list._id, "inbox")}>
+                  Move todos to Inbox
+                </button>
+                <button className="link-btn" onClick={() => onDelete(list._id, "delete")}>
+                  Trash todos too
+                </button>
+                <button className="link-btn" onClick={() => setDeletingId(null)}>
+                  Cancel
+                </button>
+              </div>
+            ) : (
+              <div className="sidebar-row">
+                <SidebarEntry
+                  id={list._id} name={list.name} color={list.color} counts={list.counts}
+                  active={selected === list._id} onSelect={onSelect} shared={list.shared}
+                />
+                <button
+                  className="icon-btn"
+                  onClick={() => onShare(list._id)}
+                  aria-label={`Share ${list.name}`}
+                >
+                  🔗
+                </button>
+                {list.role === "owner" && (
+                  <button
+                    className="icon-btn"
+                    onClick={() => {
+                      setRenamingId(list._id);
+                      setRenameText(list.name);
+                    }}
+                    aria-label={`Rename ${list.name}`}
+                  >
+                    ✏️
+                  </button>
+                )}
+                {list.owner === userId && (
+                  <button
+                    className="icon-btn"
+                    onClick={() => setDeletingId(list._id)}
+                    aria-label={`Delete ${list.name}`}
+                  >
+                    🗑️
+                  </button>
+                )}
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {/* New list form */}
+      <form onSubmit={handleCreate} className="sidebar-form">
+        <input
+          type="color"
+          className="color-input"
+          value={newColor}
+          onChange={(e) => setNewColor(e.target.value)}
+          aria-label="List color"
+        />
+        <input
+          className="sidebar-input"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder="+ New list"
+          aria-label="New list name"
+        />
+      </form>
+
+      {children}
+    </nav>
+  );
+}
@@ -0,0 +1,213 @@
+// Import React hooks for loading the stats from the server
+import { useState, useEffect } from "react";
+import { apiGetStats, getErrorMessage } from "../api";
+import { toDateInputValue, LOCAL_TIME_ZONE } from "../utils/dates";
+
+// The ranges the dashboard offers, in days (today included)
+const RANGES = [7, 30, 90];
+
+// Size of the charts' drawing area - the SVGs scale to the width they get
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 160;
+
+/**
+ * The day `count` days before today, as "YYYY-MM-DD" (local calendar day)
+ * @param {number} count
+ * @returns {string}
+ */
+function daysAgo(count) {
+  const date = new Date();
+  date.setDate(date.getDate() - count);
+  return toDateInputValue(date.toISOString());
+}
+
+/**
+ * "2024-03-05" -> "Mar 5" (the day itself, whatever the browser's time zone)
+ * @param {string} day - "YYYY-MM-DD"
+ * @returns {string}
+ */
+function formatDay(day) {
+  return new Date(`${day}T12:00:00`).toLocaleDateString(undefined, { month: "short", day: "numeric" });
+}
+
+/**
+ * A duration in the largest unit that fits: "3 days", "5 hours", "12 minutes"
+ * @param {number|null} ms
+ * @returns {string} "-" when there's nothing to average
+ */
+function formatDuration(ms) {
+  if (ms == null) return "-";
+  const units = [
+    ["day", 24 * 60 * 60 * 1000],
+    ["hour", 60 * 60 * 1000],
+    ["minute", 60 * 1000],
+  ];
+  for (const [unit, size] of units) {
+    const count = ms / size;
+    if (count >= 1 || unit === "minute") {
+      const rounded = count >= 10 ? Math.round(count) : Math.round(count * 10) / 10;
+      return `${rounded} ${unit}${rounded === 1 ? "" : "s"}`;
+    }
+  }
+}
+
+/**
+ * Bar chart of one number per label
+ * @param {Array} bars - [{ label, value }]
+ * @param {string} title - What the chart shows (read out by screen readers)
+ */
+function BarChart({ bars, title }) {
+  const max = Math.max(1, ...bars.map((bar) => bar.value));
+  const slot = CHART_WIDTH / bars.length;
+  const gap = Math.min(4, slot * 0.2);
+
+  return (
+    <svg className="stats-chart" viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} preserveAspectRatio="none" role="img" aria-label={title}>
+      {bars.map((bar, i) => {
+        const height = (bar.value / max) * (CHART_HEIGHT - 4);
+        return (
+          <rect
+            key={bar.label}
+            className="stats-bar"
+            x={i * slot + gap / 2}
+            y={CHART_HEIGHT - height}
+            width={slot - gap}
+            height={height}
+          >
+            <title>{`${bar.label}: ${bar.value}`}</title>
+          </rect>
+        );
+      })}
+    </svg>
+  );
+}
+
+/**
+ * Line chart of how many todos were open and done at the end of each day
+ * @param {Array} days - [{ date, open, done }] from the server
+ */
+function TrendChart({ days }) {
+  const max = Math.max(1, ...days.map((day) => Math.max(day.open, day.done)));
+  const x = (i) => (days.length === 1 ? CHART_WIDTH / 2 : (i / (days.length - 1)) * CHART_WIDTH);
+  const y = (value) => CHART_HEIGHT - 2 - (value / max) * (CHART_HEIGHT - 4);
+  const line = (key) => days.map((day, i) => `${x(i)},${y(day[key])}`).join(" ");
+
+  const first = days[0];
+  const last = days[days.length - 1];
+  return (
+    <svg
+      className="stats-chart"
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      preserveAspectRatio="none"
+      role="img"
+      aria-label={`Open todos went from ${first.open} to ${last.open}, done from ${first.done} to ${last.done}`}
+    >
+      <polyline className="stats-line stats-line-done" points={line("done")} />
+      <polyline className="stats-line stats-line-open" points={line("open")} />
+    </svg>
+  );
+}
+
+/**
+ * Stats Dashboard
+ * How productive the user has been: the completion streak, totals, average time to
+ * complete, completions per day and week and how the open / done piles changed
+ * @param {number} refreshKey - Changes whenever todos change elsewhere, so we reload
+ */
+export default function StatsDashboard({ refreshKey }) {
+  // How many days back the dashboard looks (one of RANGES)
+  const [range, setRange] = useState(30);
+  // The stats from the server (see GET /api/stats)
+  const [stats, setStats] = useState(null);
+  const [error, setError] = useState("");
+
+  // Load the stats when the view opens, when the range changes and whenever todos change
+  useEffect(() => {
+    let cancelled = false; // Ignore the answer if we've been unmounted meanwhile
+    apiGetStats(LOCAL_TIME_ZONE, { from: daysAgo(range - 1), to: daysAgo(0) })
+      .then((response) => {
+        if (cancelled) return;
+        setStats(response.data);
+        setError("");
+      })
+      .catch((err) => {
+        if (!cancelled) setError(getErrorMessage(err, "Failed to load your stats"));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshKey, range]);
+
+  if (error) return <div className="form-error" role="alert">{error}</div>;
+  if (!stats) return <div className="message">Loading your stats...</div>;
+
+  const { streak, totals } = stats;
+  const dayBars = stats.days.map((day) => ({ label: formatDay(day.date), value: day.completed }));
+  const weekBars = stats.weeks.map((week) => ({ label: `Week of ${formatDay(week.week)}`, value: week.completed }));
+
+  return (
+    <div className="stats-dashboard">
+      {/* Which range the numbers cover */}
+      <div className="stats-ranges" role="group" aria-label="Range">
+        {RANGES.map((days) => (
+          <button
+            key={days}
+            className={`filter-tab ${range === days ? "active" : ""}`}
+            aria-pressed={range === days}
+            onClick={() => setRange(days)}
+          >
+            {days} days
+          </button>
+        ))}
+      </div>
+
+      {/* The headline numbers */}
+      <div className="stats-cards">
+        <div className="stats-card stats-streak">
+          <span className="stats-value">🔥 {streak.current}</span>
+          <span className="stats-label">
+            day{streak.current === 1 ? "" : "s"} in a row · best {streak.longest}
+          </span>
+        </div>
+        <div className="stats-card">
+          <span className="stats-value">{totals.completed}</span>
+          <span className="stats-label">completed · {totals.created} added</span>
+        </div>
+        <div className="stats-card">
+          <span className="stats-value">{totals.open}</span>
+          <span className="stats-label">still open</span>
+        </div>
+        <div className="stats-card">
+          <span className="stats-value">{formatDuration(stats.averageCompletionMs)}</span>
+          <span className="stats-label">average time to complete</span>
+        </div>
+      </div>
+
+      <section className="stats-section">
+        <h3 className="stats-title">Completed per day</h3>
+        <BarChart bars={dayBars} title="Todos completed per day" />
+        <div className="stats-axis">
+          <span>{formatDay(stats.from)}</span>
+          <span>{formatDay(stats.to)}</span>
+        </div>
+      </section>
+
+      <section className="stats-section">
+        <h3 className="stats-title">Completed per week</h3>
+        <BarChart bars={weekBars} title="Todos completed per week" />
+      </section>
+
+      <section className="stats-section">
+        <h3 className="stats-title">
+          <span className="stats-key stats-key-open">Open</span> vs{" "}
+          <span className="stats-key stats-key-done">done</span>
+        </h3>
+        <TrendChart days={stats.days} />
+        <div className="stats-axis">
+          <span>{formatDay(stats.from)}</span>
+          <span>{formatDay(stats.to)}</span>
+        </div>
+      </section>
+    </div>
+  );
+}
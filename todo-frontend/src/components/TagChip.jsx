@@ -0,0 +1,48 @@
+// Chip color for tags that don't have one yet (matches the server's default)
+export const DEFAULT_TAG_COLOR = "#90a4ae";
+
+/**
+ * Picks black or white text, whichever is easier to read on a background color
+ * @param {string} hex - Background color like "#4CAF50"
+ * @returns {string} "#000" or "#fff"
+ */
+function textColorOn(hex) {
+  const [r, g, b] = [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+  // Perceived brightness (ITU-R BT.601 weights)
+  return r * 0.299 + g * 0.587 + b * 0.114 > 150 ? "#000" : "#fff";
+}
+
+/**
+ * Tag Chip
+ * A tag name on a colored background. Clicking it filters the list by the tag.
+ * @param {string} name - The tag's name
+ * @param {string} [color] - The tag's color (hex)
+ * @param {boolean} [active] - true when the list is being filtered by this tag
+ * @param {Function} [onClick] - Called when the chip is clicked (no onClick = plain label)
+ * @param {Function} [onRemove] - Called when its ✕ is clicked (no onRemove = no ✕)
+ */
+export default function TagChip({ name, color = DEFAULT_TAG_COLOR, active, onClick, onRemove }) {
+  const style = { background: color, color: textColorOn(color) };
+
+  return (
+    <span className={`tag-chip ${active ? "active" : ""}`} style={style}>
+      {onClick ? (
+        <button
+          className="tag-chip-name"
+          onClick={onClick}
+          aria-pressed={Boolean(active)}
+          title={active ? `Stop filtering by ${name}` : `Show only todos tagged ${name}`}
+        >
+          #{name}
+        </button>
+      ) : (
+        <span className="tag-chip-name">#{name}</span>
+      )}
+      {onRemove && (
+        <button className="tag-chip-remove" onClick={onRemove} aria-label={`Remove tag ${name}`}>
+          ✕
+        </button>
+      )}
+    </span>
+  );
+}
@@ -0,0 +1,124 @@
+// Import React hook for the text being typed and the highlighted suggestion
+import { useState } from "react";
+import TagChip from "./TagChip";
+
+// Keep in sync with the limits in validators/tag.js and validators/todo.js on the backend
+const TAG_MAX_LENGTH = 30;
+const MAX_TAGS_PER_TODO = 20;
+
+// How many suggestions to show under the input
+const MAX_SUGGESTIONS = 6;
+
+/**
+ * Tag Picker With Autocomplete
+ * Shows the todo's tags as chips and a box for adding more. Typing suggests the user's
+ * existing tags; Enter adds the highlighted suggestion (or the typed name if nothing matches),
+ * a comma adds exactly what was typed,
+ * Backspace in an empty box removes the last tag. New names become new tags.
+ * @param {string[]} value - The todo's tag names
+ * @param {Function} onChange - Called with the new array of names
+ * @param {Array} allTags - The user's tags ({ name, color }) to suggest
+ */
+export default function TagInput({ value, onChange, allTags }) {
+  const [text, setText] = useState("");
+  const [highlighted, setHighlighted] = useState(0);
+
+  const colorOf = (name) => allTags.find((tag) => tag.name === name)?.color;
+
+  // Existing tags that start with (or else contain) what's typed, minus the ones already added
+  const typed = text.trim().toLowerCase();
+  const suggestions = typed
+    ? allTags
+        .filter((tag) => !value.includes(tag.name) && tag.name.toLowerCase().includes(typed))
+        .sort((a, b) => b.name.toLowerCase().startsWith(typed) - a.name.toLowerCase().startsWith(typed))
+        .slice(0, MAX_SUGGESTIONS)
+    : [];
+
+  /**
+   * Adds a tag name (if it's new to this todo) and empties the box
+   * @param {string} name - The tag's name
+   */
+  function add(name) {
+    const clean = name.trim().replace(/,/g, "").slice(0, TAG_MAX_LENGTH);
+    if (clean && !value.includes(clean) && value.length < MAX_TAGS_PER_TODO) {
+      onChange([...value, clean]);
+    }
+    setText("");
+    setHighlighted(0);
+  }
+
+  /**
+   * Keyboard handling: Enter/comma add, arrows move through suggestions, Backspace removes
+   * @param {KeyboardEvent} e
+   */
+  function handleKeyDown(e) {
+    if (e.key === "Enter" || e.key === ",") {
+      // Don't submit the edit form while a tag is being typed
+      if (!text.trim()) return;
+      e.preventDefault();
+      add(e.key === "," ? text : suggestions[highlighted]?.name ?? text);
+    } else if (e.key === "ArrowDown" && suggestions.length > 0) {
+      e.preventDefault();
+      setHighlighted((i) => (i + 1) % suggestions.length);
+    } else if (e.key === "ArrowUp" && suggestions.length > 0) {
+      e.preventDefault();
+      setHighlighted((i) => (i - 1 + suggestions.length) % suggestions.length);
+    } else if (e.key === "Backspace" && !text && value.length > 0) {
+      onChange(value.slice(0, -1));
+    } else if (e.key === "Escape" && text) {
+      setText("");
+    }
+  }
+
+  return (
+    <div className="tag-input-wrap">
+      {value.map((name) => (
+        <TagChip
+          key={name}
+          name={name}
+          color={colorOf(name)}
+          onRemove={() => onChange(value.filter((n) => n !== name))}
+        />
+      ))}
+      <input
+        className="tag-input"
+        value={text}
+        onChange={(e) => {
+          setText(e.target.value);
+          setHighlighted(0);
+        }}
+        onKeyDown={handleKeyDown}
+        onBlur={() => text.trim() && add(text)}
+        placeholder={value.length < MAX_TAGS_PER_TODO ? "+ tag" : "Tag limit reached"}
+        disabled={value.length >= MAX_TAGS_PER_TODO}
+        aria-label="Add a tag"
+        role="combobox"
+        aria-expanded={suggestions.length > 0}
+        aria-controls="tag-suggestions"
+        aria-autocomplete="list"
+        aria-activedescendant={suggestions.length > 0 ? `tag-suggestion-${highlighted}` : undefined}
+      />
+      {suggestions.length > 0 && (
+        <ul id="tag-suggestions" className="tag-suggestions" role="listbox">
+          {suggestions.map((tag, i) => (
+            <li
+              key={tag._id}
+              id={`tag-suggestion-${i}`}
+              role="option"
+              aria-selected={i === highlighted}
+              className={i === highlighted ? "highlighted" : ""}
+              // mousedown, not click: click would come after the input's blur
+              onMouseDown={(e) => {
+                e.preventDefault();
+                add(tag.name);
+              }}
+            >
+              <span className="list-dot" style={{ background: tag.color }} />
+              {tag.name}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
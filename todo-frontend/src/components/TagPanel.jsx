@@ -0,0 +1,128 @@
+// Import React hook for the "new tag" and "rename" forms
+import { useState } from "react";
+import TagChip, { DEFAULT_TAG_COLOR } from "./TagChip";
+
+/**
+ * Tags Section Of The Sidebar
+ * Every tag the user has, with how many todos carry it. Clicking a chip filters the
+ * list by that tag (click more chips to combine them); the color swatch recolors it.
+ * @param {Array} tags - The user's tags: { _id, name, color, count }
+ * @param {string[]} activeTags - Tags the list is filtered by
+ * @param {Function} onToggleFilter - Called with a tag name to add it to / remove it from the filter
+ * @param {Function} onCreate - Called with { name, color }; returns a Promise
+ * @param {Function} onUpdate - Called with (id, { name } or { color }); returns a Promise
+ * @param {Function} onDelete - Called with the tag; returns a Promise
+ */
+export default function TagPanel({ tags, activeTags, onToggleFilter, onCreate, onUpdate, onDelete }) {
+  // "New tag" form field
+  const [newName, setNewName] = useState("");
+
+  // Which tag is being renamed (and the text typed so far)
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameText, setRenameText] = useState("");
+
+  /**
+   * Creates a tag from the "new tag" form
+   * @param {Event} e - The form submit event
+   */
+  async function handleCreate(e) {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    await onCreate({ name: newName.trim(), color: DEFAULT_TAG_COLOR });
+    setNewName("");
+  }
+
+  /**
+   * Saves the new name of the tag being renamed
+   * @param {Event} e - The form submit event
+   */
+  async function handleRename(e) {
+    e.preventDefault();
+    const id = renamingId;
+    if (!id) return; // Already saved (Enter, then the input's blur)
+    setRenamingId(null);
+    if (renameText.trim()) await onUpdate(id, { name: renameText.trim() });
+  }
+
+  /**
+   * Deletes a tag after asking (it comes off every todo that has it)
+   * @param {Object} tag - The tag to delete
+   */
+  function handleDelete(tag) {
+    const question = tag.count > 0
+      ? `Delete the tag "${tag.name}"? It will be removed from ${tag.count} todo(s).`
+      : `Delete the tag "${tag.name}"?`;
+    if (window.confirm(question)) onDelete(tag);
+  }
+
+  return (
+    <>
+      <h2 className="sidebar-title">Tags</h2>
+      <ul className="sidebar-lists">
+        {tags.map((tag) => (
+          <li key={tag._id}>
+            {renamingId === tag._id ? (
+              // Rename form in place of the entry
+              <form onSubmit={handleRename} className="sidebar-form">
+                <input
+                  className="sidebar-input"
+                  value={renameText}
+                  onChange={(e) => setRenameText(e.target.value)}
+                  onBlur={handleRename}
+                  onKeyDown={(e) => e.key === "Escape" && setRenamingId(null)}
+                  maxLength={30}
+                  aria-label="Tag name"
+                  autoFocus
+                />
+              </form>
+            ) : (
+              <div className="sidebar-row tag-row">
+                {/* Saved when the picker is left, not on every step while dragging through colors */}
+                <input
+                  key={tag.color}
+                  type="color"
+                  className="color-input"
+                  defaultValue={tag.color}
+                  onBlur={(e) => e.target.value !== tag.color && onUpdate(tag._id, { color: e.target.value })}
+                  aria-label={`Color of ${tag.name}`}
+                />
+                <TagChip
+                  name={tag.name}
+                  color={tag.color}
+                  active={activeTags.includes(tag.name)}
+                  onClick={() => onToggleFilter(tag.name)}
+                />
+                <span className="list-counts">{tag.count}</span>
+                <button
+                  className="icon-btn"
+                  onClick={() => {
+                    setRenamingId(tag._id);
+                    setRenameText(tag.name);
+                  }}
+                  aria-label={`Rename ${tag.name}`}
+                >
+                  ✏️
+                </button>
+                <button className="icon-btn" onClick={() => handleDelete(tag)} aria-label={`Delete ${tag.name}`}>
+                  🗑️
+                </button>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {/* New tag form (todos can also be given new tags straight from the edit form) */}
+      <form onSubmit={handleCreate} className="sidebar-form">
+        <input
+          className="sidebar-input"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value.replace(/,/g, ""))}
+          placeholder="+ New tag"
+          maxLength={30}
+          aria-label="New tag name"
+        />
+      </form>
+    </>
+  );
+}
@@ -0,0 +1,86 @@
+// Import React hooks for loading the focus list from the server
+import { useState, useEffect } from "react";
+import { apiGetToday, getErrorMessage } from "../api";
+import { formatDue, isOverdue, LOCAL_TIME_ZONE } from "../utils/dates";
+import { PRIORITY_INFO } from "../utils/priority";
+
+/**
+ * Today View
+ * A short focus list from the server: unfinished todos that are overdue, due today,
+ * or high / urgent priority - most pressing first
+ * @param {number} refreshKey - Changes whenever todos change elsewhere, so we reload
+ * @param {Function} onToggle - Called with a todo when its checkbox is clicked
+ */
+export default function TodayView({ refreshKey, onToggle }) {
+  // { items, total } from the server
+  const [today, setToday] = useState(null);
+  const [error, setError] = useState("");
+
+  // Load the list when the view opens and whenever todos change
+  useEffect(() => {
+    let cancelled = false; // Ignore the answer if we've been unmounted meanwhile
+    apiGetToday(LOCAL_TIME_ZONE)
+      .then((response) => {
+        if (cancelled) return;
+        setToday(response.data);
+        setError("");
+      })
+      .catch((err) => {
+        if (!cancelled) setError(getErrorMessage(err, "Failed to load today's todos"));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshKey]);
+
+  if (error) return <div className="form-error" role="alert">{error}</div>;
+  if (!today) return <div className="message">Loading today's todos...</div>;
+  if (today.items.length === 0) {
+    return <div className="message">Nothing pressing today. Enjoy it! 🌤️</div>;
+  }
+
+  // Todos that qualified but didn't make the cut
+  const more = today.total - today.items.length;
+
+  return (
+    <div className="today-view">
+      <ul className="todo-list">
+        {today.items.map((todo) => {
+          const overdue = isOverdue(todo);
+          const priority = PRIORITY_INFO[todo.priority] && todo.priority !== "none" ? todo.priority : null;
+          return (
+            <li key={todo._id} className={`todo-item ${priority ? `priority-${priority}` : ""} ${overdue ? "overdue" : ""}`}>
+              <div className="todo-content">
+                <input
+                  type="checkbox"
+                  className="todo-checkbox"
+                  checked={todo.completed}
+                  onChange={() => onToggle(todo)}
+                />
+                <div className="todo-text-wrap">
+                  {priority && (
+                    <span className={`priority-marker priority-${priority}`}>
+                      {PRIORITY_INFO[priority].marker} {PRIORITY_INFO[priority].label}
+                    </span>
+                  )}
+                  <span className="todo-text">{todo.title}</span>
+                  {todo.dueAt && (
+                    <span className={`due-badge ${overdue ? "overdue" : ""}`}>
+                      {overdue ? "⚠️ Overdue · " : "📅 "}
+                      {formatDue(todo.dueAt)}
+                    </span>
+                  )}
+                </div>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+      {more > 0 && (
+        <div className="message today-more">
+          +{more} more - finish these first, or see them all in the list sorted by "What matters".
+        </div>
+      )}
+    </div>
+  );
+}
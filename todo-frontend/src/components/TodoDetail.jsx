@@ -0,0 +1,132 @@
+// Import React hooks for the notes being written and the Write/Preview tab
+import { useState, useEffect } from "react";
+import MarkdownView from "./MarkdownView";
+import { toggleTask } from "../utils/markdown";
+
+// Longest notes the server accepts (NOTES_MAX_LENGTH in the backend's validators/todo.js)
+const NOTES_MAX_LENGTH = 20000;
+
+/**
+ * Detail Pane For One Todo
+ * Opens at the side when a todo's title is clicked, with its Markdown notes: a Write tab to
+ * edit them and a Preview tab to see them rendered. Ticking a checkbox line in the preview
+ * saves straight away (or, while there are unsaved edits, just changes the text being written).
+ * @param {Object} todo - The todo to show
+ * @param {Function} onSaveNotes - Called with the new notes text
+ * @param {Function} onClose - Called when the pane should close
+ * @param {boolean} [readOnly] - true to only show the notes (the user can only view the todo)
+ */
+export default function TodoDetail({ todo, onSaveNotes, onClose, readOnly = false }) {
+  const notes = todo.notes || "";
+
+  // Notes being written, or null when not editing (then the saved notes are shown)
+  const [draft, setDraft] = useState(null);
+
+  // "write" or "preview" - empty notes start in the editor, so there's something to do
+  const [tab, setTab] = useState(notes || readOnly ? "preview" : "write");
+
+  const shown = draft ?? notes;
+  const dirty = draft !== null && draft !== notes;
+
+  // Escape closes the pane (asking first if there are unsaved edits)
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key !== "Escape") return;
+      if (!dirty || window.confirm("Discard your changes to the notes?")) onClose();
+    };
+    window.addEventListener("keydown", handleKey);
+    return () => window.removeEventListener("keydown", handleKey);
+  }, [dirty, onClose]);
+
+  /**
+   * Closes the pane, asking first if there are unsaved edits
+   */
+  function handleClose() {
+    if (!dirty || window.confirm("Discard your changes to the notes?")) onClose();
+  }
+
+  /**
+   * Saves the notes being written
+   */
+  function handleSave() {
+    if (dirty) onSaveNotes(draft);
+    setDraft(null);
+    setTab("preview");
+  }
+
+  /**
+   * Forgets the notes being written
+   */
+  function handleCancel() {
+    setDraft(null);
+    if (notes) setTab("preview");
+  }
+
+  /**
+   * A checkbox in the preview was clicked
+   * @param {number} line - The task's line in the notes
+   */
+  function handleToggleTask(line) {
+    if (draft !== null) {
+      setDraft(toggleTask(draft, line));
+    } else {
+      onSaveNotes(toggleTask(notes, line));
+    }
+  }
+
+  return (
+    <div className="dialog-backdrop detail-backdrop" onClick={(e) => e.target === e.currentTarget && handleClose()}>
+      <aside className="todo-detail" role="dialog" aria-modal="true" aria-labelledby="detail-title">
+        <div className="share-header">
+          <h2 id="detail-title" className={todo.completed ? "completed" : undefined}>
+            {todo.title}
+          </h2>
+          <button className="link-btn" onClick={handleClose} aria-label="Close">✕</button>
+        </div>
+
+        {!readOnly && (
+          <div className="detail-tabs" role="tablist">
+            <button role="tab" aria-selected={tab === "write"} onClick={() => setTab("write")}>
+              Write
+            </button>
+            <button role="tab" aria-selected={tab === "preview"} onClick={() => setTab("preview")}>
+              Preview
+            </button>
+          </div>
+        )}
+
+        {tab === "write" && !readOnly ? (
+          <>
+            <textarea
+              className="notes-input"
+              value={shown}
+              onChange={(e) => setDraft(e.target.value)}
+              maxLength={NOTES_MAX_LENGTH}
+              placeholder={"Notes, in Markdown: **bold**, *italic*, [links](https://...), - [ ] tasks..."}
+              aria-label="Notes"
+              autoFocus
+            />
+            <div className="notes-counter">
+              {shown.length.toLocaleString()} / {NOTES_MAX_LENGTH.toLocaleString()}
+            </div>
+          </>
+        ) : shown ? (
+          <MarkdownView text={shown} onToggleTask={readOnly ? null : handleToggleTask} />
+        ) : (
+          <p className="attachment-empty">No notes.</p>
+        )}
+
+        {!readOnly && draft !== null && (
+          <div className="detail-actions">
+            <button className="btn save-btn" onClick={handleSave} disabled={!dirty}>
+              Save
+            </button>
+            <button className="btn cancel-btn" onClick={handleCancel}>
+              Cancel
+            </button>
+          </div>
+        )}
+      </aside>
+    </div>
+  );
+}
@@ -0,0 +1,153 @@
+// Import React hook for the form fields
+import { useState } from "react";
+import { getErrorMessage } from "../api";
+import { toDateTimeInputValue, fromDateTimeInputValue } from "../utils/dates";
+import { PRIORITIES, PRIORITY_INFO } from "../utils/priority";
+import { hasRole, assignableUsers } from "../utils/sharing";
+import RecurrenceEditor from "./RecurrenceEditor";
+import TagInput from "./TagInput";
+
+/**
+ * Edit Form For One Todo
+ * Shown inside a todo row while it's in edit mode
+ * Keeps its own copy of the fields, so nothing changes until Save is clicked
+ * @param {Object} todo - The todo being edited
+ * @param {Function} onSave - Called with the changed fields; returns a Promise that rejects on failure
+ * @param {Function} onCancel - Called when the user gives up editing
+ * @param {Array} lists - The user's lists, for the "List" dropdown (only the ones they can add to are offered)
+ * @param {Object} me - The logged-in user, who Inbox todos can be assigned to
+ * @param {Array} allTags - The user's tags, suggested while typing a tag
+ */
+export default function TodoEditor({ todo, onSave, onCancel, lists = [], me, allTags = [] }) {
+  // Form fields, pre-filled with the todo's current values
+  const [title, setTitle] = useState(todo.title);
+  const [dueAt, setDueAt] = useState(toDateTimeInputValue(todo.dueAt));
+  const [remindAt, setRemindAt] = useState(toDateTimeInputValue(todo.remindAt));
+  const [recurrence, setRecurrence] = useState(todo.recurrence || null);
+  const [listId, setListId] = useState(todo.listId || ""); // "" = Inbox
+  const [tags, setTags] = useState(todo.tags || []);
+  const [priority, setPriority] = useState(todo.priority || "none");
+  const [assignee, setAssignee] = useState(todo.assignee || ""); // "" = nobody
+
+  // Who can be assigned in the list picked above (someone from the old list may not be in it)
+  const assignees = assignableUsers(listId, lists, me);
+  const assigneeValue = assignees.some((user) => user._id === assignee) ? assignee : "";
+
+  // Error message shown under the inputs when saving fails
+  const [error, setError] = useState("");
+
+  /**
+   * Sends the edited fields to the server
+   * @param {Event} e - The form submit event
+   */
+  async function handleSubmit(e) {
+    e.preventDefault();
+    // Don't save if the title is empty or just spaces
+    if (!title.trim()) return;
+
+    try {
+      await onSave({
+        title: title.trim(),
+        dueAt: fromDateTimeInputValue(dueAt),       // null clears the due date
+        remindAt: fromDateTimeInputValue(remindAt), // null turns the reminder off
+        recurrence,                                 // null stops it repeating
+        listId: listId || null,                     // null moves it to the Inbox
+        tags,                                       // New names become new tags
+        priority,
+        assignee: assigneeValue || null,            // null = assigned to nobody
+      });
+    } catch (err) {
+      // Stay in edit mode and show the problem right under the inputs
+      setError(getErrorMessage(err, "Failed to edit todo"));
+    }
+  }
+
+  return (
+    <form className="todo-editor" onSubmit={handleSubmit}>
+      <div className="edit-field">
+        <input
+          className="edit-input"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          placeholder="Edit your todo..."
+          aria-label="Title"
+          autoFocus // Automatically focus when editing starts
+        />
+
+        {/* List, assignee, priority, due date and reminder pickers */}
+        <div className="edit-dates">
+          <label>
+            📁 List
+            <select value={listId} onChange={(e) => setListId(e.target.value)}>
+              <option value="">Inbox</option>
+              {lists
+                .filter((list) => hasRole(list.role, "editor"))
+                .map((list) => (
+                  <option key={list._id} value={list._id}>{list.name}</option>
+                ))}
+            </select>
+          </label>
+          <label>
+            👤 Assignee
+            <select value={assigneeValue} onChange={(e) => setAssignee(e.target.value)}>
+              <option value="">Nobody</option>
+              {assignees.map((user) => (
+                <option key={user._id} value={user._id}>
+                  {user._id === me._id ? `${user.username} (you)` : user.username}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            ❗ Priority
+            <select value={priority} onChange={(e) => setPriority(e.target.value)}>
+              {PRIORITIES.map((value) => (
+                <option key={value} value={value}>{PRIORITY_INFO[value].label}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            📅 Due
+            <input
+              type="datetime-local"
+              className="date-input"
+              value={dueAt}
+              onChange={(e) => setDueAt(e.target.value)}
+            />
+          </label>
+          <label>
+            ⏰ Remind
+            <input
+              type="datetime-local"
+              className="date-input"
+              value={remindAt}
+              onChange={(e) => setRemindAt(e.target.value)}
+            />
+          </label>
+        </div>
+
+        {/* Tags, with suggestions from the user's existing tags */}
+        <TagInput value={tags} onChange={setTags} allTags={allTags} />
+
+        {/* How the todo repeats */}
+        <RecurrenceEditor
+          value={recurrence}
+          onChange={setRecurrence}
+          dueAt={fromDateTimeInputValue(dueAt)}
+        />
+
+        {error && <div className="field-error" role="alert">{error}</div>}
+      </div>
+
+      {/* Save and Cancel buttons */}
+      <div className="todo-actions">
+        <button type="submit" className="btn save-btn">
+          ✓ Save
+        </button>
+        <button type="button" className="btn cancel-btn" onClick={onCancel}>
+          ✕ Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
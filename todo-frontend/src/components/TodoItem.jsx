@@ -0,0 +1,334 @@
+import { useState, useRef, useEffect } from "react";
+import TodoEditor from "./TodoEditor";
+import Checklist from "./Checklist";
+import HistoryPanel from "./HistoryPanel";
+import Attachments from "./Attachments";
+import TagChip from "./TagChip";
+import { formatDue, isOverdue } from "../utils/dates";
+import { describeRecurrence } from "../utils/recurrence";
+import { PRIORITY_INFO, priorityForKey } from "../utils/priority";
+import { isLocalId, conflictingFields } from "../utils/outbox";
+import { usernameOf } from "../utils/sharing";
+import { isFileDrag } from "../utils/files";
+import { countTasks } from "../utils/markdown";
+
+/**
+ * One Row In The Todo List
+ * Shows the checkbox, priority, title, due date and Edit/Delete buttons,
+ * or the edit form when this todo is being edited
+ * With the row itself focused, the number keys 0-4 set the priority (0 = none ... 4 = urgent)
+ * Todos in lists the user can only view are read-only: no checkbox, editing, deleting or priority keys
+ * Dragging files from the computer onto the row opens its attachments, with their drop zone
+ * Clicking the title opens the todo's detail pane, with its notes
+ * @param {Object} todo - The todo to show
+ * @param {boolean} isEditing - true when this row should show the edit form
+ * @param {Function} onToggle - Called when the checkbox is clicked
+ * @param {Function} onDelete - Called with "this" or "series" when the todo should be deleted
+ * @param {Function} onStartEdit - Called when Edit is clicked
+ * @param {Function} onCancelEdit - Called when editing is cancelled
+ * @param {Function} onOpenDetails - Called when the title is clicked
+ * @param {Function} onSave - Called with the changed fields when the edit form is saved
+ * @param {Function} onChange - Called with the updated todo after a checklist or attachment change
+ * @param {Function} onPriorityChange - Called with the new priority when a number key is pressed
+ * @param {Array} lists - The user's lists (for the edit form's list picker, and members' names)
+ * @param {Object} me - The logged-in user ({ _id, username })
+ * @param {boolean} readOnly - true when the user can only view this todo
+ * @param {Array} allTags - The user's tags (chip colors, and suggestions in the edit form)
+ * @param {string[]} activeTags - Tags the list is filtered by (their chips are highlighted)
+ * @param {Function} onTagClick - Called with a tag name when its chip is clicked
+ * @param {Object|null} pending - This todo's unsent change from the outbox, if any
+ *   (pending.conflict is set when it was also changed somewhere else)
+ * @param {Function} onResolveConflict - Called with "mine" or "theirs"
+ * @param {Object|null} reorder - Drag-and-drop props when the list is in manual order, else null:
+ *   { dragging, grabbed, dragHandlers (for the row), onHandleKeyDown (for the drag handle) }
+ * @param {boolean} selected - true when this row is selected for a bulk change
+ * @param {Function|null} onSelect - Called with the click event when the select box is clicked
+ *   (shift-click selects a range); null hides the box
+ */
+export default function TodoItem({
+  todo,
+  isEditing,
+  onToggle,
+  onDelete,
+  onStartEdit,
+  onCancelEdit,
+  onOpenDetails,
+  onSave,
+  onChange,
+  onPriorityChange,
+  lists,
+  me,
+  readOnly,
+  allTags,
+  activeTags,
+  onTagClick,
+  pending,
+  onResolveConflict,
+  reorder,
+  selected,
+  onSelect,
+}) {
+  const overdue = isOverdue(todo);
+  const priority = PRIORITY_INFO[todo.priority] ? todo.priority : "none";
+  const assigneeName = todo.assignee ? usernameOf(todo.assignee, lists, me) || "someone who left" : null;
+  const keysEnabled = !isEditing && !readOnly;
+
+  // For repeating todos, Delete first asks: this occurrence or the whole series?
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+
+  // Moving a row in the page can take the keyboard focus off its drag handle,
+  // so while this todo is picked up, keep putting the focus back
+  const handleRef = useRef(null);
+  const grabbed = Boolean(reorder?.grabbed);
+  useEffect(() => {
+    if (grabbed) handleRef.current?.focus();
+  });
+
+  // Whether the checklist is open under the title
+  const [showChecklist, setShowChecklist] = useState(false);
+
+  // Whether the history (who changed what, and when) is open under the title
+  const [showHistory, setShowHistory] = useState(false);
+
+  // Whether the attached files are open under the title
+  const [showAttachments, setShowAttachments] = useState(false);
+  const attachments = todo.attachments || [];
+  const canAttach = !isLocalId(todo._id) && !readOnly && !isEditing;
+
+  // Checklist progress, e.g. 3 of 5 done
+  const subtasks = todo.subtasks || [];
+  const doneCount = subtasks.filter((s) => s.completed).length;
+
+  // Task lines in the notes, e.g. 1 of 4 ticked
+  const noteTasks = todo.notes ? countTasks(todo.notes) : null;
+
+  /**
+   * Number keys on the focused row set the priority
+   * (only on the row itself - inside the edit form or a checklist they're just typing)
+   * @param {KeyboardEvent} e - The key press
+   */
+  function handleRowKeyDown(e) {
+    if (e.target !== e.currentTarget || e.ctrlKey || e.metaKey || e.altKey) return;
+    const priority = priorityForKey(e.key);
+    if (!priority) return;
+    e.preventDefault();
+    if (priority !== (todo.priority || "none")) onPriorityChange(priority);
+  }
+
+  /**
+   * Deletes straight away for normal todos, asks first for repeating ones
+   */
+  function handleDeleteClick() {
+    if (todo.seriesId) {
+      setConfirmingDelete(true);
+    } else {
+      onDelete("this");
+    }
+  }
+
+  return (
+    <li
+      className={`todo-item priority-${priority} ${overdue ? "overdue" : ""} ${reorder?.dragging || reorder?.grabbed ? "dragging" : ""} ${selected ? "selected" : ""}`}
+      // Focusable, so the number keys can set the priority (see handleRowKeyDown)
+      tabIndex={keysEnabled ? 0 : undefined}
+      onKeyDown={keysEnabled ? handleRowKeyDown : undefined}
+      aria-keyshortcuts={keysEnabled ? "0 1 2 3 4" : undefined}
+      aria-describedby={keysEnabled ? "priority-help" : undefined}
+      // The edit form's inputs need normal mouse selection, so no dragging while editing
+      draggable={Boolean(reorder) && !isEditing}
+      {...(reorder && !isEditing ? reorder.dragHandlers : {})}
+      onDragEnter={(e) => canAttach && isFileDrag(e) && setShowAttachments(true)}
+    >
+      {/* Left side: select box, drag handle, checkbox and todo text/edit form */}
+      <div className="todo-content">
+        {/* Select box for bulk changes - onClick rather than onChange, to see the Shift key */}
+        {onSelect && !isEditing && (
+          <input
+            type="checkbox"
+            className="select-box"
+            checked={Boolean(selected)}
+            onClick={onSelect}
+            onChange={() => {}}
+            aria-label={`Select ${todo.title}`}
+            title="Select (Shift-click to select a range)"
+          />
+        )}
+
+        {/* Drag handle - also works from the keyboard (see reorder-help in App.jsx) */}
+        {reorder && !isEditing && (
+          <button
+            ref={handleRef}
+            className="drag-handle"
+            onKeyDown={reorder.onHandleKeyDown}
+            aria-label={`Reorder ${todo.title}`}
+            aria-pressed={reorder.grabbed}
+            aria-describedby="reorder-help"
+            title="Drag to reorder"
+          >
+            ⠿
+          </button>
+        )}
+
+        {/* Checkbox to mark todo as complete/incomplete */}
+        <input
+          type="checkbox"
+          className="todo-checkbox"
+          checked={todo.completed}
+          onChange={onToggle} // Toggle when clicked
+          disabled={readOnly}
+          title={readOnly ? "You can only view this list" : undefined}
+        />
+
+        {/* 
+          CONDITIONAL RENDERING: Show either the edit form OR the todo text
+        */}
+        {isEditing ? (
+          // EDIT MODE: Show the edit form (it has its own Save and Cancel buttons)
+          <TodoEditor todo={todo} onSave={onSave} onCancel={onCancelEdit} lists={lists} me={me} allTags={allTags} />
+        ) : (
+          // NORMAL MODE: Show todo text, plus the due date if it has one
+          <div className="todo-text-wrap">
+            {priority !== "none" && (
+              <span className={`priority-marker priority-${priority}`} title={`${PRIORITY_INFO[priority].label} priority`}>
+                {PRIORITY_INFO[priority].marker} {PRIORITY_INFO[priority].label}
+              </span>
+            )}
+            <button
+              className={`todo-text todo-title-btn ${todo.completed ? 'completed' : ''}`}
+              onClick={onOpenDetails}
+              title="Open notes"
+            >
+              {todo.title}
+            </button>
+            {noteTasks && (
+              <button className="due-badge notes-badge" onClick={onOpenDetails} title="Has notes">
+                📝{noteTasks.total > 0 && ` ${noteTasks.done}/${noteTasks.total}`}
+              </button>
+            )}
+            {todo.dueAt && (
+              <span className={`due-badge ${overdue ? "overdue" : ""}`}>
+                {overdue ? "⚠️ Overdue · " : "📅 "}
+                {formatDue(todo.dueAt)}
+                {todo.remindAt && !todo.reminderFiredAt && " · ⏰"}
+              </span>
+            )}
+            {todo.recurrence && (
+              <span className="due-badge">🔁 {describeRecurrence(todo.recurrence)}</span>
+            )}
+            {assigneeName && (
+              <span className="due-badge assignee-badge" title="Assigned to">
+                👤 {todo.assignee === me._id ? "You" : assigneeName}
+              </span>
+            )}
+            {(todo.tags || []).map((name) => (
+              <TagChip
+                key={name}
+                name={name}
+                color={allTags.find((tag) => tag.name === name)?.color}
+                active={activeTags.includes(name)}
+                onClick={() => onTagClick(name)}
+              />
+            ))}
+            {pending && !pending.conflict && (
+              <span className="due-badge" title="Saved on this device, not on the server yet">⏳ Not synced yet</span>
+            )}
+
+            {/* Edited here AND somewhere else: the user picks which version wins */}
+            {pending?.conflict && (
+              <div className="conflict-bar" role="alert">
+                <span>
+                  ⚠️ Also changed on another device ({conflictingFields(pending, pending.conflict).join(", ")}).
+                </span>
+                <button className="btn edit-btn" onClick={() => onResolveConflict("mine")}>
+                  Keep mine
+                </button>
+                <button className="btn cancel-btn" onClick={() => onResolveConflict("theirs")}>
+                  Use theirs
+                </button>
+              </div>
+            )}
+
+            {/* Checklist toggle: shows progress, click to open/close the checklist */}
+            {/* (not until the server has the todo - subtasks are saved online only) */}
+            {!isLocalId(todo._id) && !(readOnly && subtasks.length === 0) && (
+              <button
+                className="checklist-toggle"
+                onClick={() => setShowChecklist((open) => !open)}
+                aria-expanded={showChecklist}
+              >
+                {subtasks.length > 0 ? (
+                  <>
+                    ☑️ {doneCount}/{subtasks.length}
+                    <span className="checklist-progress" aria-hidden="true">
+                      <span style={{ width: `${(doneCount / subtasks.length) * 100}%` }} />
+                    </span>
+                  </>
+                ) : (
+                  "+ Checklist"
+                )}
+              </button>
+            )}
+            {/* History toggle (the server only has a history once it has the todo) */}
+            {!isLocalId(todo._id) && (
+              <button
+                className="checklist-toggle"
+                onClick={() => setShowHistory((open) => !open)}
+                aria-expanded={showHistory}
+              >
+                🕘 History
+              </button>
+            )}
+            {/* Attachments toggle: how many files, click to open/close them */}
+            {!isLocalId(todo._id) && !(readOnly && attachments.length === 0) && (
+              <button
+                className="checklist-toggle"
+                onClick={() => setShowAttachments((open) => !open)}
+                aria-expanded={showAttachments}
+              >
+                {attachments.length > 0 ? `📎 ${attachments.length}` : "+ Files"}
+              </button>
+            )}
+            {showChecklist && !isLocalId(todo._id) && <Checklist todo={todo} onChange={onChange} readOnly={readOnly} />}
+            {showAttachments && !isLocalId(todo._id) && (
+              <Attachments todo={todo} onChange={onChange} readOnly={readOnly} />
+            )}
+            {showHistory && !isLocalId(todo._id) && <HistoryPanel todo={todo} lists={lists} me={me} />}
+          </div>
+        )}
+      </div>
+
+      {/* Right side: "delete what?" question for repeating todos */}
+      {!isEditing && confirmingDelete && (
+        <div className="todo-actions delete-confirm" role="group" aria-label="Delete repeating todo">
+          <button className="btn delete-btn" onClick={() => onDelete("this")}>
+            This occurrence
+          </button>
+          <button className="btn delete-btn" onClick={() => onDelete("series")}>
+            Whole series
+          </button>
+          <button className="btn cancel-btn" onClick={() => setConfirmingDelete(false)}>
+            Cancel
+          </button>
+        </div>
+      )}
+
+      {/* Right side: Edit and Delete buttons (the edit form has its own) */}
+      {!isEditing && !confirmingDelete && !readOnly && (
+        <div className="todo-actions">
+          <button 
+            className="btn edit-btn"
+            onClick={onStartEdit}
+          >
+            ✏️ Edit
+          </button>
+          <button 
+            className="btn delete-btn"
+            onClick={handleDeleteClick}
+          >
+            🗑️ Delete
+          </button>
+        </div>
+      )}
+    </li>
+  );
+}
@@ -0,0 +1,147 @@
+// Import React hooks for loading the trash from the server
+import { useState, useEffect } from "react";
+import { apiGetTrash, apiRestoreTodo, apiPurgeTodo, apiEmptyTrash, getErrorMessage } from "../api";
+
+/**
+ * Trash View
+ * Deleted todos, most recently deleted first. Each one can be restored or deleted
+ * for good; the server deletes them for good by itself after the retention period.
+ * @param {Array} refreshKey - Changes whenever todos change elsewhere, so we reload
+ * @param {Function} onRestored - Called with a todo that was just restored
+ */
+export default function TrashView({ refreshKey, onRestored }) {
+  // { items, nextCursor, retentionDays } from the server (items grow as pages are loaded)
+  const [trash, setTrash] = useState(null);
+  const [error, setError] = useState("");
+
+  // Load the first page when the view opens and whenever todos change
+  useEffect(() => {
+    let cancelled = false; // Ignore the answer if we've been unmounted meanwhile
+    apiGetTrash()
+      .then((response) => {
+        if (cancelled) return;
+        setTrash(response.data);
+        setError("");
+      })
+      .catch((err) => {
+        if (!cancelled) setError(getErrorMessage(err, "Failed to load the trash"));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshKey]);
+
+  /**
+   * Loads the next page and adds it below the todos already shown
+   */
+  async function loadMore() {
+    try {
+      const response = await apiGetTrash({ cursor: trash.nextCursor });
+      setTrash((prev) => ({ ...response.data, items: [...prev.items, ...response.data.items] }));
+    } catch (err) {
+      setError(getErrorMessage(err, "Failed to load the trash"));
+    }
+  }
+
+  /**
+   * Takes the given todo off the page (once it's been restored or deleted for good)
+   * @param {string} id - The todo's id
+   */
+  function removeItem(id) {
+    setTrash((prev) => ({ ...prev, items: prev.items.filter((t) => t._id !== id) }));
+  }
+
+  /**
+   * Takes a todo out of the trash and hands it back to the list
+   * @param {Object} todo - The deleted todo
+   */
+  async function handleRestore(todo) {
+    try {
+      const response = await apiRestoreTodo(todo._id);
+      removeItem(todo._id);
+      onRestored(response.data);
+    } catch (err) {
+      setError(getErrorMessage(err, "Failed to restore todo"));
+    }
+  }
+
+  /**
+   * Deletes one todo for good, after asking
+   * @param {Object} todo - The deleted todo
+   */
+  async function handlePurge(todo) {
+    if (!window.confirm(`Delete "${todo.title}" for good? This can't be undone.`)) return;
+    try {
+      await apiPurgeTodo(todo._id);
+      removeItem(todo._id);
+    } catch (err) {
+      setError(getErrorMessage(err, "Failed to delete todo"));
+    }
+  }
+
+  /**
+   * Deletes everything in the trash for good, after asking
+   */
+  async function handleEmpty() {
+    if (!window.confirm("Delete everything in the trash for good? This can't be undone.")) return;
+    try {
+      await apiEmptyTrash();
+      setTrash((prev) => ({ ...prev, items: [], nextCursor: null }));
+    } catch (err) {
+      setError(getErrorMessage(err, "Failed to empty the trash"));
+    }
+  }
+
+  if (error && !trash) return <div className="form-error" role="alert">{error}</div>;
+  if (!trash) return <div className="message">Loading the trash...</div>;
+
+  return (
+    <div className="trash-view">
+      {error && <div className="form-error" role="alert">{error}</div>}
+
+      <div className="list-toolbar">
+        <span className="trash-note">
+          Deleted todos are removed for good after {trash.retentionDays} days.
+        </span>
+        {trash.items.length > 0 && (
+          <button className="link-btn" onClick={handleEmpty}>
+            🧹 Empty trash
+          </button>
+        )}
+      </div>
+
+      {trash.items.length === 0 ? (
+        <div className="message">The trash is empty.</div>
+      ) : (
+        <ul className="todo-list">
+          {trash.items.map((todo) => (
+            <li key={todo._id} className="todo-item">
+              <div className="todo-content">
+                <div className="todo-text-wrap">
+                  <span className={`todo-text ${todo.completed ? "completed" : ""}`}>{todo.title}</span>
+                  <span className="trash-date">Deleted {new Date(todo.deletedAt).toLocaleString()}</span>
+                </div>
+              </div>
+              <div className="todo-actions">
+                <button className="btn edit-btn" onClick={() => handleRestore(todo)}>
+                  ↩️ Restore
+                </button>
+                <button className="btn delete-btn" onClick={() => handlePurge(todo)}>
+                  Delete forever
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {trash.nextCursor && (
+        <div className="load-more">
+          <button className="link-btn" onClick={loadMore}>
+            Load more
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+// Import React hook for the auto-dismiss timer
+import { useEffect } from "react";
+
+// How long the toast stays up (milliseconds)
+const TOAST_DURATION_MS = 8000;
+
+/**
+ * Undo Toast
+ * A short-lived message at the bottom of the screen with an "Undo" button,
+ * shown after a todo is deleted. It disappears by itself after a few seconds.
+ * @param {string} message - What just happened, e.g. "Todo moved to the trash"
+ * @param {Function} onUndo - Called when "Undo" is clicked
+ * @param {Function} onDismiss - Called when the toast is closed or times out
+ */
+export default function UndoToast({ message, onUndo, onDismiss }) {
+  // Close after a while (give each toast its own key, so a new delete starts a new timer)
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, TOAST_DURATION_MS);
+    return () => clearTimeout(timer);
+  }, [onDismiss]);
+
+  return (
+    <div className="undo-toast" role="status">
+      <span>{message}</span>
+      <button className="link-btn" onClick={onUndo}>
+        Undo
+      </button>
+      <button className="link-btn" onClick={onDismiss} aria-label="Dismiss">
+        ✕
+      </button>
+    </div>
+  );
+}
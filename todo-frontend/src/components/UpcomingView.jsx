@@ -0,0 +1,81 @@
+// Import React hooks for loading the groups from the server
+import { useState, useEffect } from "react";
+import { apiGetUpcoming, getErrorMessage } from "../api";
+import { formatDue, LOCAL_TIME_ZONE } from "../utils/dates";
+
+// The groups the server returns, in the order we show them
+const GROUPS = [
+  { key: "overdue", label: "⚠️ Overdue" },
+  { key: "today", label: "📌 Today" },
+  { key: "thisWeek", label: "🗓️ This week" },
+  { key: "later", label: "🔭 Later" },
+];
+
+/**
+ * Upcoming View
+ * Unfinished todos with a due date, grouped into overdue / today / this week / later
+ * @param {number} refreshKey - Changes whenever todos change elsewhere, so we reload
+ * @param {Function} onToggle - Called with a todo when its checkbox is clicked
+ */
+export default function UpcomingView({ refreshKey, onToggle }) {
+  // { overdue: [...], today: [...], thisWeek: [...], later: [...] } from the server
+  const [groups, setGroups] = useState(null);
+  const [error, setError] = useState("");
+
+  // Load the groups when the view opens and whenever todos change
+  useEffect(() => {
+    let cancelled = false; // Ignore the answer if we've been unmounted meanwhile
+    apiGetUpcoming(LOCAL_TIME_ZONE)
+      .then((response) => {
+        if (cancelled) return;
+        setGroups(response.data);
+        setError("");
+      })
+      .catch((err) => {
+        if (!cancelled) setError(getErrorMessage(err, "Failed to load upcoming todos"));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshKey]);
+
+  if (error) return <div className="form-error" role="alert">{error}</div>;
+  if (!groups) return <div className="message">Loading upcoming todos...</div>;
+
+  const total = GROUPS.reduce((sum, g) => sum + groups[g.key].length, 0);
+  if (total === 0) {
+    return <div className="message">Nothing due. Add a due date to a todo to see it here. 🎉</div>;
+  }
+
+  return (
+    <div className="upcoming-view">
+      {GROUPS.filter((g) => groups[g.key].length > 0).map((g) => (
+        <section key={g.key} className={`upcoming-group ${g.key}`}>
+          <h2 className="upcoming-title">
+            {g.label} <span className="upcoming-count">{groups[g.key].length}</span>
+          </h2>
+          <ul className="todo-list">
+            {groups[g.key].map((todo) => (
+              <li key={todo._id} className={`todo-item ${g.key === "overdue" ? "overdue" : ""}`}>
+                <div className="todo-content">
+                  <input
+                    type="checkbox"
+                    className="todo-checkbox"
+                    checked={todo.completed}
+                    onChange={() => onToggle(todo)}
+                  />
+                  <div className="todo-text-wrap">
+                    <span className="todo-text">{todo.title}</span>
+                    <span className={`due-badge ${g.key === "overdue" ? "overdue" : ""}`}>
+                      📅 {formatDue(todo.dueAt)}
+                    </span>
+                  </div>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </section>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+/**
+ * DATE HELPERS
+ * Small functions for showing due dates and for moving dates in and out of
+ * <input type="datetime-local"> fields (which work in the browser's local time)
+ */
+
+/**
+ * The browser's time zone, e.g. "Europe/Berlin"
+ * Sent to the server so "today" means the user's today, not the server's
+ */
+export const LOCAL_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+/**
+ * Converts an ISO date from the server into the "YYYY-MM-DDTHH:mm" format datetime-local inputs use
+ * @param {string|null} iso - Date from the server (or null)
+ * @returns {string} Value for the input ("" when there's no date)
+ */
+export function toDateTimeInputValue(iso) {
+  if (!iso) return "";
+  const date = new Date(iso);
+  // Shift by the local offset so toISOString() prints local wall-clock time
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+}
+
+/**
+ * Converts a datetime-local input value back into an ISO date for the server
+ * @param {string} value - "YYYY-MM-DDTHH:mm" (local time) or ""
+ * @returns {string|null} ISO date, or null when the input is empty
+ */
+export function fromDateTimeInputValue(value) {
+  if (!value) return null;
+  // new Date("YYYY-MM-DDTHH:mm") is read as local time
+  return new Date(value).toISOString();
+}
+
+/**
+ * Converts an ISO date into the "YYYY-MM-DD" format date inputs use (local calendar day)
+ * @param {string|null} iso - Date from the server (or null)
+ * @returns {string} Value for the input ("" when there's no date)
+ */
+export function toDateInputValue(iso) {
+  return toDateTimeInputValue(iso).slice(0, 10);
+}
+
+/**
+ * Converts a date input value into the last moment of that local day, as ISO
+ * Used for "until" dates, so the whole last day is included
+ * @param {string} value - "YYYY-MM-DD" or ""
+ * @returns {string|null} ISO date, or null when the input is empty
+ */
+export function endOfDayFromDateInput(value) {
+  if (!value) return null;
+  return new Date(`${value}T23:59:59`).toISOString();
+}
+
+/**
+ * Is this todo past its due date (and still not done)?
+ * @param {Object} todo - Todo with optional dueAt
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {boolean}
+ */
+export function isOverdue(todo, now = new Date()) {
+  return Boolean(todo.dueAt) && !todo.completed && new Date(todo.dueAt) < now;
+}
+
+/**
+ * Formats a due date for display: "Today 17:00", "Tomorrow 09:00", "Mon, 12 Feb 14:30"
+ * @param {string} iso - Date from the server
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {string}
+ */
+export function formatDue(iso, now = new Date()) {
+  const date = new Date(iso);
+  const time = date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+
+  // Compare calendar days in local time
+  const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const startOfDate = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  const dayDiff = Math.round((startOfDate - startOfToday) / 86400000);
+
+  if (dayDiff === 0) return `Today ${time}`;
+  if (dayDiff === 1) return `Tomorrow ${time}`;
+  if (dayDiff === -1) return `Yesterday ${time}`;
+
+  const day = date.toLocaleDateString([], {
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    // Only show the year when it isn't this year
+    year: date.getFullYear() === now.getFullYear() ? undefined : "numeric",
+  });
+  return `${day} ${time}`;
+}
@@ -0,0 +1,28 @@
+/**
+ * FILE HELPERS
+ * Small bits shared by the parts of the app that move files in and out:
+ * export/import (components/ImportExport.jsx) and attachments (components/Attachments.jsx).
+ */
+
+/**
+ * Hands a downloaded file to the browser as if a link to it had been clicked
+ * @param {Blob} blob - The file
+ * @param {string} filename - Name to save it under
+ */
+export function saveFile(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Whether a drag carries files from the computer (and not, say, a todo row being reordered)
+ * @param {DragEvent} e - The drag event
+ * @returns {boolean}
+ */
+export function isFileDrag(e) {
+  return Array.from(e.dataTransfer?.types || []).includes("Files");
+}
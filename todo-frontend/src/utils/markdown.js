@@ -0,0 +1,224 @@
+/**
+ * MARKDOWN HELPERS
+ * Todo notes are Markdown. Rather than turning them into HTML (and trusting it), they are read
+ * into plain blocks and inline pieces here, and components/MarkdownView.jsx builds React elements
+ * from those - so nothing in a note can ever become a <script> or an onclick.
+ *
+ * Supported: # headings, paragraphs, - / 1. lists (indented = nested), - [ ] task lines,
+ * > quotes, ``` code blocks, ---, and inline **bold**, *italic*, ~~strike~~, `code`,
+ * [links](https://...), <https://...> and bare https:// addresses.
+ * Every block remembers the line it starts on, so task checkboxes can be ticked in the text itself.
+ */
+
+// Link schemes we turn into real links (same as SAFE_SCHEMES in the backend's utils/markdown.js)
+const SAFE_SCHEMES = ["http:", "https:", "mailto:", "tel:"];
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+const HEADING = /^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^ {0,3}([-*_])(\s*\1){2,}\s*$/;
+const QUOTE = /^ {0,3}> ?(.*)$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(?:\[([ xX])\]\s+)?(.*)$/;
+
+// Task lines (also inside > quotes), for ticking them in the text: the part before the box, and what's in it
+const TASK_LINE = /^((?:\s*>)*\s*(?:[-*+]|\d{1,9}[.)])\s+\[)([ xX])(\])/;
+
+/**
+ * The href for a link destination, if it's safe to follow
+ * @param {string} url - Destination from the Markdown
+ * @returns {string|null} null for javascript:, data:, relative links and anything else unsafe
+ */
+export function safeHref(url) {
+  try {
+    const parsed = new URL(url.trim());
+    return SAFE_SCHEMES.includes(parsed.protocol) ? parsed.href : null;
+  } catch {
+    return null; // Not an absolute URL
+  }
+}
+
+/**
+ * Reads notes into blocks
+ * @param {string} text - The notes
+ * @returns {Array} Blocks, each with a type and the line it starts on:
+ *   { type: "heading", level, text } | { type: "paragraph", text } | { type: "code", text }
+ *   { type: "rule" } | { type: "quote", blocks } | { type: "list", ordered, items: [{ text, depth, task, line }] }
+ *   (task is null for plain items, else whether the box is ticked)
+ */
+export function parseMarkdown(text) {
+  return parseLines((text || "").replace(/\r\n?/g, "\n").split("\n"), 0);
+}
+
+/**
+ * Reads lines into blocks (quotes call it again for the lines inside them)
+ * @param {string[]} lines - The lines
+ * @param {number} offset - Line number of lines[0] in the whole note
+ * @returns {Array} Blocks, see parseMarkdown
+ */
+function parseLines(lines, offset) {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const start = offset + i;
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = FENCE.exec(line);
+    if (fence) {
+      const body = [];
+      i++;
+      while (i < lines.length) {
+        const close = FENCE.exec(lines[i]);
+        if (close && close[1][0] === fence[1][0] && close[1].length >= fence[1].length) break;
+        body.push(lines[i++]);
+      }
+      i++; // The closing fence (or the end of the note)
+      blocks.push({ type: "code", text: body.join("\n"), line: start });
+      continue;
+    }
+
+    const heading = HEADING.exec(line);
+    if (heading) {
+      blocks.push({ type: "heading", level: heading[1].length, text: heading[2], line: start });
+      i++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      blocks.push({ type: "rule", line: start });
+      i++;
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const inner = [];
+      while (i < lines.length && QUOTE.test(lines[i])) inner.push(QUOTE.exec(lines[i++])[1]);
+      blocks.push({ type: "quote", blocks: parseLines(inner, start), line: start });
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const items = [];
+      while (i < lines.length && lines[i].trim()) {
+        const item = LIST_ITEM.exec(lines[i]);
+        if (item) {
+          const [, indent, marker, box, itemText] = item;
+          items.push({
+            text: itemText,
+            ordered: /\d/.test(marker),
+            depth: Math.floor(indent.replace(/\t/g, "    ").length / 2),
+            task: box === undefined ? null : box !== " ",
+            line: offset + i,
+          });
+        } else if (/^\s/.test(lines[i]) && items.length > 0) {
+          // An indented line continues the item above it
+          items[items.length - 1].text += `\n${lines[i].trim()}`;
+        } else {
+          break;
+        }
+        i++;
+      }
+      blocks.push({ type: "list", ordered: items[0].ordered, items, line: start });
+      continue;
+    }
+
+    // Anything else is a paragraph, up to a blank line or the start of another block
+    const body = [];
+    while (
+      i < lines.length &&
+      lines[i].trim() &&
+      !(body.length > 0 && [FENCE, HEADING, RULE, QUOTE, LIST_ITEM].some((pattern) => pattern.test(lines[i])))
+    ) {
+      body.push(lines[i++].trim());
+    }
+    blocks.push({ type: "paragraph", text: body.join("\n"), line: start });
+  }
+
+  return blocks;
+}
+
+// Inline pieces, in the order they're tried at each spot
+const INLINE = new RegExp(
+  [
+    /(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/, // 1, 2: `code`
+    /!?\[([^\]]*)\]\(\s*<?([^\s()<>]*(?:\([^\s()<>]*\)[^\s()<>]*)*)>?(?:\s+"[^"]*")?\s*\)/, // 3, 4: [text](url)
+    /<((?:https?|mailto|tel):[^\s<>]+)>/, // 5: <https://...>
+    /(https?:\/\/[^\s<]*[^\s<.,:;"')\]!?])/, // 6: bare https://...
+    /\*\*(?=\S)([\s\S]*?\S)\*\*|__(?=\S)([\s\S]*?\S)__/, // 7, 8: **bold**
+    /\*(?=\S)([\s\S]*?\S)\*|\b_(?=\S)([\s\S]*?\S)_\b/, // 9, 10: *italic*
+    /~~(?=\S)([\s\S]*?\S)~~/, // 11: ~~strike~~
+  ]
+    .map((pattern) => pattern.source)
+    .join("|")
+);
+
+/**
+ * Reads the inline Markdown of a block into pieces
+ * @param {string} text - A heading, paragraph or list item
+ * @returns {Array} Pieces: { type: "text", text } | { type: "code", text } | { type: "break" }
+ *   | { type: "link", href (null if unsafe), children } | { type: "strong" | "em" | "del", children }
+ */
+export function parseInline(text) {
+  const pieces = [];
+  let rest = text;
+
+  const pushText = (value) => {
+    value.split("\n").forEach((part, index) => {
+      if (index > 0) pieces.push({ type: "break" });
+      if (part) pieces.push({ type: "text", text: part });
+    });
+  };
+
+  while (rest) {
+    const match = INLINE.exec(rest);
+    if (!match) {
+      pushText(rest);
+      break;
+    }
+    pushText(rest.slice(0, match.index));
+    if (match[2] !== undefined) pieces.push({ type: "code", text: match[2] });
+    else if (match[4] !== undefined) pieces.push({ type: "link", href: safeHref(match[4]), children: parseInline(match[3] || match[4]) });
+    else if (match[5] !== undefined) pieces.push({ type: "link", href: safeHref(match[5]), children: [{ type: "text", text: match[5] }] });
+    else if (match[6] !== undefined) pieces.push({ type: "link", href: safeHref(match[6]), children: [{ type: "text", text: match[6] }] });
+    else if (match[7] !== undefined || match[8] !== undefined) pieces.push({ type: "strong", children: parseInline(match[7] ?? match[8]) });
+    else if (match[9] !== undefined || match[10] !== undefined) pieces.push({ type: "em", children: parseInline(match[9] ?? match[10]) });
+    else pieces.push({ type: "del", children: parseInline(match[11]) });
+    rest = rest.slice(match.index + match[0].length);
+  }
+
+  return pieces;
+}
+
+/**
+ * Ticks or unticks the task on one line of the notes
+ * @param {string} text - The notes
+ * @param {number} line - The task's line (item.line from parseMarkdown)
+ * @returns {string} The notes with that box flipped (unchanged if the line isn't a task)
+ */
+export function toggleTask(text, line) {
+  const lines = text.replace(/\r\n?/g, "\n").split("\n");
+  if (line < 0 || line >= lines.length) return text;
+  lines[line] = lines[line].replace(TASK_LINE, (match, before, box, after) => `${before}${box === " " ? "x" : " "}${after}`);
+  return lines.join("\n");
+}
+
+/**
+ * How many of the note's task boxes are ticked
+ * @param {string} text - The notes
+ * @returns {{ done: number, total: number }}
+ */
+export function countTasks(text) {
+  const tasks = [];
+  const collect = (blocks) => {
+    for (const block of blocks) {
+      if (block.type === "list") tasks.push(...block.items.filter((item) => item.task !== null));
+      if (block.type === "quote") collect(block.blocks);
+    }
+  };
+  collect(parseMarkdown(text));
+  return { done: tasks.filter((item) => item.task).length, total: tasks.length };
+}
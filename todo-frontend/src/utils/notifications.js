@@ -0,0 +1,40 @@
+/**
+ * BROWSER NOTIFICATION HELPERS
+ * Wraps the Notification API so the rest of the app doesn't have to check for support everywhere
+ */
+
+/**
+ * @returns {boolean} true if this browser supports system notifications at all
+ */
+export function notificationsSupported() {
+  return typeof window !== "undefined" && "Notification" in window;
+}
+
+/**
+ * @returns {string} "granted", "denied", "default" (not asked yet) or "unsupported"
+ */
+export function notificationPermission() {
+  return notificationsSupported() ? Notification.permission : "unsupported";
+}
+
+/**
+ * Asks the user for permission to show notifications
+ * Browsers only allow this in response to a click, so call it from an event handler
+ * @returns {Promise<string>} The new permission state
+ */
+export async function requestNotificationPermission() {
+  if (!notificationsSupported()) return "unsupported";
+  return Notification.requestPermission();
+}
+
+/**
+ * Shows a system notification if we're allowed to
+ * @param {string} title - Bold first line
+ * @param {Object} [options] - body, tag (same tag replaces an older notification), ...
+ * @returns {boolean} true if a notification was shown
+ */
+export function showNotification(title, options = {}) {
+  if (notificationPermission() !== "granted") return false;
+  new Notification(title, options);
+  return true;
+}
@@ -0,0 +1,131 @@
+/**
+ * OFFLINE STORAGE (IndexedDB)
+ * Two object stores per user, kept in the browser so the app works without the server:
+ * - todos:  the last known version of every todo we've seen (shown when offline)
+ * - outbox: changes made on this device that the server hasn't confirmed yet
+ *           (replayed in order by utils/outbox.js once the server is reachable)
+ *
+ * IndexedDB's API is callback based; the helpers below wrap it in Promises.
+ */
+
+const DB_VERSION = 1;
+
+// One database per user, so two people sharing a browser never see each other's todos
+let dbName = null;
+let dbPromise = null;
+
+/**
+ * Picks the database for the logged-in user (call before anything else)
+ * @param {string|null} username - The user, or null after logging out
+ */
+export function selectOfflineUser(username) {
+  const name = username ? `todo-offline:${username}` : null;
+  if (name === dbName) return;
+  dbPromise?.then((db) => db.close()).catch(() => {});
+  dbName = name;
+  dbPromise = null;
+}
+
+/**
+ * Opens (and on first use creates) the database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb() {
+  if (!dbName) return Promise.reject(new Error("No user selected for offline storage"));
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(dbName, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore("todos", { keyPath: "_id" });
+        // autoIncrement ids keep the outbox in the order the changes were made
+        db.createObjectStore("outbox", { keyPath: "id", autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Runs some work in one transaction and resolves when it's committed
+ * @param {string} storeName - "todos" or "outbox"
+ * @param {string} mode - "readonly" or "readwrite"
+ * @param {Function} work - Called with the object store; may return an IDBRequest whose result we want
+ * @returns {Promise<*>} The request's result, if work returned one
+ */
+async function withStore(storeName, mode, work) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = work(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// TODO CACHE
+
+/**
+ * @returns {Promise<Object[]>} Every cached todo (in no particular order)
+ */
+export function getCachedTodos() {
+  return withStore("todos", "readonly", (store) => store.getAll());
+}
+
+/**
+ * Saves todos to the cache (replacing older versions of the same todos)
+ * @param {Object[]} todos - Todos to save
+ */
+export function cacheTodos(todos) {
+  return withStore("todos", "readwrite", (store) => {
+    for (const todo of todos) store.put(todo);
+  });
+}
+
+/**
+ * Removes todos from the cache
+ * @param {string[]} ids - IDs of the todos to forget
+ */
+export function uncacheTodos(ids) {
+  return withStore("todos", "readwrite", (store) => {
+    for (const id of ids) store.delete(id);
+  });
+}
+
+// OUTBOX
+
+/**
+ * @returns {Promise<Object[]>} Pending changes, oldest first
+ */
+export function getOutbox() {
+  return withStore("outbox", "readonly", (store) => store.getAll());
+}
+
+/**
+ * Adds or replaces an outbox entry
+ * @param {Object} entry - The change (without an id to add a new one)
+ * @returns {Promise<Object>} The entry with its id
+ */
+export async function putOutboxEntry(entry) {
+  const id = await withStore("outbox", "readwrite", (store) => store.put(entry));
+  return { ...entry, id };
+}
+
+/**
+ * Removes an outbox entry (once the server has confirmed it, or it was dropped)
+ * @param {number} id - The entry's id
+ */
+export function deleteOutboxEntry(id) {
+  return withStore("outbox", "readwrite", (store) => store.delete(id));
+}
+
+/**
+ * Forgets everything stored for the current user (on logout)
+ */
+export async function clearOfflineData() {
+  await withStore("todos", "readwrite", (store) => store.clear());
+  await withStore("outbox", "readwrite", (store) => store.clear());
+}
@@ -0,0 +1,327 @@
+/**
+ * OUTBOX (OFFLINE CHANGES)
+ * Adding, editing, ticking and deleting todos never waits for the server: the change is shown
+ * straight away and written to the outbox in IndexedDB (see offlineStore.js). replayOutbox()
+ * then sends the outbox to the server in order - right away when online, or once the
+ * connection is back. Because the outbox is stored, changes survive a reload or a closed tab.
+ *
+ * An entry looks like:
+ *   { id, op: "create", todoId: "local-...", fields: { title, dueAt, ... } }
+ *   { id, op: "update", todoId, fields: { completed: true }, base: <todo before the change> }
+ *   { id, op: "delete", todoId, scope: "this" | "series", replaced?: <the update it replaced> }
+ * Todos created offline get a temporary "local-..." id until the server gives them a real one.
+ *
+ * Conflicts: updates are only made if the todo is still the one they were based on (If-Match
+ * with the base's ETag, see apiUpdateTodo). If the todo changed on the server meanwhile
+ * (412 Precondition Failed), changes to different fields are merged automatically; if both
+ * sides changed the same field the entry is parked with the server copy (entry.conflict)
+ * until the user picks a version with resolveConflict().
+ */
+
+import { apiCreateTodo, apiUpdateTodo, apiDeleteTodo } from "../api";
+import { getOutbox, putOutboxEntry, deleteOutboxEntry } from "./offlineStore";
+
+// Prefix of the temporary ids of todos the server hasn't seen yet
+const LOCAL_ID_PREFIX = "local-";
+
+/**
+ * @param {string} id - A todo id
+ * @returns {boolean} true for todos that only exist on this device so far
+ */
+export function isLocalId(id) {
+  return id.startsWith(LOCAL_ID_PREFIX);
+}
+
+/**
+ * Makes a temporary id for a todo created on this device
+ * @returns {string}
+ */
+export function newLocalId() {
+  return LOCAL_ID_PREFIX + (globalThis.crypto?.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2)}`);
+}
+
+/**
+ * @param {Error} error - Error thrown by an api.js call
+ * @returns {boolean} true if the server couldn't be reached at all (as opposed to answering with an error)
+ */
+export function isNetworkError(error) {
+  return !error.response;
+}
+
+// The entry being sent right now - later changes must not be folded into it
+let inFlightId = null;
+
+// Recording a change and picking the next entry to send take turns through this chain,
+// so a change can't be folded into an entry at the very moment it's being sent
+let turn = Promise.resolve();
+
+/**
+ * Runs fn once every earlier call has finished
+ * @param {Function} fn - Async work
+ * @returns {Promise} fn's result
+ */
+function exclusive(fn) {
+  const run = turn.then(fn);
+  turn = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Records a change in the outbox
+ * A change to a todo that already has a pending change is folded into it, so the outbox
+ * holds at most one entry per todo (e.g. create + edit = one create with the edited fields)
+ * @param {Object} change - { op, todoId, fields?, scope?, base? }
+ */
+export function enqueueChange(change) {
+  return exclusive(() => recordChange(change));
+}
+
+async function recordChange(change) {
+  const outbox = await getOutbox();
+  const earlier = outbox.find((e) => e.todoId === change.todoId && e.id !== inFlightId);
+
+  if (earlier && change.op === "update" && earlier.op !== "delete") {
+    await putOutboxEntry({ ...earlier, fields: { ...earlier.fields, ...change.fields } });
+    return;
+  }
+  if (earlier && change.op === "delete") {
+    await deleteOutboxEntry(earlier.id);
+    // Created and deleted before the server ever saw it - nothing to send
+    if (earlier.op === "create") return;
+    // Kept so cancelDelete can bring the unsent edits back
+    if (earlier.op === "update") change = { ...change, replaced: earlier };
+  }
+  await putOutboxEntry({ ...change, createdAt: new Date().toISOString() });
+}
+
+/**
+ * Takes back a delete that hasn't been sent yet ("Undo" right after deleting)
+ * @param {string} todoId - The deleted todo
+ * @returns {Promise<boolean>} true if the delete was still waiting and is now gone; false if it
+ *   has been sent (or is being sent) - then the todo has to be restored from the trash instead
+ */
+export function cancelDelete(todoId) {
+  return exclusive(async () => {
+    const entry = (await getOutbox()).find((e) => e.todoId === todoId && e.op === "delete");
+    if (!entry || entry.id === inFlightId) return false;
+    await deleteOutboxEntry(entry.id);
+    if (entry.replaced) await putOutboxEntry(entry.replaced);
+    return true;
+  });
+}
+
+/**
+ * What a todo created on this device looks like until the server has it
+ * @param {Object} entry - A "create" outbox entry
+ * @returns {Object} A todo with the server's defaults filled in
+ */
+export function localTodo(entry) {
+  return {
+    _id: entry.todoId,
+    completed: false,
+    subtasks: [],
+    attachments: [],
+    notes: "",
+    tags: [],
+    priority: "none",
+    dueAt: null,
+    remindAt: null,
+    recurrence: null,
+    listId: null,
+    assignee: null,
+    position: null,
+    createdAt: entry.createdAt,
+    updatedAt: entry.createdAt,
+    ...entry.fields,
+  };
+}
+
+/**
+ * The fields to create a todo again with, so it comes back the way it was
+ * (everything POST /api/todos takes - todos only on this device have no subtasks or attachments yet)
+ * @param {Object} todo - A todo created on this device
+ * @returns {Object} The fields of a "create" outbox entry
+ */
+export function createFields(todo) {
+  const { title, notes, completed, dueAt, remindAt, recurrence, listId, tags, priority, assignee } = todo;
+  return { title, notes, completed, dueAt, remindAt, recurrence, listId, tags, priority, assignee };
+}
+
+/**
+ * A todo from the server with this device's unsent changes applied on top
+ * @param {Object} todo - Todo from the server (or the cache)
+ * @param {Object[]} outbox - Pending entries
+ * @returns {Object|null} The todo as the user should see it, or null if it's about to be deleted
+ */
+export function withPendingChanges(todo, outbox) {
+  let result = todo;
+  for (const entry of outbox) {
+    if (entry.todoId !== todo._id) continue;
+    if (entry.op === "delete") return null;
+    if (entry.op === "update") result = { ...result, ...entry.fields };
+  }
+  return result;
+}
+
+/**
+ * Applies the outbox to a list of todos from the server (or the cache)
+ * @param {Object[]} todos - Todos in display order
+ * @param {Object[]} outbox - Pending entries
+ * @param {Function} matches - Returns true if a todo belongs in the current view
+ * @returns {Object[]} Todos created on this device first, then the rest with pending edits applied
+ */
+export function applyOutbox(todos, outbox, matches) {
+  const known = new Set(todos.map((t) => t._id));
+  const created = outbox
+    .filter((e) => e.op === "create" && !known.has(e.todoId))
+    .map(localTodo)
+    .filter(matches)
+    .reverse(); // Newest first, like the server's default order
+  const updated = todos
+    .map((todo) => withPendingChanges(todo, outbox))
+    .filter((todo) => todo && matches(todo));
+  return [...created, ...updated];
+}
+
+/**
+ * Sends one entry to the server
+ * @returns {Promise<Object>} The server's answer
+ */
+async function send(entry) {
+  if (entry.op === "create") {
+    const { title, ...fields } = entry.fields;
+    return (await apiCreateTodo(title, fields)).data;
+  }
+  if (entry.op === "update") {
+    return (await apiUpdateTodo(entry.todoId, entry.fields, entry.base)).data;
+  }
+  return (await apiDeleteTodo(entry.todoId, entry.scope)).data;
+}
+
+/**
+ * JSON-based equality, good enough for todo field values (strings, booleans, dates as ISO strings, rules)
+ */
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Fields both sides changed to different values
+ * @param {Object} entry - The "update" entry (fields = ours, base = what we started from)
+ * @param {Object} current - The server's copy
+ * @returns {string[]} Field names
+ */
+export function conflictingFields(entry, current) {
+  return Object.keys(entry.fields).filter(
+    (field) =>
+      !sameValue(current[field], entry.base?.[field]) && // They changed it...
+      !sameValue(current[field], entry.fields[field])    // ...to something other than our value
+  );
+}
+
+/**
+ * Once a "create" is confirmed, later entries for the same todo switch to the real id
+ */
+async function replaceLocalId(localId, todo) {
+  for (const entry of await getOutbox()) {
+    if (entry.todoId !== localId) continue;
+    await putOutboxEntry({ ...entry, todoId: todo._id, base: entry.base && { ...entry.base, updatedAt: todo.updatedAt } });
+  }
+}
+
+/**
+ * Sends the outbox to the server, oldest change first
+ * Entries waiting for the user to resolve a conflict are skipped
+ * @param {Object} handlers
+ * @param {Function} handlers.onSynced - Called with (entry, server answer) after each confirmed change
+ * @param {Function} handlers.onConflict - Called with (entry, server copy) when the user has to choose
+ * @param {Function} handlers.onRejected - Called with (entry, error) when the server refused a change
+ * @returns {Promise<{ offline: boolean, sent: number, retryAfter?: number }>} offline is true if
+ *   it stopped because the server was unreachable; retryAfter (seconds) is set if it stopped
+ *   because we're sending too fast (429); sent counts the changes the server answered
+ */
+async function replay({ onSynced, onConflict, onRejected }) {
+  let sent = 0;
+  for (;;) {
+    const entry = await exclusive(async () => {
+      const next = (await getOutbox()).find((e) => !e.conflict);
+      inFlightId = next?.id ?? null;
+      return next;
+    });
+    if (!entry) return { offline: false, sent };
+
+    try {
+      const result = await send(entry);
+      await deleteOutboxEntry(entry.id);
+      if (entry.op === "create") await replaceLocalId(entry.todoId, result);
+      onSynced(entry, result);
+    } catch (error) {
+      if (isNetworkError(error)) return { offline: true, sent };
+      const { status, data } = error.response;
+
+      // Logged out - keep everything for when the user logs back in
+      if (status === 401) return { offline: false, sent };
+
+      // Rate limited - the change is fine, it just has to wait
+      if (status === 429) return { offline: false, sent, retryAfter: Number(error.response.headers["retry-after"]) || 60 };
+
+      if (status === 412) {
+        const current = data.error.details.current;
+        if (conflictingFields(entry, current).length === 0) {
+          // Different fields changed - ours can simply go on top of theirs
+          await putOutboxEntry({ ...entry, base: current });
+        } else {
+          await putOutboxEntry({ ...entry, conflict: current });
+          onConflict(entry, current);
+        }
+      } else if (status === 404 && entry.op === "delete") {
+        // Already gone - that's what we wanted
+        await deleteOutboxEntry(entry.id);
+        onSynced(entry, { deletedIds: [entry.todoId] });
+      } else {
+        // The server won't accept this change (e.g. deleted elsewhere, invalid) - give up on it
+        // (and on any later changes to a todo that will now never exist on the server)
+        await deleteOutboxEntry(entry.id);
+        if (entry.op === "create") {
+          for (const later of await getOutbox()) {
+            if (later.todoId === entry.todoId) await deleteOutboxEntry(later.id);
+          }
+        }
+        onRejected(entry, error);
+      }
+    } finally {
+      inFlightId = null;
+    }
+    sent += 1;
+  }
+}
+
+// Only one replay at a time - a second call while one is running just waits for it
+let replaying = null;
+
+/**
+ * Sends every pending change to the server (see replay above for the handlers)
+ * @returns {Promise<{ offline: boolean, sent: number, retryAfter?: number }>}
+ */
+export function replayOutbox(handlers) {
+  if (!replaying) {
+    replaying = replay(handlers).finally(() => {
+      replaying = null;
+    });
+  }
+  return replaying;
+}
+
+/**
+ * Settles a conflict the user has looked at
+ * @param {Object} entry - The parked entry (with entry.conflict = server copy)
+ * @param {"mine"|"theirs"} choice - Keep this device's values, or take the server's
+ */
+export async function resolveConflict(entry, choice) {
+  if (choice === "mine") {
+    // Send our fields again, this time based on the server's latest version
+    await putOutboxEntry({ ...entry, base: entry.conflict, conflict: null });
+  } else {
+    await deleteOutboxEntry(entry.id);
+  }
+}
@@ -0,0 +1,26 @@
+/**
+ * PRIORITY HELPERS
+ * Priorities a todo can have (same as PRIORITIES in the backend's validators/todo.js), least first
+ * Rows show a marker for every priority above "none"; the number keys 0-4 set one from the keyboard
+ */
+
+// Every priority, least first - the index is the key that sets it (0 = none ... 4 = urgent)
+export const PRIORITIES = ["none", "low", "medium", "high", "urgent"];
+
+// How each priority is shown: a short label and the marker next to the title
+export const PRIORITY_INFO = {
+  none: { label: "No priority", marker: "" },
+  low: { label: "Low", marker: "▽" },
+  medium: { label: "Medium", marker: "◆" },
+  high: { label: "High", marker: "▲" },
+  urgent: { label: "Urgent", marker: "‼" },
+};
+
+/**
+ * The priority a number key stands for
+ * @param {string} key - KeyboardEvent.key
+ * @returns {string|null} The priority, or null if the key isn't 0-4
+ */
+export function priorityForKey(key) {
+  return /^[0-4]$/.test(key) ? PRIORITIES[Number(key)] : null;
+}
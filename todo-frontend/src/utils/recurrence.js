@@ -0,0 +1,56 @@
+/**
+ * RECURRENCE HELPERS
+ * Turn a recurrence rule from the server into text like "Every 2 weeks on Mon, Thu"
+ * Rules look like { freq: "daily" | "weekly" | "monthly", interval, weekdays, monthDay, until }
+ * Weekdays use JavaScript numbering: 0 = Sunday ... 6 = Saturday
+ */
+
+// Short weekday names, indexed by JavaScript weekday number
+export const WEEKDAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Weekdays in the order we show them (Monday first)
+export const WEEKDAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+// Unit names for each frequency (singular, plural)
+const UNITS = {
+  daily: ["day", "days"],
+  weekly: ["week", "weeks"],
+  monthly: ["month", "months"],
+};
+
+/**
+ * "1st", "2nd", "3rd", "4th", ... "31st"
+ * @param {number} n - Day of the month
+ * @returns {string}
+ */
+function ordinal(n) {
+  const suffix = n % 10 === 1 && n !== 11 ? "st"
+    : n % 10 === 2 && n !== 12 ? "nd"
+    : n % 10 === 3 && n !== 13 ? "rd"
+    : "th";
+  return `${n}${suffix}`;
+}
+
+/**
+ * Describes a recurrence rule in plain English
+ * @param {Object|null} rule - Recurrence rule from a todo
+ * @returns {string} e.g. "Every day", "Every 3 days", "Every week on Mon, Thu", "Monthly on the 15th"
+ */
+export function describeRecurrence(rule) {
+  if (!rule) return "";
+  const interval = rule.interval || 1;
+  const [singular, plural] = UNITS[rule.freq];
+  let text = interval === 1 ? `Every ${singular}` : `Every ${interval} ${plural}`;
+
+  if (rule.freq === "weekly" && rule.weekdays?.length) {
+    const days = WEEKDAY_ORDER.filter((d) => rule.weekdays.includes(d)).map((d) => WEEKDAY_LABELS[d]);
+    text += ` on ${days.join(", ")}`;
+  }
+  if (rule.freq === "monthly" && rule.monthDay) {
+    text += ` on the ${ordinal(rule.monthDay)}`;
+  }
+  if (rule.until) {
+    text += ` until ${new Date(rule.until).toLocaleDateString()}`;
+  }
+  return text;
+}
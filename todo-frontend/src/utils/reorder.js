@@ -0,0 +1,45 @@
+/**
+ * REORDER HELPERS
+ * Small pure functions used by drag-and-drop in the todo list
+ */
+
+/**
+ * Returns a copy of the array with one item moved to a new index
+ * @param {Array} items - The array (not changed)
+ * @param {number} from - Index of the item to move
+ * @param {number} to - Index it should end up at
+ * @returns {Array}
+ */
+export function moveItem(items, from, to) {
+  const copy = [...items];
+  const [moved] = copy.splice(from, 1);
+  copy.splice(to, 0, moved);
+  return copy;
+}
+
+/**
+ * True if two todo arrays have the same todos in the same order
+ * @param {Array} a - Todos
+ * @param {Array} b - Todos
+ * @returns {boolean}
+ */
+export function sameOrder(a, b) {
+  return a.length === b.length && a.every((todo, i) => todo._id === b[i]._id);
+}
+
+/**
+ * The ids of the todos right above and below a todo, as PATCH /api/todos/:id/move expects them
+ * @param {Array} todos - Todos in their new order
+ * @param {string} id - The moved todo
+ * @param {Function} [usable] - Todos it returns false for are skipped (e.g. ones the server doesn't know yet)
+ * @returns {{ after?: string, before?: string }} after = the one above, before = the one below
+ */
+export function neighboursOf(todos, id, usable = () => true) {
+  const index = todos.findIndex((t) => t._id === id);
+  const above = todos.slice(0, index).reverse().find(usable);
+  const below = todos.slice(index + 1).find(usable);
+  return {
+    after: above?._id,
+    before: below?._id,
+  };
+}
@@ -0,0 +1,70 @@
+/**
+ * SHARING HELPERS
+ * Roles in a shared list (same as MEMBER_ROLES in the backend's validators/list.js), least first:
+ * viewers only look, editors also change the todos, owners also manage the list and its members.
+ * The lists from GET /api/lists carry the user's role and everyone in them, which is all
+ * the helpers below need.
+ */
+
+// Every role, least first
+export const ROLES = ["viewer", "editor", "owner"];
+
+// How each role is shown
+export const ROLE_LABELS = {
+  viewer: "Can view",
+  editor: "Can edit",
+  owner: "Owner",
+};
+
+/**
+ * Whether a role allows at least as much as another one
+ * @param {string|undefined} role - The user's role
+ * @param {string} minRole - The role needed
+ * @returns {boolean}
+ */
+export function hasRole(role, minRole) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(minRole);
+}
+
+/**
+ * Whether the user can change a todo: Inbox todos are always theirs, list todos need
+ * the editor role in the list
+ * @param {Object} todo - The todo
+ * @param {Array} lists - The user's lists (with their role)
+ * @returns {boolean}
+ */
+export function canEditTodo(todo, lists) {
+  if (!todo.listId) return true;
+  const list = lists.find((l) => l._id === todo.listId);
+  // A list we don't know (yet) - let the server decide
+  return !list || hasRole(list.role, "editor");
+}
+
+/**
+ * Who a todo can be assigned to: the members of its list, or just the user for the Inbox
+ * @param {string|null} listId - The todo's list ("" or null = Inbox)
+ * @param {Array} lists - The user's lists (with their members)
+ * @param {Object} me - The logged-in user ({ _id, username })
+ * @returns {Array} [{ _id, username }]
+ */
+export function assignableUsers(listId, lists, me) {
+  const list = listId && lists.find((l) => l._id === listId);
+  if (!list) return [me];
+  return (list.members || []).map((member) => member.user).filter(Boolean);
+}
+
+/**
+ * A user's name, looked up in the members of the user's lists
+ * @param {string} userId - The user's ID
+ * @param {Array} lists - The user's lists (with their members)
+ * @param {Object} me - The logged-in user
+ * @returns {string|null} null if they're in none of the lists (any more)
+ */
+export function usernameOf(userId, lists, me) {
+  if (userId === me._id) return me.username;
+  for (const list of lists) {
+    const member = (list.members || []).find((m) => m.user?._id === userId);
+    if (member) return member.user.username;
+  }
+  return null;
+}
@@ -0,0 +1,127 @@
+/**
+ * SYNC HELPERS
+ * Merge a todo that changed somewhere else (another tab or device) into the list on screen,
+ * at the spot the server would have put it for the current sort order.
+ * The filter and sort rules here mirror the server's, so the offline view from the
+ * IndexedDB cache looks like what the server would have sent.
+ */
+
+/**
+ * Checks whether a todo belongs in the open list, the selected status tab and the tag filter
+ * @param {Object} todo - The todo to check
+ * @param {string} selectedList - "all", "inbox" or a list ID
+ * @param {string} statusFilter - "all", "active" or "completed"
+ * @param {Object} [tagFilter] - { tags: [...names], mode: "any" | "all" } (no tags = no tag filter)
+ * @returns {boolean} true if the todo should be visible
+ */
+export function matchesView(todo, selectedList, statusFilter, tagFilter = { tags: [], mode: "any" }) {
+  if (selectedList === "inbox" && todo.listId) return false;
+  if (selectedList !== "all" && selectedList !== "inbox" && todo.listId !== selectedList) return false;
+  if (tagFilter.tags.length > 0) {
+    const has = (name) => (todo.tags || []).includes(name);
+    const tagged = tagFilter.mode === "all" ? tagFilter.tags.every(has) : tagFilter.tags.some(has);
+    if (!tagged) return false;
+  }
+  if (statusFilter === "active") return !todo.completed;
+  if (statusFilter === "completed") return todo.completed;
+  return true;
+}
+
+/**
+ * Simple stand-in for the server's full-text search, used while offline
+ * @param {Object} todo - The todo to check
+ * @param {string} text - Search text ("" matches everything)
+ * @returns {boolean}
+ */
+export function matchesSearch(todo, text) {
+  if (!text) return true;
+  const haystack = `${todo.title} ${todo.notes || ""}`.toLowerCase();
+  return text.toLowerCase().split(/\s+/).some((word) => haystack.includes(word));
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Points for each priority in the smart order
+const PRIORITY_POINTS = { none: 0, low: 10, medium: 20, high: 35, urgent: 50 };
+
+/**
+ * How pressing a todo is in the smart order - the same score the server works out
+ * (see services/smartOrder.js on the backend for what each part means)
+ * @param {Object} todo - The todo
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Higher = sooner
+ */
+export function smartScore(todo, now) {
+  let score = PRIORITY_POINTS[todo.priority] ?? 0;
+  if (todo.dueAt) {
+    const untilDue = new Date(todo.dueAt).getTime() - now;
+    score += untilDue < 0
+      ? 40 + Math.min(20, (-untilDue / DAY) * 2) // Overdue
+      : Math.max(0, 40 * (1 - untilDue / (7 * DAY))); // Due within a week
+  }
+  score += Math.min(10, (now - new Date(todo.createdAt).getTime()) / DAY / 3); // Age
+  return todo.completed ? score - 1000 : score;
+}
+
+/**
+ * Compares two todos the way the server sorts them (see utils/pagination.js on the backend):
+ * by the sort field, then by _id; empty values come first in ascending order.
+ * "smart" puts the higher smartScore first, then the newer _id
+ * @param {Object} a - Todo
+ * @param {Object} b - Todo
+ * @param {string} sort - Sort parameter, e.g. "-createdAt", "title", "manual" or "smart"
+ * @returns {number} Negative if a comes first, positive if b does
+ */
+export function compareTodos(a, b, sort) {
+  if (sort === "smart") {
+    const now = Date.now();
+    return smartScore(b, now) - smartScore(a, now) || (a._id < b._id ? 1 : a._id > b._id ? -1 : 0);
+  }
+
+  const descending = sort.startsWith("-");
+  const field = sort === "manual" ? "position" : sort.replace(/^-/, "");
+  // Dates arrive as ISO strings, which sort correctly as text
+  const valueA = a[field] ?? null;
+  const valueB = b[field] ?? null;
+
+  let result = 0;
+  if (valueA === null && valueB !== null) result = -1;
+  else if (valueA !== null && valueB === null) result = 1;
+  else if (valueA < valueB) result = -1;
+  else if (valueA > valueB) result = 1;
+  else result = a._id < b._id ? -1 : a._id > b._id ? 1 : 0;
+
+  return descending ? -result : result;
+}
+
+/**
+ * Puts a new or changed todo into the list (or takes it out if it no longer belongs there)
+ * @param {Array} todos - Todos on screen, in sort order
+ * @param {Object} todo - The todo from the server
+ * @param {Object} options
+ * @param {Function} options.matches - Returns true if a todo fits the open list and status tab
+ * @param {string} options.sort - Current sort parameter
+ * @param {boolean} options.searching - true while a search is active (can't be checked here)
+ * @param {boolean} options.hasMore - true if more pages haven't been loaded yet
+ * @returns {Array} The new list
+ */
+export function mergeTodo(todos, todo, { matches, sort, searching, hasMore }) {
+  const known = todos.some((t) => t._id === todo._id);
+
+  // We can't tell whether it matches the search text, so only refresh todos already shown
+  if (searching) {
+    return known
+      ? todos.map((t) => (t._id === todo._id ? todo : t)).filter((t) => t._id !== todo._id || matches(t))
+      : todos;
+  }
+
+  const rest = todos.filter((t) => t._id !== todo._id);
+  if (!matches(todo)) return rest;
+
+  const index = rest.findIndex((t) => compareTodos(todo, t, sort) < 0);
+  if (index === -1) {
+    // Sorts after everything loaded: if more pages exist, it will arrive with one of them
+    return hasMore ? rest : [...rest, todo];
+  }
+  return [...rest.slice(0, index), todo, ...rest.slice(index)];
+}
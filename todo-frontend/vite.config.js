@@ -4,4 +4,10 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    fs: {
+      // ../shared holds code used by the backend too (the quick-add parser)
+      allow: ['.', '../shared'],
+    },
+  },
 })